@@ -22,45 +22,115 @@ if (window.APP_JS_LOADED) {
     let ammoInitialized = false;
     let ammoInitializing = false;
     let physicsEnabled = true;
-    let initStage = 0; // 初期化のステージを追跡
+    let physicsBackend = 'auto';  // 'auto'（Ammoが使えなければスプリングボーン）/ 'ammo' / 'spring'
+    let physicsInWorker = true;   // Ammoの物理演算をWeb Workerで行う（使えなければメインスレッド）
+    let ammoPromise = null;       // initAmmo()の結果（初期化中・初期化済みなら同じPromiseを返す）
     let appStartTime = Date.now(); // アプリケーション開始時間
     
-    // isInitializing変数の重複宣言を防止
-    if (typeof window.isInitializing === 'undefined') {
-        window.isInitializing = false; // グローバルに初期化中フラグを追加
-    }
+    // モーションライブラリ（motions/library.json）
+    const MOTION_LIBRARY_URL = 'motions/library.json';
+    // ライブラリが読み込めない場合の既定エントリ（従来のmotions/dance.vmd）
+    const FALLBACK_MOTION_ENTRY = { id: 'dance', title: 'ダンス', file: 'dance.vmd', duration: null, credits: null };
+    let motionLibrary = [FALLBACK_MOTION_ENTRY];
+    let defaultMotionId = FALLBACK_MOTION_ENTRY.id;
     
-    // app.js内でisInitializingを使用するためのローカルエイリアス
-    const getIsInitializing = () => window.isInitializing;
-    const setIsInitializing = (value) => { window.isInitializing = !!value; };
+    // ステージ上のモデル（読み込み順）。meshはその中で操作対象として選択中のモデル
+    // モデルごとの状態はuserData（stageId, modelName, stageOffset, dropFiles, currentMotion...）に持つ
+    let stageModels = [];
+    let nextStageModelId = 1;
+    let stageTracksOwner = null;  // 音楽・カメラモーションを提供しているモデル
     
-    // THREEが未定義の場合に備えて即時に最小スタブを作成
-    (function() {
-        if (typeof THREE === 'undefined') {
-            console.log('THREE未定義のため、最小スタブを即時作成します');
-            window.THREE = {
-                Clock: function() { 
-                    this.getDelta = function() { return 0.016; };
-                    this.start = function() {};
-                }
-            };
-        }
-    })();
+    // モデルを横に並べる間隔
+    const STAGE_MODEL_SPACING = 12;
+    
+    // モデルの後ろに置くステージ・背景（stages/library.json）
+    const STAGE_LIBRARY_URL = 'stages/library.json';
+    let stageLibrary = [];            // ライブラリのステージと、読み込んだローカルのステージ
+    let stageEnvironment = null;      // StageEnvironment.create()の結果
+    let stageEnvironmentId = 'none';  // 表示中（または読み込み中）のステージ
+    let gridHelper = null;            // ステージのモデルを置いている間は隠す
+    
+    // ポストエフェクト（PostProcessing.create()の結果。使えない環境ではnullのまま直接描画する）
+    let postProcessing = null;
+    
+    // 音楽再生（モーションと同期させる）
+    let audioListener = null;     // カメラに付けるTHREE.AudioListener
+    let motionAudio = null;       // ヘルパーに登録中のTHREE.Audio
+    let motionClock = null;       // 音声位置に同期したモーション時計（PlaybackSync）
+    let audioDelay = 0;           // 音声の遅延オフセット（秒）
+    let initialSceneState = null; // 起動時にURLのハッシュから読んだシーンの状態（SceneState）
+    
+    // カメラモーション（VMDのカメラトラック）
+    let cameraMotionActive = false;   // ヘルパーにカメラモーションを登録中か
+    let lightingRig = null;           // 照明（LightingRig.create()の結果）
+    let lightingPresetId = null;      // 選んでいる照明のプリセット
+    let lightingUserPresets = {};     // 保存した照明のプリセット（ID → プリセット）
+    let cameraMode = 'cinematic';     // 'cinematic'（カメラモーション）または 'orbit'（自由視点）
+    
+    // 再生コントロール（タイムライン）
+    let loopPointA = null;            // A-Bループの始点（秒）
+    let loopPointB = null;            // A-Bループの終点（秒）
+    let isScrubbing = false;          // シークバーをドラッグ中か
+    let lastTimelineFrame = -1;       // 最後に表示したフレーム（表示更新の間引き用）
+    
+    // 動画の書き出し
+    let isExporting = false;          // 書き出し中はanimate()での更新・描画を止める
+    let exportAbortController = null; // 書き出しの中止用
+    
+    // 表情パネル
+    let morphPanelTarget = null;      // 表情パネルに表示しているモデル
+    
+    // リップシンク（口のモーフがないモーションで、音楽から口を動かす）
+    let lipSyncEnabled = true;
+    let lipSyncStrength = 1;
+    let lipSyncTrack = null;          // 再生中の音楽の解析結果
+    
+    // モーションの合成
+    let crossfadeDuration = 0.5;      // モーションを切り替える時のクロスフェード（秒。0ですぐ切り替える）
+    
+    // セットリスト（モーションと音楽を続けて再生する）
+    let setlistItems = [];            // 曲（モーションID）の並び
+    let setlistOptions = null;        // { shuffle, repeat, gap, transition }
+    let setlist = null;               // Setlist.create()の結果（再生中のみ）
+    let setlistTarget = null;         // セットリストで踊らせるモデル
+    let setlistEntry = null;          // 再生中（または読み込み中）の曲のエントリ
+    let setlistEnding = false;        // 曲が終わり、曲間を待っている
+    let setlistGapTimer = null;
+    let preloadedMotions = [];        // 先読みしたモーション [{ entry, model, promise }]
+    
+    // ポーズ編集
+    let poseEditor = null;            // PoseEditor.create()の結果（初回のポーズモードで作成）
+    let poseModeActive = false;       // ポーズモード中はヘルパーでアニメーションを進めない
     
-    // THREE.Clockオブジェクトを安全に作成
-    let clock = (typeof THREE !== 'undefined' && typeof THREE.Clock === 'function') ? 
-        new THREE.Clock() : 
-        {getDelta: function() { return 0.016; }};
+    // キーフレーム編集
+    const motionSources = new WeakMap(); // アニメーション → 元のVMDデータ（キーフレーム編集用）
+    let keyframeDoc = null;           // 編集中のVMDデータ
+    let keyframeTarget = null;        // 編集中のモデル
+    let keyframeClip = null;          // 編集中のデータから作った（または元の）アニメーション
+    let dopeSheet = null;
+    let curveEditor = null;
+    
+    // 物理演算パネル
+    let physicsPanelTarget = null;    // 剛体・ジョイントを表示しているモデル
+    let physicsOverlay = null;        // 剛体のデバッグ表示（PhysicsTuning.createOverlay()の結果）
+    
+    // モデル情報パネル
+    let inspectorTarget = null;       // 情報を表示しているモデル
+    let inspectorHighlighter = null;  // 選んだボーン・材質の強調表示（ModelInspector.createHighlighter()の結果）
+    let inspectorBodies = null;       // 剛体の表示で強調している間 { shown: 強調のために剛体の表示を出したか }
+    
+    // メモリの統計（デバッグパネル）
+    const MEMORY_STATS_INTERVAL = 1000; // 表示を更新する間隔（ミリ秒）
+    let memoryStatsTime = 0;
+    
+    // モーションの経過時間を測る時計（app.jsはライブラリの読み込み後に読み込まれる）
+    let clock = new THREE.Clock();
     
     // デバッグ用ログ関数
     function debugLog(message) {
         if (window.DEBUG) {
             const timestamp = Math.floor((Date.now() - appStartTime) / 1000);
             console.log(`[DEBUG ${timestamp}s] ${message}`);
-            const loadingText = document.getElementById('loading-text');
-            if (loadingText) {
-                loadingText.textContent = message;
-            }
             // 新しいデバッグパネルにも情報を追加
             if (window.addDebugInfo) {
                 window.addDebugInfo(message);
@@ -68,95 +138,15 @@ if (window.APP_JS_LOADED) {
         }
     }
 
-    // 安全にTHREEオブジェクトを取得・作成する関数
-    // 注意: recursiveFlag がtrueの場合は再帰呼び出しを防止
-    function ensureThreeExists(recursiveFlag) {
-        if (typeof THREE === 'undefined') {
-            // 再帰呼び出し防止
-            if (recursiveFlag) {
-                console.log('警告: 再帰呼び出し検出。スタブ作成をスキップします');
-                return false;
-            }
-            
-            console.log('THREE未定義のため、スタブを作成します');
-            window.THREE = window.THREE || {};
-            // 必要最小限のメソッドを持つClockオブジェクト
-            if (!window.THREE.Clock) {
-                window.THREE.Clock = function() { 
-                    this.getDelta = function() { return 0.016; };
-                    this.start = function() {};
-                };
-            }
-            return false;
-        }
-        return true;
-    }
-
-    // THREE未定義エラーに対応するための安全なTHREEアクセス
+    // THREEを取得する（読み込まれていなければnull）
     function safeGetTHREE() {
         if (typeof THREE === 'undefined') {
-            debugLog('THREEオブジェクトが未定義です。使用前に初期化する必要があります。');
-            
-            // 最小限のTHREEスタブを作成
-            if (window.createThreeStub && typeof window.createThreeStub === 'function') {
-                window.createThreeStub();
-            } else {
-                // index.htmlの関数が使えない場合の最小スタブ
-                // 再帰呼び出し防止のため既存のTHREEオブジェクトをチェック
-                if (!window.THREE) {
-                    window.THREE = {
-                        Scene: function() { this.background = { set: function() {} }; this.add = function() {}; },
-                        PerspectiveCamera: function() { this.position = { set: function() {} }; },
-                        WebGLRenderer: function() { 
-                            this.setPixelRatio = function() {};
-                            this.setSize = function() {};
-                            this.shadowMap = { enabled: false };
-                            this.render = function() {};
-                            this.domElement = document.createElement('div');
-                        },
-                        GridHelper: function() {},
-                        Color: function() {},
-                        Clock: function() { this.getDelta = function() { return 0.016; } },
-                        LoadingManager: function() {},
-                        BoxGeometry: function() {},
-                        MeshBasicMaterial: function() {},
-                        Mesh: function() { this.position = { set: function() {} }; },
-                        AmbientLight: function() {},
-                        DirectionalLight: function() { this.position = { set: function() {} }; },
-                        MMDLoader: function() { 
-                            this.load = function(a,b) { if(typeof b === 'function') b({}); };
-                        },
-                        MMDAnimationHelper: function() { 
-                            this.add = function() {};
-                            this.remove = function() {};
-                            this.update = function() {};
-                        },
-                        OrbitControls: function() {}
-                    };
-                    debugLog('アプリケーション内で最小限のTHREEスタブを作成しました');
-                } else {
-                    debugLog('既存のTHREEオブジェクトが見つかりました、スタブは作成しません');
-                }
-            }
+            debugLog('THREEオブジェクトが未定義です');
+            return null;
         }
         return window.THREE;
     }
 
-    // 安全にTHREEオブジェクトを作成する関数
-    function safeCreateThreeObject(className, ...args) {
-        const THREE = safeGetTHREE();
-        if (!THREE || typeof THREE[className] !== 'function') {
-            debugLog(`THREE.${className}が見つからないため、ダミーオブジェクトを返します`);
-            return {}; // 空のダミーオブジェクト
-        }
-        try {
-            return new THREE[className](...args);
-        } catch (error) {
-            debugLog(`THREE.${className}の作成に失敗: ${error.message}`);
-            return {}; // エラー時も空のダミーオブジェクト
-        }
-    }
-
     // ステータス更新関数
     function updateStatus(message) {
         if (window.updateStatus) {
@@ -164,13 +154,6 @@ if (window.APP_JS_LOADED) {
         }
     }
 
-    // ステージ更新関数
-    function updateStage(stage, max) {
-        if (window.updateStage) {
-            window.updateStage(stage, max);
-        }
-    }
-
     // ローディングテキスト更新
     function updateLoadingText(message) {
         if (window.updateLoadingText) {
@@ -178,6 +161,13 @@ if (window.APP_JS_LOADED) {
         }
     }
 
+    // ローディング画面を非表示にする（起動中はindex.htmlの起動処理が終わるまで隠さない）
+    function hideLoadingScreen() {
+        if (window.hideLoadingScreen) {
+            window.hideLoadingScreen();
+        }
+    }
+
     // Ammoステータス更新関数
     function updateAmmoStatus(state, message) {
         if (window.updateAmmoStatus) {
@@ -189,18 +179,49 @@ if (window.APP_JS_LOADED) {
     function setPhysicsEnabled(enabled) {
         physicsEnabled = enabled;
         debugLog(`物理演算: ${enabled ? '有効' : '無効'}`);
-        
-        // モーションが既に適用されている場合は再適用
-        if (mesh && mesh.userData && mesh.userData.currentMotion && helper) {
+        reapplyPhysics();
+    }
+
+    /**
+     * @function getPhysicsBackend
+     * @description これからヘルパーに登録するモデルに使う物理演算を決める
+     * @returns {string|null} 'worker'（WorkerのAmmo）/ 'ammo'（メインスレッドのAmmo）/ 'spring'（スプリングボーン）。物理演算を使わなければnull
+     */
+    function getPhysicsBackend() {
+        if (!physicsEnabled) {
+            return null;
+        }
+        if (physicsBackend === 'spring') {
+            return window.SpringBones ? 'spring' : null;
+        }
+        // 書き出しは毎回同じ結果になるよう、Workerを使わずフレームごとに計算する
+        if (physicsInWorker && !isExporting && window.PhysicsWorker && window.PhysicsWorker.isReady()) {
+            return 'worker';
+        }
+        if (ammoReady) {
+            return 'ammo';
+        }
+        // 自動ならAmmoの準備ができるまで（失敗・タイムアウトしたらその後も）スプリングボーンを使う
+        return physicsBackend === 'auto' && window.SpringBones ? 'spring' : null;
+    }
+
+    // 物理演算の設定が変わったら、踊っているモデルを新しい設定で登録し直す
+    function reapplyPhysics() {
+        // モーションが既に適用されているモデルには再適用
+        const dancingModels = stageModels.filter((model) => model.userData.currentMotion);
+        if (dancingModels.length > 0 && helper) {
             try {
-                const currentMotion = mesh.userData.currentMotion;
-                // 既存のモーションを削除
-                helper.remove(mesh);
-                // 新しい設定で再適用
-                helper.add(mesh, {
-                    animation: currentMotion,
-                    physics: enabled && ammoReady
+                const currentTime = getMotionTime();
+                dancingModels.forEach((model) => {
+                    // 既存のモーションを削除
+                    removeFromHelper(model);
+                    // 新しい設定で再適用
+                    addToHelper(model, model.userData.currentMotion);
                 });
+                // 再登録でモーションが先頭に戻るので、音声と同じ位置へ戻す
+                if (motionClock) {
+                    motionClock.seek(currentTime);
+                }
             } catch (error) {
                 debugLog(`モーション再適用中にエラー: ${error.message}`);
             }
@@ -210,6 +231,7 @@ if (window.APP_JS_LOADED) {
     // グローバルに関数をエクスポート
     window.initAmmo = initAmmo;
     window.setPhysicsEnabled = setPhysicsEnabled;
+    window.getMemoryStats = getMemoryStats;
 
     // エラーメッセージ表示関数
     function showError(message, details) {
@@ -260,10 +282,7 @@ if (window.APP_JS_LOADED) {
                 // 読み込み完了時
                 () => {
                     debugLog('読み込みが完了しました');
-                    const loadingElem = document.getElementById('loading');
-                    if (loadingElem) {
-                        loadingElem.style.display = 'none';
-                    }
+                    hideLoadingScreen();
                     modelLoaded = true;
                     updateStatus('モデル読み込み完了');
                 },
@@ -294,511 +313,410 @@ if (window.APP_JS_LOADED) {
     // 安全なローディングマネージャーの作成
     const loadingManager = createLoadingManager();
 
-    // Ammo.jsの初期化を非同期で行う
-    function initAmmo() {
-        if (ammoInitialized || ammoInitializing) {
+    /**
+     * @function initPhysicsWorker
+     * @description Web Workerの物理エンジンを起動する（使えない・失敗した場合はメインスレッドのAmmoで計算する）
+     */
+    function initPhysicsWorker() {
+        if (!window.PhysicsWorker || !physicsInWorker || window.PhysicsWorker.getState() !== 'idle') {
             return;
         }
-        
-        ammoInitializing = true;
-        debugLog('Ammo.jsを非同期で初期化中...');
-        updateStatus('物理エンジンを初期化中... (バックグラウンド)');
-        updateAmmoStatus('initializing', '初期化中...');
-        
-        // タイムアウト設定（20秒後に諦める）
-        const ammoTimeout = setTimeout(() => {
-            if (!ammoReady) {
-                debugLog('Ammo.jsの初期化がタイムアウトしました');
-                updateStatus('物理エンジン初期化タイムアウト - 物理なしで続行');
-                updateAmmoStatus('error', 'タイムアウト');
-                ammoInitializing = false;
+        if (!window.PhysicsWorker.isSupported()) {
+            debugLog('Web Workerが使えないため、物理演算はメインスレッドで行います');
+            return;
+        }
+        debugLog('Workerの物理エンジンを初期化中...');
+        window.PhysicsWorker.init({
+            settings: window.StagePhysics ? window.StagePhysics.getSettings() : null,
+            getLibrary: window.OfflineLibraryLoader ? window.OfflineLibraryLoader.getAsset : null,
+            onError: (message, meshes) => {
+                debugLog(`Workerの物理エンジンが使えません（メインスレッドで計算します）: ${message}`);
+                if (meshes.length > 0) {
+                    reapplyPhysics();
+                }
             }
-        }, 20000);
-        
-        try {
-            if (typeof Ammo === 'undefined') {
-                showError('Ammo.jsが見つかりません。物理演算なしで続行します。');
-                clearTimeout(ammoTimeout);
-                ammoInitializing = false;
-                updateAmmoStatus('error', '未検出');
+        }).then((ready) => {
+            if (!ready) {
                 return;
             }
-            
-            Ammo().then(function(AmmoLib) {
-                clearTimeout(ammoTimeout);
-                debugLog('Ammo.js初期化完了');
-                Ammo = AmmoLib;
-                ammoReady = true;
-                ammoInitialized = true;
-                ammoInitializing = false;
-                updateStatus('物理エンジン初期化完了');
-                updateAmmoStatus('ready', '準備完了');
-            }).catch(function(error) {
-                clearTimeout(ammoTimeout);
-                showError(`Ammo.jsの初期化に失敗しました: ${error}`);
-                updateAmmoStatus('error', 'エラー');
-                ammoInitializing = false;
-            });
-        } catch (error) {
-            clearTimeout(ammoTimeout);
-            showError(`Ammo.jsの読み込みに失敗しました: ${error}`);
-            updateAmmoStatus('error', 'エラー');
-            ammoInitializing = false;
-        }
+            debugLog('Workerの物理エンジン初期化完了');
+            // メインスレッドの物理演算や簡易物理で踊っているモデルをWorkerに移す
+            if (physicsBackend !== 'spring' && stageModels.some((model) => model.userData.currentMotion)) {
+                reapplyPhysics();
+            }
+        });
     }
 
-    // ローディング画面を非表示にする関数（index.htmlのhideLoadingScreenと同等の機能）
-    function hideLoadingScreen() {
-        debugLog('app.jsからローディング画面を非表示にします');
-        const loadingElem = document.getElementById('loading');
-        if (loadingElem) {
-            loadingElem.style.display = 'none';
-            debugLog('ローディング画面を非表示にしました');
+    /**
+     * @function initAmmo
+     * @description Ammo.jsの初期化を非同期で行う（初期化中・初期化済みなら同じ結果を返す。失敗したら次の呼び出しでやり直す）
+     * @returns {Promise<boolean>} 使えるようになったか
+     */
+    function initAmmo() {
+        if (ammoPromise) {
+            return ammoPromise;
         }
         
-        // 初期化完了フラグを設定
-        window.appInitialized = true;
+        // メインスレッドのAmmoは、Workerが使えない時と書き出しに使う
+        initPhysicsWorker();
         
-        if (window.APP_STATE) {
-            window.APP_STATE.initCompleted = true;
-        }
-    }
-
-    // 一定時間後に強制的にローディング画面を非表示にする
-    setTimeout(() => {
-        if (document.getElementById('loading') && 
-            document.getElementById('loading').style.display !== 'none') {
-            debugLog('10秒経過: app.jsからローディング画面を強制的に非表示にします');
-            hideLoadingScreen();
-        }
-    }, 10000);
-
-    // もう一つのバックアップタイマー - 3秒後にもチェック
-    setTimeout(() => {
-        // もし「初期化中...」の表示が残っていたら強制的に非表示
-        const loadingTextElem = document.getElementById('loading-text');
-        if (loadingTextElem && loadingTextElem.textContent === '初期化中...') {
-            debugLog('3秒経過: 初期化中の表示が残っているので強制的に処理を続行します');
-            // 初期化を強制的に完了とマーク
-            window.appInitialized = true;
-            if (window.APP_STATE) {
-                window.APP_STATE.initCompleted = true;
-                window.APP_STATE.isInitializing = false;
-            }
-            setIsInitializing(false);
+        ammoInitializing = true;
+        debugLog('Ammo.jsを非同期で初期化中...');
+        updateStatus('物理エンジンを初期化中... (バックグラウンド)');
+        updateAmmoStatus('initializing', '初期化中...');
+        
+        ammoPromise = new Promise((resolve) => {
+            // 失敗したら、次の呼び出しで初期化をやり直せるようにする
+            const fail = () => {
+                ammoInitializing = false;
+                ammoPromise = null;
+                resolve(false);
+            };
             
-            // ローディング画面を非表示
-            hideLoadingScreen();
+            // タイムアウト設定（20秒後に諦める）
+            const ammoTimeout = setTimeout(() => {
+                if (!ammoReady) {
+                    debugLog('Ammo.jsの初期化がタイムアウトしました');
+                    updateStatus(`物理エンジン初期化タイムアウト - ${physicsBackend === 'ammo' ? '物理なし' : '簡易物理'}で続行`);
+                    updateAmmoStatus('error', 'タイムアウト');
+                    fail();
+                }
+            }, 20000);
             
-            // 初期化を再試行
-            if (typeof init === 'function' && !scene) {
-                debugLog('初期化を再試行します');
-                try {
-                    init();
-                } catch (e) {
-                    debugLog('再初期化中にエラー: ' + e.message);
+            try {
+                if (typeof Ammo === 'undefined') {
+                    showError('Ammo.jsが見つかりません。物理演算なしで続行します。');
+                    clearTimeout(ammoTimeout);
+                    updateAmmoStatus('error', '未検出');
+                    fail();
+                    return;
                 }
+                
+                window.StageLoader.initAmmo().then(function() {
+                    clearTimeout(ammoTimeout);
+                    debugLog('Ammo.js初期化完了');
+                    ammoReady = true;
+                    ammoInitialized = true;
+                    ammoInitializing = false;
+                    updateStatus('物理エンジン初期化完了');
+                    updateAmmoStatus('ready', '準備完了');
+                    
+                    // 待っている間に簡易物理で踊り始めたモデルは、Ammoの物理演算に切り替える
+                    if (physicsBackend === 'auto' && window.SpringBones &&
+                        stageModels.some((model) => window.SpringBones.isEnabled(model))) {
+                        reapplyPhysics();
+                    }
+                    resolve(true);
+                }).catch(function(error) {
+                    clearTimeout(ammoTimeout);
+                    showError(`Ammo.jsの初期化に失敗しました: ${error}`);
+                    updateAmmoStatus('error', 'エラー');
+                    fail();
+                });
+            } catch (error) {
+                clearTimeout(ammoTimeout);
+                showError(`Ammo.jsの読み込みに失敗しました: ${error}`);
+                updateAmmoStatus('error', 'エラー');
+                fail();
             }
-        }
-    }, 3000);
+        });
+        return ammoPromise;
+    }
 
     /**
      * @function init
-     * @description 3D環境の初期化とモデルの読み込みを行う
+     * @description 起動の「レンダラー」の段階。レンダラー・シーン・カメラ・照明と操作パネルを用意して描画を始める
+     * @param {Object} context - BootSequenceの段階のコンテキスト（progress()で進み具合を知らせる）
      */
-    function init() {
-        // 再帰呼び出しを防止
-        if (getIsInitializing()) {
-            debugLog('既に初期化中です。重複呼び出しを防止します。');
-            return;
+    function init(context) {
+        // レンダラーを作った後で失敗していたら、パネルなどが中途半端に登録されているので再試行ではやり直せない
+        if (renderer) {
+            throw new Error('3D環境の準備が途中で失敗しています。ページを再読み込みしてください');
         }
+        debugLog('初期化を開始します...');
         
-        // 既に初期化されている場合はスキップ
-        if (window.appInitialized) {
-            debugLog('既に初期化されています。');
-            
-            // ただし、ローディング画面が表示されているなら非表示にする
-            if (document.getElementById('loading') && 
-                document.getElementById('loading').style.display !== 'none') {
-                debugLog('初期化済みですが、ローディング画面が表示されているので非表示にします');
-                hideLoadingScreen();
-            }
-            return;
+        // レンダラーの初期化（WebGLが使えなければ段階を失敗にする。ここまでは何も作らないので再試行できる）
+        context.progress(0, 'レンダラーを初期化中...');
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: true });
+        } catch (rendererError) {
+            throw new Error(`WebGLのレンダラーを作成できません: ${rendererError.message}`);
         }
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.shadowMap.enabled = true;
+        document.body.appendChild(renderer.domElement);
         
-        // 初期化開始メッセージを表示
-        const loadingTextElem = document.getElementById('loading-text');
-        if (loadingTextElem) {
-            loadingTextElem.textContent = '初期化中...';
-        }
+        // シーン初期化
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0xf0f0f0);
         
-        // 初期化フラグを設定
-        setIsInitializing(true);
-        // APP_STATEとの同期
-        if (window.APP_STATE) {
-            window.APP_STATE.isInitializing = true;
-        }
+        // カメラの設定
+        context.progress(0.2, 'カメラを設定中...');
+        camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 2000);
+        camera.position.set(0, 20, 40);
         
-        debugLog('初期化を開始します...');
-        initStage = 1;
-        updateStage(1, 6);
+        // コントロールの設定
+        context.progress(0.3, 'コントロールを設定中...');
         
         try {
-            // THREEのオブジェクトの存在を確認
-            if (!safeGetTHREE()) {
-                showError('THREE.jsが見つかりません', 'ライブラリが正しく読み込まれていない可能性があります。');
-                setIsInitializing(false);
-                if (window.APP_STATE) {
-                    window.APP_STATE.isInitializing = false;
-                }
-                hideLoadingScreen(); // エラー時もローディング画面を非表示に
-                return;
-            }
-            
-            // シーン初期化
-            scene = new THREE.Scene();
-            scene.background = new THREE.Color(0xf0f0f0);
-            
-            initStage = 2;
-            updateStage(2, 6);
-            
-            // カメラの設定（安全に）
-            initStage = 3;
-            debugLog('カメラを設定中...');
-            updateStatus('3D環境を初期化中...(ステージ 3/6)');
-            updateStage(3, 6);
-            
-            try {
-                camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 2000);
+            if (typeof THREE.OrbitControls === 'function') {
+                controls = new THREE.OrbitControls(camera, renderer.domElement);
                 
-                if (camera && camera.position) {
-                    camera.position.set(0, 20, 40);
+                if (controls) {
+                    controls.minDistance = 10;
+                    controls.maxDistance = 100;
                 }
-            } catch (cameraError) {
-                debugLog(`カメラ作成エラー: ${cameraError.message} - ダミーカメラを使用します`);
-                camera = { 
-                    position: { set: function() {} },
-                    updateProjectionMatrix: function() {},
-                    aspect: 1
-                };
+            } else {
+                debugLog('THREE.OrbitControlsが見つかりません。コントロールなしで続行します');
             }
-            
-            // レンダラーの初期化
-            initStage = 4;
-            debugLog('レンダラーを初期化中...');
-            updateStatus('3D環境を初期化中...(ステージ 4/6)');
-            updateStage(4, 6);
-            
-            try {
-                renderer = new THREE.WebGLRenderer({ antialias: true });
+        } catch (controlsError) {
+            debugLog(`コントロール作成エラー: ${controlsError.message} - コントロールなしで続行します`);
+        }
+        
+        // 光源の設定
+        context.progress(0.4, '光源を設定中...');
+        
+        try {
+            if (window.LightingRig && typeof THREE.DirectionalLight === 'function') {
+                // キー・フィル・リムの3灯と環境光、影を受ける床（保存したプリセットを使う）
+                const savedLighting = window.LightingRig.loadPresets();
+                lightingUserPresets = savedLighting.presets;
+                lightingRig = window.LightingRig.create(scene, renderer);
+                const preset = findLightingPreset(savedLighting.selected);
+                lightingPresetId = preset ? savedLighting.selected : window.LightingRig.DEFAULT_PRESET;
+                lightingRig.apply(preset || window.LightingRig.PRESETS[lightingPresetId]);
+            } else if (typeof THREE.AmbientLight === 'function' && typeof THREE.DirectionalLight === 'function') {
+                // 環境光
+                const ambient = new THREE.AmbientLight(0x666666);
+                scene.add(ambient);
                 
-                if (renderer) {
-                    renderer.setPixelRatio(window.devicePixelRatio);
-                    renderer.setSize(window.innerWidth, window.innerHeight);
-                    
-                    if (renderer.shadowMap) {
-                        renderer.shadowMap.enabled = true;
-                    }
-                    
-                    document.body.appendChild(renderer.domElement);
-                }
-            } catch (rendererError) {
-                debugLog(`レンダラー作成エラー: ${rendererError.message} - ダミーレンダラーを使用します`);
-                renderer = { 
-                    setPixelRatio: function() {}, 
-                    setSize: function() {}, 
-                    render: function() {},
-                    domElement: document.createElement('div')
-                };
-                document.body.appendChild(renderer.domElement);
-            }
-            
-            // コントロールの設定
-            initStage = 5;
-            debugLog('コントロールを設定中...');
-            updateStatus('3D環境を初期化中...(ステージ 5/6)');
-            updateStage(5, 6);
-            
-            try {
-                if (typeof THREE.OrbitControls === 'function') {
-                    controls = new THREE.OrbitControls(camera, renderer.domElement);
-                    
-                    if (controls) {
-                        controls.minDistance = 10;
-                        controls.maxDistance = 100;
-                    }
-                } else {
-                    debugLog('THREE.OrbitControlsが見つかりません。コントロールなしで続行します');
-                }
-            } catch (controlsError) {
-                debugLog(`コントロール作成エラー: ${controlsError.message} - コントロールなしで続行します`);
-            }
-            
-            // 光源の設定
-            initStage = 6;
-            debugLog('光源を設定中...');
-            updateStatus('3D環境を初期化中...(ステージ 6/6)');
-            updateStage(6, 6);
-            
-            try {
-                if (typeof THREE.AmbientLight === 'function' && typeof THREE.DirectionalLight === 'function') {
-                    // 環境光
-                    const ambient = new THREE.AmbientLight(0x666666);
-                    scene.add(ambient);
-                    
-                    // ディレクショナルライト
-                    const directionalLight = new THREE.DirectionalLight(0x887766);
-                    
-                    if (directionalLight && directionalLight.position) {
-                        directionalLight.position.set(-1, 1, 1).normalize();
-                    }
-                    
-                    scene.add(directionalLight);
+                // ディレクショナルライト
+                const directionalLight = new THREE.DirectionalLight(0x887766);
+                
+                if (directionalLight && directionalLight.position) {
+                    directionalLight.position.set(-1, 1, 1).normalize();
                 }
-            } catch (lightError) {
-                debugLog(`光源作成エラー: ${lightError.message} - 光源なしで続行します`);
+                
+                scene.add(directionalLight);
             }
-            
-            // グリッドとXYZ軸の追加（安全に）
-            try {
-                if (typeof THREE.GridHelper === 'function') {
-                    const gridHelper = new THREE.GridHelper(100, 20);
-                    scene.add(gridHelper);
-                }
-            } catch (gridError) {
-                debugLog(`グリッド作成エラー: ${gridError.message} - グリッドなしで続行します`);
+        } catch (lightError) {
+            debugLog(`光源作成エラー: ${lightError.message} - 光源なしで続行します`);
+        }
+        
+        // グリッドとXYZ軸の追加（安全に）
+        try {
+            if (typeof THREE.GridHelper === 'function') {
+                gridHelper = new THREE.GridHelper(100, 20);
+                scene.add(gridHelper);
             }
+        } catch (gridError) {
+            debugLog(`グリッド作成エラー: ${gridError.message} - グリッドなしで続行します`);
+        }
 
-            // MMDヘルパーの作成（安全に）
-            try {
-                if (typeof THREE.MMDAnimationHelper === 'function') {
-                    helper = new THREE.MMDAnimationHelper({
-                        afterglow: 2.0
-                    });
-                } else {
-                    debugLog('THREE.MMDAnimationHelperが見つかりません。ダミーヘルパーを作成します');
-                    helper = {
-                        add: function() { return this; },
-                        remove: function() { return this; },
-                        update: function() { return this; }
-                    };
-                }
-            } catch (helperError) {
-                showError(`MMDAnimationHelperの初期化に失敗しました: ${helperError.message}`, 'モデル表示のみで続行します');
-                helper = {
-                    add: function() { return this; },
-                    remove: function() { return this; },
-                    update: function() { return this; }
-                };
-            }
-            
-            // ウィンドウのリサイズイベントを設定
-            window.addEventListener('resize', onWindowResize, false);
-            
-            // ダンスボタンにイベントリスナーを追加
-            const danceButton = document.getElementById('danceButton');
-            if (danceButton) {
-                danceButton.addEventListener('click', loadMotion);
-            } else {
-                debugLog('警告: ダンスボタン要素が見つかりません');
-            }
-            
-            // アニメーションを開始（モデルが読み込まれていなくても、基本的なシーンを表示）
-            animate();
-            
-            // 初期化完了をマーク
-            window.appInitialized = true;
-            if (window.APP_STATE) {
-                window.APP_STATE.initCompleted = true;
-            }
-            
-            // 初期化が成功したので、5秒後にローディング画面を強制的に非表示にする
-            // （通常はモデル読み込み完了時に非表示になるが、フェイルセーフとして）
-            setTimeout(() => {
-                if (document.getElementById('loading') && 
-                    document.getElementById('loading').style.display !== 'none') {
-                    debugLog('初期化成功後5秒経過: ローディング画面を強制的に非表示にします');
-                    hideLoadingScreen();
-                }
-            }, 5000);
-            
-            // モデルファイルの存在を確認
-            checkModelFile();
-            
-            // エラーメッセージを消す
-            const errorContainer = document.getElementById('error-container');
-            if (errorContainer) {
-                errorContainer.style.display = 'none';
-            }
-            
-            // ローディングのテキストを更新
-            if (loadingTextElem) {
-                loadingTextElem.textContent = 'モデルをロード中...';
-            }
-            
-            debugLog('初期化完了');
-            updateStatus('初期化完了');
-        } catch (error) {
-            showError(`初期化中にエラーが発生しました: ${error.message}`, error.stack);
-            // エラー発生時もローディング画面を非表示に
-            setTimeout(hideLoadingScreen, 1000);
-        } finally {
-            // 初期化フラグをリセット
-            setIsInitializing(false);
-            if (window.APP_STATE) {
-                window.APP_STATE.isInitializing = false;
+        // MMDヘルパーの作成
+        context.progress(0.5, 'アニメーションを準備中...');
+        helper = new THREE.MMDAnimationHelper({
+            afterglow: 2.0
+        });
+        
+        // 複数モデルで一つの物理ワールドを共有する
+        if (window.StagePhysics && helper.objects) {
+            window.StagePhysics.enable(helper);
+        }
+        
+        // モーション時計（音声があれば音声の再生位置に同期する）
+        if (window.PlaybackSync) {
+            motionClock = window.PlaybackSync.createAudioClock(helper);
+        } else {
+            debugLog('PlaybackSyncが見つかりません。音声との同期は無効です');
+        }
+        
+        // ウィンドウのリサイズイベントを設定
+        window.addEventListener('resize', onWindowResize, false);
+        
+        // タブが非表示の間は音声とモーションを一時停止する
+        document.addEventListener('visibilitychange', onVisibilityChange, false);
+        
+        // 音声の遅延オフセット入力
+        context.progress(0.7, '操作パネルを準備中...');
+        setupAudioDelayInput();
+        
+        // カメラモーション／自由視点の切り替え
+        setupCameraModeButton();
+        
+        // 再生・一時停止、シーク、A-Bループ、再生速度
+        setupTransportControls();
+        
+        // ステージ上のモデル一覧
+        setupModelPanel();
+        
+        // 動画の書き出し
+        setupExportControls();
+        
+        // 表情パネル
+        setupMorphPanel();
+        
+        // リップシンク
+        setupLipSyncControls();
+        
+        // モーションのクロスフェードとレイヤー
+        setupBlendControls();
+        
+        // ポーズ編集
+        setupPoseControls();
+        
+        // キーフレーム編集
+        setupKeyframeEditor();
+        
+        // セットリスト
+        setupSetlistPanel();
+        
+        // 物理演算の設定と剛体の調整
+        setupPhysicsPanel();
+        
+        // モデル情報（ボーン・材質・モーフ・剛体の一覧と強調表示）
+        setupInspectorPanel();
+        
+        // 照明と影のプリセット
+        setupLightingPanel();
+        
+        // ステージ・背景の切り替え
+        setupStageEnvironment();
+        
+        // ポストエフェクト（輪郭線・ブルーム・SSAO・色調補正・アンチエイリアス）
+        setupEffectsPanel();
+        
+        // モデル・モーションのドラッグ＆ドロップ読み込みを設定
+        setupDropLoading();
+        
+        // シーンのリンク・ファイル（物理演算・照明・カメラは、次の段階より前にURLの指定を反映する）
+        setupSceneControls();
+        if (window.SceneState) {
+            initialSceneState = window.SceneState.fromHash(window.location.hash);
+            if (initialSceneState) {
+                applySceneSettings(initialSceneState);
             }
         }
+        
+        // ダンスボタンにイベントリスナーを追加
+        const danceButton = document.getElementById('danceButton');
+        if (danceButton) {
+            danceButton.addEventListener('click', loadMotion);
+        } else {
+            debugLog('警告: ダンスボタン要素が見つかりません');
+        }
+        
+        // アニメーションを開始（モデルが読み込まれていなくても、基本的なシーンを表示）
+        animate();
+        
+        debugLog('初期化完了');
+        updateStatus('初期化完了');
     }
 
     /**
-     * @function checkModelFile
-     * @description モデルファイルの存在チェックとロード
+     * @function bootModel
+     * @description 起動の「モデル」の段階。miku.pmx（URLのハッシュに指定があればそのモデル）があれば読み込む
+     *              （なければスキップし、ドロップでの読み込みを待つ）
+     * @param {Object} context - BootSequenceの段階のコンテキスト
+     * @returns {Promise} 読み込みの完了
      */
-    function checkModelFile() {
-        try {
-            const modelPath = 'miku.pmx';
-            debugLog(`モデルファイルの存在をチェック中: ${modelPath}`);
-            
-            // ファイルの存在チェック用のHTTPリクエスト
-            const xhr = new XMLHttpRequest();
-            xhr.open('HEAD', modelPath, true);
-            xhr.onreadystatechange = function() {
-                if (xhr.readyState === 4) {
-                    if (xhr.status === 200) {
-                        debugLog(`モデルファイルが存在します: ${modelPath}`);
-                        loadModel(modelPath);
-                    } else {
-                        showError(`モデルファイルが見つかりません: ${modelPath} (ステータス: ${xhr.status})`, 'モデルファイルを配置してください。');
-                        updateStatus('モデルファイルが見つかりません');
-                        // モデルが見つからない場合もローディング画面を非表示に
-                        hideLoadingScreen();
-                    }
-                }
-            };
-            xhr.onerror = function() {
-                debugLog(`モデルファイルチェック中にネットワークエラーが発生しました`);
-                // エラー時もローディング画面を非表示に
-                hideLoadingScreen();
-            };
-            xhr.timeout = 10000; // 10秒でタイムアウト
-            xhr.ontimeout = function() {
-                debugLog(`モデルファイルチェックがタイムアウトしました`);
-                // タイムアウト時もローディング画面を非表示に
-                hideLoadingScreen();
-            };
-            xhr.send(null);
-        } catch (error) {
-            showError(`モデルファイルチェック中にエラーが発生: ${error}`, 'ネットワークまたはファイルシステムへのアクセスに問題がある可能性があります。');
-            // エラー時もローディング画面を非表示に
-            hideLoadingScreen();
-        }
+    function bootModel(context) {
+        const modelPath = initialSceneState && initialSceneState.model ? initialSceneState.model : 'miku.pmx';
+        debugLog(`モデルファイルの存在をチェック中: ${modelPath}`);
+        context.progress(0, 'モデルファイルを確認中...');
+        
+        return fetch(modelPath, { method: 'HEAD', signal: context.signal }).then((response) => {
+            if (!response.ok) {
+                debugLog(`モデルファイルが見つかりません: ${modelPath} (ステータス: ${response.status})`);
+                updateStatus('モデルファイルが見つかりません。PMXファイルをドロップしてください');
+                context.skip(`${modelPath}がありません`);
+                return;
+            }
+            return new Promise((resolve, reject) => {
+                loadModel(modelPath, undefined, {
+                    signal: context.signal,
+                    onLoad: resolve,
+                    onError: reject,
+                    onProgress: (ratio) => context.progress(ratio, 'モデルを読み込み中...')
+                });
+            });
+        });
     }
 
     /**
      * @function loadModel
      * @description モデルファイルをロードする
      * @param {string} modelPath - モデルファイルのパス
+     * @param {THREE.LoadingManager} [manager] - 使用するローディングマネージャー（省略時は共通のもの）
+     * @param {Object} [options] - onModelLoadedに渡すオプション（addToStage, name, dropFiles, autoMotion）と、
+     *        読み込みの結果を受け取る onLoad(model) / onError(error) / onProgress(ratio)、中止に使う signal（AbortSignal）
      */
-    function loadModel(modelPath) {
+    function loadModel(modelPath, manager, options = {}) {
+        const { onLoad, onError, onProgress, signal } = options;
+        // ドロップしたファイルのBlob URLは、モデルがステージに載らなければここで解放する
+        const releaseDropFiles = () => {
+            if (options.dropFiles) {
+                options.dropFiles.dispose();
+            }
+        };
+        const fail = (message, hint, error) => {
+            releaseDropFiles();
+            showError(message, hint);
+            if (onError) {
+                onError(error || new Error(message));
+            }
+        };
+        
         try {
             debugLog(`モデルをロード中: ${modelPath}`);
             updateStatus('モデルをロード中...');
             
-            // THREEが利用可能か確認
-            const THREE = safeGetTHREE();
-            if (!THREE) {
-                showError('THREE.jsライブラリが利用できません。モデルをロードできません。');
+            if (typeof THREE.MMDLoader !== 'function') {
+                fail('THREE.MMDLoaderが見つかりません。モデルをロードできません。');
                 return;
             }
             
-            // MMDLoaderが利用可能かチェック
-            if (typeof THREE.MMDLoader !== 'function') {
-                debugLog('THREE.MMDLoaderが見つかりません。ダミーローダーを使用します。');
-                
-                // ダミーのMMDLoader作成
-                THREE.MMDLoader = function(manager) {
-                    this.load = function(path, onLoad, onProgress, onError) {
-                        debugLog('ダミーMMDLoaderを使用: 簡易メッシュを返します');
-                        
-                        // 簡易的なメッシュを作成して返す
-                        setTimeout(() => {
-                            try {
-                                const dummyMesh = {
-                                    position: { set: function() {} },
-                                    rotation: { x: 0, y: 0, z: 0 },
-                                    scale: { set: function() {} },
-                                    userData: {}
-                                };
-                                
-                                if (typeof onLoad === 'function') {
-                                    onLoad(dummyMesh);
-                                }
-                            } catch (error) {
-                                if (typeof onError === 'function') {
-                                    onError(error);
-                                }
-                            }
-                        }, 1000);
-                    };
-                    
-                    this.loadAnimation = function(path, mesh, onLoad, onProgress, onError) {
-                        debugLog('ダミーMMDLoader.loadAnimationを使用: 空のモーションを返します');
-                        
-                        setTimeout(() => {
-                            try {
-                                const dummyMotion = {};
-                                if (typeof onLoad === 'function') {
-                                    onLoad(dummyMotion);
-                                }
-                            } catch (error) {
-                                if (typeof onError === 'function') {
-                                    onError(error);
-                                }
-                            }
-                        }, 1000);
-                    };
-                };
-                
-                debugLog('ダミーMMDLoaderを作成しました');
-            }
-            
-            // ローダーを作成（安全に）
-            let mmdLoader;
-            try {
-                mmdLoader = new THREE.MMDLoader(loadingManager);
-            } catch (loaderError) {
-                showError(`MMDLoaderの作成に失敗しました: ${loaderError.message}`);
-                return;
-            }
-            
-            // モデルのロード
-            try {
-                mmdLoader.load(
-                    modelPath,
-                    (model) => {
-                        debugLog('モデルのロードに成功しました');
-                        updateStatus('モデルロード成功');
-                        onModelLoaded(model);
-                    },
-                    (xhr) => {
-                        if (xhr.lengthComputable) {
-                            const progress = Math.floor((xhr.loaded / xhr.total) * 100);
-                            debugLog(`モデル読み込み進捗: ${progress}%`);
-                            updateStatus(`モデル読み込み中: ${progress}%`);
+            // 表情パネルとモデル情報パネルが使う情報（モーフの分類・モデル名・材質のファイル名）も記録させて読み込む
+            window.StageLoader.loadModel(modelPath, {
+                manager: manager || loadingManager,
+                onProgress: (xhr) => {
+                    if (xhr.lengthComputable) {
+                        const progress = Math.floor((xhr.loaded / xhr.total) * 100);
+                        debugLog(`モデル読み込み進捗: ${progress}%`);
+                        updateStatus(`モデル読み込み中: ${progress}%`);
+                        if (onProgress) {
+                            onProgress(xhr.loaded / xhr.total);
                         }
-                    },
-                    (error) => {
-                        showError(`モデルの読み込みに失敗しました: ${error}`, 'モデルファイルが破損している可能性があります。');
-                        console.error('モデル読み込みエラーの詳細:', error);
                     }
-                );
-            } catch (loadError) {
-                showError(`モデルロード中に例外が発生: ${loadError.message}`);
-            }
+                }
+            }).then((model) => {
+                // 読み込み中に起動が中止されたら、読み込んだモデルは使わない
+                if (signal && signal.aborted) {
+                    debugLog('モデルの読み込みが中止されたため破棄します');
+                    window.ModelDisposal.disposeObject(model);
+                    releaseDropFiles();
+                    return;
+                }
+                debugLog('モデルのロードに成功しました');
+                updateStatus('モデルロード成功');
+                onModelLoaded(model, {
+                    addToStage: options.addToStage,
+                    name: options.name || decodeURIComponent(modelPath.split('/').pop()),
+                    dropFiles: options.dropFiles,
+                    path: options.dropFiles ? null : modelPath,
+                    autoMotion: options.autoMotion
+                });
+                if (onLoad) {
+                    onLoad(model);
+                }
+            }, (error) => {
+                console.error('モデル読み込みエラーの詳細:', error);
+                fail(`モデルの読み込みに失敗しました: ${error}`, 'モデルファイルが破損している可能性があります。', error);
+            });
         } catch (error) {
-            showError(`モデルローダーでエラーが発生: ${error}`, 'メモリ不足または不正なモデルファイルの可能性があります。');
             console.error('スタックトレース:', error.stack);
+            fail(`モデルローダーでエラーが発生: ${error}`, 'メモリ不足または不正なモデルファイルの可能性があります。', error);
         }
     }
 
@@ -806,8 +724,14 @@ if (window.APP_JS_LOADED) {
      * @function onModelLoaded
      * @description モデルが読み込まれた後の処理
      * @param {THREE.SkinnedMesh} mmd - 読み込まれたMMDモデル
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.addToStage=false] - trueなら選択中のモデルを置き換えずにステージに追加する
+     * @param {string} [options.name] - 表示名
+     * @param {Object} [options.dropFiles] - ドロップで読み込んだ場合のファイルセット（モデル削除時に解放する）
+     * @param {string} [options.path] - サーバー上のモデルのパス（シーンのリンクに使う。ドロップしたモデルにはない）
+     * @param {boolean} [options.autoMotion=true] - falseなら選択中のモーションを自動で付けない（シーンの復元で付けるため）
      */
-    function onModelLoaded(mmd) {
+    function onModelLoaded(mmd, options = {}) {
         // MMDLoaderで発生する可能性のある矛盾を回避するためのチェック
         if (!mmd) {
             debugLog('警告: モデルデータがnullまたはundefinedです');
@@ -820,17 +744,36 @@ if (window.APP_JS_LOADED) {
         hideLoadingScreen();
         
         try {
+            // 追加でなければ、選択中のモデルを置き換える（位置は引き継ぐ）
+            let stageOffset = null;
+            if (!options.addToStage && mesh && mesh !== mmd) {
+                stageOffset = mesh.userData.stageOffset || null;
+                removeStageModel(mesh);
+            }
+            
+            if (mmd.userData) {
+                mmd.userData.stageId = nextStageModelId++;
+                mmd.userData.modelName = options.name || mmd.name || `モデル${mmd.userData.stageId}`;
+                mmd.userData.stageOffset = stageOffset || getDefaultStageOffset(stageModels.length);
+                mmd.userData.dropFiles = options.dropFiles || null;
+                mmd.userData.modelPath = options.path || null;
+                // メッシュにモーション情報を保存
+                mmd.userData.currentMotion = null;
+            }
+            
+            stageModels.push(mmd);
             mesh = mmd;
         
             // モデルの初期位置を設定
-            if (mesh && mesh.position) {
-                mesh.position.set(0, 0, 0);
-            }
+            applyStageOffset(mesh);
         
             // シーンに追加
             scene.add(mesh);
+            if (lightingRig) {
+                lightingRig.setupModel(mesh);
+            }
         
-            updateStatus('モデル読み込み完了');
+            updateStatus(stageModels.length > 1 ? `モデル読み込み完了 (${stageModels.length}体)` : 'モデル読み込み完了');
         
             // 現在のモーション選択を保存
             const motionSelect = document.getElementById('motionSelect');
@@ -839,17 +782,15 @@ if (window.APP_JS_LOADED) {
                 selectedMotion = motionSelect.value;
             }
         
-            // メッシュにモーション情報を保存
-            if (mesh && mesh.userData) {
-                mesh.userData.currentMotion = null;
-            }
-        
             modelLoaded = true;
+            renderModelPanel();
         
-            // モーションの読み込みをトリガー
-            if (selectedMotion !== 'idle') {
+            // ライブラリのモーションが選択されていれば読み込みをトリガー
+            const motionEntry = options.autoMotion === false ? null : findMotionEntry(selectedMotion);
+            if (motionEntry) {
+                const target = mesh;
                 setTimeout(() => {
-                    loadVmdMotion(`models/motions/${selectedMotion}.vmd`);
+                    loadVmdMotion(resolveMotionPath(motionEntry), motionEntry, target);
                 }, 500);
             }
         } catch (error) {
@@ -857,6 +798,128 @@ if (window.APP_JS_LOADED) {
         }
     }
 
+    /**
+     * @function removeStageModel
+     * @description モデルをステージ（シーン・ヘルパー・物理ワールド）から取り除き、GPUのリソースを破棄する
+     * @param {THREE.SkinnedMesh} model - 取り除くモデル
+     */
+    function removeStageModel(model) {
+        const index = stageModels.indexOf(model);
+        if (index < 0) {
+            return;
+        }
+        
+        // このモデルのモーションに付いていた音楽・カメラモーションも止める
+        if (stageTracksOwner === model) {
+            clearMotionAudio();
+            clearCameraMotion();
+            clearLightMotion();
+            stageTracksOwner = null;
+        }
+        
+        // セットリスト・ポーズ編集・先読みのモーションがこのモデルを掴んだままにならないようにする
+        if (setlistTarget === model) {
+            stopSetlist('モデルが削除されたため、セットリストを止めました');
+        }
+        if (poseEditor && poseEditor.mesh === model) {
+            exitPoseMode();
+        }
+        preloadedMotions = preloadedMotions.filter((item) => item.model !== model);
+        
+        removeFromHelper(model);
+        scene.remove(model);
+        
+        if (model.userData.dropFiles) {
+            model.userData.dropFiles.dispose();
+            model.userData.dropFiles = null;
+        }
+        // ジオメトリ・材質・テクスチャのGPUのメモリを解放する
+        if (window.ModelDisposal) {
+            const disposed = window.ModelDisposal.disposeObject(model);
+            debugLog(`モデルのリソースを解放しました: ジオメトリ ${disposed.geometries}, 材質 ${disposed.materials}, テクスチャ ${disposed.textures}`);
+        }
+        model.userData.currentMotion = null;
+        model.userData.currentMotionEntry = null;
+        
+        stageModels.splice(index, 1);
+        if (mesh === model) {
+            mesh = stageModels.length > 0 ? stageModels[stageModels.length - 1] : null;
+        }
+        modelLoaded = stageModels.length > 0;
+        debugLog(`モデルを削除しました: ${model.userData.modelName}`);
+        renderModelPanel();
+    }
+
+    /**
+     * @function addToHelper
+     * @description モデルにモーションを付けてヘルパーに登録する（物理演算は共有ワールドを使う）
+     *              部位のマスクや下のレイヤーが設定されていれば、それらを合成して登録する
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @param {THREE.AnimationClip} motion - モーション
+     * @param {number} [minDuration=0] - ループするレイヤーで覆う最短の長さ（秒。これから付ける音楽の長さなど）
+     */
+    function addToHelper(model, motion, minDuration) {
+        const layerClips = buildModelLayerClips(model, motion, minDuration);
+        const registered = window.StageLoader.register(helper, model, layerClips.map((layer) => layer.clip), {
+            backend: getPhysicsBackend()
+        });
+        if (window.MotionBlend) {
+            window.MotionBlend.setWeights(helper, model, layerClips);
+        }
+        if (!registered) {
+            debugLog('このモデルには揺らすボーン（物理演算の剛体）がありません');
+        }
+    }
+
+    /**
+     * @function removeFromHelper
+     * @description モデルをヘルパーから外し、剛体を共有の物理ワールドから取り除いて破棄する（未登録なら何もしない）
+     * @param {THREE.SkinnedMesh} model - モデル
+     */
+    function removeFromHelper(model) {
+        if (!helper || !model) {
+            return;
+        }
+        try {
+            window.StageLoader.unregister(helper, model);
+        } catch (error) {
+            debugLog(`ヘルパーからのモデル削除でエラー: ${error.message}`);
+        }
+    }
+
+    // n体目のモデルの既定の配置（中央から左右交互に並べる）
+    function getDefaultStageOffset(index) {
+        const side = index % 2 === 1 ? 1 : -1;
+        return { x: side * Math.ceil(index / 2) * STAGE_MODEL_SPACING, z: 0, rotationY: 0 };
+    }
+
+    /**
+     * @function applyStageOffset
+     * @description userData.stageOffsetの位置・向きをモデルに反映する（物理演算は新しい位置でリセット）
+     * @param {THREE.SkinnedMesh} model - モデル
+     */
+    function applyStageOffset(model) {
+        const offset = model.userData.stageOffset || { x: 0, z: 0, rotationY: 0 };
+        if (model.position) {
+            model.position.set(offset.x, 0, offset.z);
+        }
+        if (model.rotation) {
+            model.rotation.y = offset.rotationY * Math.PI / 180;
+        }
+        
+        const objects = helper && helper.objects ? helper.objects.get(model) : null;
+        if (objects && objects.physics) {
+            model.updateMatrixWorld(true);
+            objects.physics.reset();
+        }
+        if (window.SpringBones) {
+            window.SpringBones.reset(model);
+        }
+        if (window.PhysicsWorker) {
+            window.PhysicsWorker.reset(model);
+        }
+    }
+
     /**
      * @function loadMotion
      * @description ダンスモーションを読み込む
@@ -875,7 +938,7 @@ if (window.APP_JS_LOADED) {
         }
         
         if (!ammoReady && physicsEnabled) {
-            debugLog('物理演算エンジンなしでモーションを再生します');
+            debugLog(getPhysicsBackend() === 'spring' ? '簡易物理（スプリングボーン）でモーションを再生します' : '物理演算エンジンなしでモーションを再生します');
         }
 
         const motionSelect = document.getElementById('motionSelect');
@@ -900,14 +963,7 @@ if (window.APP_JS_LOADED) {
                 mesh.userData.currentMotion = null;
                 
                 // ヘルパーからモデルを削除（過去のモーションをクリア）
-                if (helper) {
-                    try {
-                        helper.remove(mesh);
-                    } catch (error) {
-                        debugLog('ヘルパーからのモデル削除でエラー: ' + error.message);
-                        // エラーを無視して続行
-                    }
-                }
+                stopModelMotion(mesh);
             }
             
             updateStatus('テスト回転モード実行中');
@@ -930,9 +986,26 @@ if (window.APP_JS_LOADED) {
             loadingTextElem.textContent = 'モーションを読み込み中...';
         }
         
+        // 「待機」はライブラリの既定モーションとして扱う（従来の動作との互換性のため）
+        const motionEntry = getSelectedMotionEntry(motionType);
+        
+        if (!motionEntry) {
+            showError(`モーションがライブラリに見つかりません: ${motionType}`, `${MOTION_LIBRARY_URL}を確認してください。`);
+            if (loadingElem) {
+                loadingElem.style.display = 'none';
+            }
+            return;
+        }
+        
+        // ドロップされたモーションはBlob URLなので存在チェックは不要
+        if (motionEntry.local) {
+            loadVmdMotion(resolveMotionPath(motionEntry), motionEntry);
+            return;
+        }
+        
         try {
             // VMDファイルの存在チェック
-            const motionPath = 'motions/dance.vmd';
+            const motionPath = resolveMotionPath(motionEntry);
             
             const xhr = new XMLHttpRequest();
             xhr.open('HEAD', motionPath, true);
@@ -940,9 +1013,9 @@ if (window.APP_JS_LOADED) {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
                         debugLog(`モーションファイルが存在します: ${motionPath}`);
-                        loadVmdMotion(motionPath);
+                        loadVmdMotion(motionPath, motionEntry);
                     } else {
-                        showError(`モーションファイルが見つかりません: ${motionPath} (ステータス: ${xhr.status})`, 'motionsフォルダにdance.vmdを配置してください。');
+                        showError(`モーションファイルが見つかりません: ${motionPath} (ステータス: ${xhr.status})`, `${MOTION_LIBRARY_URL}のfileとmotionsフォルダの内容を確認してください。`);
                         if (loadingElem) {
                             loadingElem.style.display = 'none';
                         }
@@ -959,12 +1032,202 @@ if (window.APP_JS_LOADED) {
         }
     }
 
+    /**
+     * @function loadMotionLibrary
+     * @description motions/library.jsonを読み込み、モーション選択肢を更新する
+     * @returns {Promise} 読み込みの完了（読めなければmotions/dance.vmdを使うので失敗しない）
+     */
+    function loadMotionLibrary() {
+        return fetch(MOTION_LIBRARY_URL)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`ステータス: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((library) => {
+                const entries = (library && Array.isArray(library.motions) ? library.motions : [])
+                    .filter((entry) => entry && entry.id && entry.file);
+                
+                if (entries.length === 0) {
+                    throw new Error('モーションが登録されていません');
+                }
+                
+                motionLibrary = entries;
+                defaultMotionId = findMotionEntry(library.default) ? library.default : entries[0].id;
+                debugLog(`モーションライブラリを読み込みました: ${entries.length}件`);
+                populateMotionSelect();
+            })
+            .catch((error) => {
+                debugLog(`モーションライブラリを読み込めません (${error.message})。motions/dance.vmdを使用します`);
+                motionLibrary = [FALLBACK_MOTION_ENTRY];
+                defaultMotionId = FALLBACK_MOTION_ENTRY.id;
+                populateMotionSelect();
+            });
+    }
+
+    /**
+     * @function populateMotionSelect
+     * @description モーションライブラリの内容を#motionSelectに反映する
+     */
+    function populateMotionSelect() {
+        const motionSelect = document.getElementById('motionSelect');
+        if (!motionSelect) {
+            debugLog('警告: モーション選択要素が見つかりません');
+            return;
+        }
+        
+        const previousValue = motionSelect.value;
+        
+        // 固定の選択肢（待機・テスト回転）以外を作り直す
+        Array.from(motionSelect.options)
+            .filter((option) => option.dataset.library === 'true')
+            .forEach((option) => option.remove());
+        
+        motionLibrary.forEach((entry) => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.duration
+                ? `${entry.title || entry.id} (${formatDuration(entry.duration)})`
+                : (entry.title || entry.id);
+            option.title = formatMotionCredits(entry);
+            option.dataset.library = 'true';
+            motionSelect.appendChild(option);
+        });
+        
+        // 以前の選択を維持し、なければ「待機」（既定モーション）に戻す
+        if (previousValue && Array.from(motionSelect.options).some((option) => option.value === previousValue)) {
+            motionSelect.value = previousValue;
+        } else {
+            motionSelect.value = 'idle';
+        }
+        
+        if (!motionSelect.dataset.libraryBound) {
+            motionSelect.dataset.libraryBound = 'true';
+            motionSelect.addEventListener('change', onMotionSelectChange);
+        }
+        
+        showMotionInfo(getSelectedMotionEntry(motionSelect.value));
+        renderBaseLayerOptions();
+        renderSetlist();
+        renderModelPanel();
+    }
+
+    /**
+     * @function onMotionSelectChange
+     * @description モーション選択が変更された時の処理（ダンス中なら新しいモーションに切り替える）
+     */
+    function onMotionSelectChange() {
+        const motionSelect = document.getElementById('motionSelect');
+        const entry = motionSelect ? getSelectedMotionEntry(motionSelect.value) : null;
+        showMotionInfo(entry);
+        
+        if (entry && modelLoaded && mesh && mesh.userData && mesh.userData.currentMotion) {
+            debugLog(`モーションを切り替えます: ${entry.title || entry.id}`);
+            loadMotion();
+        }
+    }
+
+    /**
+     * @function findMotionEntry
+     * @description IDからモーションライブラリのエントリを取得する
+     * @param {string} motionId - モーションID
+     * @returns {Object|null} モーションエントリ
+     */
+    function findMotionEntry(motionId) {
+        return motionLibrary.find((entry) => entry.id === motionId) || null;
+    }
+
+    /**
+     * @function getSelectedMotionEntry
+     * @description 選択肢の値に対応するエントリを取得する（「待機」は既定モーション）
+     * @param {string} value - #motionSelectの値
+     * @returns {Object|null} モーションエントリ
+     */
+    function getSelectedMotionEntry(value) {
+        return findMotionEntry(value === 'idle' ? defaultMotionId : value);
+    }
+
+    /**
+     * @function resolveMotionPath
+     * @description エントリのVMDファイルのパスを解決する（library.jsonからの相対パス）
+     * @param {Object} entry - モーションエントリ
+     * @returns {string} VMDファイルのパス
+     */
+    function resolveMotionPath(entry) {
+        return resolveLibraryPath(entry.file);
+    }
+
+    // library.jsonからの相対パスを解決する（URLや絶対パスはそのまま。libraryUrlの省略時はモーションライブラリ）
+    function resolveLibraryPath(file, libraryUrl) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(file) || file.startsWith('/')) {
+            return file;
+        }
+        return (libraryUrl || MOTION_LIBRARY_URL).replace(/[^/]*$/, '') + file;
+    }
+
+    // 秒数を m:ss 形式にする
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // クレジット表記を1行にまとめる
+    function formatMotionCredits(entry) {
+        if (!entry || !entry.credits) {
+            return '';
+        }
+        const credits = entry.credits;
+        return [
+            credits.author ? `モーション: ${credits.author}` : '',
+            credits.model ? `モデル: ${credits.model}` : '',
+            credits.source ? `配布元: ${credits.source}` : '',
+            credits.license ? `規約: ${credits.license}` : ''
+        ].filter(Boolean).join(' / ');
+    }
+
+    // 選択中モーションのクレジットを表示
+    function showMotionInfo(entry) {
+        const motionInfo = document.getElementById('motion-info');
+        if (!motionInfo) {
+            return;
+        }
+        motionInfo.textContent = entry ? formatMotionCredits(entry) : '';
+        motionInfo.style.display = motionInfo.textContent ? 'block' : 'none';
+    }
+
+    // モーションの適用中のエラーを表示し、読み込み画面を閉じる
+    function showMotionApplyError(error) {
+        showError(`モーションの適用に失敗しました: ${error.message || error}`, error.stack);
+        const loadingElem = document.getElementById('loading');
+        if (loadingElem) {
+            loadingElem.style.display = 'none';
+        }
+    }
+
     /**
      * @function loadVmdMotion
      * @description VMDモーションファイルをロードして適用する
      * @param {string} motionPath - モーションファイルのパス
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ（タイトル・クレジット表示用）
+     * @param {THREE.SkinnedMesh} [target] - モーションを適用するモデル（省略時は選択中のモデル）
+     * @param {Object} [options] - { crossfade: クロスフェードの秒数（省略時は設定値）, onApplied(target): 再生を始めた後に呼ぶ関数 }
      */
-    function loadVmdMotion(motionPath) {
+    function loadVmdMotion(motionPath, motionEntry, target, options) {
+        const targetModel = target || mesh;
+        
+        // 先読み済みなら読み込みを待たずに適用する（失敗していれば通常どおり読み込む）
+        const preloaded = findPreloadedMotion(motionEntry, targetModel);
+        if (preloaded) {
+            // 先読みの失敗だけを読み直しにし、適用中のエラーは読み直さずに表示する
+            preloaded.promise
+                .then(({ motion, audioBuffer, cameraClip, lightTrack }) => {
+                    applyLoadedMotion(targetModel, motion, motionEntry, audioBuffer, cameraClip, lightTrack, options);
+                }, () => loadVmdMotion(motionPath, motionEntry, target, options))
+                .catch(showMotionApplyError);
+            return;
+        }
+        
         try {
             // THREEが利用可能か確認
             const THREE = safeGetTHREE();
@@ -986,91 +1249,38 @@ if (window.APP_JS_LOADED) {
                 return;
             }
             
-            // ローダーを安全に作成
-            let mmdLoader;
-            try {
-                mmdLoader = new THREE.MMDLoader(loadingManager);
-            } catch (loaderError) {
-                showError(`MMDLoaderの作成に失敗しました: ${loaderError.message}`);
-                const loadingElem = document.getElementById('loading');
-                if (loadingElem) {
-                    loadingElem.style.display = 'none';
-                }
-                return;
-            }
-            
-            try {
-                mmdLoader.loadAnimation(
-                    motionPath,
-                    mesh,
-                    (motion) => {
-                        debugLog('モーションのロードに成功しました');
-                        
-                        // 現在のモーションを保存（安全に）
-                        if (mesh && mesh.userData) {
-                            mesh.userData.currentMotion = motion;
-                        }
-                        
-                        // 既存のモーションがあれば削除（安全に）
-                        try {
-                            if (helper && typeof helper.remove === 'function' && mesh) {
-                                helper.remove(mesh);
-                            }
-                        } catch (error) {
-                            debugLog(`既存モーションの削除でエラー: ${error.message}`);
-                            // エラーを無視して続行
-                        }
-                        
-                        // モーションを適用（安全に）
-                        try {
-                            if (helper && typeof helper.add === 'function' && mesh) {
-                                helper.add(mesh, {
-                                    animation: motion,
-                                    physics: physicsEnabled && ammoReady // 物理演算が有効かつAmmoが準備完了なら物理を使用
-                                });
-                            } else {
-                                debugLog('MMDAnimationHelperが初期化されていないか無効なため、モーションを適用できません');
-                            }
-                        } catch (error) {
-                            showError(`モーション適用中にエラーが発生: ${error.message}`);
-                        }
-                        
-                        const loadingElem = document.getElementById('loading');
-                        if (loadingElem) {
-                            loadingElem.style.display = 'none';
-                        }
-                        
-                        updateStatus('ダンス中' + (physicsEnabled && !ammoReady ? ' (物理なし)' : ''));
-                        
-                        if (physicsEnabled && !ammoReady) {
-                            debugLog('物理エンジンがロードされていないため、物理計算なしでモーションを再生します');
-                        }
-                    },
-                    (xhr) => {
-                        if (xhr.lengthComputable) {
-                            const progress = Math.floor((xhr.loaded / xhr.total) * 100);
-                            debugLog(`モーション読み込み進捗: ${progress}%`);
-                            const loadingTextElem = document.getElementById('loading-text');
-                            if (loadingTextElem) {
-                                loadingTextElem.textContent = `モーションを読み込み中... ${progress}%`;
-                            }
-                        }
-                    },
-                    (error) => {
-                        showError(`モーションの読み込みに失敗しました: ${error}`);
-                        const loadingElem = document.getElementById('loading');
-                        if (loadingElem) {
-                            loadingElem.style.display = 'none';
+            // キーフレーム編集で元のキーを使えるよう、VMDデータを読み込んでからアニメーションを作る
+            window.StageLoader.loadVmd(motionPath, {
+                manager: loadingManager,
+                onProgress: (xhr) => {
+                    if (xhr.lengthComputable) {
+                        const progress = Math.floor((xhr.loaded / xhr.total) * 100);
+                        debugLog(`モーション読み込み進捗: ${progress}%`);
+                        const loadingTextElem = document.getElementById('loading-text');
+                        if (loadingTextElem) {
+                            loadingTextElem.textContent = `モーションを読み込み中... ${progress}%`;
                         }
                     }
-                );
-            } catch (execError) {
-                showError(`モーションの実行に失敗しました: ${execError.message}`);
+                }
+            }).then((vmd) => {
+                const motion = buildMotionClip(vmd, targetModel);
+                debugLog('モーションのロードに成功しました');
+                
+                // 音楽・カメラ・照明モーションがあれば読み込みを待ってから、モーションと同時に開始する
+                return Promise.all([
+                    loadMotionAudio(motionEntry),
+                    loadCameraMotion(motionEntry),
+                    loadLightMotion(motionEntry)
+                ]).then(([audioBuffer, cameraClip, lightTrack]) => {
+                    applyLoadedMotion(targetModel, motion, motionEntry, audioBuffer, cameraClip, lightTrack, options);
+                });
+            }, (error) => {
+                showError(`モーションの読み込みに失敗しました: ${error}`);
                 const loadingElem = document.getElementById('loading');
                 if (loadingElem) {
                     loadingElem.style.display = 'none';
                 }
-            }
+            }).catch(showMotionApplyError);
         } catch (error) {
             showError(`モーションのロード中にエラーが発生: ${error}`);
             const loadingElem = document.getElementById('loading');
@@ -1080,188 +1290,4480 @@ if (window.APP_JS_LOADED) {
         }
     }
 
+    // VMDデータからモデル用のアニメーションを作る（キーフレーム編集用に元のデータを覚えておく）
+    function buildMotionClip(vmd, model) {
+        const motion = window.StageLoader.buildClip(vmd, model);
+        motionSources.set(motion, vmd);
+        return motion;
+    }
+
     /**
-     * @function animate
-     * @description アニメーションループ
+     * @function preloadMotion
+     * @description モーション・音楽・カメラ・照明モーションを、読み込み画面を出さずに先に読み込んでおく
+     *              （loadVmdMotion()は先読み済みのものをすぐ適用する）
+     * @param {Object} entry - モーションライブラリのエントリ
+     * @param {THREE.SkinnedMesh} model - モーションを適用するモデル
+     * @returns {Promise<Object>} { motion, audioBuffer, cameraClip, lightTrack }
      */
-    function animate() {
-        try {
-            // requestAnimationFrameはできるだけ例外を発生させたくないので、try-catchで囲む
-            requestAnimationFrame(animate);
-            
-            // モデルが読み込まれている場合のみアニメーション処理
-            if (modelLoaded && mesh) {
-                // モデルのユーザーデータを安全に取得
-                const userData = mesh.userData || {};
-                
-                if (userData.isTestMode) {
-                    // テストモードの場合は単純に回転（安全に）
-                    if (mesh.rotation) {
-                        mesh.rotation.y = (mesh.rotation.y || 0) + 0.01;
-                    }
-                } else if (ammoReady && physicsEnabled && helper && typeof helper.update === 'function') {
-                    // 通常のアニメーションと物理演算
-                    try {
-                        const delta = clock && typeof clock.getDelta === 'function' ? clock.getDelta() : 0.016;
-                        helper.update(delta);
-                    } catch (error) {
-                        // エラーをログに記録するだけで続行
-                        console.error('アニメーション更新エラー:', error);
-                    }
-                } else if (userData.currentMotion && helper && typeof helper.update === 'function') {
-                    // 物理なしでのアニメーション
-                    try {
-                        const delta = clock && typeof clock.getDelta === 'function' ? clock.getDelta() : 0.016;
-                        helper.update(delta);
-                    } catch (error) {
-                        // エラーをログに記録するだけで続行
-                        console.error('アニメーション更新エラー:', error);
-                    }
-                }
-            }
-            
-            // コントロール更新（安全に）
-            if (controls && typeof controls.update === 'function') {
-                try {
-                    controls.update();
-                } catch (error) {
-                    // エラーを無視して続行
-                    console.error('コントロール更新エラー:', error);
-                }
-            }
-            
-            // レンダリング（安全に）
-            if (renderer && typeof renderer.render === 'function' && scene && camera) {
-                try {
-                    renderer.render(scene, camera);
-                } catch (error) {
-                    // エラーをログに記録するだけで続行
-                    console.error('レンダリングエラー:', error);
-                }
-            }
-        } catch (error) {
-            // アニメーションループでのエラーをログに記録
-            console.error('アニメーションループエラー:', error);
-            
-            // アニメーションループは継続するために、次のフレームを要求
-            requestAnimationFrame(animate);
+    function preloadMotion(entry, model) {
+        const existing = findPreloadedMotion(entry, model);
+        if (existing) {
+            return existing.promise;
         }
+        // 読み込み画面と連動しないマネージャーを使う
+        const manager = new THREE.LoadingManager();
+        const motionPromise = window.StageLoader.loadVmd(resolveMotionPath(entry), { manager })
+            .then((vmd) => buildMotionClip(vmd, model));
+        const audioPromise = loadMotionAudio(entry, manager).then((buffer) => {
+            // リップシンクの解析も済ませておく（結果は音声ごとにキャッシュされる）
+            if (buffer && window.LipSync) {
+                window.LipSync.analyze(buffer).catch(() => {});
+            }
+            return buffer;
+        });
+        const preloaded = {
+            entry,
+            model,
+            promise: Promise.all([motionPromise, audioPromise, loadCameraMotion(entry, manager), loadLightMotion(entry, manager)])
+                .then(([motion, audioBuffer, cameraClip, lightTrack]) => ({ motion, audioBuffer, cameraClip, lightTrack }))
+        };
+        preloaded.promise.catch((error) => {
+            debugLog(`モーションの先読みに失敗しました: ${entry.title || entry.id} (${error && error.message ? error.message : error})`);
+            preloadedMotions = preloadedMotions.filter((item) => item !== preloaded);
+        });
+        preloadedMotions.push(preloaded);
+        debugLog(`モーションを先読みしています: ${entry.title || entry.id}`);
+        return preloaded.promise;
+    }
+
+    // 先読み済みのモーションを探す
+    function findPreloadedMotion(entry, model) {
+        return entry ? preloadedMotions.find((item) => item.entry === entry && item.model === model) || null : null;
     }
 
     /**
-     * @function onWindowResize
-     * @description ウィンドウサイズ変更時の処理
+     * @function applyLoadedMotion
+     * @description 読み込んだモーション（と音楽・カメラ・照明モーション）をヘルパーに登録して再生を開始する
+     *              他のモデルが踊っている場合は、その再生位置に合わせて途中から始める
+     * @param {THREE.SkinnedMesh} target - モーションを適用するモデル
+     * @param {THREE.AnimationClip} motion - VMDから作成したアニメーション
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ
+     * @param {AudioBuffer} [audioBuffer] - 同期再生する音楽
+     * @param {THREE.AnimationClip} [cameraClip] - カメラモーション
+     * @param {Object} [lightTrack] - 照明モーション（LightingRig.createLightTrack()の結果）
+     * @param {Object} [options] - { crossfade: クロスフェードの秒数（省略時は設定値）, onApplied(target): 再生を始めた後に呼ぶ関数 }
      */
-    function onWindowResize() {
-        try {
-            if (camera) {
-                // カメラのアスペクト比を更新（安全に）
-                if (typeof camera.updateProjectionMatrix === 'function') {
-                    camera.aspect = window.innerWidth / window.innerHeight;
-                    camera.updateProjectionMatrix();
-                }
-            }
-            
-            if (renderer && typeof renderer.setSize === 'function') {
-                // レンダラーのサイズを更新（安全に）
-                renderer.setSize(window.innerWidth, window.innerHeight);
-            }
-        } catch (error) {
-            console.error('ウィンドウリサイズエラー:', error);
+    function applyLoadedMotion(target, motion, motionEntry, audioBuffer, cameraClip, lightTrack, options) {
+        if (!stageModels.includes(target)) {
+            debugLog('モーションの読み込み中にモデルが削除されたため、適用しません');
+            return;
         }
-    }
-
-    // ウェブフォントの読み込みを監視（より良いUI表示のため）
-    document.fonts.ready.then(function() {
-        debugLog('ウェブフォントの読み込みが完了しました');
         
-        // ウェブフォント読み込み完了後に強制的に初期化を実行
-        // まだ初期化されていない場合にのみ実行
-        if (!window.appInitialized && !getIsInitializing()) {
-            debugLog('ウェブフォント読み込み後に初期化を実行します');
-            setTimeout(function() {
-                if (!window.appInitialized && !getIsInitializing()) {
-                    init();
-                }
-            }, 500); // 少し遅延させて実行
+        // セットリストのモデルに別のモーションを付けたら、セットリストを止める
+        if (setlist && target === setlistTarget && motionEntry !== setlistEntry) {
+            stopSetlist('別のモーションが選ばれたため、セットリストを止めました');
         }
-    }).catch(function(error) {
-        debugLog(`ウェブフォント読み込みエラー: ${error.message}`);
+        const fadeDuration = options && typeof options.crossfade === 'number' ? options.crossfade : crossfadeDuration;
         
-        // エラーの場合も初期化を試みる
-        if (!window.appInitialized && !getIsInitializing()) {
-            debugLog('ウェブフォントエラー後も初期化を実行します');
-            setTimeout(init, 500);
+        // モーションを再生するとポーズは上書きされるので、ポーズモードを終える
+        if (poseModeActive) {
+            exitPoseMode();
         }
-    });
-
-    // DOMContentLoaded時に初期化を試みる
-    document.addEventListener('DOMContentLoaded', function() {
-        debugLog('DOM読み込み完了、初期化を開始します');
         
-        // 既に初期化済みでなければ初期化を実行
-        if (!window.appInitialized && !getIsInitializing()) {
-            setTimeout(init, 100);
+        // 他のモデルが踊っていればその再生位置を覚えておく
+        const otherDancers = helper && helper.meshes ? helper.meshes.filter((model) => model !== target) : [];
+        const stageTime = otherDancers.length > 0 ? getMotionTime() : 0;
+        
+        // 踊っているモデルは登録し直さず、今のモーションからクロスフェードする（姿勢が飛んで物理演算が暴れないように）
+        const targetObjects = helper && helper.objects ? helper.objects.get(target) : null;
+        const crossFade = Boolean(window.MotionBlend && fadeDuration > 0 && targetObjects && targetObjects.mixer);
+        
+        // 現在のモーションを保存（安全に）
+        if (target.userData) {
+            target.userData.currentMotion = motion;
+            target.userData.isTestMode = false;
         }
-    });
-
-    // 万が一の場合のバックアップ - ページ読み込み完了後にもチェック
-    window.addEventListener('load', function() {
-        debugLog('ページ読み込み完了、初期化状態をチェックします');
         
-        // 3秒後に再度チェック
-        setTimeout(function() {
-            if (!window.appInitialized && !getIsInitializing()) {
-                debugLog('初期化されていないため、強制的に初期化を実行します');
-                init();
-            } else if (document.getElementById('loading') && 
-                       document.getElementById('loading').style.display !== 'none') {
-                // 初期化済みでもまだローディング画面が表示されている場合は非表示に
-                debugLog('初期化済みですが、ローディング画面が残っています。強制的に非表示にします');
-                hideLoadingScreen();
-            }
-        }, 3000);
-    });
+        // 既存のモーションがあれば削除（安全に）
+        if (!crossFade) {
+            removeFromHelper(target);
+        }
+        
+        // 新しいモーションに音楽・カメラ・照明がある場合と、このモデルのモーションが提供していた場合は外す
+        const hasTracks = Boolean(audioBuffer || cameraClip || lightTrack);
+        if (hasTracks || stageTracksOwner === target || otherDancers.length === 0) {
+            clearMotionAudio();
+            clearCameraMotion();
+            clearLightMotion();
+            stageTracksOwner = null;
+        }
+        
+        // モーションを適用（安全に）
+        try {
+            if (helper && typeof helper.add === 'function') {
+                const audioEnd = audioBuffer ? audioBuffer.duration + audioDelay : 0;
+                const restart = hasTracks || otherDancers.length === 0;
+                if (crossFade) {
+                    window.MotionBlend.crossFade(helper, target, buildModelLayerClips(target, motion, audioEnd), {
+                        duration: fadeDuration,
+                        time: restart ? 0 : stageTime
+                    });
+                } else {
+                    addToHelper(target, motion, audioEnd);
+                }
+                
+                if (cameraClip) {
+                    attachCameraMotion(cameraClip);
+                }
+                
+                if (lightTrack && lightingRig) {
+                    lightingRig.setLightMotion(lightTrack);
+                    renderLightingPanel();
+                }
+                
+                if (audioBuffer) {
+                    attachMotionAudio(audioBuffer, motionEntry);
+                }
+                
+                if (hasTracks) {
+                    stageTracksOwner = target;
+                }
+                
+                if (motionClock && restart) {
+                    // 最初から再生し直す（速度は引き継ぎ、A-Bループは解除する）
+                    motionClock.setSpeed(motionClock.speed);
+                    if (otherDancers.length > 0) {
+                        motionClock.seek(0);
+                    } else {
+                        motionClock.time = 0;
+                    }
+                    motionClock.resume();
+                    clearLoopPoints();
+                } else if (helper.objects && !crossFade) {
+                    // 他のモデルと同じ位置から踊らせる（クロスフェードでは開始位置を指定済み）
+                    const objects = helper.objects.get(target);
+                    if (objects && objects.mixer) {
+                        objects.mixer.setTime(stageTime);
+                    }
+                }
+            } else {
+                debugLog('MMDAnimationHelperが初期化されていないか無効なため、モーションを適用できません');
+            }
+        } catch (error) {
+            showError(`モーション適用中にエラーが発生: ${error.message}`);
+        }
+        
+        const loadingElem = document.getElementById('loading');
+        if (loadingElem) {
+            loadingElem.style.display = 'none';
+        }
+        
+        if (target.userData) {
+            target.userData.currentMotionEntry = motionEntry || null;
+        }
+        renderModelPanel();
+        
+        // セットリストの曲が始まったら、次の曲を先読みする
+        if (setlist && target === setlistTarget && motionEntry === setlistEntry) {
+            onSetlistTrackStarted();
+        }
+        
+        const modelLabel = stageModels.length > 1 ? `${target.userData.modelName} ` : '';
+        const motionTitle = motionEntry ? `: ${motionEntry.title || motionEntry.id}` : '';
+        const audioLabel = motionAudio ? ' ♪' : '';
+        const cameraLabel = cameraMotionActive ? ' 🎥' : '';
+        const lightLabel = lightingRig && lightingRig.getLightMotion() ? ' 💡' : '';
+        const backend = getPhysicsBackend();
+        const physicsLabel = physicsEnabled && backend !== 'ammo' && backend !== 'worker' ? (backend === 'spring' ? ' (簡易物理)' : ' (物理なし)') : '';
+        updateStatus(modelLabel + 'ダンス中' + motionTitle + audioLabel + cameraLabel + lightLabel + physicsLabel);
+        
+        if (physicsEnabled && !backend) {
+            debugLog('物理エンジンがロードされていないため、物理計算なしでモーションを再生します');
+        }
+        
+        if (options && options.onApplied) {
+            options.onApplied(target);
+        }
+    }
+
+    /**
+     * @function stopModelMotion
+     * @description モデルのモーションを止めて基本姿勢に戻す
+     * @param {THREE.SkinnedMesh} model - モデル
+     */
+    function stopModelMotion(model) {
+        if (stageTracksOwner === model) {
+            clearMotionAudio();
+            clearCameraMotion();
+            clearLightMotion();
+            stageTracksOwner = null;
+        }
+        removeFromHelper(model);
+        model.userData.currentMotion = null;
+        model.userData.currentMotionEntry = null;
+        if (typeof model.pose === 'function') {
+            model.pose();
+        }
+        // VMDの表情を残さない（手動の表情はそのまま）
+        if (window.MorphControl) {
+            window.MorphControl.resetBase(model);
+        }
+        renderModelPanel();
+    }
+
+    /**
+     * @function loadMotionAudio
+     * @description モーションに対応する音楽を読み込む（失敗しても無音で再生を続けられるようnullを返す）
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ
+     * @param {THREE.LoadingManager} [manager] - ローディングマネージャー（省略時は読み込み画面と連動するもの）
+     * @returns {Promise<AudioBuffer|null>} 音声データ
+     */
+    function loadMotionAudio(motionEntry, manager) {
+        if (!motionEntry || !motionEntry.audio) {
+            return Promise.resolve(null);
+        }
+        if (typeof THREE.AudioLoader !== 'function' || typeof THREE.AudioListener !== 'function') {
+            debugLog('THREE.AudioLoaderが見つからないため、音楽なしで再生します');
+            return Promise.resolve(null);
+        }
+        
+        const audioPath = resolveLibraryPath(motionEntry.audio);
+        updateLoadingText('音楽を読み込み中...');
+        
+        return window.StageLoader.loadAudio(audioPath, { manager: manager || loadingManager }).then((buffer) => {
+            debugLog(`音楽を読み込みました: ${motionEntry.audioName || motionEntry.audio}`);
+            return buffer;
+        }, (error) => {
+            showError(`音楽の読み込みに失敗しました: ${audioPath}`, '音楽なしでモーションを再生します。');
+            console.error('音楽読み込みエラーの詳細:', error);
+            return null;
+        });
+    }
+
+    /**
+     * @function loadCameraMotion
+     * @description モーションに対応するカメラモーション（VMD）を読み込む（失敗した場合はnullを返し自由視点のまま再生する）
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ
+     * @param {THREE.LoadingManager} [manager] - ローディングマネージャー（省略時は読み込み画面と連動するもの）
+     * @returns {Promise<THREE.AnimationClip|null>} カメラのアニメーション
+     */
+    function loadCameraMotion(motionEntry, manager) {
+        if (!motionEntry || !motionEntry.camera) {
+            return Promise.resolve(null);
+        }
+        if (!camera || !camera.isCamera) {
+            debugLog('カメラが初期化されていないため、カメラモーションを使用できません');
+            return Promise.resolve(null);
+        }
+        
+        const cameraPath = resolveLibraryPath(motionEntry.camera);
+        updateLoadingText('カメラモーションを読み込み中...');
+        
+        return window.StageLoader.loadCameraMotion(cameraPath, camera, { manager: manager || loadingManager }).then((cameraClip) => {
+            debugLog(`カメラモーションを読み込みました: ${motionEntry.cameraName || motionEntry.camera}`);
+            return cameraClip;
+        }, (error) => {
+            showError(`カメラモーションの読み込みに失敗しました: ${cameraPath}`, '自由視点でモーションを再生します。');
+            console.error('カメラモーション読み込みエラーの詳細:', error);
+            return null;
+        });
+    }
+
+    /**
+     * @function attachCameraMotion
+     * @description カメラモーションをMMDAnimationHelperに登録し、現在のカメラモードを適用する
+     * @param {THREE.AnimationClip} cameraClip - カメラのアニメーション
+     */
+    function attachCameraMotion(cameraClip) {
+        helper.add(camera, { animation: cameraClip });
+        cameraMotionActive = true;
+        setCameraMode(cameraMode);
+    }
+
+    /**
+     * @function clearCameraMotion
+     * @description カメラモーションをヘルパーから外し、今のカメラ位置から自由視点に戻す
+     */
+    function clearCameraMotion() {
+        if (!cameraMotionActive) {
+            return;
+        }
+        try {
+            if (helper) {
+                window.StageLoader.detachCamera(helper, camera);
+            }
+        } catch (error) {
+            debugLog(`カメラモーションの削除でエラー: ${error.message}`);
+        }
+        cameraMotionActive = false;
+        handOffToOrbit();
+        updateCameraModeButton();
+    }
+
+    /**
+     * @function loadLightMotion
+     * @description モーションに対応する照明モーション（VMDの照明のキーフレーム）を読み込む
+     *              照明モーションの指定がなければ、カメラモーションのVMDに照明が含まれていればそれを使う
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ
+     * @param {THREE.LoadingManager} [manager] - ローディングマネージャー（省略時は読み込み画面と連動するもの）
+     * @returns {Promise<Object|null>} 照明モーション（LightingRig.createLightTrack()の結果。なければnull）
+     */
+    function loadLightMotion(motionEntry, manager) {
+        const source = motionEntry ? motionEntry.light || motionEntry.camera : null;
+        if (!source || !lightingRig) {
+            return Promise.resolve(null);
+        }
+        const explicit = Boolean(motionEntry.light);
+        const lightPath = resolveLibraryPath(source);
+        const lightName = explicit ? motionEntry.lightName || motionEntry.light : motionEntry.cameraName || motionEntry.camera;
+        
+        return new Promise((resolve) => {
+            const loader = new THREE.FileLoader(manager || loadingManager);
+            loader.setResponseType('arraybuffer');
+            loader.load(
+                lightPath,
+                (buffer) => {
+                    const track = window.LightingRig.createLightTrack(window.LightingRig.parseVmdLights(buffer), lightName);
+                    if (track) {
+                        debugLog(`照明モーションを読み込みました: ${lightName} (${track.keyCount}キー)`);
+                    } else if (explicit) {
+                        debugLog(`照明のキーフレームがありません: ${lightName}`);
+                    }
+                    resolve(track);
+                },
+                undefined,
+                (error) => {
+                    // カメラモーションの読み込みエラーはloadCameraMotion()が知らせる
+                    if (explicit) {
+                        showError(`照明モーションの読み込みに失敗しました: ${lightPath}`, 'プリセットの照明で再生します。');
+                        console.error('照明モーション読み込みエラーの詳細:', error);
+                    }
+                    resolve(null);
+                }
+            );
+        });
+    }
+
+    // 照明モーションを外し、プリセットの照明に戻す
+    function clearLightMotion() {
+        if (lightingRig && lightingRig.getLightMotion()) {
+            lightingRig.setLightMotion(null);
+            renderLightingPanel();
+        }
+    }
+
+    /**
+     * @function setCameraMode
+     * @description カメラモーション（シネマ）と自由視点（オービット）を切り替える
+     * @param {string} mode - 'cinematic' または 'orbit'
+     */
+    function setCameraMode(mode) {
+        cameraMode = mode === 'orbit' ? 'orbit' : 'cinematic';
+        
+        if (cameraMotionActive && helper) {
+            if (cameraMode === 'cinematic') {
+                // 自由視点の間は止めていたカメラトラックを、モーションの現在位置まで進める
+                const cameraObjects = helper.objects.get(camera);
+                if (cameraObjects && cameraObjects.mixer) {
+                    cameraObjects.mixer.setTime(getMotionTime());
+                }
+                helper.enable('cameraAnimation', true);
+                if (controls) {
+                    controls.enabled = false;
+                }
+            } else {
+                helper.enable('cameraAnimation', false);
+                handOffToOrbit();
+            }
+        }
+        
+        updateCameraModeButton();
+        debugLog(`カメラモード: ${cameraMode === 'cinematic' ? 'カメラモーション' : '自由視点'}`);
+    }
+
+    // カメラモーションが今カメラを動かしているか
+    function isCinematicCamera() {
+        return cameraMotionActive && cameraMode === 'cinematic';
+    }
+
+    // カメラトラックが残した位置・注視点からOrbitControlsを再開する
+    function handOffToOrbit() {
+        if (!controls || !camera || !camera.isCamera) {
+            return;
+        }
+        if (helper && helper.cameraTarget) {
+            // cameraTargetはカメラの子だが、位置にはワールド座標の注視点が入っている
+            controls.target.copy(helper.cameraTarget.position);
+        }
+        // カメラトラックのロールを戻す（OrbitControlsは上方向が+Yであることを前提にしている）
+        camera.up.set(0, 1, 0);
+        
+        // 距離制限で視点が飛ばないよう、現在の距離を許容範囲に含める
+        const distance = camera.position.distanceTo(controls.target);
+        controls.minDistance = Math.min(controls.minDistance, distance);
+        controls.maxDistance = Math.max(controls.maxDistance, distance);
+        controls.enabled = true;
+        controls.update();
+    }
+
+    // カメラモード切り替えボタンの表示を更新
+    function updateCameraModeButton() {
+        const cameraModeButton = document.getElementById('cameraModeButton');
+        if (!cameraModeButton) {
+            return;
+        }
+        cameraModeButton.disabled = !cameraMotionActive;
+        cameraModeButton.textContent = cameraMotionActive && cameraMode === 'cinematic'
+            ? 'カメラ: モーション'
+            : 'カメラ: 自由視点';
+        cameraModeButton.title = cameraMotionActive
+            ? 'カメラモーションと自由視点を切り替えます'
+            : 'カメラモーションが読み込まれていません';
+    }
+
+    // カメラモード切り替えボタンのイベントを設定
+    function setupCameraModeButton() {
+        const cameraModeButton = document.getElementById('cameraModeButton');
+        if (!cameraModeButton) {
+            return;
+        }
+        cameraModeButton.addEventListener('click', () => {
+            setCameraMode(cameraMode === 'cinematic' ? 'orbit' : 'cinematic');
+        });
+        updateCameraModeButton();
+    }
+
+    /**
+     * @function attachMotionAudio
+     * @description 音楽をMMDAnimationHelperに登録する（再生開始はヘルパーの時間に従う）
+     * @param {AudioBuffer} buffer - 音声データ
+     * @param {Object} [motionEntry] - モーションライブラリのエントリ（audioDelayを既定の遅延に使う）
+     */
+    function attachMotionAudio(buffer, motionEntry) {
+        if (!audioListener) {
+            audioListener = new THREE.AudioListener();
+            camera.add(audioListener);
+        }
+        
+        if (motionEntry && typeof motionEntry.audioDelay === 'number') {
+            setAudioDelayValue(motionEntry.audioDelay);
+        }
+        
+        // ブラウザの自動再生制限で停止している場合は再開を試み、許可されなければ次のクリックで再開する
+        // （読み込みの完了後に呼ばれるためユーザー操作の扱いにならず、再開されないことがある）
+        motionAudio = window.StageLoader.attachAudio(helper, audioListener, buffer, audioDelay, () => {
+            updateStatus('ブラウザの自動再生の制限で音楽が止まっています。画面をクリックすると再生されます');
+        });
+        
+        analyzeLipSync(buffer);
+    }
+
+    /**
+     * @function analyzeLipSync
+     * @description 音楽を解析してリップシンク用の口の動きを作る（解析中も再生は続ける）
+     * @param {AudioBuffer} buffer - 音声データ
+     */
+    function analyzeLipSync(buffer) {
+        lipSyncTrack = null;
+        if (!window.LipSync) {
+            return;
+        }
+        const lipSyncStatus = document.getElementById('lip-sync-status');
+        window.LipSync.analyze(buffer, {
+            onProgress: (progress) => {
+                if (lipSyncStatus) {
+                    lipSyncStatus.textContent = progress < 1 ? `解析中 ${Math.floor(progress * 100)}%` : '';
+                }
+            }
+        }).then((track) => {
+            // 解析中に音楽が差し替えられていれば使わない
+            if (motionAudio && motionAudio.buffer === buffer) {
+                lipSyncTrack = track;
+                debugLog(`リップシンクの解析が完了しました (${track.frameCount}フレーム)`);
+            }
+        }).catch((error) => {
+            debugLog(`リップシンクの解析に失敗しました: ${error.message}`);
+            if (lipSyncStatus) {
+                lipSyncStatus.textContent = '解析失敗';
+            }
+        });
+    }
+
+    /**
+     * @function clearMotionAudio
+     * @description 再生中の音楽を停止してヘルパーから外す
+     */
+    function clearMotionAudio() {
+        if (!motionAudio) {
+            return;
+        }
+        try {
+            window.StageLoader.detachAudio(helper, motionAudio);
+        } catch (error) {
+            debugLog(`音楽の停止でエラー: ${error.message}`);
+        }
+        motionAudio = null;
+        lipSyncTrack = null;
+    }
+
+    /**
+     * @function setAudioDelay
+     * @description 音声の遅延オフセットを変更し、再生中なら現在位置を保ったまま反映する
+     * @param {number} seconds - 遅延（秒）。正の値で音声がモーションより遅れて始まる
+     */
+    function setAudioDelay(seconds) {
+        setAudioDelayValue(seconds);
+        
+        if (!motionAudio || !helper || helper.audio !== motionAudio) {
+            return;
+        }
+        
+        // 遅延はAudioManager作成時に固定されるため、登録し直して同じ位置へシークする
+        const currentTime = getMotionTime();
+        const wasPaused = motionClock ? motionClock.paused : false;
+        motionAudio.stop();
+        helper.remove(motionAudio);
+        helper.add(motionAudio, { delayTime: audioDelay });
+        if (motionClock) {
+            motionClock.seek(currentTime);
+            if (wasPaused) {
+                motionAudio.pause();
+            }
+        }
+        debugLog(`音声の遅延を${audioDelay.toFixed(2)}秒に設定しました`);
+    }
+
+    // 遅延の値と入力欄の表示を揃える
+    function setAudioDelayValue(seconds) {
+        audioDelay = Number.isFinite(seconds) ? seconds : 0;
+        const delayInput = document.getElementById('audio-delay');
+        if (delayInput && parseFloat(delayInput.value) !== audioDelay) {
+            delayInput.value = audioDelay.toFixed(2);
+        }
+    }
+
+    // 遅延オフセット入力欄のイベントを設定
+    function setupAudioDelayInput() {
+        const delayInput = document.getElementById('audio-delay');
+        if (!delayInput) {
+            return;
+        }
+        delayInput.value = audioDelay.toFixed(2);
+        delayInput.addEventListener('change', () => {
+            setAudioDelay(parseFloat(delayInput.value) || 0);
+        });
+    }
+
+    /**
+     * @function setupTransportControls
+     * @description タイムライン（再生・一時停止、シーク、A-Bループ、再生速度）のイベントを設定する
+     */
+    function setupTransportControls() {
+        const playPauseButton = document.getElementById('playPauseButton');
+        const seekSlider = document.getElementById('seekSlider');
+        const speedSelect = document.getElementById('speedSelect');
+        
+        if (!motionClock) {
+            debugLog('モーション時計がないため、再生コントロールは無効です');
+            return;
+        }
+        
+        if (playPauseButton) {
+            playPauseButton.addEventListener('click', togglePlayback);
+        }
+        
+        if (seekSlider) {
+            // ドラッグ中は表示更新で値を上書きしないようにする
+            seekSlider.addEventListener('pointerdown', () => { isScrubbing = true; });
+            seekSlider.addEventListener('pointerup', () => { isScrubbing = false; });
+            seekSlider.addEventListener('input', () => {
+                seekToFrame(parseInt(seekSlider.value, 10) || 0);
+            });
+            seekSlider.addEventListener('change', () => {
+                isScrubbing = false;
+            });
+        }
+        
+        const loopAButton = document.getElementById('loopAButton');
+        if (loopAButton) {
+            loopAButton.addEventListener('click', () => setLoopPoint('a'));
+        }
+        const loopBButton = document.getElementById('loopBButton');
+        if (loopBButton) {
+            loopBButton.addEventListener('click', () => setLoopPoint('b'));
+        }
+        const loopClearButton = document.getElementById('loopClearButton');
+        if (loopClearButton) {
+            loopClearButton.addEventListener('click', clearLoopPoints);
+        }
+        
+        if (speedSelect) {
+            speedSelect.addEventListener('change', () => {
+                setPlaybackSpeed(parseFloat(speedSelect.value) || 1);
+            });
+        }
+        
+        // キーボード操作: スペースで再生・一時停止、←→で1フレーム移動
+        document.addEventListener('keydown', (event) => {
+            const tagName = event.target && event.target.tagName;
+            if (tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA' || !hasActiveMotion()) {
+                return;
+            }
+            if (event.code === 'Space') {
+                event.preventDefault();
+                togglePlayback();
+            } else if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+                event.preventDefault();
+                stepFrame(event.code === 'ArrowLeft' ? -1 : 1);
+            }
+        });
+        
+        updateTransportDisplay(true);
+    }
+
+    // 再生コントロールの対象となるモーションがあるか
+    function hasActiveMotion() {
+        return Boolean(motionClock && stageModels.some((model) => model.userData.currentMotion));
+    }
+
+    /**
+     * @function togglePlayback
+     * @description モーション（と音楽）の再生・一時停止を切り替える
+     */
+    function togglePlayback() {
+        if (!hasActiveMotion()) {
+            return;
+        }
+        if (motionClock.paused) {
+            // 再生を再開するとポーズは上書きされるので、ポーズモードを終える
+            if (poseModeActive) {
+                exitPoseMode();
+            }
+            // 一時停止中の経過時間を捨てる
+            if (clock && typeof clock.getDelta === 'function') {
+                clock.getDelta();
+            }
+            motionClock.resume();
+        } else {
+            motionClock.pause();
+        }
+        updateTransportDisplay(true);
+    }
+
+    /**
+     * @function seekToFrame
+     * @description 指定フレームへシークする（物理演算はリセットされる）
+     * @param {number} frame - フレーム番号（30fps）
+     */
+    function seekToFrame(frame) {
+        if (!hasActiveMotion()) {
+            return;
+        }
+        const duration = window.PlaybackSync.getHelperDuration(helper);
+        const lastFrame = Math.max(Math.floor(duration * window.PlaybackSync.FPS) - 1, 0);
+        const clamped = Math.min(Math.max(Math.round(frame), 0), lastFrame);
+        motionClock.seek(clamped / window.PlaybackSync.FPS);
+        updateTransportDisplay(true);
+    }
+
+    // 現在位置から指定フレーム数だけ移動する（移動後は一時停止）
+    function stepFrame(count) {
+        if (!motionClock.paused) {
+            motionClock.pause();
+        }
+        seekToFrame(Math.round(getMotionTime() * window.PlaybackSync.FPS) + count);
+    }
+
+    /**
+     * @function setLoopPoint
+     * @description 現在位置をA-Bループの始点または終点にする
+     * @param {string} point - 'a' または 'b'
+     */
+    function setLoopPoint(point) {
+        if (!hasActiveMotion()) {
+            return;
+        }
+        // フレーム境界に揃える
+        const time = Math.round(getMotionTime() * window.PlaybackSync.FPS) / window.PlaybackSync.FPS;
+        if (point === 'a') {
+            loopPointA = time;
+        } else {
+            loopPointB = time;
+        }
+        
+        // 始点と終点が逆なら入れ替える
+        if (loopPointA !== null && loopPointB !== null && loopPointB < loopPointA) {
+            [loopPointA, loopPointB] = [loopPointB, loopPointA];
+        }
+        
+        if (loopPointA !== null && loopPointB !== null) {
+            motionClock.setLoop(loopPointA, loopPointB);
+            debugLog(`A-Bループ: ${formatTimecode(loopPointA)} - ${formatTimecode(loopPointB)}`);
+        }
+        updateTransportDisplay(true);
+    }
+
+    // A-Bループを解除する
+    function clearLoopPoints() {
+        loopPointA = null;
+        loopPointB = null;
+        if (motionClock) {
+            motionClock.setLoop(null, null);
+        }
+        updateTransportDisplay(true);
+    }
+
+    /**
+     * @function setPlaybackSpeed
+     * @description 再生速度を変更する（音楽の再生レートも変わる）
+     * @param {number} speed - 再生速度（0.25〜2）
+     */
+    function setPlaybackSpeed(speed) {
+        if (!motionClock) {
+            return;
+        }
+        motionClock.setSpeed(speed);
+        const speedSelect = document.getElementById('speedSelect');
+        if (speedSelect && parseFloat(speedSelect.value) !== motionClock.speed) {
+            speedSelect.value = String(motionClock.speed);
+        }
+        debugLog(`再生速度: ${motionClock.speed}×`);
+    }
+
+    // 秒を「分:秒.百分の一秒」で表示する
+    function formatTimecode(seconds) {
+        const hundredths = Math.floor(seconds * 100);
+        const minutes = Math.floor(hundredths / 6000);
+        const secs = Math.floor(hundredths / 100) % 60;
+        return `${minutes}:${String(secs).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * @function updateTransportDisplay
+     * @description タイムラインの表示（ボタンの状態、シークバー、時間表示）を更新する
+     * @param {boolean} [force=false] - フレームが変わっていなくても更新する
+     */
+    function updateTransportDisplay(force) {
+        if (!window.PlaybackSync) {
+            return;
+        }
+        const fps = window.PlaybackSync.FPS;
+        const active = hasActiveMotion();
+        const time = active ? getMotionTime() : 0;
+        const frame = Math.round(time * fps);
+        if (!force && frame === lastTimelineFrame) {
+            return;
+        }
+        lastTimelineFrame = frame;
+        
+        const duration = active ? window.PlaybackSync.getHelperDuration(helper) : 0;
+        
+        const playPauseButton = document.getElementById('playPauseButton');
+        if (playPauseButton) {
+            playPauseButton.disabled = !active;
+            playPauseButton.textContent = active && motionClock.paused ? '▶' : '⏸';
+            playPauseButton.title = active && motionClock.paused ? '再生 (Space)' : '一時停止 (Space)';
+        }
+        
+        const seekSlider = document.getElementById('seekSlider');
+        if (seekSlider) {
+            seekSlider.disabled = !active;
+            seekSlider.max = String(Math.max(Math.floor(duration * fps) - 1, 0));
+            if (!isScrubbing) {
+                seekSlider.value = String(frame);
+            }
+        }
+        
+        ['loopAButton', 'loopBButton', 'loopClearButton'].forEach((id) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !active;
+            }
+        });
+        
+        const timeDisplay = document.getElementById('timeDisplay');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${formatTimecode(time)} / ${formatTimecode(duration)} (${frame}f)`;
+        }
+        
+        const loopDisplay = document.getElementById('loopDisplay');
+        if (loopDisplay) {
+            const parts = [];
+            if (loopPointA !== null) {
+                parts.push(`A ${formatTimecode(loopPointA)}`);
+            }
+            if (loopPointB !== null) {
+                parts.push(`B ${formatTimecode(loopPointB)}`);
+            }
+            loopDisplay.textContent = parts.join(' - ');
+        }
+    }
+
+    /**
+     * @function setupExportControls
+     * @description 動画書き出しのボタンと選択肢を設定する
+     */
+    function setupExportControls() {
+        const exportButton = document.getElementById('exportButton');
+        const cancelButton = document.getElementById('exportCancelButton');
+        const formatSelect = document.getElementById('exportFormat');
+        if (!exportButton || !window.VideoExporter) {
+            return;
+        }
+        
+        // 対応していない形式は選べないようにする
+        if (formatSelect) {
+            Array.from(formatSelect.options).forEach((option) => {
+                const supported = option.value === window.VideoExporter.FORMAT.PNG
+                    ? window.VideoExporter.isPngSupported()
+                    : window.VideoExporter.isWebMSupported();
+                option.disabled = !supported;
+            });
+            const firstSupported = Array.from(formatSelect.options).find((option) => !option.disabled);
+            if (formatSelect.selectedOptions[0] && formatSelect.selectedOptions[0].disabled && firstSupported) {
+                formatSelect.value = firstSupported.value;
+            }
+        }
+        
+        exportButton.addEventListener('click', exportDance);
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                if (exportAbortController) {
+                    exportAbortController.abort();
+                }
+            });
+        }
+    }
+
+    // 書き出し中の表示を更新
+    function setExportStatus(message) {
+        const exportStatus = document.getElementById('export-status');
+        if (exportStatus) {
+            exportStatus.textContent = message;
+        }
+    }
+
+    // 書き出し中はUIを操作できないようにする
+    function setExportControlsBusy(busy) {
+        ['exportButton', 'exportFormat', 'exportFps', 'exportSize', 'danceButton', 'motionSelect'].forEach((id) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = busy;
+            }
+        });
+        const cancelButton = document.getElementById('exportCancelButton');
+        if (cancelButton) {
+            cancelButton.disabled = !busy;
+        }
+    }
+
+    // 書き出しサイズ（偶数に揃える。動画エンコーダの制約のため）
+    function getExportSize() {
+        const sizeSelect = document.getElementById('exportSize');
+        const value = sizeSelect ? sizeSelect.value : '1280x720';
+        let width = window.innerWidth;
+        let height = window.innerHeight;
+        const match = /^(\d+)x(\d+)$/.exec(value);
+        if (match) {
+            width = parseInt(match[1], 10);
+            height = parseInt(match[2], 10);
+        }
+        return { width: width - width % 2, height: height - height % 2 };
+    }
+
+    /**
+     * @function resetDancersForExport
+     * @description 踊っているモデルを物理ワールドごと登録し直し、毎回同じ状態から書き出せるようにする
+     */
+    function resetDancersForExport() {
+        const dancers = stageModels.filter((model) => model.userData.currentMotion);
+        dancers.forEach((model) => removeFromHelper(model));
+        if (window.StagePhysics) {
+            window.StagePhysics.resetWorld();
+        }
+        dancers.forEach((model) => addToHelper(model, model.userData.currentMotion));
+    }
+
+    /**
+     * @function exportDance
+     * @description 現在のダンス（A-Bループがあればその区間）を固定のフレーム間隔で書き出す
+     */
+    async function exportDance() {
+        if (isExporting || !hasActiveMotion() || !window.VideoExporter || !window.PlaybackSync) {
+            if (!hasActiveMotion()) {
+                showError('書き出すモーションがありません', '先にダンスを開始してください。');
+            }
+            return;
+        }
+        
+        const format = document.getElementById('exportFormat') ? document.getElementById('exportFormat').value : 'webm';
+        const fps = parseInt(document.getElementById('exportFps') ? document.getElementById('exportFps').value : '30', 10) || 30;
+        const size = getExportSize();
+        
+        // 書き出し範囲（A-Bループがあればその区間、なければ全体）
+        const duration = window.PlaybackSync.getHelperDuration(helper);
+        const startTime = loopPointA !== null && loopPointB !== null ? loopPointA : 0;
+        const endTime = loopPointA !== null && loopPointB !== null ? loopPointB : duration;
+        
+        // 再生状態を保存して止める
+        const wasPaused = motionClock.paused;
+        const resumeTime = getMotionTime();
+        motionClock.pause();
+        
+        const rendererSize = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const audioManager = helper.audioManager;
+        const motionEntry = mesh && mesh.userData ? mesh.userData.currentMotionEntry : null;
+        
+        if (poseModeActive) {
+            exitPoseMode();
+        }
+        
+        isExporting = true;
+        exportAbortController = new AbortController();
+        setExportControlsBusy(true);
+        
+        try {
+            // 固定サイズ・等倍で描画する
+            renderer.setPixelRatio(1);
+            renderer.setSize(size.width, size.height, false);
+            if (postProcessing) {
+                postProcessing.setSize(size.width, size.height);
+            }
+            camera.aspect = size.width / size.height;
+            camera.updateProjectionMatrix();
+            
+            // 物理演算を作り直して開始位置へ（音声は書き出し側で扱うのでヘルパーから外す）
+            resetDancersForExport();
+            window.PlaybackSync.seekHelper(helper, startTime, { resetPhysics: true, playAudio: false });
+            helper.audioManager = null;
+            applyMorphControls();
+            
+            debugLog(`書き出し開始: ${format}, ${fps}fps, ${size.width}x${size.height}, ${formatTimecode(startTime)} - ${formatTimecode(endTime)}`);
+            
+            const result = await window.VideoExporter.exportVideo({
+                canvas: renderer.domElement,
+                format,
+                fps,
+                duration: endTime - startTime,
+                startTime,
+                audioBuffer: motionAudio ? motionAudio.buffer : null,
+                audioDelay,
+                advance: (delta) => {
+                    helper.update(delta);
+                    if (window.StagePhysics) {
+                        window.StagePhysics.step(helper, delta);
+                    }
+                    if (window.SpringBones) {
+                        window.SpringBones.step(helper, delta);
+                    }
+                    if (lightingRig) {
+                        lightingRig.update(getMotionTime());
+                    }
+                    applyMorphControls();
+                },
+                render: renderScene,
+                onProgress: (frame, frameCount) => {
+                    setExportStatus(`書き出し中... ${frame}/${frameCount} (${Math.floor(frame / frameCount * 100)}%)`);
+                },
+                signal: exportAbortController.signal
+            });
+            
+            const baseName = (motionEntry ? motionEntry.id : 'dance').replace(/[^\w\-.]+/g, '_');
+            downloadBlob(result.blob, `${baseName}_${fps}fps.${result.extension}`);
+            setExportStatus(`書き出し完了 (${result.frames}フレーム)`);
+            updateStatus('書き出し完了');
+        } catch (error) {
+            if (error instanceof window.VideoExporter.ExportCancelledError) {
+                setExportStatus('書き出しを中止しました');
+            } else {
+                setExportStatus('');
+                showError(`書き出しに失敗しました: ${error.message}`);
+                console.error('書き出しエラーの詳細:', error);
+            }
+        } finally {
+            // 画面表示と再生状態を元に戻す
+            helper.audioManager = audioManager;
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(rendererSize.x, rendererSize.y);
+            isExporting = false;
+            onWindowResize();
+            
+            // 書き出し中はメインスレッドで計算していた物理演算をWorkerに戻す
+            if (physicsInWorker && window.PhysicsWorker && window.PhysicsWorker.isReady()) {
+                reapplyPhysics();
+            }
+            
+            motionClock.seek(resumeTime);
+            if (!wasPaused) {
+                motionClock.resume();
+            }
+            if (clock && typeof clock.getDelta === 'function') {
+                clock.getDelta();
+            }
+            
+            exportAbortController = null;
+            setExportControlsBusy(false);
+        }
+    }
+
+    // Blobをファイルとしてダウンロードさせる
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // ダウンロードの開始を待ってから解放する
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * @function getMotionTime
+     * @description 現在のモーション再生位置（ループ内の秒数）を返す
+     * @returns {number} 再生位置
+     */
+    function getMotionTime() {
+        return window.PlaybackSync ? window.PlaybackSync.getHelperTime(helper) : 0;
+    }
+
+    /**
+     * @function onVisibilityChange
+     * @description タブの表示状態が変わった時に音声とモーションを一時停止・再開する
+     */
+    function onVisibilityChange() {
+        if (!motionClock) {
+            return;
+        }
+        if (document.hidden) {
+            motionClock.hiddenPause = !motionClock.paused;
+            motionClock.pause();
+        } else {
+            // 非表示の間の経過時間を捨てる
+            if (clock && typeof clock.getDelta === 'function') {
+                clock.getDelta();
+            }
+            if (motionClock.hiddenPause) {
+                motionClock.hiddenPause = false;
+                motionClock.resume();
+            }
+        }
+    }
+
+    /**
+     * @function setupModelPanel
+     * @description モデル一覧パネル（追加・削除・配置・モーションの付け替え）のイベントを設定する
+     */
+    function setupModelPanel() {
+        const inputs = [
+            ['addModelFolderButton', 'addModelFolderInput'],
+            ['addModelZipButton', 'addModelZipInput']
+        ];
+        inputs.forEach(([buttonId, inputId]) => {
+            const button = document.getElementById(buttonId);
+            const input = document.getElementById(inputId);
+            if (!button || !input) {
+                return;
+            }
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', () => {
+                if (input.files && input.files.length > 0) {
+                    // ファイル選択はドロップと同じ経路で読み込み、常にステージに追加する
+                    handleDroppedFiles({ files: Array.from(input.files) }, true);
+                }
+                input.value = '';
+            });
+        });
+        renderModelPanel();
+    }
+
+    /**
+     * @function renderModelPanel
+     * @description ステージ上のモデル一覧を作り直す
+     */
+    function renderModelPanel() {
+        const modelList = document.getElementById('model-list');
+        if (!modelList) {
+            return;
+        }
+        modelList.textContent = '';
+        
+        // 操作対象が変わっていれば表情パネルとポーズ編集も切り替える
+        renderMorphPanel(false);
+        syncPoseEditorTarget();
+        syncKeyframeEditor();
+        syncBlendControls();
+        renderPhysicsPanel(false);
+        renderInspectorPanel(false);
+        
+        if (stageModels.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'model-empty';
+            empty.textContent = 'モデルがありません';
+            modelList.appendChild(empty);
+            return;
+        }
+        
+        stageModels.forEach((model) => {
+            modelList.appendChild(createModelRow(model));
+        });
+    }
+
+    // モデル一覧の1行を作る
+    function createModelRow(model) {
+        const userData = model.userData;
+        const row = document.createElement('div');
+        row.className = 'model-row' + (model === mesh ? ' selected' : '');
+        
+        // 選択（メインのモーション選択・ダンス開始の対象）
+        const selectRadio = document.createElement('input');
+        selectRadio.type = 'radio';
+        selectRadio.name = 'selected-model';
+        selectRadio.checked = model === mesh;
+        selectRadio.title = '操作対象にする';
+        selectRadio.addEventListener('change', () => selectStageModel(model));
+        row.appendChild(selectRadio);
+        
+        const name = document.createElement('span');
+        name.className = 'model-name';
+        name.textContent = userData.modelName;
+        name.title = userData.modelName;
+        row.appendChild(name);
+        
+        // 位置（X, Z）と向き（度）
+        [['x', 'X', 1], ['z', 'Z', 1], ['rotationY', '向き', 15]].forEach(([key, label, step]) => {
+            const field = document.createElement('label');
+            field.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = String(step);
+            input.value = String(userData.stageOffset[key]);
+            input.addEventListener('change', () => {
+                userData.stageOffset[key] = parseFloat(input.value) || 0;
+                applyStageOffset(model);
+            });
+            field.appendChild(input);
+            row.appendChild(field);
+        });
+        
+        // モーションの付け替え
+        const motionSelect = document.createElement('select');
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = '（モーションなし）';
+        motionSelect.appendChild(noneOption);
+        motionLibrary.forEach((entry) => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.title || entry.id;
+            motionSelect.appendChild(option);
+        });
+        const currentEntry = userData.currentMotion ? userData.currentMotionEntry : null;
+        motionSelect.value = currentEntry && findMotionEntry(currentEntry.id) ? currentEntry.id : '';
+        motionSelect.addEventListener('change', () => retargetModelMotion(model, motionSelect.value));
+        row.appendChild(motionSelect);
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '削除';
+        removeButton.addEventListener('click', () => removeStageModel(model));
+        row.appendChild(removeButton);
+        
+        return row;
+    }
+
+    /**
+     * @function selectStageModel
+     * @description モデルを操作対象（メインのモーション選択・ダンス開始の対象）にする
+     * @param {THREE.SkinnedMesh} model - モデル
+     */
+    function selectStageModel(model) {
+        if (!stageModels.includes(model)) {
+            return;
+        }
+        mesh = model;
+        const entry = model.userData.currentMotionEntry;
+        const motionSelect = document.getElementById('motionSelect');
+        if (motionSelect && entry && model.userData.currentMotion && findMotionEntry(entry.id)) {
+            motionSelect.value = entry.id;
+            showMotionInfo(entry);
+        }
+        debugLog(`操作対象のモデル: ${model.userData.modelName}`);
+        renderModelPanel();
+    }
+
+    /**
+     * @function retargetModelMotion
+     * @description モデルのモーションを付け替える（他のモデルには影響しない）
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @param {string} motionId - モーションID（空文字ならモーションを止める）
+     */
+    function retargetModelMotion(model, motionId) {
+        if (!motionId) {
+            stopModelMotion(model);
+            return;
+        }
+        const entry = findMotionEntry(motionId);
+        if (!entry) {
+            showError(`モーションがライブラリに見つかりません: ${motionId}`);
+            return;
+        }
+        if (!ammoInitialized && !ammoInitializing && physicsEnabled) {
+            initAmmo();
+        }
+        updateStatus(`${model.userData.modelName}: モーション準備中...`);
+        loadVmdMotion(resolveMotionPath(entry), entry, model);
+    }
+
+    /**
+     * @function setupMorphPanel
+     * @description 表情パネル（モーフのスライダーと表情プリセット）のイベントを設定する
+     */
+    function setupMorphPanel() {
+        const morphPanel = document.getElementById('morph-panel');
+        if (!morphPanel || !window.MorphControl) {
+            return;
+        }
+        
+        const panelButton = document.getElementById('morphPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                morphPanel.style.display = morphPanel.style.display === 'block' ? 'none' : 'block';
+            });
+        }
+        
+        const modeSelect = document.getElementById('morphMode');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                if (morphPanelTarget) {
+                    window.MorphControl.setMode(morphPanelTarget, modeSelect.value);
+                }
+            });
+        }
+        
+        const resetButton = document.getElementById('morphResetButton');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                if (morphPanelTarget) {
+                    window.MorphControl.setValues(morphPanelTarget, {});
+                    renderMorphPanel(true);
+                }
+            });
+        }
+        
+        const presetSelect = document.getElementById('morphPresetSelect');
+        const presetName = document.getElementById('morphPresetName');
+        const loadButton = document.getElementById('morphPresetLoadButton');
+        const saveButton = document.getElementById('morphPresetSaveButton');
+        const deleteButton = document.getElementById('morphPresetDeleteButton');
+        
+        if (loadButton && presetSelect) {
+            loadButton.addEventListener('click', () => {
+                const presets = window.MorphControl.loadPresets();
+                if (!morphPanelTarget || !presets[presetSelect.value]) {
+                    return;
+                }
+                window.MorphControl.setValues(morphPanelTarget, presets[presetSelect.value]);
+                renderMorphPanel(true);
+                debugLog(`表情プリセットを呼び出しました: ${presetSelect.value}`);
+            });
+        }
+        if (saveButton && presetName) {
+            saveButton.addEventListener('click', () => {
+                const name = presetName.value.trim();
+                if (!morphPanelTarget || !name) {
+                    return;
+                }
+                if (!window.MorphControl.savePreset(name, window.MorphControl.getValues(morphPanelTarget))) {
+                    showError('表情プリセットを保存できませんでした', 'ブラウザのストレージが利用できません。');
+                    return;
+                }
+                presetName.value = '';
+                renderMorphPresets(name);
+                debugLog(`表情プリセットを保存しました: ${name}`);
+            });
+        }
+        if (deleteButton && presetSelect) {
+            deleteButton.addEventListener('click', () => {
+                if (!presetSelect.value) {
+                    return;
+                }
+                window.MorphControl.deletePreset(presetSelect.value);
+                renderMorphPresets();
+            });
+        }
+        
+        renderMorphPresets();
+        renderMorphPanel(true);
+    }
+
+    // 表情プリセットの選択肢を作り直す
+    function renderMorphPresets(selectedName) {
+        const presetSelect = document.getElementById('morphPresetSelect');
+        if (!presetSelect || !window.MorphControl) {
+            return;
+        }
+        presetSelect.textContent = '';
+        Object.keys(window.MorphControl.loadPresets()).sort().forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            presetSelect.appendChild(option);
+        });
+        if (selectedName) {
+            presetSelect.value = selectedName;
+        }
+    }
+
+    /**
+     * @function renderMorphPanel
+     * @description 操作対象のモデルのモーフを分類ごとにスライダーで表示する
+     * @param {boolean} force - 操作対象が変わっていなくても作り直すか
+     */
+    function renderMorphPanel(force) {
+        const morphList = document.getElementById('morph-list');
+        if (!morphList || !window.MorphControl) {
+            return;
+        }
+        const target = stageModels.includes(mesh) ? mesh : null;
+        if (!force && target === morphPanelTarget) {
+            return;
+        }
+        morphPanelTarget = target;
+        morphList.textContent = '';
+        
+        const groups = target ? window.MorphControl.getMorphGroups(target) : [];
+        if (groups.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'model-empty';
+            empty.textContent = target ? 'このモデルには表情モーフがありません' : 'モデルがありません';
+            morphList.appendChild(empty);
+            return;
+        }
+        
+        const modeSelect = document.getElementById('morphMode');
+        if (modeSelect) {
+            modeSelect.value = window.MorphControl.getMode(target);
+        }
+        
+        const values = window.MorphControl.getValues(target);
+        groups.forEach((group) => {
+            const section = document.createElement('details');
+            section.className = 'morph-group';
+            // 目とリップは最初から開いておく
+            section.open = group.category === window.MorphControl.CATEGORY.EYE ||
+                group.category === window.MorphControl.CATEGORY.LIP;
+            const summary = document.createElement('summary');
+            summary.textContent = `${group.label} (${group.morphs.length})`;
+            section.appendChild(summary);
+            group.morphs.forEach((morph) => {
+                section.appendChild(createMorphRow(target, morph.name, values[morph.name]));
+            });
+            morphList.appendChild(section);
+        });
+    }
+
+    // 表情パネルの1行（モーフ名・スライダー・値・手動の値の解除）を作る
+    function createMorphRow(model, morphName, manualValue) {
+        const row = document.createElement('div');
+        row.className = 'morph-row' + (manualValue !== undefined ? ' active' : '');
+        
+        const name = document.createElement('span');
+        name.className = 'morph-name';
+        name.textContent = morphName;
+        name.title = morphName;
+        row.appendChild(name);
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '1';
+        slider.step = '0.01';
+        slider.value = String(manualValue !== undefined ? manualValue : 0);
+        row.appendChild(slider);
+        
+        const valueText = document.createElement('span');
+        valueText.className = 'morph-value';
+        valueText.textContent = parseFloat(slider.value).toFixed(2);
+        row.appendChild(valueText);
+        
+        // 手動の値を外してVMDの値に戻す
+        const clearButton = document.createElement('button');
+        clearButton.textContent = '×';
+        clearButton.title = '手動の値を解除';
+        clearButton.addEventListener('click', () => {
+            window.MorphControl.setValue(model, morphName, null);
+            slider.value = '0';
+            valueText.textContent = '0.00';
+            row.classList.remove('active');
+        });
+        row.appendChild(clearButton);
+        
+        slider.addEventListener('input', () => {
+            const value = parseFloat(slider.value);
+            window.MorphControl.setValue(model, morphName, value);
+            valueText.textContent = value.toFixed(2);
+            row.classList.add('active');
+        });
+        
+        return row;
+    }
+
+    /**
+     * @function setupPoseControls
+     * @description ポーズ編集パネル（ボーン選択・回転/移動・VPDの読み込みと書き出し）のイベントを設定する
+     */
+    function setupPoseControls() {
+        const poseModeButton = document.getElementById('poseModeButton');
+        if (!poseModeButton) {
+            return;
+        }
+        poseModeButton.addEventListener('click', () => {
+            if (poseModeActive) {
+                exitPoseMode();
+            } else {
+                enterPoseMode();
+            }
+        });
+        
+        const boneSelect = document.getElementById('poseBoneSelect');
+        if (boneSelect) {
+            boneSelect.addEventListener('change', () => {
+                if (poseEditor) {
+                    poseEditor.selectBone(boneSelect.value);
+                }
+            });
+        }
+        
+        [['poseRotateButton', 'rotate'], ['poseTranslateButton', 'translate']].forEach(([id, mode]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => setPoseGizmoMode(mode));
+            }
+        });
+        
+        const resetBoneButton = document.getElementById('poseResetBoneButton');
+        if (resetBoneButton) {
+            resetBoneButton.addEventListener('click', () => poseEditor && poseEditor.resetPose(true));
+        }
+        const resetButton = document.getElementById('poseResetButton');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => poseEditor && poseEditor.resetPose(false));
+        }
+        
+        const exportButton = document.getElementById('poseExportButton');
+        if (exportButton) {
+            exportButton.addEventListener('click', exportPoseVpd);
+        }
+        
+        const importButton = document.getElementById('poseImportButton');
+        const importInput = document.getElementById('poseImportInput');
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files && importInput.files[0];
+                if (file) {
+                    const url = URL.createObjectURL(file);
+                    loadVpdPose(url, file.name).finally(() => URL.revokeObjectURL(url));
+                }
+                importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * @function enterPoseMode
+     * @description 再生を止めて、操作対象のモデルのポーズを編集できるようにする
+     * @returns {boolean} ポーズモードに入れたか
+     */
+    function enterPoseMode() {
+        if (poseModeActive) {
+            return true;
+        }
+        if (!mesh || !stageModels.includes(mesh)) {
+            showError('ポーズを編集するモデルがありません');
+            return false;
+        }
+        if (!window.PoseEditor || typeof THREE.TransformControls !== 'function') {
+            showError('ポーズ編集を利用できません', 'TransformControlsが読み込まれていません。');
+            return false;
+        }
+        if (!poseEditor) {
+            poseEditor = window.PoseEditor.create({
+                scene,
+                camera,
+                domElement: renderer.domElement,
+                orbitControls: controls,
+                onSelect: (bone) => {
+                    const boneSelect = document.getElementById('poseBoneSelect');
+                    if (boneSelect) {
+                        boneSelect.value = bone ? bone.name : '';
+                    }
+                }
+            });
+        }
+        
+        // ポーズはアニメーションに上書きされないよう、再生を止めてから編集する
+        if (motionClock && !motionClock.paused) {
+            motionClock.pause();
+        }
+        // カメラモーションの再生中は自由視点でないとギズモを操作しにくい
+        if (isCinematicCamera()) {
+            setCameraMode('orbit');
+        }
+        
+        poseModeActive = true;
+        poseEditor.attach(mesh);
+        renderPoseBoneList();
+        setPoseGizmoMode('rotate');
+        updatePoseModeDisplay();
+        updateTransportDisplay(true);
+        debugLog(`ポーズ編集を開始しました: ${mesh.userData.modelName}`);
+        return true;
+    }
+
+    /**
+     * @function exitPoseMode
+     * @description ポーズ編集を終える（ポーズは再生を再開するまでそのまま残る）
+     */
+    function exitPoseMode() {
+        if (!poseModeActive) {
+            return;
+        }
+        poseModeActive = false;
+        if (poseEditor) {
+            poseEditor.detach();
+        }
+        updatePoseModeDisplay();
+        debugLog('ポーズ編集を終了しました');
+    }
+
+    // 操作対象のモデルが変わったらポーズ編集の対象も切り替える
+    function syncPoseEditorTarget() {
+        if (!poseModeActive || !poseEditor || poseEditor.mesh === mesh) {
+            return;
+        }
+        if (mesh && stageModels.includes(mesh)) {
+            poseEditor.attach(mesh);
+            renderPoseBoneList();
+        } else {
+            exitPoseMode();
+        }
+    }
+
+    // ポーズパネルの表示とボタンの状態を更新
+    function updatePoseModeDisplay() {
+        const posePanel = document.getElementById('pose-panel');
+        if (posePanel) {
+            posePanel.style.display = poseModeActive ? 'block' : 'none';
+        }
+        const poseModeButton = document.getElementById('poseModeButton');
+        if (poseModeButton) {
+            poseModeButton.textContent = poseModeActive ? 'ポーズ編集を終了' : 'ポーズ';
+        }
+    }
+
+    // ボーンの選択肢を作り直す
+    function renderPoseBoneList() {
+        const boneSelect = document.getElementById('poseBoneSelect');
+        if (!boneSelect || !poseEditor || !poseEditor.mesh) {
+            return;
+        }
+        boneSelect.textContent = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = '（ボーンを選択）';
+        boneSelect.appendChild(noneOption);
+        poseEditor.mesh.skeleton.bones.forEach((bone) => {
+            const option = document.createElement('option');
+            option.value = bone.name;
+            option.textContent = bone.name;
+            boneSelect.appendChild(option);
+        });
+        boneSelect.value = poseEditor.selectedBone ? poseEditor.selectedBone.name : '';
+    }
+
+    // ギズモの回転・移動を切り替える
+    function setPoseGizmoMode(mode) {
+        if (poseEditor) {
+            poseEditor.setMode(mode);
+        }
+        [['poseRotateButton', 'rotate'], ['poseTranslateButton', 'translate']].forEach(([id, buttonMode]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.classList.toggle('active', buttonMode === mode);
+            }
+        });
+    }
+
+    /**
+     * @function loadVpdPose
+     * @description VPDファイルを読み込み、操作対象のモデルに適用してポーズモードにする
+     * @param {string} url - VPDのURL（ドロップ・ファイル選択の場合はBlob URL）
+     * @param {string} [name] - 表示用のファイル名
+     * @returns {Promise<void>} 適用が終わると解決する（失敗時はエラー表示のみ）
+     */
+    function loadVpdPose(url, name) {
+        return new Promise((resolve) => {
+            if (!mesh || !helper || !enterPoseMode()) {
+                resolve();
+                return;
+            }
+            const target = mesh;
+            new THREE.MMDLoader(loadingManager).loadVPD(
+                url,
+                false,
+                (vpd) => {
+                    if (stageModels.includes(target)) {
+                        helper.pose(target, vpd);
+                        debugLog(`ポーズを適用しました: ${name || url} (${vpd.bones.length}ボーン)`);
+                        updateStatus('ポーズを読み込みました');
+                    }
+                    resolve();
+                },
+                undefined,
+                (error) => {
+                    showError(`ポーズファイルを読み込めません: ${name || url}`, error && error.message ? error.message : String(error));
+                    resolve();
+                }
+            );
+        });
+    }
+
+    /**
+     * @function exportPoseVpd
+     * @description 操作対象のモデルの現在のポーズをVPDファイルとして保存する
+     */
+    function exportPoseVpd() {
+        if (!mesh || !window.PoseEditor || !window.ShiftJis) {
+            return;
+        }
+        try {
+            const modelName = mesh.userData.modelName || 'model';
+            const blob = window.PoseEditor.createVpdBlob(mesh, modelName);
+            downloadBlob(blob, `${modelName.replace(/\.[^.]*$/, '').replace(/[\\/:*?"<>|]+/g, '_')}_pose.vpd`);
+            debugLog(`ポーズを書き出しました (${window.PoseEditor.getPoseBones(mesh).length}ボーン)`);
+        } catch (error) {
+            showError(`ポーズを書き出せませんでした: ${error.message}`);
+        }
+    }
+
+    /**
+     * @function getMotionBlendSettings
+     * @description モデルのモーション合成の設定（部位のマスク・強さ・下のレイヤー）を返す（なければ作る）
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @returns {Object} { mask, weight, base: { entry, vmd, clip, frameCount } | null, pendingBaseId }
+     */
+    function getMotionBlendSettings(model) {
+        if (!model.userData.motionBlend) {
+            model.userData.motionBlend = { mask: 'all', weight: 1, base: null, pendingBaseId: null };
+        }
+        return model.userData.motionBlend;
+    }
+
+    /**
+     * @function buildModelLayerClips
+     * @description モデルの合成設定に従って、モーションを再生するクリップと重みを作る
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @param {THREE.AnimationClip} motion - メインのモーション
+     * @param {number} [minDuration=0] - ループするレイヤーで覆う最短の長さ（秒）
+     * @returns {Array<Object>} [{ clip, weight }]
+     */
+    function buildModelLayerClips(model, motion, minDuration) {
+        const settings = model.userData.motionBlend;
+        if (!window.MotionBlend || !settings) {
+            return [{ clip: motion, weight: 1 }];
+        }
+        const layers = [];
+        if (settings.base) {
+            layers.push({ clip: getBaseLayerClip(model, motion, minDuration), mask: window.MotionBlend.MASK.ALL, weight: 1, loop: true });
+        }
+        layers.push({ clip: motion, mask: settings.mask, weight: settings.weight, loop: false });
+        const layerClips = window.MotionBlend.buildLayerClips(model, layers);
+        // 強さ0でも時間を進めるため、空にはしない
+        return layerClips.length > 0 ? layerClips : [{ clip: motion, weight: 0 }];
+    }
+
+    // 下のレイヤーを、メインのモーション（と音楽・余韻）を覆う長さまで繰り返したクリップ
+    function getBaseLayerClip(model, motion, minDuration) {
+        const base = model.userData.motionBlend.base;
+        const afterglow = helper && helper.configuration ? helper.configuration.afterglow : 0;
+        const audioEnd = motionAudio && motionAudio.buffer ? motionAudio.buffer.duration + audioDelay : 0;
+        const duration = Math.max(motion.duration, minDuration || 0, audioEnd) + afterglow;
+        const frameCount = Math.ceil(duration * window.PlaybackSync.FPS);
+        if (!base.clip || base.frameCount < frameCount) {
+            const vmd = window.MotionBlend.repeatVmd(base.vmd, frameCount);
+            base.clip = window.StageLoader.buildClip(vmd, model);
+            base.frameCount = frameCount;
+        }
+        return base.clip;
+    }
+
+    /**
+     * @function refreshMotionLayers
+     * @description 合成設定を変えたモデルのモーションを、再生位置を保ったまま組み直す
+     * @param {THREE.SkinnedMesh} model - モデル
+     */
+    function refreshMotionLayers(model) {
+        const motion = model.userData.currentMotion;
+        if (!motion || !helper || !window.MotionBlend) {
+            return;
+        }
+        const layerClips = buildModelLayerClips(model, motion);
+        if (!window.MotionBlend.crossFade(helper, model, layerClips, { duration: crossfadeDuration, time: getMotionTime() })) {
+            return;
+        }
+        // 一時停止中は進めないので、新しい重みの姿勢をすぐ表示する
+        if (motionClock && motionClock.paused) {
+            window.MotionBlend.update(helper, crossfadeDuration);
+            motionClock.seek(getMotionTime());
+        }
+    }
+
+    /**
+     * @function loadMotionData
+     * @description モーションエントリのVMDを読み込む（アニメーションは作らない）
+     * @param {Object} entry - モーションライブラリのエントリ
+     * @returns {Promise<Object>} MMDParserのVMDデータ
+     */
+    function loadMotionData(entry) {
+        return window.StageLoader.loadVmd(resolveMotionPath(entry), { manager: loadingManager });
+    }
+
+    /**
+     * @function setBaseLayer
+     * @description 操作対象のモデルのモーションの下に、ループで重ねるモーション（待機の呼吸など）を設定する
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @param {string} motionId - モーションID（空なら外す）
+     */
+    function setBaseLayer(model, motionId) {
+        const settings = getMotionBlendSettings(model);
+        const entry = motionId ? findMotionEntry(motionId) : null;
+        settings.pendingBaseId = entry ? entry.id : null;
+        if (!entry) {
+            settings.base = null;
+            refreshMotionLayers(model);
+            return;
+        }
+        loadMotionData(entry)
+            .then((vmd) => {
+                // 読み込み中に別のものが選ばれていれば使わない
+                if (!stageModels.includes(model) || settings.pendingBaseId !== entry.id) {
+                    return;
+                }
+                settings.base = { entry, vmd, clip: null, frameCount: 0 };
+                refreshMotionLayers(model);
+                debugLog(`下のレイヤーを設定しました: ${model.userData.modelName} ← ${entry.title || entry.id}`);
+            })
+            .catch((error) => {
+                showError(`下のレイヤーのモーションを読み込めませんでした: ${error && error.message ? error.message : error}`);
+                syncBlendControls();
+            });
+    }
+
+    /**
+     * @function setupBlendControls
+     * @description クロスフェードの長さと、操作対象のモデルのモーション合成（部位・強さ・下のレイヤー）の操作を設定する
+     */
+    function setupBlendControls() {
+        const durationInput = document.getElementById('crossfade-duration');
+        const maskSelect = document.getElementById('motion-mask');
+        const weightSlider = document.getElementById('motion-weight');
+        const baseSelect = document.getElementById('base-layer-select');
+        
+        if (durationInput) {
+            durationInput.value = crossfadeDuration.toFixed(2);
+            durationInput.addEventListener('change', () => {
+                const value = parseFloat(durationInput.value);
+                crossfadeDuration = Number.isFinite(value) ? Math.min(Math.max(value, 0), 5) : 0;
+                durationInput.value = crossfadeDuration.toFixed(2);
+            });
+        }
+        if (maskSelect) {
+            maskSelect.addEventListener('change', () => {
+                if (!mesh) {
+                    return;
+                }
+                getMotionBlendSettings(mesh).mask = maskSelect.value;
+                if (maskSelect.value === 'upper' && !mesh.skeleton.bones.some((bone) => bone.name === '上半身')) {
+                    showError('このモデルには「上半身」ボーンがないため、部位を分けられません');
+                }
+                refreshMotionLayers(mesh);
+            });
+        }
+        if (weightSlider) {
+            // ドラッグ中は表示だけ変え、離した時に組み直す
+            weightSlider.addEventListener('input', () => {
+                const weightValue = document.getElementById('motion-weight-value');
+                if (weightValue) {
+                    weightValue.textContent = parseFloat(weightSlider.value).toFixed(2);
+                }
+            });
+            weightSlider.addEventListener('change', () => {
+                if (!mesh) {
+                    return;
+                }
+                getMotionBlendSettings(mesh).weight = parseFloat(weightSlider.value) || 0;
+                refreshMotionLayers(mesh);
+            });
+        }
+        if (baseSelect) {
+            baseSelect.addEventListener('change', () => {
+                if (mesh) {
+                    setBaseLayer(mesh, baseSelect.value);
+                }
+            });
+        }
+        renderBaseLayerOptions();
+    }
+
+    // 下のレイヤーの選択肢（モーションライブラリ）を作り直す
+    function renderBaseLayerOptions() {
+        const baseSelect = document.getElementById('base-layer-select');
+        if (!baseSelect) {
+            return;
+        }
+        baseSelect.textContent = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'なし';
+        baseSelect.appendChild(noneOption);
+        motionLibrary.forEach((entry) => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.title || entry.id;
+            baseSelect.appendChild(option);
+        });
+        syncBlendControls();
+    }
+
+    // 合成の操作を操作対象のモデルの設定に合わせる
+    function syncBlendControls() {
+        const settings = mesh && mesh.userData.motionBlend ? mesh.userData.motionBlend : { mask: 'all', weight: 1, base: null };
+        const maskSelect = document.getElementById('motion-mask');
+        const weightSlider = document.getElementById('motion-weight');
+        const weightValue = document.getElementById('motion-weight-value');
+        const baseSelect = document.getElementById('base-layer-select');
+        if (maskSelect) {
+            maskSelect.value = settings.mask;
+        }
+        if (weightSlider) {
+            weightSlider.value = String(settings.weight);
+        }
+        if (weightValue) {
+            weightValue.textContent = settings.weight.toFixed(2);
+        }
+        if (baseSelect) {
+            const baseId = settings.base ? settings.base.entry.id : '';
+            baseSelect.value = Array.from(baseSelect.options).some((option) => option.value === baseId) ? baseId : '';
+        }
+    }
+
+    /**
+     * @function setupKeyframeEditor
+     * @description キーフレーム編集パネル（ドープシート・補間曲線・VMD保存）を設定する
+     */
+    function setupKeyframeEditor() {
+        const keyframePanel = document.getElementById('keyframe-panel');
+        if (!keyframePanel || !window.KeyframeEditor || !window.VmdWriter) {
+            return;
+        }
+        
+        dopeSheet = window.KeyframeEditor.createDopeSheet({
+            rulerCanvas: document.getElementById('keyframeRuler'),
+            canvas: document.getElementById('keyframeCanvas'),
+            scrollContainer: document.getElementById('keyframe-scroll'),
+            onSeek: (frame) => {
+                if (motionClock && !motionClock.paused) {
+                    motionClock.pause();
+                }
+                seekToFrame(frame);
+            },
+            onSelect: updateKeyframeSelection,
+            onMoveKey: (track, fromFrame, toFrame) => {
+                if (window.KeyframeEditor.moveKey(keyframeDoc, track.type, track.name, fromFrame, toFrame)) {
+                    applyKeyframeEdits();
+                }
+            }
+        });
+        curveEditor = window.KeyframeEditor.createCurveEditor({
+            canvas: document.getElementById('keyCurveCanvas'),
+            onChange: (values) => {
+                const key = getSelectedKey();
+                const channelSelect = document.getElementById('keyCurveChannel');
+                if (!key || !key.interpolation || !channelSelect) {
+                    return;
+                }
+                key.interpolation = window.VmdWriter.setInterpolation(key.interpolation, channelSelect.value, values);
+                applyKeyframeEdits();
+            }
+        });
+        
+        const panelButton = document.getElementById('keyframePanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                if (keyframePanel.style.display === 'block') {
+                    closeKeyframeEditor();
+                } else {
+                    openKeyframeEditor();
+                }
+            });
+        }
+        
+        const bindings = [
+            ['keyInsertButton', () => insertKeyframe()],
+            ['keyDeleteButton', deleteSelectedKeyframe],
+            ['keyTrackAddButton', addKeyframeTrack],
+            ['keyframeSaveButton', saveEditedVmd]
+        ];
+        bindings.forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+        
+        const channelSelect = document.getElementById('keyCurveChannel');
+        if (channelSelect) {
+            channelSelect.addEventListener('change', () => updateKeyframeSelection(dopeSheet.selection));
+        }
+        
+        window.addEventListener('resize', () => {
+            if (keyframePanel.style.display === 'block') {
+                dopeSheet.resize();
+            }
+        });
+    }
+
+    /**
+     * @function openKeyframeEditor
+     * @description 操作対象のモデルのモーションをキーフレーム編集パネルで開く（モーションがなければ空から作る）
+     */
+    function openKeyframeEditor() {
+        const keyframePanel = document.getElementById('keyframe-panel');
+        if (!keyframePanel || !dopeSheet) {
+            return;
+        }
+        if (!mesh || !stageModels.includes(mesh)) {
+            showError('キーフレームを編集するモデルがありません');
+            return;
+        }
+        keyframePanel.style.display = 'block';
+        
+        const clip = mesh.userData.currentMotion || null;
+        keyframeTarget = mesh;
+        keyframeClip = clip;
+        keyframeDoc = window.KeyframeEditor.createDocument(clip ? motionSources.get(clip) : null, mesh.userData.modelName);
+        if (clip && !motionSources.has(clip)) {
+            debugLog('このモーションは元のキーが分からないため、空のモーションとして編集します');
+        }
+        
+        const targetLabel = document.getElementById('keyframe-target');
+        if (targetLabel) {
+            const entry = mesh.userData.currentMotionEntry;
+            targetLabel.textContent = `${mesh.userData.modelName}${entry ? ` / ${entry.title || entry.id}` : ''}`;
+        }
+        renderKeyframeTrackOptions();
+        dopeSheet.setDocument(keyframeDoc);
+        dopeSheet.setCurrentFrame(getCurrentFrame());
+        updateKeyframeSelection(dopeSheet.selection);
+    }
+
+    // キーフレーム編集パネルを閉じる（編集したアニメーションは再生に残る）
+    function closeKeyframeEditor() {
+        const keyframePanel = document.getElementById('keyframe-panel');
+        if (keyframePanel) {
+            keyframePanel.style.display = 'none';
+        }
+        keyframeDoc = null;
+        keyframeTarget = null;
+        keyframeClip = null;
+    }
+
+    // 操作対象のモデルやそのモーションが変わったら開き直す
+    function syncKeyframeEditor() {
+        if (!keyframeDoc) {
+            return;
+        }
+        if (!mesh || !stageModels.includes(mesh)) {
+            closeKeyframeEditor();
+        } else if (keyframeTarget !== mesh || (mesh.userData.currentMotion || null) !== keyframeClip) {
+            openKeyframeEditor();
+        }
+    }
+
+    // 現在の再生位置（フレーム）
+    function getCurrentFrame() {
+        return Math.round(getMotionTime() * window.PlaybackSync.FPS);
+    }
+
+    // 選択中のキー
+    function getSelectedKey() {
+        const selection = dopeSheet ? dopeSheet.selection : null;
+        if (!keyframeDoc || !selection || selection.frame === null) {
+            return null;
+        }
+        return window.KeyframeEditor.findKey(keyframeDoc, selection.type, selection.name, selection.frame);
+    }
+
+    // 選択中のキーの情報と補間曲線を表示する
+    function updateKeyframeSelection(selection) {
+        const info = document.getElementById('keyframe-info');
+        const channelSelect = document.getElementById('keyCurveChannel');
+        const key = getSelectedKey();
+        if (info) {
+            if (!selection) {
+                info.textContent = 'トラックまたはキーを選択してください';
+            } else if (!key) {
+                info.textContent = `${selection.name}（キー未選択）`;
+            } else if (selection.type === window.KeyframeEditor.TRACK_TYPE.MORPH) {
+                info.textContent = `${selection.name} フレーム${key.frameNum}: ${key.weight.toFixed(3)}`;
+            } else {
+                info.textContent = `${selection.name} フレーム${key.frameNum}（このキーまでの補間）`;
+            }
+        }
+        // 補間曲線はボーンのキーのみ（モーフは直線補間）
+        const boneKey = key && key.interpolation ? key : null;
+        if (channelSelect) {
+            channelSelect.disabled = !boneKey;
+        }
+        curveEditor.setValues(boneKey && channelSelect
+            ? window.VmdWriter.getInterpolation(boneKey.interpolation, channelSelect.value)
+            : null);
+    }
+
+    // トラック追加の選択肢（モデルの全ボーンと表情モーフ）
+    function renderKeyframeTrackOptions() {
+        const trackSelect = document.getElementById('keyTrackSelect');
+        if (!trackSelect || !keyframeTarget) {
+            return;
+        }
+        trackSelect.textContent = '';
+        const groups = [
+            ['ボーン', window.KeyframeEditor.TRACK_TYPE.BONE, keyframeTarget.skeleton.bones.map((bone) => bone.name)],
+            ['表情', window.KeyframeEditor.TRACK_TYPE.MORPH, Object.keys(keyframeTarget.morphTargetDictionary || {})]
+        ];
+        groups.forEach(([label, type, names]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach((name) => {
+                const option = document.createElement('option');
+                option.value = `${type}:${name}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            trackSelect.appendChild(group);
+        });
+    }
+
+    /**
+     * @function insertKeyframe
+     * @description 選択中のトラック（ポーズ編集中で未選択ならそのボーン）に、現在の姿勢・表情でキーを打つ
+     * @param {Object} [track] - { type, name }（省略時は選択中のトラック）
+     */
+    function insertKeyframe(track) {
+        if (!keyframeDoc) {
+            return;
+        }
+        let target = track && track.type ? track : (dopeSheet.selection || null);
+        if (!target && poseModeActive && poseEditor && poseEditor.selectedBone) {
+            target = { type: window.KeyframeEditor.TRACK_TYPE.BONE, name: poseEditor.selectedBone.name };
+        }
+        if (!target) {
+            showError('キーを打つトラックを選択してください', 'ドープシートのトラック、またはポーズ編集のボーンを選択してください。');
+            return;
+        }
+        
+        const frame = getCurrentFrame();
+        let value;
+        if (target.type === window.KeyframeEditor.TRACK_TYPE.MORPH) {
+            const index = keyframeTarget.morphTargetDictionary ? keyframeTarget.morphTargetDictionary[target.name] : undefined;
+            if (index === undefined) {
+                return;
+            }
+            value = { weight: keyframeTarget.morphTargetInfluences[index] };
+        } else {
+            value = window.KeyframeEditor.getBoneKeyValue(keyframeTarget, target.name);
+            if (!value) {
+                return;
+            }
+        }
+        window.KeyframeEditor.setKey(keyframeDoc, target.type, target.name, frame, value);
+        applyKeyframeEdits();
+        dopeSheet.setSelection({ type: target.type, name: target.name, frame });
+        debugLog(`キーを打ちました: ${target.name} フレーム${frame}`);
+    }
+
+    // 選択中のキーを削除する
+    function deleteSelectedKeyframe() {
+        const selection = dopeSheet ? dopeSheet.selection : null;
+        if (!keyframeDoc || !selection || selection.frame === null) {
+            return;
+        }
+        if (window.KeyframeEditor.deleteKey(keyframeDoc, selection.type, selection.name, selection.frame)) {
+            dopeSheet.setSelection({ type: selection.type, name: selection.name, frame: null });
+            applyKeyframeEdits();
+        }
+    }
+
+    // 選んだボーン・モーフのトラックを作り、現在のフレームにキーを打つ
+    function addKeyframeTrack() {
+        const trackSelect = document.getElementById('keyTrackSelect');
+        if (!trackSelect || !trackSelect.value) {
+            return;
+        }
+        const separator = trackSelect.value.indexOf(':');
+        insertKeyframe({ type: trackSelect.value.slice(0, separator), name: trackSelect.value.slice(separator + 1) });
+    }
+
+    /**
+     * @function applyKeyframeEdits
+     * @description 編集したキーからアニメーションを作り直し、再生位置を保ったまま差し替える
+     */
+    function applyKeyframeEdits() {
+        if (!keyframeDoc || !keyframeTarget || !stageModels.includes(keyframeTarget) || !helper) {
+            return;
+        }
+        dopeSheet.setDocument(keyframeDoc);
+        updateKeyframeSelection(dopeSheet.selection);
+        if (keyframeDoc.motions.length === 0 && keyframeDoc.morphs.length === 0) {
+            return;
+        }
+        
+        const time = getMotionTime();
+        const clip = window.KeyframeEditor.buildClip(keyframeDoc, keyframeTarget);
+        motionSources.set(clip, keyframeDoc);
+        keyframeClip = clip;
+        
+        keyframeTarget.userData.currentMotion = clip;
+        keyframeTarget.userData.isTestMode = false;
+        replaceHelperMotion(keyframeTarget, clip, time);
+        
+        // 編集中は止めておき、同じ位置の姿勢を表示する
+        if (motionClock) {
+            if (!motionClock.paused) {
+                motionClock.pause();
+            }
+            motionClock.seek(time);
+        }
+        // シークで上書きされたポーズ編集のIKを解き直す
+        if (poseModeActive && poseEditor) {
+            poseEditor.refresh();
+        }
+        updateTransportDisplay(true);
+    }
+
+    /**
+     * @function replaceHelperMotion
+     * @description ヘルパーに登録済みのモデルのミキサーで、クリップだけを差し替える
+     *              登録し直すと剛体を作り直してウォームアップからやり直すため、キーの編集のたびに揺れ物が止まってしまう
+     * @param {THREE.SkinnedMesh} model - モデル
+     * @param {THREE.AnimationClip} motion - 新しいモーション
+     * @param {number} time - 再生位置（秒）
+     */
+    function replaceHelperMotion(model, motion, time) {
+        const objects = helper.objects ? helper.objects.get(model) : null;
+        if (!objects || !objects.mixer) {
+            addToHelper(model, motion);
+            return;
+        }
+        const layerClips = buildModelLayerClips(model, motion);
+        if (window.MotionBlend) {
+            window.MotionBlend.crossFade(helper, model, layerClips, { duration: 0, time });
+            return;
+        }
+        const mixer = objects.mixer;
+        mixer._actions.slice().forEach((action) => {
+            action.stop();
+            mixer.uncacheAction(action.getClip());
+        });
+        layerClips.forEach(({ clip, weight }) => {
+            const action = mixer.clipAction(clip);
+            action.setEffectiveWeight(weight);
+            action.play();
+        });
+        // ヘルパーが揃えているクリップの長さを、新しいクリップで求め直す
+        if (helper.configuration && helper.configuration.sync && typeof helper._syncDuration === 'function') {
+            helper._syncDuration();
+        }
+    }
+
+    /**
+     * @function saveEditedVmd
+     * @description 編集中のモーションをVMDファイルとして保存する
+     */
+    function saveEditedVmd() {
+        if (!keyframeDoc || !window.ShiftJis) {
+            return;
+        }
+        try {
+            const buffer = window.VmdWriter.write(keyframeDoc);
+            const entry = keyframeTarget ? keyframeTarget.userData.currentMotionEntry : null;
+            const baseName = (entry ? entry.id : 'motion').replace(/[\\/:*?"<>|]+/g, '_');
+            downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), `${baseName}_edited.vmd`);
+            debugLog(`VMDを書き出しました (ボーン: ${keyframeDoc.motions.length}キー, 表情: ${keyframeDoc.morphs.length}キー)`);
+        } catch (error) {
+            showError(`VMDを書き出せませんでした: ${error.message}`);
+        }
+    }
+
+    // 全モデルの手動の表情をモーフに反映する（アニメーションの更新後、描画の前に呼ぶ）
+    // リップシンクの口の動きはVMDの表情と同じ扱いで、手動の表情はその上に重ねる
+    function applyMorphControls() {
+        applyLipSync();
+        if (!window.MorphControl) {
+            return;
+        }
+        stageModels.forEach((model) => window.MorphControl.apply(model));
+    }
+
+    /**
+     * @function setupLipSyncControls
+     * @description リップシンクの有効・無効と強さの操作を設定する
+     */
+    function setupLipSyncControls() {
+        const enabledCheckbox = document.getElementById('lip-sync-enabled');
+        const strengthSlider = document.getElementById('lip-sync-strength');
+        const strengthValue = document.getElementById('lip-sync-strength-value');
+        
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = lipSyncEnabled;
+            enabledCheckbox.addEventListener('change', () => {
+                lipSyncEnabled = enabledCheckbox.checked;
+                debugLog(`リップシンク: ${lipSyncEnabled ? '有効' : '無効'}`);
+            });
+        }
+        if (strengthSlider) {
+            strengthSlider.value = String(lipSyncStrength);
+            strengthSlider.addEventListener('input', () => {
+                lipSyncStrength = parseFloat(strengthSlider.value) || 0;
+                if (strengthValue) {
+                    strengthValue.textContent = lipSyncStrength.toFixed(2);
+                }
+            });
+        }
+    }
+
+    /**
+     * @function applyLipSync
+     * @description 口のモーフのトラックがないモーションで踊っているモデルの口を、音楽に合わせて動かす
+     */
+    function applyLipSync() {
+        if (!window.LipSync) {
+            return;
+        }
+        // 音声の再生位置（音声の遅延の分だけモーションより遅れる）
+        const audioTime = getMotionTime() - audioDelay;
+        stageModels.forEach((model) => {
+            const motion = model.userData.currentMotion;
+            if (lipSyncEnabled && lipSyncTrack && motion && !window.LipSync.hasMouthTrack(motion, model)) {
+                window.LipSync.apply(model, lipSyncTrack, audioTime, lipSyncStrength);
+            } else {
+                window.LipSync.clear(model);
+            }
+        });
+    }
+
+    /**
+     * @function setupDropLoading
+     * @description キャンバスへのPMX/PMD・VMD・テクスチャ・フォルダ・zipのドロップを受け付ける
+     */
+    function setupDropLoading() {
+        if (!window.DropLoader) {
+            debugLog('DropLoaderが見つかりません。ドラッグ＆ドロップ読み込みは無効です');
+            return;
+        }
+        
+        const dropOverlay = document.getElementById('drop-overlay');
+        let dragDepth = 0;
+        
+        const hasFiles = (event) => event.dataTransfer &&
+            Array.from(event.dataTransfer.types || []).includes('Files');
+        
+        window.addEventListener('dragenter', (event) => {
+            if (!hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            dragDepth++;
+            if (dropOverlay) {
+                dropOverlay.style.display = 'flex';
+            }
+        });
+        
+        window.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        
+        window.addEventListener('dragleave', (event) => {
+            if (!hasFiles(event)) {
+                return;
+            }
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && dropOverlay) {
+                dropOverlay.style.display = 'none';
+            }
+        });
+        
+        window.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) {
+                return;
+            }
+            // ブラウザがファイルを開いてページ遷移しないようにする
+            event.preventDefault();
+            dragDepth = 0;
+            if (dropOverlay) {
+                dropOverlay.style.display = 'none';
+            }
+            const addToStageCheckbox = document.getElementById('add-to-stage');
+            handleDroppedFiles(event.dataTransfer, Boolean(addToStageCheckbox && addToStageCheckbox.checked));
+        });
+    }
+
+    /**
+     * @function handleDroppedFiles
+     * @description ドロップされたファイルからモデルとモーションを読み込む
+     * @param {DataTransfer|{files: FileList}} dataTransfer - dropイベントのdataTransfer（ファイル選択の場合はfilesのみ）
+     * @param {boolean} [addToStage=false] - モデルを置き換えずにステージに追加するか
+     */
+    function handleDroppedFiles(dataTransfer, addToStage) {
+        const loadingElem = document.getElementById('loading');
+        if (loadingElem) {
+            loadingElem.style.display = 'flex';
+        }
+        updateLoadingText('ドロップされたファイルを展開中...');
+        
+        let fileSet = null;
+        window.DropLoader.collectDroppedFiles(dataTransfer)
+            .then((files) => {
+                fileSet = window.DropLoader.createFileSet(files);
+                // VMDはヘッダーからモデル用モーション・カメラモーション・照明モーションに振り分ける
+                return Promise.all(fileSet.motions.map((entry) => Promise.all([
+                    window.DropLoader.isCameraMotion(entry.file),
+                    window.DropLoader.isLightMotion(entry.file)
+                ])));
+            })
+            .then((kinds) => {
+                const motionFiles = fileSet.motions.filter((entry, index) => !kinds[index][0] && !kinds[index][1]);
+                const cameraFiles = fileSet.motions.filter((entry, index) => kinds[index][0]);
+                const lightFiles = fileSet.motions.filter((entry, index) => kinds[index][1]);
+                debugLog(`ドロップされたファイル: ${fileSet.entries.length}件 (モデル: ${fileSet.models.length}, モーション: ${motionFiles.length}, カメラ: ${cameraFiles.length}, 照明: ${lightFiles.length}, 音楽: ${fileSet.audio.length}, ステージ: ${fileSet.stages.length}, 背景: ${fileSet.backgrounds.length})`);
+                
+                // glTFのステージやHDRの背景だけならステージとして読み込む（PMX/PMDのステージはステージの読み込みボタンから）
+                if ((fileSet.stages.length > 0 || fileSet.backgrounds.length > 0) &&
+                    fileSet.models.length === 0 && fileSet.motions.length === 0 && fileSet.audio.length === 0) {
+                    if (loadingElem) {
+                        loadingElem.style.display = 'none';
+                    }
+                    addLocalStage(fileSet);
+                    return;
+                }
+                
+                if (fileSet.models.length === 0 && fileSet.motions.length === 0 && fileSet.audio.length === 0) {
+                    // VPDだけなら操作対象のモデルにポーズとして適用する
+                    if (fileSet.poses.length > 0 && modelLoaded && mesh) {
+                        if (loadingElem) {
+                            loadingElem.style.display = 'none';
+                        }
+                        const pose = fileSet.poses[0];
+                        loadVpdPose(pose.url, pose.name).finally(() => fileSet.dispose());
+                        return;
+                    }
+                    fileSet.dispose();
+                    throw new Error('PMX/PMDモデル、VMDモーション、VPDポーズ、または音楽ファイルが含まれていません');
+                }
+                
+                // モーションはライブラリに追加して選択状態にする
+                // （モデルも一緒にドロップされた場合はonModelLoaded()で自動的に読み込まれる）
+                const motionEntries = motionFiles.map(addLocalMotionEntry);
+                
+                // 音楽・カメラ・照明はモーションと一緒ならそのモーションに、単独なら再生中（選択中）のモーションに紐付ける
+                if (fileSet.audio.length > 0 || cameraFiles.length > 0 || lightFiles.length > 0) {
+                    const motionSelect = document.getElementById('motionSelect');
+                    const trackTarget = motionEntries[0] ||
+                        (mesh && mesh.userData && mesh.userData.currentMotionEntry) ||
+                        getSelectedMotionEntry(motionSelect ? motionSelect.value : 'idle');
+                    if (trackTarget) {
+                        if (fileSet.audio.length > 0) {
+                            attachLocalTrack(trackTarget, 'audio', fileSet.audio[0]);
+                        }
+                        if (cameraFiles.length > 0) {
+                            attachLocalTrack(trackTarget, 'camera', cameraFiles[0]);
+                        }
+                        if (lightFiles.length > 0) {
+                            attachLocalTrack(trackTarget, 'light', lightFiles[0]);
+                        }
+                    }
+                    
+                    if (motionEntries.length === 0 && fileSet.models.length === 0) {
+                        fileSet.dispose();
+                        if (!trackTarget || !modelLoaded || !mesh || !mesh.userData.currentMotion) {
+                            if (loadingElem) {
+                                loadingElem.style.display = 'none';
+                            }
+                            updateStatus('音楽・カメラ・照明を設定しました。ダンスを開始すると一緒に再生されます');
+                            return;
+                        }
+                        // 再生中のモーションを音楽・カメラ・照明付きで最初からやり直す
+                        loadVmdMotion(resolveMotionPath(trackTarget), trackTarget);
+                        return;
+                    }
+                }
+                
+                if (motionEntries.length > 0) {
+                    const motionSelect = document.getElementById('motionSelect');
+                    if (motionSelect) {
+                        motionSelect.value = motionEntries[0].id;
+                    }
+                    showMotionInfo(motionEntries[0]);
+                }
+                
+                if (fileSet.models.length > 0) {
+                    loadDroppedModel(fileSet, addToStage);
+                    return;
+                }
+                
+                fileSet.dispose();
+                if (!modelLoaded || !mesh) {
+                    throw new Error('モーションを適用するモデルがありません。モデルと一緒にドロップしてください');
+                }
+                loadVmdMotion(resolveMotionPath(motionEntries[0]), motionEntries[0]);
+            })
+            .catch((error) => {
+                showError(`ドロップされたファイルを読み込めません: ${error.message}`);
+                if (loadingElem) {
+                    loadingElem.style.display = 'none';
+                }
+            });
+    }
+
+    /**
+     * @function loadDroppedModel
+     * @description ドロップされたモデルを、テクスチャをBlob URLに解決するローディングマネージャーで読み込む
+     * @param {Object} fileSet - DropLoader.createFileSetの結果
+     * @param {boolean} [addToStage=false] - 選択中のモデルを置き換えずにステージに追加するか
+     */
+    function loadDroppedModel(fileSet, addToStage) {
+        // PMXを優先し、複数ある場合は最初のものを使う
+        const models = fileSet.models.slice().sort((a, b) =>
+            (a.extension === 'pmx' ? 0 : 1) - (b.extension === 'pmx' ? 0 : 1));
+        const model = models[0];
+        if (models.length > 1) {
+            debugLog(`複数のモデルがドロップされました。${model.path}を読み込みます`);
+        }
+        
+        const manager = createLoadingManager();
+        if (typeof manager.setURLModifier === 'function') {
+            manager.setURLModifier(fileSet.createURLModifier());
+        }
+        
+        // Blob URLはモデルをステージから取り除く時に解放する（読み込めなかった場合はloadModelが解放する）
+        updateLoadingText(`モデルを読み込み中: ${model.name}`);
+        loadModel(model.virtualPath, manager, {
+            addToStage: Boolean(addToStage),
+            name: model.name,
+            dropFiles: fileSet
+        });
+    }
+
+    /**
+     * @function addLocalMotionEntry
+     * @description ドロップされたVMDをモーションライブラリに追加する
+     * @param {Object} fileEntry - DropLoaderのファイルエントリ
+     * @returns {Object} 追加したモーションエントリ
+     */
+    function addLocalMotionEntry(fileEntry) {
+        const id = `local:${fileEntry.path}`;
+        const existing = findMotionEntry(id);
+        if (existing) {
+            URL.revokeObjectURL(existing.file);
+            Object.keys(existing.localUrls || {}).forEach((kind) => URL.revokeObjectURL(existing.localUrls[kind]));
+            motionLibrary.splice(motionLibrary.indexOf(existing), 1);
+        }
+        
+        // ファイルセットとは別にBlob URLを作り、モデル差し替え後も再生できるようにする
+        const entry = {
+            id,
+            title: `${fileEntry.name.replace(/\.vmd$/i, '')} (ローカル)`,
+            file: URL.createObjectURL(fileEntry.file),
+            duration: null,
+            credits: null,
+            local: true
+        };
+        motionLibrary.push(entry);
+        populateMotionSelect();
+        return entry;
+    }
+
+    /**
+     * @function attachLocalTrack
+     * @description ドロップされた音楽・カメラ・照明モーションをモーションエントリに紐付ける
+     * @param {Object} motionEntry - モーションエントリ
+     * @param {string} kind - 'audio'、'camera' または 'light'
+     * @param {Object} fileEntry - DropLoaderのファイルエントリ
+     */
+    function attachLocalTrack(motionEntry, kind, fileEntry) {
+        motionEntry.localUrls = motionEntry.localUrls || {};
+        if (motionEntry.localUrls[kind]) {
+            URL.revokeObjectURL(motionEntry.localUrls[kind]);
+        }
+        // モーションと同じく、ファイルセットとは別のBlob URLで保持する
+        motionEntry[kind] = URL.createObjectURL(fileEntry.file);
+        motionEntry[kind + 'Name'] = fileEntry.name;
+        motionEntry.localUrls[kind] = motionEntry[kind];
+        const kindLabel = { audio: '音楽', camera: 'カメラモーション', light: '照明モーション' }[kind];
+        debugLog(`${kindLabel} ${fileEntry.name} を「${motionEntry.title || motionEntry.id}」に設定しました`);
+    }
+
+    // このフレームでヘルパーに渡すデルタ時間（音声があれば音声の位置に同期）
+    function getFrameDelta() {
+        const delta = clock && typeof clock.getDelta === 'function' ? clock.getDelta() : 0.016;
+        return motionClock ? motionClock.update(delta) : delta;
+    }
+
+    // ヘルパーを1フレーム進める
+    // 一時停止中はupdate(0)でもAudioManagerが音声を再生し直してしまうため、呼び出さない
+    function updateHelper() {
+        const delta = getFrameDelta();
+        if ((motionClock && motionClock.paused) || poseModeActive) {
+            return;
+        }
+        if (window.MotionBlend) {
+            window.MotionBlend.update(helper, delta);
+        }
+        helper.update(delta);
+        // 共有の物理ワールドは全モデルのアニメーション後に一度だけ進める
+        if (window.StagePhysics && helper.objects) {
+            window.StagePhysics.step(helper, delta);
+        }
+        if (window.SpringBones && helper.objects) {
+            window.SpringBones.step(helper, delta);
+        }
+        if (window.PhysicsWorker && helper.objects) {
+            window.PhysicsWorker.step(helper, delta);
+        }
+    }
+
+    /**
+     * @function setupPhysicsPanel
+     * @description 物理演算パネル（重力・ステップ・ウォームアップ、剛体の表示、剛体・ジョイントの調整）を設定する
+     */
+    function setupPhysicsPanel() {
+        const physicsPanel = document.getElementById('physics-panel');
+        if (!physicsPanel || !window.StagePhysics || !window.PhysicsTuning) {
+            return;
+        }
+        physicsOverlay = window.PhysicsTuning.createOverlay(scene);
+        
+        const panelButton = document.getElementById('physicsPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                physicsPanel.style.display = physicsPanel.style.display === 'block' ? 'none' : 'block';
+            });
+        }
+        
+        // 全体の設定
+        const settingInputs = ['physicsGravityX', 'physicsGravityY', 'physicsGravityZ', 'physicsUnitStep', 'physicsMaxSteps', 'physicsWarmup']
+            .map((id) => document.getElementById(id))
+            .filter(Boolean);
+        settingInputs.forEach((input) => {
+            input.addEventListener('change', applyPhysicsSettingInputs);
+        });
+        const defaultsButton = document.getElementById('physicsDefaultsButton');
+        if (defaultsButton) {
+            defaultsButton.addEventListener('click', () => {
+                window.StagePhysics.setSettings(helper, window.StagePhysics.DEFAULT_SETTINGS);
+                syncPhysicsSettingInputs();
+                if (window.SpringBones) {
+                    window.SpringBones.setGravity(window.StagePhysics.DEFAULT_SETTINGS.gravity);
+                }
+                if (window.PhysicsWorker) {
+                    window.PhysicsWorker.setSettings(window.StagePhysics.getSettings());
+                }
+            });
+        }
+        syncPhysicsSettingInputs();
+        
+        const backendSelect = document.getElementById('physicsBackend');
+        if (backendSelect) {
+            backendSelect.value = physicsBackend;
+            backendSelect.addEventListener('change', () => {
+                physicsBackend = backendSelect.value;
+                debugLog(`物理エンジン: ${backendSelect.options[backendSelect.selectedIndex].textContent}`);
+                if (physicsBackend !== 'spring' && !ammoInitialized && !ammoInitializing && physicsEnabled) {
+                    initAmmo();
+                }
+                reapplyPhysics();
+            });
+        }
+        
+        const workerToggle = document.getElementById('physicsWorkerToggle');
+        if (workerToggle) {
+            workerToggle.checked = physicsInWorker;
+            workerToggle.disabled = !window.PhysicsWorker || !window.PhysicsWorker.isSupported();
+            workerToggle.addEventListener('change', () => {
+                physicsInWorker = workerToggle.checked;
+                debugLog(`物理演算の計算: ${physicsInWorker ? 'Worker' : 'メインスレッド'}`);
+                if (physicsInWorker && window.PhysicsWorker.getState() === 'idle') {
+                    initPhysicsWorker();
+                }
+                reapplyPhysics();
+            });
+        }
+        
+        const overlayToggle = document.getElementById('physicsOverlayToggle');
+        if (overlayToggle) {
+            overlayToggle.addEventListener('change', () => {
+                physicsOverlay.setVisible(overlayToggle.checked);
+                if (overlayToggle.checked && !getModelPhysics(mesh)) {
+                    updateStatus('物理演算が有効なモデルが踊っている間だけ剛体を表示します');
+                }
+            });
+        }
+        
+        // 剛体・ジョイント
+        const bodyList = document.getElementById('physicsBodyList');
+        const jointList = document.getElementById('physicsJointList');
+        if (bodyList) {
+            bodyList.addEventListener('change', () => {
+                if (jointList) {
+                    jointList.value = '';
+                }
+                syncPhysicsBodyInputs();
+            });
+        }
+        if (jointList) {
+            jointList.addEventListener('change', () => {
+                if (bodyList) {
+                    bodyList.value = '';
+                }
+                syncPhysicsBodyInputs();
+            });
+        }
+        ['physicsBodyMass', 'physicsBodyLinearDamping', 'physicsBodyAngularDamping'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', applyRigidBodyInputs);
+            }
+        });
+        document.querySelectorAll('#physics-panel .physics-spring').forEach((input) => {
+            input.addEventListener('change', applyConstraintInputs);
+        });
+        renderPhysicsPanel(true);
+    }
+
+    // 操作対象のモデルの物理演算（ヘルパーに物理演算付きで登録されていなければnull）
+    function getModelPhysics(model) {
+        const objects = helper && helper.objects && model ? helper.objects.get(model) : null;
+        return objects && objects.physics ? objects.physics : null;
+    }
+
+    // 全体の設定の入力欄を今の設定に合わせる
+    function syncPhysicsSettingInputs() {
+        const settings = window.StagePhysics.getSettings();
+        const values = {
+            physicsGravityX: settings.gravity.x,
+            physicsGravityY: settings.gravity.y,
+            physicsGravityZ: settings.gravity.z,
+            physicsUnitStep: Math.round(1 / settings.unitStep),
+            physicsMaxSteps: settings.maxStepNum,
+            physicsWarmup: settings.warmup
+        };
+        Object.keys(values).forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = String(Math.round(values[id] * 100) / 100);
+            }
+        });
+    }
+
+    // 全体の設定の入力欄の値を物理演算に反映する
+    function applyPhysicsSettingInputs() {
+        const settings = window.StagePhysics.getSettings();
+        const readNumber = (id, fallback, min, max) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+        };
+        const stepsPerSecond = readNumber('physicsUnitStep', 1 / settings.unitStep, 30, 240);
+        window.StagePhysics.setSettings(helper, {
+            gravity: {
+                x: readNumber('physicsGravityX', settings.gravity.x, -1000, 1000),
+                y: readNumber('physicsGravityY', settings.gravity.y, -1000, 1000),
+                z: readNumber('physicsGravityZ', settings.gravity.z, -1000, 1000)
+            },
+            unitStep: 1 / stepsPerSecond,
+            maxStepNum: Math.round(readNumber('physicsMaxSteps', settings.maxStepNum, 1, 10)),
+            warmup: Math.round(readNumber('physicsWarmup', settings.warmup, 0, 600))
+        });
+        syncPhysicsSettingInputs();
+        // スプリングボーンも同じ重力で揺らす
+        if (window.SpringBones) {
+            window.SpringBones.setGravity(window.StagePhysics.getSettings().gravity);
+        }
+        if (window.PhysicsWorker) {
+            window.PhysicsWorker.setSettings(window.StagePhysics.getSettings());
+        }
+    }
+
+    /**
+     * @function renderPhysicsPanel
+     * @description 操作対象のモデルの剛体・ジョイントの一覧を作り直す
+     * @param {boolean} force - 操作対象が変わっていなくても作り直すか
+     */
+    function renderPhysicsPanel(force) {
+        const bodyList = document.getElementById('physicsBodyList');
+        const jointList = document.getElementById('physicsJointList');
+        if (!bodyList || !jointList || !window.PhysicsTuning) {
+            return;
+        }
+        const target = stageModels.includes(mesh) ? mesh : null;
+        if (!force && target === physicsPanelTarget) {
+            return;
+        }
+        physicsPanelTarget = target;
+        
+        const targetLabel = document.getElementById('physics-target');
+        if (targetLabel) {
+            targetLabel.textContent = target ? target.userData.modelName || '' : '';
+        }
+        bodyList.textContent = '';
+        jointList.textContent = '';
+        const bodies = window.PhysicsTuning.getRigidBodies(target);
+        bodies.forEach((params, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${index}: ${params.name} (${window.PhysicsTuning.BODY_TYPES[params.type] || params.type})`;
+            bodyList.appendChild(option);
+        });
+        window.PhysicsTuning.getConstraints(target).forEach((params, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            const bodyA = bodies[params.rigidBodyIndex1];
+            const bodyB = bodies[params.rigidBodyIndex2];
+            option.textContent = `${index}: ${params.name}` + (bodyA && bodyB ? ` (${bodyA.name} - ${bodyB.name})` : '');
+            jointList.appendChild(option);
+        });
+        syncPhysicsBodyInputs();
+    }
+
+    // 選択中の剛体・ジョイントの値を入力欄に表示し、剛体の表示で強調する
+    function syncPhysicsBodyInputs() {
+        const target = physicsPanelTarget;
+        const bodyList = document.getElementById('physicsBodyList');
+        const jointList = document.getElementById('physicsJointList');
+        const bodies = window.PhysicsTuning.getRigidBodies(target);
+        const constraints = window.PhysicsTuning.getConstraints(target);
+        const body = bodyList && bodyList.value !== '' ? bodies[parseInt(bodyList.value, 10)] : null;
+        const constraint = jointList && jointList.value !== '' ? constraints[parseInt(jointList.value, 10)] : null;
+        
+        const bodyValues = {
+            physicsBodyMass: body ? body.weight : '',
+            physicsBodyLinearDamping: body ? body.positionDamping : '',
+            physicsBodyAngularDamping: body ? body.rotationDamping : ''
+        };
+        Object.keys(bodyValues).forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = bodyValues[id] === '' ? '' : String(Math.round(bodyValues[id] * 1000) / 1000);
+                // ボーン追従の剛体は物理演算で動かないため、質量は変えられない
+                input.disabled = !body || (id === 'physicsBodyMass' && body.type === 0);
+            }
+        });
+        document.querySelectorAll('#physics-panel .physics-spring').forEach((input) => {
+            const values = constraint ? constraint[input.dataset.kind === 'rotation' ? 'springRotation' : 'springPosition'] : null;
+            const value = values ? values[parseInt(input.dataset.axis, 10)] : null;
+            input.value = value === null ? '' : String(Math.round(value * 1000) / 1000);
+            input.disabled = !constraint;
+        });
+        
+        if (physicsOverlay) {
+            const indices = body
+                ? [parseInt(bodyList.value, 10)]
+                : (constraint ? [constraint.rigidBodyIndex1, constraint.rigidBodyIndex2] : []);
+            physicsOverlay.setHighlight(target, indices);
+        }
+    }
+
+    // 剛体の入力欄の値を反映する
+    function applyRigidBodyInputs() {
+        const bodyList = document.getElementById('physicsBodyList');
+        if (!physicsPanelTarget || !bodyList || bodyList.value === '') {
+            return;
+        }
+        const readValue = (id) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return Number.isFinite(value) ? value : undefined;
+        };
+        const index = parseInt(bodyList.value, 10);
+        const values = {
+            weight: readValue('physicsBodyMass'),
+            positionDamping: readValue('physicsBodyLinearDamping'),
+            rotationDamping: readValue('physicsBodyAngularDamping')
+        };
+        window.PhysicsTuning.updateRigidBody(physicsPanelTarget, getModelPhysics(physicsPanelTarget), index, values);
+        if (window.PhysicsWorker) {
+            window.PhysicsWorker.updateRigidBody(physicsPanelTarget, index, values);
+        }
+        syncPhysicsBodyInputs();
+    }
+
+    // ジョイントのバネの入力欄の値を反映する
+    function applyConstraintInputs() {
+        const jointList = document.getElementById('physicsJointList');
+        if (!physicsPanelTarget || !jointList || jointList.value === '') {
+            return;
+        }
+        const index = parseInt(jointList.value, 10);
+        const params = window.PhysicsTuning.getConstraints(physicsPanelTarget)[index];
+        const springs = {
+            springPosition: params.springPosition.slice(),
+            springRotation: params.springRotation.slice()
+        };
+        document.querySelectorAll('#physics-panel .physics-spring').forEach((input) => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                springs[input.dataset.kind === 'rotation' ? 'springRotation' : 'springPosition'][parseInt(input.dataset.axis, 10)] = value;
+            }
+        });
+        window.PhysicsTuning.updateConstraint(physicsPanelTarget, getModelPhysics(physicsPanelTarget), index, springs);
+        if (window.PhysicsWorker) {
+            window.PhysicsWorker.updateConstraint(physicsPanelTarget, index, springs);
+        }
+        syncPhysicsBodyInputs();
+    }
+
+    /**
+     * @function setupInspectorPanel
+     * @description モデル情報パネル（モデル名・コメント・作者、ボーン・材質・モーフ・剛体・ジョイントの一覧）を設定する
+     */
+    function setupInspectorPanel() {
+        const inspectorPanel = document.getElementById('inspector-panel');
+        if (!inspectorPanel || !window.ModelInspector) {
+            return;
+        }
+        inspectorHighlighter = window.ModelInspector.createHighlighter(scene);
+        
+        const panelButton = document.getElementById('inspectorPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                const visible = inspectorPanel.style.display !== 'block';
+                inspectorPanel.style.display = visible ? 'block' : 'none';
+                if (visible) {
+                    renderInspectorPanel(true);
+                } else {
+                    clearInspectorHighlight();
+                }
+            });
+        }
+        
+        const categorySelect = document.getElementById('inspectorCategory');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', renderInspectorList);
+        }
+        const filterInput = document.getElementById('inspectorFilter');
+        if (filterInput) {
+            filterInput.addEventListener('input', renderInspectorList);
+        }
+        const itemList = document.getElementById('inspectorList');
+        if (itemList) {
+            itemList.addEventListener('change', syncInspectorSelection);
+        }
+        renderInspectorPanel(true);
+    }
+
+    // モデル情報パネルを開いているか
+    function isInspectorVisible() {
+        const inspectorPanel = document.getElementById('inspector-panel');
+        return Boolean(inspectorPanel && inspectorPanel.style.display === 'block');
+    }
+
+    /**
+     * @function renderInspectorPanel
+     * @description 操作対象のモデルの情報と一覧を作り直す
+     * @param {boolean} force - 操作対象が変わっていなくても作り直すか
+     */
+    function renderInspectorPanel(force) {
+        const meta = document.getElementById('inspector-meta');
+        if (!meta || !window.ModelInspector) {
+            return;
+        }
+        const target = stageModels.includes(mesh) ? mesh : null;
+        if (!force && target === inspectorTarget) {
+            return;
+        }
+        inspectorTarget = target;
+        clearInspectorHighlight();
+        
+        const targetLabel = document.getElementById('inspector-target');
+        if (targetLabel) {
+            targetLabel.textContent = target ? target.userData.modelName || '' : '';
+        }
+        meta.textContent = '';
+        if (!target) {
+            meta.textContent = 'モデルがありません';
+            renderInspectorList();
+            return;
+        }
+        const info = window.ModelInspector.getInfo(target);
+        const addRow = (label, value) => {
+            if (!value) {
+                return;
+            }
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.className = 'inspector-label';
+            name.textContent = label;
+            row.appendChild(name);
+            row.appendChild(document.createTextNode(value));
+            meta.appendChild(row);
+        };
+        addRow('名前', info.name);
+        addRow('英名', info.englishName);
+        addRow('作者', info.author);
+        addRow('形式', info.format ? info.format.toUpperCase() : null);
+        const counts = info.counts;
+        addRow('構成', `頂点 ${counts.vertices} / 面 ${counts.faces} / ボーン ${counts.bones}（IK ${counts.iks}） / 材質 ${counts.materials} / ` +
+            `モーフ ${counts.morphs} / 剛体 ${counts.rigidBodies} / ジョイント ${counts.joints}`);
+        const comment = info.comment || info.englishComment;
+        if (comment) {
+            const commentBox = document.createElement('div');
+            commentBox.className = 'inspector-comment';
+            commentBox.textContent = comment;
+            meta.appendChild(commentBox);
+        }
+        renderInspectorList();
+    }
+
+    // 選んでいる種類（ボーン・材質など）の一覧を作り直す
+    function renderInspectorList() {
+        const itemList = document.getElementById('inspectorList');
+        const categorySelect = document.getElementById('inspectorCategory');
+        const filterInput = document.getElementById('inspectorFilter');
+        if (!itemList || !categorySelect) {
+            return;
+        }
+        const target = inspectorTarget;
+        const category = categorySelect.value;
+        const filter = filterInput ? filterInput.value.trim().toLowerCase() : '';
+        const inspector = window.ModelInspector;
+        let items = [];
+        if (target) {
+            if (category === 'bones') {
+                items = inspector.getBones(target).map((bone) => ({
+                    index: bone.index,
+                    name: bone.name,
+                    // 絞り込み中は階層が途切れるので字下げしない
+                    label: (filter ? '' : '　'.repeat(bone.depth)) + bone.name +
+                        (bone.ikRole ? ` [${inspector.IK_ROLE_LABELS[bone.ikRole]}]` : ''),
+                    ik: Boolean(bone.ikRole)
+                }));
+            } else if (category === 'materials') {
+                items = inspector.getMaterials(target).map((material) => ({
+                    index: material.index,
+                    name: material.name,
+                    label: `${material.index}: ${material.name}`
+                }));
+            } else if (category === 'morphs') {
+                items = inspector.getMorphs(target).map((morph) => ({
+                    index: morph.index,
+                    name: morph.name,
+                    label: `${morph.index}: ${morph.name}` + (morph.type ? ` (${morph.type})` : '')
+                }));
+            } else if (category === 'bodies') {
+                items = inspector.getRigidBodies(target).map((body) => ({
+                    index: body.index,
+                    name: body.name,
+                    label: `${body.index}: ${body.name} (${body.type})`
+                }));
+            } else if (category === 'joints') {
+                items = inspector.getJoints(target).map((joint) => ({
+                    index: joint.index,
+                    name: joint.name,
+                    label: `${joint.index}: ${joint.name}` + (joint.bodyAName && joint.bodyBName ? ` (${joint.bodyAName} - ${joint.bodyBName})` : '')
+                }));
+            }
+        }
+        itemList.textContent = '';
+        items
+            .filter((item) => !filter || item.name.toLowerCase().includes(filter))
+            .forEach((item) => {
+                const option = document.createElement('option');
+                option.value = String(item.index);
+                option.textContent = item.label;
+                if (item.ik) {
+                    option.className = 'inspector-ik';
+                }
+                itemList.appendChild(option);
+            });
+        syncInspectorSelection();
+    }
+
+    // 選んだ項目の詳細を表示し、画面上で強調する
+    function syncInspectorSelection() {
+        const itemList = document.getElementById('inspectorList');
+        const categorySelect = document.getElementById('inspectorCategory');
+        const detail = document.getElementById('inspector-detail');
+        if (!itemList || !categorySelect || !detail) {
+            return;
+        }
+        const target = inspectorTarget;
+        const category = categorySelect.value;
+        const index = itemList.value !== '' ? parseInt(itemList.value, 10) : -1;
+        const inspector = window.ModelInspector;
+        const lines = [];
+        clearInspectorHighlight();
+        
+        if (target && category === 'bones') {
+            const bones = inspector.getBones(target);
+            const bone = bones.find((item) => item.index === index);
+            let related = [];
+            if (bone) {
+                const parent = bones.find((item) => item.index === bone.parent);
+                lines.push(`親: ${parent ? parent.name : 'なし'}`);
+                inspector.getIkChains(target)
+                    .filter((ik) => bone.ikChains.includes(ik.index))
+                    .forEach((ik) => {
+                        const boneName = (boneIndex) => (target.skeleton.bones[boneIndex] ? target.skeleton.bones[boneIndex].name : boneIndex);
+                        lines.push(`IK ${ik.name}: 先 ${boneName(ik.effector)} / リンク ${ik.links.map(boneName).join('・')}（${ik.iteration}回）`);
+                        related = related.concat([ik.target, ik.effector], ik.links);
+                    });
+            }
+            if (isInspectorVisible()) {
+                inspectorHighlighter.showBones(target, index, related);
+            }
+        } else if (target && category === 'materials') {
+            const material = inspector.getMaterials(target)[index];
+            if (material) {
+                if (material.englishName) {
+                    lines.push(`英名: ${material.englishName}`);
+                }
+                lines.push(`テクスチャ: ${material.texture || 'なし'}`);
+                lines.push(`スフィア: ${material.sphere || 'なし'}`);
+                lines.push(`トゥーン: ${material.toon || '不明'}`);
+                lines.push(`不透明度: ${Math.round(material.opacity * 100) / 100} / 輪郭線: ${material.edge ? 'あり' : 'なし'}`);
+                if (isInspectorVisible()) {
+                    inspectorHighlighter.isolateMaterial(target, index);
+                }
+            }
+        } else if (target && category === 'morphs') {
+            const morph = inspector.getMorphs(target).find((item) => item.index === index);
+            if (morph) {
+                lines.push(`種類: ${morph.type || '不明'}`);
+            }
+        } else if (target && category === 'bodies') {
+            const body = inspector.getRigidBodies(target)[index];
+            if (body) {
+                lines.push(`ボーン: ${body.bone || 'なし'} / 形: ${body.shape} / グループ: ${body.group}`);
+                lines.push(`種類: ${body.type}`);
+                showInspectorBodies(target, [index]);
+            }
+        } else if (target && category === 'joints') {
+            const joint = inspector.getJoints(target)[index];
+            if (joint) {
+                lines.push(`剛体: ${joint.bodyAName || joint.bodyA} - ${joint.bodyBName || joint.bodyB}`);
+                showInspectorBodies(target, [joint.bodyA, joint.bodyB]);
+            }
+        }
+        detail.textContent = lines.join('\n');
+    }
+
+    // 剛体を剛体の表示で強調する（表示していなければ、強調している間だけ表示する）
+    function showInspectorBodies(target, indices) {
+        if (!physicsOverlay || !isInspectorVisible()) {
+            return;
+        }
+        inspectorBodies = { shown: !physicsOverlay.visible };
+        if (inspectorBodies.shown) {
+            physicsOverlay.setVisible(true);
+        }
+        physicsOverlay.setHighlight(target, indices);
+        if (!getModelPhysics(target)) {
+            updateStatus('物理演算が有効なモデルが踊っている間だけ剛体を表示します');
+        }
+    }
+
+    // モデル情報パネルの強調表示をやめる（隠した材質と剛体の表示は元に戻す）
+    function clearInspectorHighlight() {
+        if (inspectorHighlighter) {
+            inspectorHighlighter.clear();
+        }
+        if (inspectorBodies && physicsOverlay) {
+            physicsOverlay.setHighlight(null, []);
+            // 強調の間に物理演算パネルで剛体の表示をオンにしていれば、そのまま残す
+            const overlayToggle = document.getElementById('physicsOverlayToggle');
+            if (inspectorBodies.shown && !(overlayToggle && overlayToggle.checked)) {
+                physicsOverlay.setVisible(false);
+            }
+        }
+        inspectorBodies = null;
+    }
+
+    /**
+     * @function findLightingPreset
+     * @description IDから照明のプリセットを探す（組み込みのプリセット、保存したプリセットの順）
+     * @param {string} id - プリセットのID
+     * @returns {Object|null} プリセット（見つからなければnull）
+     */
+    function findLightingPreset(id) {
+        if (!window.LightingRig || typeof id !== 'string') {
+            return null;
+        }
+        if (Object.prototype.hasOwnProperty.call(window.LightingRig.PRESETS, id)) {
+            return window.LightingRig.PRESETS[id];
+        }
+        return Object.prototype.hasOwnProperty.call(lightingUserPresets, id) ? lightingUserPresets[id] : null;
+    }
+
+    // 選んでいるプリセットと保存したプリセットを保存する（編集中は標準を選んだことにする）
+    function saveLightingPresets() {
+        window.LightingRig.savePresets(lightingPresetId || window.LightingRig.DEFAULT_PRESET, lightingUserPresets);
+    }
+
+    // プリセットを選んで照明に反映する
+    function selectLightingPreset(id) {
+        const preset = findLightingPreset(id);
+        if (!preset || !lightingRig) {
+            return;
+        }
+        lightingPresetId = id;
+        lightingRig.apply(preset);
+        saveLightingPresets();
+        renderLightingPanel();
+    }
+
+    // プリセットを保存したプリセットに加えて選ぶ（同じ名前なら上書きする）
+    function addLightingUserPreset(preset) {
+        const id = `custom:${preset.name}`;
+        lightingUserPresets[id] = preset;
+        selectLightingPreset(id);
+    }
+
+    /**
+     * @function setupLightingPanel
+     * @description 照明パネル（プリセットの切り替え・保存・JSONの読み書き、各ライトと影の調整）を設定する
+     */
+    function setupLightingPanel() {
+        const lightingPanel = document.getElementById('lighting-panel');
+        if (!lightingPanel || !lightingRig) {
+            return;
+        }
+        
+        const panelButton = document.getElementById('lightingPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                lightingPanel.style.display = lightingPanel.style.display === 'block' ? 'none' : 'block';
+            });
+        }
+        
+        const presetSelect = document.getElementById('lightingPresetSelect');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => selectLightingPreset(presetSelect.value));
+        }
+        
+        const mapSizeSelect = document.getElementById('lightingShadowMapSize');
+        if (mapSizeSelect) {
+            window.LightingRig.SHADOW_MAP_SIZES.forEach((size) => {
+                const option = document.createElement('option');
+                option.value = String(size);
+                option.textContent = `${size} px`;
+                mapSizeSelect.appendChild(option);
+            });
+        }
+        document.querySelectorAll('#lighting-panel .lighting-input').forEach((input) => {
+            input.addEventListener(input.type === 'color' ? 'input' : 'change', applyLightingInputs);
+        });
+        
+        const saveButton = document.getElementById('lightingSaveButton');
+        const nameInput = document.getElementById('lightingPresetName');
+        if (saveButton && nameInput) {
+            saveButton.addEventListener('click', () => {
+                const name = nameInput.value.trim();
+                if (!name) {
+                    updateStatus('保存するプリセットの名前を入力してください');
+                    nameInput.focus();
+                    return;
+                }
+                addLightingUserPreset(Object.assign(lightingRig.getPreset(), { name }));
+                nameInput.value = '';
+                updateStatus(`照明のプリセット「${name}」を保存しました`);
+            });
+        }
+        
+        const deleteButton = document.getElementById('lightingDeleteButton');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => {
+                if (!lightingPresetId || !Object.prototype.hasOwnProperty.call(lightingUserPresets, lightingPresetId)) {
+                    return;
+                }
+                delete lightingUserPresets[lightingPresetId];
+                // 照明はそのままにして、編集中の状態にする
+                lightingPresetId = null;
+                saveLightingPresets();
+                renderLightingPanel();
+            });
+        }
+        
+        const exportButton = document.getElementById('lightingExportButton');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const preset = lightingRig.getPreset();
+                const json = JSON.stringify(preset, null, 4);
+                downloadBlob(new Blob([json], { type: 'application/json' }), `${preset.name.replace(/[\\/:*?"<>|]+/g, '_')}_lighting.json`);
+            });
+        }
+        
+        const importButton = document.getElementById('lightingImportButton');
+        const importInput = document.getElementById('lightingImportInput');
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files && importInput.files[0];
+                importInput.value = '';
+                if (!file) {
+                    return;
+                }
+                file.text().then((text) => {
+                    const preset = window.LightingRig.normalizePreset(JSON.parse(text));
+                    addLightingUserPreset(preset);
+                    updateStatus(`照明のプリセット「${preset.name}」を読み込みました`);
+                }).catch((error) => {
+                    showError('照明のプリセットを読み込めませんでした', `${file.name}: ${error.message}`);
+                });
+            });
+        }
+        
+        renderLightingPanel();
+    }
+
+    /**
+     * @function renderLightingPanel
+     * @description 照明パネルのプリセットの一覧・入力欄・照明モーションの表示を今の照明に合わせる
+     */
+    function renderLightingPanel() {
+        const presetSelect = document.getElementById('lightingPresetSelect');
+        if (!presetSelect || !lightingRig) {
+            return;
+        }
+        
+        presetSelect.textContent = '';
+        const addOption = (parent, value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            parent.appendChild(option);
+        };
+        if (!lightingPresetId) {
+            addOption(presetSelect, '', '（編集中）');
+        }
+        Object.keys(window.LightingRig.PRESETS).forEach((id) => {
+            addOption(presetSelect, id, window.LightingRig.PRESETS[id].name);
+        });
+        const userIds = Object.keys(lightingUserPresets);
+        if (userIds.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = '保存したプリセット';
+            userIds.forEach((id) => addOption(group, id, lightingUserPresets[id].name));
+            presetSelect.appendChild(group);
+        }
+        presetSelect.value = lightingPresetId || '';
+        
+        const deleteButton = document.getElementById('lightingDeleteButton');
+        if (deleteButton) {
+            deleteButton.disabled = !lightingPresetId || !Object.prototype.hasOwnProperty.call(lightingUserPresets, lightingPresetId);
+        }
+        
+        // 入力欄（data-lightはプリセットの項目、data-fieldはその中の値。方位角・仰角はdirectionの中）
+        const preset = lightingRig.getPreset();
+        document.querySelectorAll('#lighting-panel .lighting-input').forEach((input) => {
+            const group = preset[input.dataset.light];
+            const field = input.dataset.field;
+            const value = field === 'azimuth' || field === 'elevation' ? group.direction[field] : group[field];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = typeof value === 'number' ? String(Math.round(value * 100) / 100) : value;
+            }
+        });
+        
+        const motionLabel = document.getElementById('lighting-motion');
+        if (motionLabel) {
+            const track = lightingRig.getLightMotion();
+            motionLabel.textContent = track
+                ? `${track.name || '照明モーション'}（${track.keyCount}キー）でキーライトを動かしています`
+                : 'なし';
+        }
+    }
+
+    // 入力欄の値を照明に反映する（プリセットは編集中になる）
+    function applyLightingInputs() {
+        const preset = lightingRig.getPreset();
+        document.querySelectorAll('#lighting-panel .lighting-input').forEach((input) => {
+            const group = preset[input.dataset.light];
+            const field = input.dataset.field;
+            const target = field === 'azimuth' || field === 'elevation' ? group.direction : group;
+            if (input.type === 'checkbox') {
+                target[field] = input.checked;
+            } else if (input.type === 'color') {
+                target[field] = input.value;
+            } else {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    target[field] = value;
+                }
+            }
+        });
+        lightingPresetId = null;
+        lightingRig.apply(preset);
+        renderLightingPanel();
+    }
+
+    /**
+     * @function setupStageEnvironment
+     * @description ステージ・背景の選択肢と読み込みボタンを設定し、stages/library.jsonを読み込む
+     */
+    function setupStageEnvironment() {
+        if (!window.StageEnvironment || !scene || !camera || !camera.isPerspectiveCamera) {
+            return;
+        }
+        stageEnvironment = window.StageEnvironment.create({ scene, camera, controls });
+        
+        const stageSelect = document.getElementById('stageSelect');
+        if (stageSelect) {
+            stageSelect.addEventListener('change', () => selectStage(stageSelect.value));
+        }
+        
+        [['stageFolderButton', 'stageFolderInput'], ['stageFileButton', 'stageFileInput']].forEach(([buttonId, inputId]) => {
+            const button = document.getElementById(buttonId);
+            const input = document.getElementById(inputId);
+            if (!button || !input) {
+                return;
+            }
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', () => {
+                const files = input.files ? Array.from(input.files) : [];
+                input.value = '';
+                if (files.length === 0) {
+                    return;
+                }
+                window.DropLoader.collectDroppedFiles({ files })
+                    .then((collected) => addLocalStage(window.DropLoader.createFileSet(collected)))
+                    .catch((error) => showError(`ステージを読み込めません: ${error.message}`));
+            });
+        });
+        
+        populateStageSelect();
+        loadStageLibrary();
+    }
+
+    /**
+     * @function loadStageLibrary
+     * @description stages/library.jsonを読み込み、ステージの選択肢を更新する（defaultがあればそのステージを表示する）
+     */
+    function loadStageLibrary() {
+        fetch(STAGE_LIBRARY_URL)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`ステータス: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((library) => {
+                const entries = (library && Array.isArray(library.stages) ? library.stages : [])
+                    .filter((entry) => entry && entry.id && entry.id !== 'none' && (entry.file || entry.background))
+                    .map((entry) => Object.assign({}, entry, {
+                        file: entry.file ? resolveLibraryPath(entry.file, STAGE_LIBRARY_URL) : null,
+                        background: entry.background ? resolveLibraryPath(entry.background, STAGE_LIBRARY_URL) : null
+                    }));
+                // 先に読み込んだローカルのステージは残す
+                stageLibrary = entries.concat(stageLibrary.filter((entry) => entry.local));
+                debugLog(`ステージライブラリを読み込みました: ${entries.length}件`);
+                populateStageSelect();
+                if (library.default && stageEnvironmentId === 'none' && findStageEntry(library.default)) {
+                    selectStage(library.default);
+                }
+            })
+            .catch((error) => {
+                debugLog(`ステージライブラリを読み込めません (${error.message})。ステージなしで続行します`);
+            });
+    }
+
+    // IDからステージのエントリを探す
+    function findStageEntry(id) {
+        return stageLibrary.find((entry) => entry.id === id) || null;
+    }
+
+    /**
+     * @function populateStageSelect
+     * @description ステージの選択肢を作り直す
+     */
+    function populateStageSelect() {
+        const stageSelect = document.getElementById('stageSelect');
+        if (!stageSelect) {
+            return;
+        }
+        stageSelect.textContent = '';
+        const addOption = (value, label, title) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = title || '';
+            stageSelect.appendChild(option);
+        };
+        addOption('none', 'なし', '');
+        stageLibrary.forEach((entry) => {
+            const title = entry.title || entry.id;
+            const credits = entry.credits || {};
+            const creditText = [
+                credits.author ? `作者: ${credits.author}` : '',
+                credits.source ? `配布元: ${credits.source}` : '',
+                credits.license ? `規約: ${credits.license}` : ''
+            ].filter(Boolean).join(' / ');
+            addOption(entry.id, entry.local ? `${title}（ローカル）` : title, creditText);
+        });
+        stageSelect.value = findStageEntry(stageEnvironmentId) ? stageEnvironmentId : 'none';
+    }
+
+    /**
+     * @function selectStage
+     * @description ステージを切り替える（'none'でステージと背景を取り除く）
+     * @param {string} id - ステージのID
+     * @returns {Promise<boolean>} 切り替えられたか
+     */
+    function selectStage(id) {
+        if (!stageEnvironment) {
+            return Promise.resolve(false);
+        }
+        const entry = findStageEntry(id);
+        const previousId = stageEnvironmentId;
+        if (!entry) {
+            stageEnvironmentId = 'none';
+            stageEnvironment.clear();
+            onStageChanged();
+            return Promise.resolve(id === 'none');
+        }
+        
+        stageEnvironmentId = entry.id;
+        populateStageSelect();
+        const title = entry.title || entry.id;
+        updateStatus(`ステージを読み込み中: ${title}`);
+        debugLog(`ステージを読み込み中: ${entry.file || ''} ${entry.background || ''}`);
+        
+        let manager;
+        if (entry.fileSet && typeof THREE.LoadingManager === 'function') {
+            manager = new THREE.LoadingManager();
+            manager.setURLModifier(entry.fileSet.createURLModifier());
+        }
+        return stageEnvironment.load(entry, { manager })
+            .then((result) => {
+                if (!result) {
+                    return false;
+                }
+                const view = stageEnvironment.getView();
+                debugLog(`ステージ: ${title} (半径: ${result.radius.toFixed(1)}, near: ${view.near.toFixed(2)}, far: ${Math.round(view.far)}, 最大距離: ${Math.round(view.maxDistance)})`);
+                updateStatus(`ステージ: ${title}`);
+                onStageChanged();
+                return true;
+            })
+            .catch((error) => {
+                showError(`ステージを読み込めません: ${title}`, error.message);
+                // 読み込み中に別のステージが選ばれていなければ、前のステージの選択に戻す
+                if (stageEnvironmentId === entry.id) {
+                    stageEnvironmentId = stageEnvironment.getCurrent() ? previousId : 'none';
+                    populateStageSelect();
+                }
+                return false;
+            });
+    }
+
+    // ステージを切り替えた後の表示を合わせる（ステージのモデルがある間はグリッドを隠す）
+    function onStageChanged() {
+        const current = stageEnvironment ? stageEnvironment.getCurrent() : null;
+        if (gridHelper) {
+            gridHelper.visible = !current || !current.root;
+        }
+        populateStageSelect();
+    }
+
+    /**
+     * @function addLocalStage
+     * @description ドロップ・選択されたファイルをローカルのステージとして選択肢に加え、表示する
+     *              （モデルはglTF/GLBを優先してPMX/PMD、背景はHDRを優先して、モデルがなければJPG/PNGの画像）
+     * @param {Object} fileSet - DropLoader.createFileSetの結果
+     */
+    function addLocalStage(fileSet) {
+        const byType = (type) => fileSet.entries.filter((entry) => window.StageEnvironment.getSourceType(entry.path) === type);
+        const model = byType('gltf').sort((a, b) => (a.extension === 'glb' ? 0 : 1) - (b.extension === 'glb' ? 0 : 1))[0] ||
+            byType('mmd').sort((a, b) => (a.extension === 'pmx' ? 0 : 1) - (b.extension === 'pmx' ? 0 : 1))[0] ||
+            null;
+        // モデルのフォルダの画像はテクスチャなので、背景に使うのはモデルがない時だけ
+        const background = byType('hdr')[0] || (model ? null : byType('image')[0]) || null;
+        if (!model && !background) {
+            fileSet.dispose();
+            showError('ステージにできるファイルがありません', 'PMX/PMD、glTF/GLBのステージ、またはHDR・JPG・PNGの背景を選んでください');
+            return;
+        }
+        
+        const source = model || background;
+        const id = `local:${source.path}`;
+        const existing = findStageEntry(id);
+        if (existing && existing.fileSet) {
+            existing.fileSet.dispose();
+        }
+        const entry = {
+            id,
+            title: source.name.replace(/\.[^.]*$/, ''),
+            file: model ? model.virtualPath : null,
+            background: background ? background.virtualPath : null,
+            fileSet,
+            local: true
+        };
+        stageLibrary = stageLibrary.filter((item) => item.id !== id).concat(entry);
+        selectStage(id);
+    }
+
+    /**
+     * @function setupEffectsPanel
+     * @description ポストエフェクトを作り、エフェクトパネル（輪郭線・ブルーム・SSAO・色調補正とLUT・アンチエイリアス、品質）を設定する
+     */
+    function setupEffectsPanel() {
+        if (!window.PostProcessing || !renderer || !renderer.isWebGLRenderer || !scene || !camera) {
+            return;
+        }
+        postProcessing = window.PostProcessing.create(renderer, scene, camera, window.PostProcessing.loadSettings());
+        
+        const effectsPanel = document.getElementById('effects-panel');
+        if (!effectsPanel) {
+            return;
+        }
+        const panelButton = document.getElementById('effectsPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                effectsPanel.style.display = effectsPanel.style.display === 'block' ? 'none' : 'block';
+            });
+        }
+        
+        // 品質の選択肢（data-levelsが'effect'ならブルーム・SSAOの解像度、それ以外は全体の描画解像度）
+        document.querySelectorAll('#effects-panel select.effects-quality').forEach((select) => {
+            const levels = select.dataset.levels === 'effect'
+                ? window.PostProcessing.EFFECT_QUALITY_LEVELS
+                : window.PostProcessing.QUALITY_LEVELS;
+            levels.forEach((level) => {
+                const option = document.createElement('option');
+                option.value = String(level);
+                option.textContent = `${Math.round(level * 100)}%`;
+                select.appendChild(option);
+            });
+        });
+        
+        // ライブラリが読み込めなかったエフェクトは選べないようにする
+        document.querySelectorAll('#effects-panel .effects-input[data-field="enabled"]').forEach((input) => {
+            const available = input.dataset.effect === 'antialias'
+                ? window.PostProcessing.isAvailable('fxaa') || window.PostProcessing.isAvailable('smaa')
+                : window.PostProcessing.isAvailable(input.dataset.effect);
+            if (!available) {
+                input.disabled = true;
+                input.title = 'ライブラリが読み込まれていないため使えません';
+            }
+        });
+        document.querySelectorAll('#effects-panel .effects-input').forEach((input) => {
+            input.addEventListener('change', applyEffectsInputs);
+        });
+        
+        const defaultsButton = document.getElementById('effectsDefaultsButton');
+        if (defaultsButton) {
+            defaultsButton.addEventListener('click', () => {
+                postProcessing.setSettings(window.PostProcessing.DEFAULT_SETTINGS);
+                window.PostProcessing.saveSettings(postProcessing.getSettings());
+                syncEffectsInputs();
+            });
+        }
+        
+        const lutButton = document.getElementById('effectsLutButton');
+        const lutInput = document.getElementById('effectsLutInput');
+        if (lutButton && lutInput) {
+            lutButton.disabled = !window.PostProcessing.isAvailable('lut');
+            lutButton.addEventListener('click', () => lutInput.click());
+            lutInput.addEventListener('change', () => {
+                const file = lutInput.files && lutInput.files[0];
+                lutInput.value = '';
+                if (!file) {
+                    return;
+                }
+                const url = URL.createObjectURL(file);
+                window.PostProcessing.loadLut(url)
+                    .then((lut) => {
+                        postProcessing.setLut(lut, file.name);
+                        // LUTは色調補正の一部なので、読み込んだら色調補正を有効にする
+                        const settings = postProcessing.getSettings();
+                        settings.grading.enabled = true;
+                        postProcessing.setSettings(settings);
+                        window.PostProcessing.saveSettings(settings);
+                        syncEffectsInputs();
+                        updateStatus(`LUTを読み込みました: ${file.name}`);
+                    })
+                    .catch((error) => showError(`LUTを読み込めません: ${file.name}`, error.message))
+                    .finally(() => URL.revokeObjectURL(url));
+            });
+        }
+        const lutClearButton = document.getElementById('effectsLutClearButton');
+        if (lutClearButton) {
+            lutClearButton.addEventListener('click', () => {
+                postProcessing.setLut(null);
+                syncEffectsInputs();
+            });
+        }
+        
+        syncEffectsInputs();
+    }
+
+    // エフェクトパネルの入力欄を今の設定に合わせる（data-effectは設定の項目、data-fieldはその中の値。qualityだけの項目は全体の品質）
+    function syncEffectsInputs() {
+        if (!postProcessing) {
+            return;
+        }
+        const settings = postProcessing.getSettings();
+        document.querySelectorAll('#effects-panel .effects-input').forEach((input) => {
+            const value = input.dataset.effect ? settings[input.dataset.effect][input.dataset.field] : settings[input.dataset.field];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = String(value);
+            }
+        });
+        const lutName = document.getElementById('effects-lut-name');
+        if (lutName) {
+            lutName.textContent = postProcessing.getLutName() || 'なし';
+        }
+        const lutClearButton = document.getElementById('effectsLutClearButton');
+        if (lutClearButton) {
+            lutClearButton.disabled = !postProcessing.getLutName();
+        }
+    }
+
+    // エフェクトパネルの入力欄の値を反映して保存する
+    function applyEffectsInputs() {
+        const settings = postProcessing.getSettings();
+        document.querySelectorAll('#effects-panel .effects-input').forEach((input) => {
+            const target = input.dataset.effect ? settings[input.dataset.effect] : settings;
+            const field = input.dataset.field;
+            if (input.type === 'checkbox') {
+                target[field] = input.checked;
+            } else if (input.tagName === 'SELECT' && typeof target[field] === 'string') {
+                target[field] = input.value;
+            } else {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    target[field] = value;
+                }
+            }
+        });
+        postProcessing.setSettings(settings);
+        window.PostProcessing.saveSettings(postProcessing.getSettings());
+        syncEffectsInputs();
+    }
+
+    // ポストエフェクトがあればそれを通して描画する
+    function renderScene() {
+        if (postProcessing) {
+            postProcessing.render();
+        } else {
+            renderer.render(scene, camera);
+        }
+    }
+
+    /**
+     * @function captureSceneState
+     * @description 今のシーンの状態（モデル・モーション・音声の遅延・カメラ・物理演算・照明・再生位置）を集める
+     *              ドロップしたモデル・モーションはURLで開けないため含めない
+     * @returns {Object} シーンの状態（SceneState.normalize()の形）
+     */
+    function captureSceneState() {
+        const entry = mesh ? mesh.userData.currentMotionEntry : null;
+        let motion = null;
+        if (mesh && mesh.userData.isTestMode) {
+            motion = 'test';
+        } else if (entry && !entry.local) {
+            motion = entry.id;
+        }
+        return window.SceneState.normalize({
+            model: mesh ? mesh.userData.modelPath : null,
+            motion,
+            audioDelay,
+            camera: {
+                position: camera.position.toArray(),
+                target: controls ? controls.target.toArray() : [0, 0, 0],
+                fov: camera.fov,
+                mode: cameraMode
+            },
+            physics: physicsEnabled,
+            // 編集中の照明はプリセットごと保存する（URLのハッシュには書かれない）
+            lighting: lightingPresetId || (lightingRig ? lightingRig.getPreset() : null),
+            time: hasActiveMotion() ? getMotionTime() : null,
+            paused: hasActiveMotion() ? motionClock.paused : null
+        });
+    }
+
+    /**
+     * @function applySceneSettings
+     * @description シーンの状態のうち、モデルに関係しない設定（物理演算・照明・音声の遅延・カメラ）を反映する
+     * @param {Object} state - シーンの状態
+     */
+    function applySceneSettings(state) {
+        if (state.physics !== null && state.physics !== physicsEnabled) {
+            setPhysicsEnabled(state.physics);
+            const physicsCheckbox = document.getElementById('disable-physics');
+            if (physicsCheckbox) {
+                physicsCheckbox.checked = !state.physics;
+            }
+        }
+        
+        if (typeof state.lighting === 'string') {
+            if (findLightingPreset(state.lighting)) {
+                selectLightingPreset(state.lighting);
+            } else {
+                debugLog(`照明のプリセットが見つかりません: ${state.lighting}`);
+            }
+        } else if (state.lighting && lightingRig) {
+            lightingPresetId = null;
+            lightingRig.apply(window.LightingRig.normalizePreset(state.lighting));
+            renderLightingPanel();
+        }
+        
+        if (state.audioDelay !== null) {
+            setAudioDelay(state.audioDelay);
+        }
+        
+        applySceneCamera(state);
+    }
+
+    // カメラの位置・注視点・画角とカメラモードを反映する
+    function applySceneCamera(state) {
+        if (!state.camera) {
+            return;
+        }
+        camera.position.fromArray(state.camera.position);
+        if (state.camera.fov !== null) {
+            camera.fov = state.camera.fov;
+            camera.updateProjectionMatrix();
+        }
+        if (controls) {
+            controls.target.fromArray(state.camera.target);
+            controls.update();
+        } else {
+            camera.lookAt(new THREE.Vector3().fromArray(state.camera.target));
+        }
+        if (state.camera.mode && state.camera.mode !== cameraMode) {
+            setCameraMode(state.camera.mode);
+        }
+    }
+
+    /**
+     * @function restoreSceneMotion
+     * @description シーンの状態のモーションをモデルに付け、再生位置・一時停止・カメラを合わせる
+     * @param {THREE.SkinnedMesh} model - モーションを付けるモデル
+     * @param {Object} state - シーンの状態
+     */
+    function restoreSceneMotion(model, state) {
+        if (!state.motion) {
+            return;
+        }
+        const motionSelect = document.getElementById('motionSelect');
+        if (state.motion === 'test') {
+            if (motionSelect) {
+                motionSelect.value = 'test';
+            }
+            loadMotion();
+            return;
+        }
+        const entry = findMotionEntry(state.motion);
+        if (!entry) {
+            showError(`シーンのモーションがライブラリに見つかりません: ${state.motion}`, `${MOTION_LIBRARY_URL}を確認してください。`);
+            return;
+        }
+        if (motionSelect) {
+            motionSelect.value = entry.id;
+        }
+        showMotionInfo(entry);
+        model.userData.isTestMode = false;
+        loadVmdMotion(resolveMotionPath(entry), entry, model, {
+            onApplied: () => {
+                // モーションの既定の遅延より、シーンの遅延を優先する
+                if (state.audioDelay !== null) {
+                    setAudioDelay(state.audioDelay);
+                }
+                if (state.time !== null) {
+                    motionClock.seek(state.time);
+                }
+                if (state.paused) {
+                    motionClock.pause();
+                }
+                applySceneCamera(state);
+                updateTransportDisplay(true);
+            }
+        });
+    }
+
+    /**
+     * @function applySceneState
+     * @description シーンの状態を反映する（モデルが違えば読み込み直してからモーションを付ける）
+     * @param {Object} state - シーンの状態
+     */
+    function applySceneState(state) {
+        const scene = window.SceneState.normalize(state);
+        applySceneSettings(scene);
+        if (scene.model && (!mesh || mesh.userData.modelPath !== scene.model)) {
+            loadModel(scene.model, undefined, {
+                autoMotion: false,
+                onLoad: (model) => restoreSceneMotion(model, scene)
+            });
+            return;
+        }
+        if (mesh) {
+            restoreSceneMotion(mesh, scene);
+        }
+    }
 
-    // さらなるバックアップとして、ページロード後8秒経っても初期化中なら強制的に進める
-    setTimeout(function() {
-        if (document.getElementById('loading') && 
-            document.getElementById('loading').style.display !== 'none') {
-            debugLog('8秒経過: ローディング画面が残っているため強制的に非表示にします');
-            const loadingTextElem = document.getElementById('loading-text');
-            if (loadingTextElem) {
-                loadingTextElem.textContent = 'アプリケーションの準備が完了しました';
+    /**
+     * @function setupSceneControls
+     * @description シーンのリンクのコピー、シーンファイルの保存・読み込みと、URLのハッシュの変更を設定する
+     */
+    function setupSceneControls() {
+        if (!window.SceneState) {
+            return;
+        }
+        
+        const linkButton = document.getElementById('sceneLinkButton');
+        if (linkButton) {
+            linkButton.addEventListener('click', () => {
+                const state = captureSceneState();
+                // ハッシュを書き換えてもhashchangeは発生しない（今のシーンを読み込み直さない）
+                window.history.replaceState(null, '', `#${window.SceneState.toHash(state)}`);
+                const note = mesh && !state.model ? '（ドロップしたモデルは含まれません）' : '';
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(window.location.href)
+                        .then(() => updateStatus(`シーンのリンクをコピーしました${note}`))
+                        .catch(() => updateStatus(`シーンのリンクをアドレスバーに表示しました${note}`));
+                } else {
+                    updateStatus(`シーンのリンクをアドレスバーに表示しました${note}`);
+                }
+            });
+        }
+        
+        const saveButton = document.getElementById('sceneSaveButton');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => {
+                const json = window.SceneState.toJSON(captureSceneState());
+                downloadBlob(new Blob([json], { type: 'application/json' }), 'scene.json');
+            });
+        }
+        
+        const loadButton = document.getElementById('sceneLoadButton');
+        const loadInput = document.getElementById('sceneLoadInput');
+        if (loadButton && loadInput) {
+            loadButton.addEventListener('click', () => loadInput.click());
+            loadInput.addEventListener('change', () => {
+                const file = loadInput.files && loadInput.files[0];
+                loadInput.value = '';
+                if (!file) {
+                    return;
+                }
+                file.text().then((text) => {
+                    applySceneState(window.SceneState.fromJSON(text));
+                    updateStatus(`シーン「${file.name}」を読み込みました`);
+                }).catch((error) => {
+                    showError('シーンファイルを読み込めませんでした', `${file.name}: ${error.message}`);
+                });
+            });
+        }
+        
+        // リンクを開き直さずにハッシュだけ変えた場合も、そのシーンにする
+        window.addEventListener('hashchange', () => {
+            const state = window.SceneState.fromHash(window.location.hash);
+            if (state) {
+                applySceneState(state);
             }
-            setTimeout(hideLoadingScreen, 500);
+        });
+    }
+
+    /**
+     * @function setupSetlistPanel
+     * @description セットリストパネル（曲の追加・並べ替え、シャッフル・リピート・曲間・つなぎ方、再生）を設定する
+     */
+    function setupSetlistPanel() {
+        const setlistPanel = document.getElementById('setlist-panel');
+        if (!setlistPanel || !window.Setlist) {
+            return;
+        }
+        const saved = window.Setlist.load();
+        setlistItems = saved.items;
+        setlistOptions = saved.options;
+        
+        const panelButton = document.getElementById('setlistPanelButton');
+        if (panelButton) {
+            panelButton.addEventListener('click', () => {
+                setlistPanel.style.display = setlistPanel.style.display === 'block' ? 'none' : 'block';
+            });
+        }
+        
+        const addButton = document.getElementById('setlistAddButton');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                const addSelect = document.getElementById('setlistAddSelect');
+                if (addSelect && addSelect.value) {
+                    setlistItems.push(addSelect.value);
+                    saveSetlist();
+                }
+            });
+        }
+        
+        const shuffleCheckbox = document.getElementById('setlistShuffle');
+        const repeatSelect = document.getElementById('setlistRepeat');
+        const gapInput = document.getElementById('setlistGap');
+        const transitionSelect = document.getElementById('setlistTransition');
+        if (shuffleCheckbox) {
+            shuffleCheckbox.checked = setlistOptions.shuffle;
+            shuffleCheckbox.addEventListener('change', () => {
+                setlistOptions.shuffle = shuffleCheckbox.checked;
+                saveSetlist();
+            });
+        }
+        if (repeatSelect) {
+            repeatSelect.value = setlistOptions.repeat;
+            repeatSelect.addEventListener('change', () => {
+                setlistOptions.repeat = repeatSelect.value;
+                saveSetlist();
+            });
+        }
+        if (gapInput) {
+            gapInput.value = String(setlistOptions.gap);
+            gapInput.addEventListener('change', () => {
+                const value = parseFloat(gapInput.value);
+                setlistOptions.gap = Number.isFinite(value) ? Math.min(Math.max(value, 0), 30) : 0;
+                gapInput.value = String(setlistOptions.gap);
+                saveSetlist();
+            });
         }
-    }, 8000);
+        if (transitionSelect) {
+            transitionSelect.value = setlistOptions.transition;
+            transitionSelect.addEventListener('change', () => {
+                setlistOptions.transition = transitionSelect.value;
+                saveSetlist();
+            });
+        }
+        
+        const bindings = [
+            ['setlistPlayButton', () => (setlist ? stopSetlist() : startSetlist())],
+            ['setlistPrevButton', () => skipSetlistTrack(false)],
+            ['setlistNextButton', () => skipSetlistTrack(true)]
+        ];
+        bindings.forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+        renderSetlist();
+    }
 
-    // 初期化関数も公開
-    window.init = init;
-    // ローディング画面を非表示にする関数も公開
-    window.hideLoadingScreen = hideLoadingScreen;
+    // セットリストを保存して表示を更新する（再生中なら曲順の設定も反映する）
+    function saveSetlist() {
+        window.Setlist.save(setlistItems, setlistOptions);
+        if (setlist) {
+            setlist.options.shuffle = setlistOptions.shuffle;
+            setlist.options.repeat = setlistOptions.repeat;
+            setlist.nextOrder = null;
+            preloadNextSetlistTrack();
+        }
+        renderSetlist();
+    }
 
-    // 初期化状態を確認するデバッグ用関数
-    console.log('app.js読み込み完了。init関数の状態:', typeof init === 'function' ? '定義済み' : '未定義');
-    // index.htmlからの初期化を待機する（上記のイベントリスナーがバックアップ） 
-}
+    // セットリストの曲一覧・追加する曲の選択肢・再生状態を表示する
+    function renderSetlist() {
+        const list = document.getElementById('setlist-items');
+        const addSelect = document.getElementById('setlistAddSelect');
+        if (!list || !window.Setlist) {
+            return;
+        }
+        if (addSelect) {
+            const previousValue = addSelect.value;
+            addSelect.textContent = '';
+            motionLibrary.forEach((entry) => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.title || entry.id;
+                addSelect.appendChild(option);
+            });
+            if (Array.from(addSelect.options).some((option) => option.value === previousValue)) {
+                addSelect.value = previousValue;
+            }
+        }
+        
+        list.textContent = '';
+        if (setlistItems.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'setlist-empty';
+            empty.textContent = '曲がありません。下から追加してください';
+            list.appendChild(empty);
+        }
+        setlistItems.forEach((motionId, index) => {
+            const entry = findMotionEntry(motionId);
+            const row = document.createElement('div');
+            row.className = 'setlist-item';
+            if (setlist && setlist.current === index) {
+                row.classList.add('playing');
+            }
+            if (!entry) {
+                row.classList.add('missing');
+            }
+            
+            const title = document.createElement('span');
+            title.className = 'setlist-title';
+            title.textContent = `${index + 1}. ${entry ? (entry.title || entry.id) : `${motionId}（見つかりません）`}`;
+            title.title = entry ? formatMotionCredits(entry) : '';
+            title.addEventListener('click', () => startSetlist(index));
+            row.appendChild(title);
+            
+            const buttons = [
+                ['▲', '上へ', () => moveSetlistItem(index, -1)],
+                ['▼', '下へ', () => moveSetlistItem(index, 1)],
+                ['✕', '削除', () => removeSetlistItem(index)]
+            ];
+            buttons.forEach(([label, tooltip, handler]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.title = tooltip;
+                button.addEventListener('click', handler);
+                row.appendChild(button);
+            });
+            list.appendChild(row);
+        });
+        
+        const playButton = document.getElementById('setlistPlayButton');
+        if (playButton) {
+            playButton.textContent = setlist ? '停止' : '再生';
+            playButton.disabled = !setlist && setlistItems.length === 0;
+        }
+        ['setlistPrevButton', 'setlistNextButton'].forEach((id) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !setlist;
+            }
+        });
+    }
 
-// 緊急修復措置: ページロード後に実行
-window.addEventListener('load', function() {
-    // 5秒後に状態をチェック
-    setTimeout(function() {
-        // ローディング画面がまだ表示されているか確認
-        const loadingElem = document.getElementById('loading');
-        if (loadingElem && loadingElem.style.display !== 'none') {
-            console.log('緊急措置: ローディング画面が5秒以上表示されているため、強制的に非表示にします');
+    // 曲を並べ替える（再生中は曲順を作り直さない）
+    function moveSetlistItem(index, offset) {
+        const to = index + offset;
+        if (to < 0 || to >= setlistItems.length) {
+            return;
+        }
+        setlistItems.splice(to, 0, setlistItems.splice(index, 1)[0]);
+        if (setlist) {
+            setlist.move(index, to);
+        }
+        saveSetlist();
+    }
+
+    // 曲を削除する（再生中の曲なら、最後まで踊らせてから次の曲へ進む）
+    function removeSetlistItem(index) {
+        setlistItems.splice(index, 1);
+        if (setlist) {
+            setlist.remove(index);
+        }
+        saveSetlist();
+    }
+
+    /**
+     * @function startSetlist
+     * @description 操作対象のモデルでセットリストを最初（または指定の曲）から再生する
+     * @param {number} [startIndex] - 最初の曲（セットリストの添字）
+     */
+    function startSetlist(startIndex) {
+        if (!window.Setlist || setlistItems.length === 0) {
+            return;
+        }
+        if (!modelLoaded || !mesh) {
+            showError('セットリストを再生するには、先にモデルを読み込んでください');
+            return;
+        }
+        clearTimeout(setlistGapTimer);
+        setlist = window.Setlist.create(setlistItems, setlistOptions);
+        setlistTarget = mesh;
+        setlistEnding = false;
+        playSetlistTrack(setlist.reset(startIndex));
+    }
+
+    /**
+     * @function stopSetlist
+     * @description セットリストの再生をやめる（踊っているモーションはそのまま続ける）
+     * @param {string} [message] - 状態表示に出すメッセージ
+     */
+    function stopSetlist(message) {
+        clearTimeout(setlistGapTimer);
+        setlist = null;
+        setlistTarget = null;
+        setlistEntry = null;
+        setlistEnding = false;
+        preloadedMotions = [];
+        setSetlistStatus(message || 'セットリストを停止しました');
+        renderSetlist();
+    }
+
+    // セットリストの状態を表示する
+    function setSetlistStatus(message) {
+        const status = document.getElementById('setlist-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    // セットリストの曲を読み込んで再生する（見つからない曲は飛ばす）
+    function playSetlistTrack(index, skipped = 0) {
+        if (!setlist) {
+            return;
+        }
+        if (index < 0) {
+            stopSetlist('セットリストの最後まで再生しました');
+            return;
+        }
+        if (!stageModels.includes(setlistTarget)) {
+            stopSetlist('モデルが削除されたため、セットリストを止めました');
+            return;
+        }
+        const entry = findMotionEntry(setlist.items[index]);
+        if (!entry) {
+            debugLog(`セットリストの曲が見つからないため飛ばします: ${setlist.items[index]}`);
+            // 全ての曲が見つからなければ止める
+            const next = skipped + 1 < setlist.items.length ? setlist.advance(true) : -1;
+            playSetlistTrack(next, skipped + 1);
+            return;
+        }
+        clearTimeout(setlistGapTimer);
+        setlistEntry = entry;
+        setSetlistStatus(`読み込み中: ${entry.title || entry.id}`);
+        
+        // モーション選択も合わせておく（選択の変更イベントは出さない）
+        const motionSelect = document.getElementById('motionSelect');
+        if (motionSelect && Array.from(motionSelect.options).some((option) => option.value === entry.id)) {
+            motionSelect.value = entry.id;
+        }
+        showMotionInfo(entry);
+        renderSetlist();
+        
+        loadVmdMotion(resolveMotionPath(entry), entry, setlistTarget, {
+            crossfade: setlistOptions.transition === 'cut' ? 0 : crossfadeDuration
+        });
+    }
+
+    // セットリストの曲が始まった時の処理（使い終わった先読みを捨て、次の曲を先読みする）
+    function onSetlistTrackStarted() {
+        setlistEnding = false;
+        setSetlistStatus(`再生中: ${setlistEntry.title || setlistEntry.id}`);
+        preloadNextSetlistTrack();
+        renderSetlist();
+    }
+
+    // 次の曲を先読みする（再生中の曲と次の曲以外の先読みは捨てる）
+    function preloadNextSetlistTrack() {
+        if (!setlist || !setlistTarget) {
+            return;
+        }
+        const nextIndex = setlist.peekNext();
+        const nextEntry = nextIndex >= 0 ? findMotionEntry(setlist.items[nextIndex]) : null;
+        preloadedMotions = preloadedMotions.filter((item) => item.model === setlistTarget &&
+            (item.entry === nextEntry || (item.entry === setlistEntry && nextEntry === setlistEntry)));
+        if (nextEntry) {
+            preloadMotion(nextEntry, setlistTarget);
+        }
+    }
+
+    // 前後の曲へ移る
+    function skipSetlistTrack(forward) {
+        if (!setlist) {
+            return;
+        }
+        playSetlistTrack(forward ? setlist.advance(true) : setlist.back());
+    }
+
+    /**
+     * @function updateSetlist
+     * @description 再生中の曲が終わったかを調べ、曲間を空けて次の曲へ進める（毎フレーム呼ぶ）
+     *              曲間の間は余韻（afterglow）の最後の姿勢のまま待ち、ループして最初に戻る前に一時停止する
+     */
+    function updateSetlist() {
+        if (!setlist || !setlistTarget || !motionClock || !helper || !window.PlaybackSync) {
+            return;
+        }
+        const afterglow = helper.configuration ? helper.configuration.afterglow : 0;
+        const duration = window.PlaybackSync.getHelperDuration(helper);
+        const time = getMotionTime();
+        const frame = 1 / window.PlaybackSync.FPS;
+        
+        // 曲間と次の曲の読み込みの間は、最初に戻らないよう余韻の終わりで止める
+        if (setlistEnding) {
+            if (!motionClock.paused && time >= duration - frame * 2) {
+                motionClock.pause();
+            }
+            return;
+        }
+        const userData = setlistTarget.userData || {};
+        if (userData.currentMotionEntry !== setlistEntry || motionClock.loop) {
+            return;
+        }
+        if (duration > 0 && time >= duration - afterglow - frame) {
+            finishSetlistTrack();
+        }
+    }
+
+    // 曲が終わったら、曲間を空けて次の曲を始める
+    function finishSetlistTrack() {
+        setlistEnding = true;
+        const next = setlist.advance();
+        if (next < 0) {
+            stopSetlist('セットリストの最後まで再生しました');
+            return;
+        }
+        const gap = Math.max(setlistOptions.gap, 0);
+        setSetlistStatus(gap > 0 ? `次の曲まで ${gap} 秒` : '次の曲へ');
+        clearTimeout(setlistGapTimer);
+        setlistGapTimer = setTimeout(() => playSetlistTrack(next), gap * 1000);
+    }
+
+    /**
+     * @function getMemoryStats
+     * @description モデル・モーションの入れ替えでリソースが解放されているか確かめるための統計を返す
+     * @returns {Object} { models, renderer: { geometries, textures, programs, calls, triangles }|null,
+     *          physics: { bodies, constraints }|null, worker: { models, bodies, constraints }|null }
+     */
+    function getMemoryStats() {
+        return {
+            models: stageModels.length,
+            renderer: renderer && window.ModelDisposal ? window.ModelDisposal.getRendererStats(renderer) : null,
+            physics: window.StagePhysics ? window.StagePhysics.getStats() : null,
+            worker: window.PhysicsWorker ? window.PhysicsWorker.getStats() : null
+        };
+    }
+
+    // デバッグパネルが開いていればメモリの統計を更新する（描画の直後に呼ぶ）
+    function updateMemoryStats() {
+        const element = document.getElementById('memory-stats');
+        const panel = document.getElementById('debug-panel');
+        if (!element || !panel || panel.style.display !== 'block') {
+            return;
+        }
+        const now = performance.now();
+        if (now - memoryStatsTime < MEMORY_STATS_INTERVAL) {
+            return;
+        }
+        memoryStatsTime = now;
+        const stats = getMemoryStats();
+        const lines = [`モデル: ${stats.models}`];
+        if (stats.renderer) {
+            lines.push(`ジオメトリ: ${stats.renderer.geometries} / テクスチャ: ${stats.renderer.textures} / シェーダー: ${stats.renderer.programs}`);
+            lines.push(`描画: ${stats.renderer.calls} 回 / ${stats.renderer.triangles} 三角形`);
+        }
+        if (stats.physics) {
+            lines.push(`剛体: ${stats.physics.bodies} / ジョイント: ${stats.physics.constraints}`);
+        }
+        if (stats.worker && stats.worker.models > 0) {
+            lines.push(`ワーカーの剛体: ${stats.worker.bodies} / ジョイント: ${stats.worker.constraints}（${stats.worker.models} 体）`);
+        }
+        element.textContent = lines.join('\n');
+    }
+
+    /**
+     * @function animate
+     * @description アニメーションループ
+     */
+    function animate() {
+        try {
+            // requestAnimationFrameはできるだけ例外を発生させたくないので、try-catchで囲む
+            requestAnimationFrame(animate);
             
-            // ローディング画面を強制的に非表示
-            loadingElem.style.display = 'none';
+            // 書き出し中は書き出し側が固定の間隔で更新・描画する
+            if (isExporting) {
+                return;
+            }
+            
+            // モデルが読み込まれている場合のみアニメーション処理
+            if (modelLoaded && stageModels.length > 0) {
+                let dancing = false;
+                stageModels.forEach((model) => {
+                    // モデルのユーザーデータを安全に取得
+                    const userData = model.userData || {};
+                    if (userData.isTestMode) {
+                        // テストモードの場合は単純に回転（安全に）
+                        if (model.rotation) {
+                            model.rotation.y = (model.rotation.y || 0) + 0.01;
+                        }
+                    } else if (userData.currentMotion) {
+                        dancing = true;
+                    }
+                });
+                
+                if (dancing && helper && typeof helper.update === 'function') {
+                    // アニメーションと物理演算（全モデルをまとめて更新）
+                    try {
+                        updateHelper();
+                    } catch (error) {
+                        // エラーをログに記録するだけで続行
+                        console.error('アニメーション更新エラー:', error);
+                    }
+                } else if (clock && typeof clock.getDelta === 'function') {
+                    // 踊り始めた時に待機中の時間がまとめて進まないよう捨てる
+                    clock.getDelta();
+                }
+                
+                // 手動の表情（VMDの表情の上に重ねる）
+                applyMorphControls();
+                
+                // ポーズ編集のボーンマーカーを追従させる
+                if (poseModeActive && poseEditor) {
+                    poseEditor.update();
+                }
+                
+                // ドープシートの現在フレーム
+                if (dopeSheet && keyframeDoc) {
+                    dopeSheet.setCurrentFrame(getCurrentFrame());
+                }
+                
+                // セットリストの曲の終わり
+                updateSetlist();
+            }
+            
+            // 剛体のデバッグ表示（モデルの登録し直しに追従）
+            if (physicsOverlay) {
+                physicsOverlay.update(helper);
+            }
+            
+            // モデル情報パネルで選んだボーンのマーカー
+            if (inspectorHighlighter) {
+                inspectorHighlighter.update();
+            }
+            
+            // 照明モーション
+            if (lightingRig) {
+                lightingRig.update(getMotionTime());
+            }
+            
+            // タイムラインの表示を更新
+            updateTransportDisplay(false);
+            
+            // コントロール更新（安全に）
+            // カメラモーション再生中はカメラトラックの向きを上書きしないよう更新しない
+            if (controls && typeof controls.update === 'function' && !isCinematicCamera()) {
+                try {
+                    controls.update();
+                } catch (error) {
+                    // エラーを無視して続行
+                    console.error('コントロール更新エラー:', error);
+                }
+            }
+            
+            // レンダリング（安全に）
+            if (renderer && typeof renderer.render === 'function' && scene && camera) {
+                try {
+                    renderScene();
+                } catch (error) {
+                    // エラーをログに記録するだけで続行
+                    console.error('レンダリングエラー:', error);
+                }
+                updateMemoryStats();
+            }
+        } catch (error) {
+            // アニメーションループでのエラーをログに記録
+            console.error('アニメーションループエラー:', error);
+            
+            // アニメーションループは継続するために、次のフレームを要求
+            requestAnimationFrame(animate);
+        }
+    }
+
+    /**
+     * @function onWindowResize
+     * @description ウィンドウサイズ変更時の処理
+     */
+    function onWindowResize() {
+        // 書き出し中は書き出しサイズを維持する（終了時に改めて呼ばれる）
+        if (isExporting) {
+            return;
+        }
+        try {
+            if (camera) {
+                // カメラのアスペクト比を更新（安全に）
+                if (typeof camera.updateProjectionMatrix === 'function') {
+                    camera.aspect = window.innerWidth / window.innerHeight;
+                    camera.updateProjectionMatrix();
+                }
+            }
             
-            // エラーメッセージを表示
-            if (window.showErrorMessage) {
-                window.showErrorMessage('初期化に時間がかかりすぎています', '一部の機能が動作しない可能性がありますが、アプリケーションを表示します');
+            if (renderer && typeof renderer.setSize === 'function') {
+                // レンダラーのサイズを更新（安全に）
+                renderer.setSize(window.innerWidth, window.innerHeight);
+                if (postProcessing) {
+                    postProcessing.setSize(window.innerWidth, window.innerHeight);
+                }
             }
+        } catch (error) {
+            console.error('ウィンドウリサイズエラー:', error);
+        }
+    }
+
+    /**
+     * @function bootPhysics
+     * @description 起動の「物理演算」の段階。Ammo.jsを初期化する（物理演算が無効、またはスプリングボーンの場合はスキップ）
+     * @param {Object} context - BootSequenceの段階のコンテキスト
+     * @returns {Promise|undefined} 初期化の完了
+     */
+    function bootPhysics(context) {
+        if (!physicsEnabled) {
+            context.skip('物理演算は無効です');
+            return;
+        }
+        if (physicsBackend === 'spring') {
+            context.skip('スプリングボーンを使用します');
+            return;
         }
-    }, 5000);
-}); 
\ No newline at end of file
+        if (typeof Ammo === 'undefined') {
+            context.skip('Ammo.jsがありません');
+            updateAmmoStatus('error', '未検出');
+            return;
+        }
+        return initAmmo().then((ok) => {
+            if (!ok) {
+                throw new Error('Ammo.jsを初期化できません。物理演算なしで続行します');
+            }
+        });
+    }
+
+    /**
+     * @function bootMotion
+     * @description 起動の「モーション」の段階。モーションライブラリを読み込み（読めなければmotions/dance.vmdを使う）、
+     *              URLのハッシュにモーションの指定があれば再生を始める
+     * @returns {Promise} 読み込みの完了
+     */
+    function bootMotion() {
+        return loadMotionLibrary().then(() => {
+            if (initialSceneState && mesh) {
+                restoreSceneMotion(mesh, initialSceneState);
+            }
+        });
+    }
+
+    // index.htmlの起動処理（BootSequence）が実行する段階
+    window.appBootStages = {
+        renderer: init,
+        physics: bootPhysics,
+        model: bootModel,
+        motion: bootMotion
+    };
+
+    console.log('app.js読み込み完了');
+}
@@ -0,0 +1,305 @@
+/**
+ * @file boot-sequence.js
+ * @description 起動処理を段階（ライブラリ → レンダラー → 物理演算 → モデル → モーション）に分けて順に実行する状態機械
+ *              段階ごとの状態と進捗をイベントで知らせ、実行中の段階の中止と、失敗・中止した段階からの再試行ができる
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.BootSequence) {
+        return;
+    }
+
+    // 段階の状態
+    const STAGE_STATES = {
+        PENDING: 'pending',       // まだ実行していない
+        RUNNING: 'running',       // 実行中
+        DONE: 'done',             // 完了
+        SKIPPED: 'skipped',       // 実行する必要がなかった（物理演算が無効、モデルファイルがないなど）
+        FAILED: 'failed',         // 失敗（任意の段階なら起動は続ける）
+        CANCELLED: 'cancelled'    // 中止された
+    };
+
+    // 起動全体の状態
+    const BOOT_STATES = {
+        IDLE: 'idle',             // start()の前
+        RUNNING: 'running',       // いずれかの段階を実行中
+        READY: 'ready',           // すべての段階が終わった（任意の段階の失敗を含む）
+        FAILED: 'failed',         // 必須の段階が失敗した
+        CANCELLED: 'cancelled'    // 中止された
+    };
+
+    // 段階の中止を表すエラー
+    class BootCancelledError extends Error {
+        constructor(label) {
+            super(`${label}を中止しました`);
+            this.name = 'BootCancelledError';
+        }
+    }
+
+    /**
+     * @function create
+     * @description 起動の段階を順に実行するオブジェクトを作る
+     * @param {Array<Object>} definitions - 段階の定義 { id, label, optional, timeout, run(context) }
+     *        run()はPromiseを返してよい。contextは { signal: AbortSignal, progress(value, message), skip(message) }
+     *        （progressのvalueは0〜1、skip()を呼ぶと結果は「スキップ」になる）
+     *        optionalがtrueの段階は失敗・中止しても次の段階へ進む。timeout（ミリ秒）を過ぎると失敗にする
+     * @returns {Object} { start(), cancel(), retry(stageId), on(type, handler), off(type, handler), getState(), getStage(id), getStages() }
+     */
+    function create(definitions) {
+        const stages = definitions.map((definition) => ({
+            definition,
+            state: STAGE_STATES.PENDING,
+            progress: 0,
+            message: '',
+            error: null,
+            controller: null
+        }));
+        const listeners = {};
+        let state = BOOT_STATES.IDLE;
+        let runToken = 0;
+
+        // 段階の状態を外に渡す形にする（内部の状態は書き換えさせない）
+        function snapshot(stage) {
+            return {
+                id: stage.definition.id,
+                label: stage.definition.label,
+                optional: Boolean(stage.definition.optional),
+                index: stages.indexOf(stage),
+                state: stage.state,
+                progress: stage.progress,
+                message: stage.message,
+                error: stage.error
+            };
+        }
+
+        // 全体の進捗（終わった段階は1、実行中の段階はその進捗）
+        function overallProgress() {
+            const total = stages.reduce((sum, stage) => {
+                return sum + (stage.state === STAGE_STATES.PENDING ? 0 : stage.state === STAGE_STATES.RUNNING ? stage.progress : 1);
+            }, 0);
+            return stages.length > 0 ? total / stages.length : 1;
+        }
+
+        function emit(type, detail) {
+            (listeners[type] || []).slice().forEach((handler) => {
+                try {
+                    handler(detail);
+                } catch (error) {
+                    console.error(`起動イベント(${type})の処理でエラー:`, error);
+                }
+            });
+        }
+
+        function setState(next, detail) {
+            if (state === next) {
+                return;
+            }
+            const previous = state;
+            state = next;
+            emit('state', Object.assign({ state, previous }, detail));
+        }
+
+        function setStageState(stage, next, error) {
+            stage.state = next;
+            stage.error = error ? (error.message || String(error)) : null;
+            if (next === STAGE_STATES.DONE || next === STAGE_STATES.SKIPPED) {
+                stage.progress = 1;
+            }
+            emit('stage', snapshot(stage));
+            emit('progress', { stage: snapshot(stage), overall: overallProgress() });
+        }
+
+        // 一つの段階を実行する（結果の状態を返す。途中で中止・再実行されたらnull）
+        async function runStage(stage, token) {
+            const { definition } = stage;
+            const controller = new AbortController();
+            let skipped = false;
+            let timer = null;
+            stage.controller = controller;
+            stage.progress = 0;
+            stage.message = '';
+            setStageState(stage, STAGE_STATES.RUNNING);
+
+            const context = {
+                signal: controller.signal,
+                progress(value, message) {
+                    if (token !== runToken || stage.state !== STAGE_STATES.RUNNING) {
+                        return;
+                    }
+                    if (Number.isFinite(value)) {
+                        stage.progress = Math.min(Math.max(value, 0), 1);
+                    }
+                    if (typeof message === 'string') {
+                        stage.message = message;
+                    }
+                    emit('progress', { stage: snapshot(stage), overall: overallProgress() });
+                },
+                skip(message) {
+                    skipped = true;
+                    if (typeof message === 'string') {
+                        stage.message = message;
+                    }
+                }
+            };
+
+            // 中止されたら、段階の処理の完了を待たずに中止として扱う
+            const cancelled = new Promise((resolve, reject) => {
+                controller.signal.addEventListener('abort', () => reject(new BootCancelledError(definition.label)), { once: true });
+            });
+            const timedOut = new Promise((resolve, reject) => {
+                if (definition.timeout > 0) {
+                    timer = setTimeout(() => {
+                        reject(new Error(`${definition.label}が${Math.round(definition.timeout / 1000)}秒以内に終わりませんでした`));
+                        controller.abort();
+                    }, definition.timeout);
+                }
+            });
+            // raceが決まった後のrejectを未処理にしない
+            cancelled.catch(() => {});
+            timedOut.catch(() => {});
+
+            try {
+                await Promise.race([Promise.resolve().then(() => definition.run(context)), cancelled, timedOut]);
+                if (token !== runToken) {
+                    return null;
+                }
+                setStageState(stage, skipped ? STAGE_STATES.SKIPPED : STAGE_STATES.DONE);
+            } catch (error) {
+                if (token !== runToken) {
+                    return null;
+                }
+                setStageState(stage, error instanceof BootCancelledError ? STAGE_STATES.CANCELLED : STAGE_STATES.FAILED, error);
+            } finally {
+                clearTimeout(timer);
+                stage.controller = null;
+            }
+            return stage.state;
+        }
+
+        // 終わっていない段階を先頭から順に実行する
+        async function run() {
+            const token = ++runToken;
+            setState(BOOT_STATES.RUNNING);
+            for (const stage of stages) {
+                const finished = stage.state === STAGE_STATES.DONE || stage.state === STAGE_STATES.SKIPPED;
+                const gaveUp = stage.definition.optional && (stage.state === STAGE_STATES.FAILED || stage.state === STAGE_STATES.CANCELLED);
+                if (finished || gaveUp) {
+                    continue;
+                }
+                const result = await runStage(stage, token);
+                if (result === null) {
+                    return state;
+                }
+                // 任意の段階は、中止・失敗しても次の段階へ進む
+                if (stage.definition.optional) {
+                    continue;
+                }
+                if (result === STAGE_STATES.CANCELLED) {
+                    runToken++;
+                    setState(BOOT_STATES.CANCELLED, { stage: snapshot(stage) });
+                    emit('cancelled', { stage: snapshot(stage) });
+                    return state;
+                }
+                if (result === STAGE_STATES.FAILED) {
+                    setState(BOOT_STATES.FAILED, { stage: snapshot(stage) });
+                    emit('failed', { stage: snapshot(stage), error: stage.error });
+                    return state;
+                }
+            }
+            setState(BOOT_STATES.READY);
+            emit('ready', { stages: stages.map(snapshot) });
+            return state;
+        }
+
+        /**
+         * 起動を始める（二回目以降は何もしない）
+         * @returns {Promise<string>} 終わった時の起動全体の状態
+         */
+        function start() {
+            if (state !== BOOT_STATES.IDLE) {
+                return Promise.resolve(state);
+            }
+            return run();
+        }
+
+        /**
+         * 実行中の段階を中止する
+         * @returns {boolean} 中止したか
+         */
+        function cancel() {
+            const stage = stages.find((item) => item.state === STAGE_STATES.RUNNING);
+            if (!stage || !stage.controller) {
+                return false;
+            }
+            stage.controller.abort();
+            return true;
+        }
+
+        /**
+         * 失敗・中止した段階をやり直し、続きの段階を実行する
+         * @param {string} [stageId] - やり直す段階（省略時は失敗・中止したすべての段階）
+         * @returns {Promise<string>} 終わった時の起動全体の状態
+         */
+        function retry(stageId) {
+            if (state === BOOT_STATES.RUNNING) {
+                return Promise.reject(new Error('起動処理の実行中は再試行できません'));
+            }
+            const targets = stages.filter((stage) => (stage.state === STAGE_STATES.FAILED || stage.state === STAGE_STATES.CANCELLED) &&
+                (!stageId || stage.definition.id === stageId));
+            if (targets.length === 0) {
+                return Promise.resolve(state);
+            }
+            targets.forEach((stage) => {
+                stage.state = STAGE_STATES.PENDING;
+                stage.progress = 0;
+                stage.error = null;
+                emit('stage', snapshot(stage));
+            });
+            return run();
+        }
+
+        /**
+         * イベントを受け取る
+         * @param {string} type - 'state'（起動全体の状態）/ 'stage'（段階の状態）/ 'progress' / 'ready' / 'failed' / 'cancelled'
+         * @param {Function} handler - 受け取る関数
+         * @returns {Function} 受け取りをやめる関数
+         */
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            return () => off(type, handler);
+        }
+
+        /**
+         * イベントの受け取りをやめる
+         * @param {string} type - イベントの種類
+         * @param {Function} handler - on()に渡した関数
+         */
+        function off(type, handler) {
+            if (listeners[type]) {
+                listeners[type] = listeners[type].filter((item) => item !== handler);
+            }
+        }
+
+        return {
+            start,
+            cancel,
+            retry,
+            on,
+            off,
+            getState: () => state,
+            getStage: (id) => {
+                const stage = stages.find((item) => item.definition.id === id);
+                return stage ? snapshot(stage) : null;
+            },
+            getStages: () => stages.map(snapshot)
+        };
+    }
+
+    window.BootSequence = {
+        STAGE_STATES,
+        BOOT_STATES,
+        BootCancelledError,
+        create
+    };
+})();
@@ -0,0 +1,293 @@
+/**
+ * @file drop-loader.js
+ * @description ドラッグ＆ドロップされたファイル・フォルダ・zipを展開し、
+ *              仮想パスからBlob URLへ解決するためのユーティリティ
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.DropLoader) {
+        return;
+    }
+
+    // ドロップしたファイルを参照する仮想パスの接頭辞
+    // MMDLoaderは拡張子とテクスチャの相対パスをURLから求めるため、Blob URLではなくこのパスで読み込む
+    const VIRTUAL_ROOT = 'local-files/';
+
+    const MODEL_EXTENSIONS = ['pmx', 'pmd'];
+    const MOTION_EXTENSIONS = ['vmd'];
+    const AUDIO_EXTENSIONS = ['wav', 'mp3', 'ogg'];
+    const POSE_EXTENSIONS = ['vpd'];
+    const STAGE_EXTENSIONS = ['gltf', 'glb'];
+    const BACKGROUND_EXTENSIONS = ['hdr'];
+    const ARCHIVE_EXTENSIONS = ['zip'];
+
+    // 拡張子を小文字で取得
+    function getExtension(path) {
+        const name = path.split('/').pop();
+        const index = name.lastIndexOf('.');
+        return index < 0 ? '' : name.slice(index + 1).toLowerCase();
+    }
+
+    /**
+     * @function normalizePath
+     * @description パスの区切り文字・大文字小文字・相対指定を揃える（Windows由来のテクスチャパス対策）
+     * @param {string} path - パス
+     * @returns {string} 正規化したパス
+     */
+    function normalizePath(path) {
+        let decoded = path;
+        try {
+            decoded = decodeURIComponent(path);
+        } catch (error) {
+            // %を含むファイル名はそのまま扱う
+        }
+
+        const parts = [];
+        decoded.replace(/\\/g, '/').split('/').forEach((part) => {
+            if (part === '' || part === '.') {
+                return;
+            }
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+        return parts.join('/').toLowerCase();
+    }
+
+    // zip内のファイル名がShift_JISだった場合に復元する
+    // （fflateはUTF-8フラグのない名前をLatin-1として返すため）
+    function decodeZipEntryName(name) {
+        if (!/[\u0080-\u00ff]/.test(name) || /[^\u0000-\u00ff]/.test(name)) {
+            return name;
+        }
+        try {
+            const bytes = Uint8Array.from(name, (ch) => ch.charCodeAt(0));
+            return new TextDecoder('shift_jis', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return name;
+        }
+    }
+
+    // FileSystemEntryからFileを取得
+    function entryToFile(entry) {
+        return new Promise((resolve, reject) => entry.file(resolve, reject));
+    }
+
+    // ディレクトリの全エントリを読み出す（readEntriesは分割して返すので空になるまで繰り返す）
+    function readAllEntries(directoryEntry) {
+        const reader = directoryEntry.createReader();
+        const entries = [];
+        return new Promise((resolve, reject) => {
+            const readBatch = () => {
+                reader.readEntries((batch) => {
+                    if (batch.length === 0) {
+                        resolve(entries);
+                        return;
+                    }
+                    entries.push(...batch);
+                    readBatch();
+                }, reject);
+            };
+            readBatch();
+        });
+    }
+
+    // エントリを再帰的に走査してファイル一覧を作る
+    async function walkEntry(entry, basePath, files) {
+        const path = basePath + entry.name;
+        if (entry.isFile) {
+            files.push({ path, file: await entryToFile(entry) });
+        } else if (entry.isDirectory) {
+            const children = await readAllEntries(entry);
+            for (const child of children) {
+                await walkEntry(child, path + '/', files);
+            }
+        }
+    }
+
+    /**
+     * @function expandZip
+     * @description zipファイルを展開してファイル一覧にする（libs/fflate.min.jsが必要）
+     * @param {{path: string, file: File}} item - zipファイル
+     * @returns {Promise<Array<{path: string, file: Blob}>>} 展開したファイル
+     */
+    async function expandZip(item) {
+        if (typeof fflate === 'undefined' || typeof fflate.unzipSync !== 'function') {
+            throw new Error('zipの展開にはfflate（libs/fflate.min.js）が必要です');
+        }
+
+        const buffer = new Uint8Array(await item.file.arrayBuffer());
+        const entries = fflate.unzipSync(buffer);
+        const basePath = item.path.replace(/\.zip$/i, '') + '/';
+
+        return Object.keys(entries)
+            .filter((name) => !name.endsWith('/'))
+            .map((name) => ({
+                path: basePath + decodeZipEntryName(name),
+                file: new Blob([entries[name]])
+            }));
+    }
+
+    /**
+     * @function collectDroppedFiles
+     * @description ドロップされたファイル・フォルダを走査し、zipは展開してファイル一覧を返す
+     * @param {DataTransfer} dataTransfer - dropイベントのdataTransfer
+     * @returns {Promise<Array<{path: string, file: Blob}>>} ドロップ位置からの相対パスとファイル
+     */
+    async function collectDroppedFiles(dataTransfer) {
+        const collected = [];
+        const items = dataTransfer.items ? Array.from(dataTransfer.items) : [];
+        const entries = items
+            .filter((item) => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+            .map((item) => item.webkitGetAsEntry())
+            .filter(Boolean);
+
+        if (entries.length > 0) {
+            for (const entry of entries) {
+                await walkEntry(entry, '', collected);
+            }
+        } else {
+            // フォルダ走査に対応しないブラウザではファイルのみ
+            Array.from(dataTransfer.files || []).forEach((file) => {
+                collected.push({ path: file.webkitRelativePath || file.name, file });
+            });
+        }
+
+        const files = [];
+        for (const item of collected) {
+            if (ARCHIVE_EXTENSIONS.includes(getExtension(item.path))) {
+                files.push(...await expandZip(item));
+            } else {
+                files.push(item);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * @function isCameraMotion
+     * @description VMDのヘッダーを読み、ボーン・モーフを含まないカメラモーションかどうかを判定する
+     * @param {Blob} file - VMDファイル
+     * @returns {Promise<boolean>} カメラモーションならtrue
+     */
+    async function isCameraMotion(file) {
+        try {
+            const view = new DataView(await file.arrayBuffer());
+            // ヘッダー(30) + モデル名(20) の後にボーンキーフレーム数、モーフキーフレーム数、カメラキーフレーム数が続く
+            const motionCount = view.getUint32(50, true);
+            if (motionCount > 0) {
+                return false;
+            }
+            const morphCount = view.getUint32(54, true);
+            if (morphCount > 0) {
+                return false;
+            }
+            return view.getUint32(58, true) > 0;
+        } catch (error) {
+            // 短すぎるファイルなどはモデル用モーションとして扱い、読み込み時のエラーに任せる
+            return false;
+        }
+    }
+
+    /**
+     * @function isLightMotion
+     * @description VMDのヘッダーを読み、照明のキーフレームだけを含む照明モーションかどうかを判定する
+     * @param {Blob} file - VMDファイル
+     * @returns {Promise<boolean>} 照明モーションならtrue
+     */
+    async function isLightMotion(file) {
+        try {
+            const view = new DataView(await file.arrayBuffer());
+            // ボーン・モーフ・カメラのキーフレームがなく、その後の照明キーフレーム数が1以上
+            if (view.getUint32(50, true) > 0 || view.getUint32(54, true) > 0 || view.getUint32(58, true) > 0) {
+                return false;
+            }
+            return view.getUint32(62, true) > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @function createFileSet
+     * @description ファイル一覧からBlob URLの対応表を作り、モデル・モーション・音楽・ポーズ・ステージ・背景を分類する
+     * @param {Array<{path: string, file: Blob}>} files - collectDroppedFilesの結果
+     * @returns {Object} ファイルセット { entries, models, motions, audio, poses, stages, backgrounds, find(url), createURLModifier(), dispose() }
+     */
+    function createFileSet(files) {
+        const byPath = new Map();
+        const byName = new Map();
+        const blobUrls = [];
+
+        const entries = files.map((item) => {
+            const url = URL.createObjectURL(item.file);
+            blobUrls.push(url);
+            const normalized = normalizePath(item.path);
+            const entry = {
+                path: item.path,
+                name: item.path.split('/').pop(),
+                extension: getExtension(item.path),
+                virtualPath: VIRTUAL_ROOT + item.path,
+                file: item.file,
+                url
+            };
+            byPath.set(normalized, entry);
+
+            // ファイル名だけでも引けるようにする（同名が複数ある場合は曖昧なので登録しない）
+            const baseName = normalized.split('/').pop();
+            byName.set(baseName, byName.has(baseName) ? null : entry);
+            return entry;
+        });
+
+        // 仮想パスまたは相対パスからエントリを探す
+        function find(url) {
+            if (typeof url !== 'string' || url.startsWith('blob:') || url.startsWith('data:')) {
+                return null;
+            }
+            let path = url;
+            const rootIndex = path.indexOf(VIRTUAL_ROOT);
+            if (rootIndex >= 0) {
+                path = path.slice(rootIndex + VIRTUAL_ROOT.length);
+            }
+            const normalized = normalizePath(path);
+            return byPath.get(normalized) || byName.get(normalized.split('/').pop()) || null;
+        }
+
+        return {
+            entries,
+            models: entries.filter((entry) => MODEL_EXTENSIONS.includes(entry.extension)),
+            motions: entries.filter((entry) => MOTION_EXTENSIONS.includes(entry.extension)),
+            audio: entries.filter((entry) => AUDIO_EXTENSIONS.includes(entry.extension)),
+            poses: entries.filter((entry) => POSE_EXTENSIONS.includes(entry.extension)),
+            stages: entries.filter((entry) => STAGE_EXTENSIONS.includes(entry.extension)),
+            backgrounds: entries.filter((entry) => BACKGROUND_EXTENSIONS.includes(entry.extension)),
+            find,
+
+            // THREE.LoadingManager.setURLModifierに渡す関数
+            createURLModifier() {
+                return (url) => {
+                    const entry = find(url);
+                    return entry ? entry.url : url;
+                };
+            },
+
+            // Blob URLを解放する
+            dispose() {
+                blobUrls.forEach((url) => URL.revokeObjectURL(url));
+                blobUrls.length = 0;
+            }
+        };
+    }
+
+    window.DropLoader = {
+        VIRTUAL_ROOT,
+        normalizePath,
+        collectDroppedFiles,
+        isCameraMotion,
+        isLightMotion,
+        createFileSet
+    };
+})();
@@ -0,0 +1,619 @@
+/**
+ * @file keyframe-editor.js
+ * @description VMDモーションのキーフレーム編集（キーの追加・削除・移動、補間曲線の編集）と、
+ *              編集結果からのアニメーションの再構築・ドープシート・補間曲線エディタ
+ *              キーはMMDParserのVMD形式（右手座標系）のまま扱い、VmdWriterでそのまま書き出せるようにする
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.KeyframeEditor) {
+        return;
+    }
+
+    // VMDのフレームレート
+    const FPS = 30;
+
+    // トラックの種類
+    const TRACK_TYPE = {
+        BONE: 'bone',
+        MORPH: 'morph'
+    };
+
+    // ドープシートの表示
+    const LABEL_WIDTH = 120;
+    const ROW_HEIGHT = 16;
+    const RULER_HEIGHT = 18;
+    const KEY_SIZE = 4;
+    const MIN_ZOOM = 1;
+    const MAX_ZOOM = 16;
+    const COLORS = {
+        background: '#222',
+        rowAlternate: '#2a2a2a',
+        selectedRow: '#3a4a5a',
+        label: '#ddd',
+        grid: '#444',
+        boneKey: '#8fd3ff',
+        morphKey: '#ffb86c',
+        selectedKey: '#ff5555',
+        currentFrame: '#ff4444',
+        ruler: '#333',
+        rulerText: '#aaa'
+    };
+
+    // 補間曲線エディタの表示
+    const CURVE_PADDING = 8;
+    const HANDLE_RADIUS = 5;
+
+    /**
+     * @function createDocument
+     * @description 編集用にVMDデータを複製する（元のデータは変更しない）
+     * @param {Object} [vmd] - MMDParserのVMDデータ（右手座標系）。省略時は空のモーション
+     * @param {string} [name] - モデル名（VMDのヘッダーに書く）
+     * @returns {Object} 編集用のVMDデータ
+     */
+    function createDocument(vmd, name) {
+        const source = vmd || { metadata: {}, motions: [], morphs: [], cameras: [] };
+        const doc = {
+            metadata: {
+                name: name !== undefined ? name : (source.metadata.name || ''),
+                coordinateSystem: 'right'
+            },
+            motions: (source.motions || []).map((motion) => ({
+                boneName: motion.boneName,
+                frameNum: motion.frameNum,
+                position: Array.from(motion.position),
+                rotation: Array.from(motion.rotation),
+                interpolation: new Uint8Array(motion.interpolation)
+            })),
+            morphs: (source.morphs || []).map((morph) => ({
+                morphName: morph.morphName,
+                frameNum: morph.frameNum,
+                weight: morph.weight
+            })),
+            cameras: (source.cameras || []).map((camera) => Object.assign({}, camera))
+        };
+        updateCounts(doc);
+        return doc;
+    }
+
+    // MMDLoaderとVmdWriterが参照するキーの数を更新する
+    function updateCounts(doc) {
+        doc.metadata.motionCount = doc.motions.length;
+        doc.metadata.morphCount = doc.morphs.length;
+        doc.metadata.cameraCount = doc.cameras.length;
+    }
+
+    // 種類ごとのキーの配列と名前のプロパティ
+    function getKeyList(doc, type) {
+        return type === TRACK_TYPE.MORPH
+            ? { keys: doc.morphs, nameKey: 'morphName' }
+            : { keys: doc.motions, nameKey: 'boneName' };
+    }
+
+    /**
+     * @function getTracks
+     * @description キーのあるボーン・モーフをトラックとして列挙する（ボーンが先、それぞれ最初に現れた順）
+     * @param {Object} doc - 編集用のVMDデータ
+     * @returns {Array<Object>} [{ type, name, frames: [フレーム番号（昇順）] }]
+     */
+    function getTracks(doc) {
+        const tracks = [];
+        [TRACK_TYPE.BONE, TRACK_TYPE.MORPH].forEach((type) => {
+            const { keys, nameKey } = getKeyList(doc, type);
+            const byName = new Map();
+            keys.forEach((key) => {
+                if (!byName.has(key[nameKey])) {
+                    const track = { type, name: key[nameKey], frames: [] };
+                    byName.set(key[nameKey], track);
+                    tracks.push(track);
+                }
+                byName.get(key[nameKey]).frames.push(key.frameNum);
+            });
+            byName.forEach((track) => track.frames.sort((a, b) => a - b));
+        });
+        return tracks;
+    }
+
+    /**
+     * @function findKey
+     * @description トラックの指定フレームのキーを探す
+     * @param {Object} doc - 編集用のVMDデータ
+     * @param {string} type - TRACK_TYPE.BONE または TRACK_TYPE.MORPH
+     * @param {string} name - ボーン名・モーフ名
+     * @param {number} frame - フレーム番号
+     * @returns {Object|null} キー
+     */
+    function findKey(doc, type, name, frame) {
+        const { keys, nameKey } = getKeyList(doc, type);
+        return keys.find((key) => key[nameKey] === name && key.frameNum === frame) || null;
+    }
+
+    /**
+     * @function setKey
+     * @description キーを追加する（同じフレームにキーがあれば値だけ置き換え、補間は引き継ぐ）
+     * @param {Object} doc - 編集用のVMDデータ
+     * @param {string} type - TRACK_TYPE.BONE または TRACK_TYPE.MORPH
+     * @param {string} name - ボーン名・モーフ名
+     * @param {number} frame - フレーム番号
+     * @param {Object} value - ボーンは { position: [x, y, z], rotation: [x, y, z, w] }、モーフは { weight }
+     * @returns {Object} 追加・更新したキー
+     */
+    function setKey(doc, type, name, frame, value) {
+        const frameNum = Math.max(0, Math.round(frame));
+        let key = findKey(doc, type, name, frameNum);
+        if (type === TRACK_TYPE.MORPH) {
+            if (!key) {
+                key = { morphName: name, frameNum };
+                doc.morphs.push(key);
+            }
+            key.weight = Math.min(Math.max(value.weight, 0), 1);
+        } else {
+            if (!key) {
+                key = { boneName: name, frameNum, interpolation: window.VmdWriter.createInterpolation() };
+                doc.motions.push(key);
+            }
+            key.position = Array.from(value.position);
+            key.rotation = Array.from(value.rotation);
+        }
+        updateCounts(doc);
+        return key;
+    }
+
+    /**
+     * @function deleteKey
+     * @description キーを削除する
+     * @param {Object} doc - 編集用のVMDデータ
+     * @param {string} type - TRACK_TYPE.BONE または TRACK_TYPE.MORPH
+     * @param {string} name - ボーン名・モーフ名
+     * @param {number} frame - フレーム番号
+     * @returns {boolean} 削除したか
+     */
+    function deleteKey(doc, type, name, frame) {
+        const { keys } = getKeyList(doc, type);
+        const key = findKey(doc, type, name, frame);
+        if (!key) {
+            return false;
+        }
+        keys.splice(keys.indexOf(key), 1);
+        updateCounts(doc);
+        return true;
+    }
+
+    /**
+     * @function moveKey
+     * @description キーを別のフレームに移動する（移動先にキーがあれば上書きする）
+     * @param {Object} doc - 編集用のVMDデータ
+     * @param {string} type - TRACK_TYPE.BONE または TRACK_TYPE.MORPH
+     * @param {string} name - ボーン名・モーフ名
+     * @param {number} fromFrame - 移動元のフレーム番号
+     * @param {number} toFrame - 移動先のフレーム番号
+     * @returns {boolean} 移動したか
+     */
+    function moveKey(doc, type, name, fromFrame, toFrame) {
+        const target = Math.max(0, Math.round(toFrame));
+        const key = findKey(doc, type, name, fromFrame);
+        if (!key || target === fromFrame) {
+            return false;
+        }
+        deleteKey(doc, type, name, target);
+        key.frameNum = target;
+        updateCounts(doc);
+        return true;
+    }
+
+    /**
+     * @function getBoneKeyValue
+     * @description ボーンの現在の姿勢をキーの値にする（位置は初期位置からの移動量）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} boneName - ボーン名
+     * @returns {Object|null} { position, rotation }（ボーンがなければnull）
+     */
+    function getBoneKeyValue(mesh, boneName) {
+        const bones = mesh.skeleton.bones;
+        const index = bones.findIndex((bone) => bone.name === boneName);
+        if (index < 0) {
+            return null;
+        }
+        const bone = bones[index];
+        const gbone = mesh.geometry.bones ? mesh.geometry.bones[index] : null;
+        const rest = gbone ? new THREE.Vector3().fromArray(gbone.pos) : new THREE.Vector3();
+        return {
+            position: bone.position.clone().sub(rest).toArray(),
+            rotation: bone.quaternion.toArray()
+        };
+    }
+
+    /**
+     * @function buildClip
+     * @description 編集中のデータからモデル用のアニメーションを作り直す
+     *              MMDLoaderはボーンの現在位置を初期位置とみなすため、一時的に初期位置に戻して作る
+     * @param {Object} doc - 編集用のVMDデータ
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {THREE.AnimationClip} アニメーション
+     */
+    function buildClip(doc, mesh) {
+        updateCounts(doc);
+        const bones = mesh.skeleton.bones;
+        const saved = bones.map((bone) => bone.position.clone());
+        const geometryBones = mesh.geometry.bones;
+        if (geometryBones) {
+            bones.forEach((bone, index) => {
+                if (geometryBones[index]) {
+                    bone.position.fromArray(geometryBones[index].pos);
+                }
+            });
+        }
+        try {
+            return new THREE.MMDLoader().animationBuilder.build(doc, mesh);
+        } finally {
+            bones.forEach((bone, index) => bone.position.copy(saved[index]));
+        }
+    }
+
+    /**
+     * @function createDopeSheet
+     * @description トラックごとにキーを並べて表示するドープシートを作る
+     * @param {Object} options - { rulerCanvas, canvas, scrollContainer, onSeek(frame), onSelect(selection), onMoveKey(track, fromFrame, toFrame) }
+     * @returns {Object} ドープシート
+     */
+    function createDopeSheet(options) {
+        const { rulerCanvas, canvas, scrollContainer } = options;
+        let tracks = [];
+        let currentFrame = 0;
+        let startFrame = 0;
+        let zoom = 4;              // 1フレームあたりのピクセル数
+        let selection = null;      // { type, name, frame }（frameはキーを選んでいなければnull）
+        let drag = null;
+
+        function frameToX(frame) {
+            return LABEL_WIDTH + (frame - startFrame) * zoom;
+        }
+
+        function xToFrame(x) {
+            return Math.max(0, Math.round((x - LABEL_WIDTH) / zoom + startFrame));
+        }
+
+        function resize() {
+            const width = Math.max(scrollContainer.clientWidth, LABEL_WIDTH + 100);
+            rulerCanvas.width = width;
+            rulerCanvas.height = RULER_HEIGHT;
+            canvas.width = width;
+            canvas.height = Math.max(tracks.length * ROW_HEIGHT, ROW_HEIGHT);
+        }
+
+        function drawRuler() {
+            const context = rulerCanvas.getContext('2d');
+            context.fillStyle = COLORS.ruler;
+            context.fillRect(0, 0, rulerCanvas.width, RULER_HEIGHT);
+            context.fillStyle = COLORS.rulerText;
+            context.font = '10px sans-serif';
+            // 目盛りはズームに合わせて間引く
+            const step = zoom >= 8 ? 5 : (zoom >= 4 ? 10 : 30);
+            const endFrame = xToFrame(rulerCanvas.width);
+            for (let frame = Math.ceil(startFrame / step) * step; frame <= endFrame; frame += step) {
+                const x = frameToX(frame);
+                context.fillRect(x, RULER_HEIGHT - 5, 1, 5);
+                context.fillText(String(frame), x + 2, 10);
+            }
+            context.fillStyle = COLORS.currentFrame;
+            context.fillRect(frameToX(currentFrame), 0, 1, RULER_HEIGHT);
+            context.fillStyle = COLORS.label;
+            context.fillText(`フレーム ${currentFrame}`, 4, 12);
+        }
+
+        function drawTracks() {
+            const context = canvas.getContext('2d');
+            context.fillStyle = COLORS.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.font = '11px sans-serif';
+            context.textBaseline = 'middle';
+
+            tracks.forEach((track, row) => {
+                const y = row * ROW_HEIGHT;
+                const selectedTrack = selection && selection.type === track.type && selection.name === track.name;
+                if (selectedTrack || row % 2 === 1) {
+                    context.fillStyle = selectedTrack ? COLORS.selectedRow : COLORS.rowAlternate;
+                    context.fillRect(0, y, canvas.width, ROW_HEIGHT);
+                }
+                context.fillStyle = COLORS.label;
+                context.fillText((track.type === TRACK_TYPE.MORPH ? '◇ ' : '') + track.name, 4, y + ROW_HEIGHT / 2, LABEL_WIDTH - 8);
+
+                track.frames.forEach((frame) => {
+                    const x = frameToX(frame);
+                    if (x < LABEL_WIDTH - KEY_SIZE || x > canvas.width + KEY_SIZE) {
+                        return;
+                    }
+                    const selectedKey = selectedTrack && selection.frame === frame;
+                    context.fillStyle = selectedKey ? COLORS.selectedKey : (track.type === TRACK_TYPE.MORPH ? COLORS.morphKey : COLORS.boneKey);
+                    // ひし形のキー
+                    context.beginPath();
+                    context.moveTo(x, y + ROW_HEIGHT / 2 - KEY_SIZE);
+                    context.lineTo(x + KEY_SIZE, y + ROW_HEIGHT / 2);
+                    context.lineTo(x, y + ROW_HEIGHT / 2 + KEY_SIZE);
+                    context.lineTo(x - KEY_SIZE, y + ROW_HEIGHT / 2);
+                    context.fill();
+                });
+            });
+
+            // ドラッグ中のキーの移動先
+            if (drag && drag.moved) {
+                const row = tracks.indexOf(drag.track);
+                context.strokeStyle = COLORS.selectedKey;
+                context.strokeRect(frameToX(drag.toFrame) - KEY_SIZE, row * ROW_HEIGHT + 2, KEY_SIZE * 2, ROW_HEIGHT - 4);
+            }
+
+            context.fillStyle = COLORS.grid;
+            context.fillRect(LABEL_WIDTH - 1, 0, 1, canvas.height);
+            context.fillStyle = COLORS.currentFrame;
+            context.fillRect(frameToX(currentFrame), 0, 1, canvas.height);
+        }
+
+        function render() {
+            drawRuler();
+            drawTracks();
+        }
+
+        function select(next) {
+            selection = next;
+            render();
+            if (typeof options.onSelect === 'function') {
+                options.onSelect(selection);
+            }
+        }
+
+        // キャンバス上の位置からトラックとキーを探す
+        function hitTest(event) {
+            const rect = canvas.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+            const track = tracks[Math.floor(y / ROW_HEIGHT)] || null;
+            let frame = null;
+            if (track && x >= LABEL_WIDTH) {
+                frame = track.frames.find((keyFrame) => Math.abs(frameToX(keyFrame) - x) <= KEY_SIZE + 1);
+                frame = frame === undefined ? null : frame;
+            }
+            return { x, track, frame };
+        }
+
+        canvas.addEventListener('pointerdown', (event) => {
+            const hit = hitTest(event);
+            if (!hit.track) {
+                return;
+            }
+            if (hit.frame !== null) {
+                // キーを選んでドラッグで移動できるようにする
+                drag = { track: hit.track, fromFrame: hit.frame, toFrame: hit.frame, startX: hit.x, moved: false };
+                canvas.setPointerCapture(event.pointerId);
+                select({ type: hit.track.type, name: hit.track.name, frame: hit.frame });
+            } else {
+                select({ type: hit.track.type, name: hit.track.name, frame: null });
+                if (hit.x >= LABEL_WIDTH && typeof options.onSeek === 'function') {
+                    options.onSeek(xToFrame(hit.x));
+                }
+            }
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!drag) {
+                return;
+            }
+            const x = event.clientX - canvas.getBoundingClientRect().left;
+            drag.moved = drag.moved || Math.abs(x - drag.startX) > 2;
+            drag.toFrame = xToFrame(x);
+            render();
+        });
+
+        canvas.addEventListener('pointerup', () => {
+            if (!drag) {
+                return;
+            }
+            const { track, fromFrame, toFrame, moved } = drag;
+            drag = null;
+            if (moved && toFrame !== fromFrame && typeof options.onMoveKey === 'function') {
+                options.onMoveKey(track, fromFrame, toFrame);
+                select({ type: track.type, name: track.name, frame: toFrame });
+                return;
+            }
+            render();
+        });
+
+        rulerCanvas.addEventListener('pointerdown', (event) => {
+            const x = event.clientX - rulerCanvas.getBoundingClientRect().left;
+            if (x >= LABEL_WIDTH && typeof options.onSeek === 'function') {
+                options.onSeek(xToFrame(x));
+            }
+        });
+
+        // ホイールで横スクロール、Ctrl+ホイールで拡大・縮小
+        function onWheel(event) {
+            if (event.ctrlKey) {
+                event.preventDefault();
+                zoom = Math.min(Math.max(zoom * (event.deltaY < 0 ? 1.25 : 0.8), MIN_ZOOM), MAX_ZOOM);
+            } else if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+                event.preventDefault();
+                const delta = event.shiftKey ? event.deltaY : event.deltaX;
+                startFrame = Math.max(0, startFrame + Math.round(delta / zoom));
+            } else {
+                return;
+            }
+            render();
+        }
+        canvas.addEventListener('wheel', onWheel, { passive: false });
+        rulerCanvas.addEventListener('wheel', onWheel, { passive: false });
+
+        return {
+            /**
+             * 表示するデータを設定する（選択は残せるものだけ残す）
+             * @param {Object|null} doc - 編集用のVMDデータ
+             */
+            setDocument(doc) {
+                tracks = doc ? getTracks(doc) : [];
+                if (selection && !tracks.some((track) => track.type === selection.type && track.name === selection.name)) {
+                    selection = null;
+                }
+                resize();
+                render();
+            },
+            /**
+             * 現在のフレームを設定する（表示範囲外なら追従してスクロールする）
+             * @param {number} frame - フレーム番号
+             */
+            setCurrentFrame(frame) {
+                if (frame === currentFrame) {
+                    return;
+                }
+                currentFrame = frame;
+                const visibleFrames = Math.floor((canvas.width - LABEL_WIDTH) / zoom);
+                if (frame < startFrame || frame > startFrame + visibleFrames) {
+                    startFrame = Math.max(0, frame - Math.floor(visibleFrames / 4));
+                }
+                render();
+            },
+            /**
+             * 選択を設定する
+             * @param {Object|null} next - { type, name, frame }
+             */
+            setSelection(next) {
+                select(next);
+            },
+            get selection() {
+                return selection;
+            },
+            resize() {
+                resize();
+                render();
+            },
+            render
+        };
+    }
+
+    /**
+     * @function createCurveEditor
+     * @description VMDの補間曲線（制御点2つ、0〜127）をドラッグで編集するエディタを作る
+     * @param {Object} options - { canvas, onChange([x1, y1, x2, y2]) }
+     * @returns {Object} 補間曲線エディタ
+     */
+    function createCurveEditor(options) {
+        const { canvas } = options;
+        let values = window.VmdWriter.LINEAR_INTERPOLATION.slice();
+        let enabled = false;
+        let dragging = -1;
+
+        function toCanvas(x, y) {
+            const size = canvas.width - CURVE_PADDING * 2;
+            return [CURVE_PADDING + x / 127 * size, canvas.height - CURVE_PADDING - y / 127 * size];
+        }
+
+        function fromCanvas(px, py) {
+            const size = canvas.width - CURVE_PADDING * 2;
+            const clamp = (value) => Math.min(Math.max(Math.round(value), 0), 127);
+            return [clamp((px - CURVE_PADDING) / size * 127), clamp((canvas.height - CURVE_PADDING - py) / size * 127)];
+        }
+
+        function render() {
+            const context = canvas.getContext('2d');
+            context.fillStyle = COLORS.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            const [sx, sy] = toCanvas(0, 0);
+            const [ex, ey] = toCanvas(127, 127);
+            context.strokeStyle = COLORS.grid;
+            context.strokeRect(sx, ey, ex - sx, sy - ey);
+            if (!enabled) {
+                return;
+            }
+            const [c1x, c1y] = toCanvas(values[0], values[1]);
+            const [c2x, c2y] = toCanvas(values[2], values[3]);
+            context.strokeStyle = COLORS.rulerText;
+            context.beginPath();
+            context.moveTo(sx, sy);
+            context.lineTo(c1x, c1y);
+            context.moveTo(ex, ey);
+            context.lineTo(c2x, c2y);
+            context.stroke();
+            context.strokeStyle = COLORS.boneKey;
+            context.lineWidth = 2;
+            context.beginPath();
+            context.moveTo(sx, sy);
+            context.bezierCurveTo(c1x, c1y, c2x, c2y, ex, ey);
+            context.stroke();
+            context.lineWidth = 1;
+            [[c1x, c1y], [c2x, c2y]].forEach(([x, y], index) => {
+                context.fillStyle = index === dragging ? COLORS.selectedKey : COLORS.morphKey;
+                context.beginPath();
+                context.arc(x, y, HANDLE_RADIUS, 0, Math.PI * 2);
+                context.fill();
+            });
+        }
+
+        function getPoint(event) {
+            const rect = canvas.getBoundingClientRect();
+            return [(event.clientX - rect.left) * canvas.width / rect.width, (event.clientY - rect.top) * canvas.height / rect.height];
+        }
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!enabled) {
+                return;
+            }
+            const [px, py] = getPoint(event);
+            const handles = [toCanvas(values[0], values[1]), toCanvas(values[2], values[3])];
+            const distances = handles.map(([x, y]) => Math.hypot(x - px, y - py));
+            const nearest = distances[0] <= distances[1] ? 0 : 1;
+            if (distances[nearest] <= HANDLE_RADIUS * 2) {
+                dragging = nearest;
+                canvas.setPointerCapture(event.pointerId);
+                render();
+            }
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (dragging < 0) {
+                return;
+            }
+            const [x, y] = fromCanvas(...getPoint(event));
+            values[dragging * 2] = x;
+            values[dragging * 2 + 1] = y;
+            render();
+        });
+
+        canvas.addEventListener('pointerup', () => {
+            if (dragging < 0) {
+                return;
+            }
+            dragging = -1;
+            render();
+            if (typeof options.onChange === 'function') {
+                options.onChange(values.slice());
+            }
+        });
+
+        render();
+
+        return {
+            /**
+             * 表示する補間パラメータを設定する（nullなら編集不可）
+             * @param {Array<number>|null} next - [x1, y1, x2, y2]
+             */
+            setValues(next) {
+                enabled = Boolean(next);
+                values = next ? next.slice() : window.VmdWriter.LINEAR_INTERPOLATION.slice();
+                render();
+            }
+        };
+    }
+
+    window.KeyframeEditor = {
+        FPS,
+        TRACK_TYPE,
+        createDocument,
+        getTracks,
+        findKey,
+        setKey,
+        deleteKey,
+        moveKey,
+        getBoneKeyValue,
+        buildClip,
+        createDopeSheet,
+        createCurveEditor
+    };
+})();
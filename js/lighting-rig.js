@@ -0,0 +1,452 @@
+/**
+ * @file lighting-rig.js
+ * @description キー・フィル・リムの3灯と環境光、影を落とすディレクショナルライトと影を受ける床からなる照明
+ *              照明はJSONのプリセットで切り替え・保存でき、VMDの照明モーションでキーライトを動かせる
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.LightingRig) {
+        return;
+    }
+
+    // localStorageのキー
+    const STORAGE_KEY = 'mikumiku.lighting';
+
+    // 影のマップの大きさの選択肢
+    const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+
+    // ディレクショナルライトを置く距離と、影を計算する範囲（ステージの中心から）
+    const LIGHT_DISTANCE = 60;
+    const SHADOW_EXTENT = 30;
+
+    // 影を受ける床の大きさ（グリッドと同じ）
+    const GROUND_SIZE = 100;
+
+    // MMDの照明の既定の色（154/255）。照明モーションの色をこの明るさでプリセットの強さになるように使う
+    const MMD_DEFAULT_LIGHT = 154 / 255;
+
+    // VMDの各キーフレームの大きさ（バイト）
+    const VMD_HEADER_SIZE = 50;
+    const VMD_MOTION_SIZE = 111;
+    const VMD_MORPH_SIZE = 23;
+    const VMD_CAMERA_SIZE = 61;
+    const VMD_LIGHT_SIZE = 28;
+
+    // VMDの1秒あたりのフレーム数
+    const VMD_FPS = 30;
+
+    // 組み込みのプリセット（directionは光が来る向き。azimuthは正面(+Z)から+X側への角度、elevationは仰角。単位は度）
+    const PRESETS = {
+        default: {
+            name: '標準',
+            ambient: { color: '#666666', intensity: 1 },
+            key: { color: '#887766', intensity: 1, direction: { azimuth: -45, elevation: 35 } },
+            fill: { color: '#ffffff', intensity: 0, direction: { azimuth: 60, elevation: 20 } },
+            rim: { color: '#ffffff', intensity: 0, direction: { azimuth: 180, elevation: 30 } },
+            shadow: { enabled: true, mapSize: 2048, opacity: 0.25, selfShadow: false }
+        },
+        studio: {
+            name: 'スタジオ',
+            ambient: { color: '#ffffff', intensity: 0.45 },
+            key: { color: '#ffffff', intensity: 0.75, direction: { azimuth: 35, elevation: 50 } },
+            fill: { color: '#dfe8ff', intensity: 0.3, direction: { azimuth: -50, elevation: 20 } },
+            rim: { color: '#ffffff', intensity: 0.35, direction: { azimuth: 160, elevation: 40 } },
+            shadow: { enabled: true, mapSize: 2048, opacity: 0.3, selfShadow: false }
+        },
+        stage: {
+            name: 'ステージ',
+            ambient: { color: '#8890b0', intensity: 0.3 },
+            key: { color: '#fff4e0', intensity: 0.9, direction: { azimuth: 0, elevation: 65 } },
+            fill: { color: '#6080ff', intensity: 0.25, direction: { azimuth: -90, elevation: 10 } },
+            rim: { color: '#ff60c0', intensity: 0.6, direction: { azimuth: 180, elevation: 30 } },
+            shadow: { enabled: true, mapSize: 2048, opacity: 0.5, selfShadow: false }
+        },
+        sunset: {
+            name: '夕焼け',
+            ambient: { color: '#ffb080', intensity: 0.35 },
+            key: { color: '#ffa050', intensity: 0.9, direction: { azimuth: 70, elevation: 12 } },
+            fill: { color: '#6070a0', intensity: 0.25, direction: { azimuth: -100, elevation: 30 } },
+            rim: { color: '#ffd0a0', intensity: 0.4, direction: { azimuth: -160, elevation: 15 } },
+            shadow: { enabled: true, mapSize: 2048, opacity: 0.4, selfShadow: false }
+        }
+    };
+
+    // 最初に使うプリセット（これまでの照明と同じ見た目）
+    const DEFAULT_PRESET = 'default';
+
+    function clamp(value, min, max, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    }
+
+    function normalizeColor(value, fallback) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+    }
+
+    function normalizeLight(value, fallback) {
+        const source = value && typeof value === 'object' ? value : {};
+        const light = {
+            color: normalizeColor(source.color, fallback.color),
+            intensity: clamp(source.intensity, 0, 5, fallback.intensity)
+        };
+        if (fallback.direction) {
+            const direction = source.direction && typeof source.direction === 'object' ? source.direction : {};
+            light.direction = {
+                azimuth: clamp(direction.azimuth, -360, 360, fallback.direction.azimuth),
+                elevation: clamp(direction.elevation, -90, 90, fallback.direction.elevation)
+            };
+        }
+        return light;
+    }
+
+    /**
+     * @function normalizePreset
+     * @description JSONから読み込んだプリセットを検証し、足りない項目を標準のプリセットの値で補う
+     * @param {Object} value - プリセット
+     * @returns {Object} 検証済みのプリセット（新しいオブジェクト）
+     */
+    function normalizePreset(value) {
+        const source = value && typeof value === 'object' ? value : {};
+        const fallback = PRESETS[DEFAULT_PRESET];
+        const shadow = source.shadow && typeof source.shadow === 'object' ? source.shadow : {};
+        const mapSize = Number(shadow.mapSize);
+        return {
+            name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : '無題',
+            ambient: normalizeLight(source.ambient, fallback.ambient),
+            key: normalizeLight(source.key, fallback.key),
+            fill: normalizeLight(source.fill, fallback.fill),
+            rim: normalizeLight(source.rim, fallback.rim),
+            shadow: {
+                enabled: typeof shadow.enabled === 'boolean' ? shadow.enabled : fallback.shadow.enabled,
+                mapSize: SHADOW_MAP_SIZES.includes(mapSize) ? mapSize : fallback.shadow.mapSize,
+                opacity: clamp(shadow.opacity, 0, 1, fallback.shadow.opacity),
+                selfShadow: typeof shadow.selfShadow === 'boolean' ? shadow.selfShadow : fallback.shadow.selfShadow
+            }
+        };
+    }
+
+    // 方位角・仰角から光が来る向きの単位ベクトルを求める
+    function setDirection(target, direction) {
+        const azimuth = THREE.MathUtils.degToRad(direction.azimuth);
+        const elevation = THREE.MathUtils.degToRad(direction.elevation);
+        return target.set(
+            Math.sin(azimuth) * Math.cos(elevation),
+            Math.sin(elevation),
+            Math.cos(azimuth) * Math.cos(elevation)
+        );
+    }
+
+    /**
+     * @function parseVmdLights
+     * @description VMDファイルの照明のキーフレームを読む（MMDParserは照明を読まないため）
+     * @param {ArrayBuffer} buffer - VMDファイルの中身
+     * @returns {Array<Object>} [{ frameNum, color: [r, g, b], direction: [x, y, z] }]（フレーム順。照明がなければ空）
+     */
+    function parseVmdLights(buffer) {
+        const view = new DataView(buffer);
+        let offset = VMD_HEADER_SIZE;
+        // ボーン・モーフ・カメラのキーフレームを読み飛ばす
+        for (const size of [VMD_MOTION_SIZE, VMD_MORPH_SIZE, VMD_CAMERA_SIZE]) {
+            if (offset + 4 > view.byteLength) {
+                return [];
+            }
+            offset += 4 + view.getUint32(offset, true) * size;
+        }
+        if (offset + 4 > view.byteLength) {
+            return [];
+        }
+        const count = view.getUint32(offset, true);
+        offset += 4;
+        const keys = [];
+        for (let i = 0; i < count && offset + VMD_LIGHT_SIZE <= view.byteLength; i++, offset += VMD_LIGHT_SIZE) {
+            const read = (index) => view.getFloat32(offset + 4 + index * 4, true);
+            keys.push({
+                frameNum: view.getUint32(offset, true),
+                color: [read(0), read(1), read(2)],
+                direction: [read(3), read(4), read(5)]
+            });
+        }
+        return keys.sort((a, b) => a.frameNum - b.frameNum);
+    }
+
+    /**
+     * @function createLightTrack
+     * @description 照明のキーフレームから、時刻の照明の色と向きを求めるトラックを作る（MMDと同じく線形補間）
+     * @param {Array<Object>} keys - parseVmdLights()の結果
+     * @param {string} [name] - 表示名
+     * @returns {Object|null} { name, duration, keyCount, evaluate(time) }（キーがなければnull）
+     */
+    function createLightTrack(keys, name) {
+        if (!keys || keys.length === 0) {
+            return null;
+        }
+        const color = new THREE.Color();
+        const direction = new THREE.Vector3();
+        const result = { color, direction };
+
+        return {
+            name: name || '',
+            duration: keys[keys.length - 1].frameNum / VMD_FPS,
+            keyCount: keys.length,
+
+            /**
+             * 時刻の照明を返す（directionはthree.jsの座標系での、光が来る向きの単位ベクトル）
+             * @param {number} time - 再生位置（秒）
+             * @returns {Object} { color: THREE.Color, direction: THREE.Vector3 }（同じオブジェクトを使い回す）
+             */
+            evaluate(time) {
+                const frame = time * VMD_FPS;
+                let next = keys.findIndex((key) => key.frameNum > frame);
+                if (next < 0) {
+                    next = keys.length - 1;
+                }
+                const previous = Math.max(next - 1, 0);
+                const a = keys[previous];
+                const b = keys[next];
+                const span = b.frameNum - a.frameNum;
+                const t = span > 0 ? Math.min(Math.max((frame - a.frameNum) / span, 0), 1) : (frame >= b.frameNum ? 1 : 0);
+                const lerp = (index, kind) => a[kind][index] + (b[kind][index] - a[kind][index]) * t;
+                color.setRGB(lerp(0, 'color'), lerp(1, 'color'), lerp(2, 'color'));
+                // MMDの照明の向きは光が進む向き（左手系）なので、Zを反転してから逆向きにする
+                direction.set(-lerp(0, 'direction'), -lerp(1, 'direction'), lerp(2, 'direction'));
+                if (direction.lengthSq() === 0) {
+                    direction.set(0, 1, 0);
+                }
+                direction.normalize();
+                return result;
+            }
+        };
+    }
+
+    /**
+     * @function create
+     * @description シーンに照明を作る
+     * @param {THREE.Scene} scene - シーン
+     * @param {THREE.WebGLRenderer} renderer - レンダラー（影を有効にする）
+     * @returns {Object} { lights, ground, apply(preset), getPreset(), setupModel(mesh), setLightMotion(track), getLightMotion(), update(time), dispose() }
+     */
+    function create(scene, renderer) {
+        if (renderer && renderer.shadowMap) {
+            renderer.shadowMap.enabled = true;
+            renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        }
+
+        const ambient = new THREE.AmbientLight(0xffffff);
+        const key = new THREE.DirectionalLight(0xffffff);
+        const fill = new THREE.DirectionalLight(0xffffff);
+        const rim = new THREE.DirectionalLight(0xffffff);
+        key.name = 'KeyLight';
+        fill.name = 'FillLight';
+        rim.name = 'RimLight';
+
+        key.castShadow = true;
+        const shadowCamera = key.shadow.camera;
+        shadowCamera.left = -SHADOW_EXTENT;
+        shadowCamera.right = SHADOW_EXTENT;
+        shadowCamera.top = SHADOW_EXTENT;
+        shadowCamera.bottom = -SHADOW_EXTENT;
+        shadowCamera.near = 1;
+        shadowCamera.far = LIGHT_DISTANCE * 2;
+        shadowCamera.updateProjectionMatrix();
+        key.shadow.bias = -0.0005;
+        key.shadow.normalBias = 0.02;
+
+        // 影だけを描く床（グリッドと重ならないよう少し下げる）
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE),
+            new THREE.ShadowMaterial({ opacity: 0.3 })
+        );
+        ground.name = 'ShadowGround';
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.y = -0.01;
+        ground.receiveShadow = true;
+
+        [ambient, key, fill, rim].forEach((light) => scene.add(light));
+        [key, fill, rim].forEach((light) => scene.add(light.target));
+        scene.add(ground);
+
+        let preset = normalizePreset(PRESETS[DEFAULT_PRESET]);
+        let lightMotion = null;
+        const _direction = new THREE.Vector3();
+
+        // 影の設定をモデルに反映する
+        function applyModelShadows(mesh) {
+            mesh.castShadow = preset.shadow.enabled;
+            mesh.receiveShadow = preset.shadow.enabled && preset.shadow.selfShadow;
+        }
+
+        // ステージ（userData.isStage）のメッシュはモデルではないので除く
+        function forEachModel(callback) {
+            scene.traverse((object) => {
+                if (object.isSkinnedMesh && !object.userData.isStage) {
+                    callback(object);
+                }
+            });
+        }
+
+        function placeLight(light, direction) {
+            light.position.copy(direction).multiplyScalar(LIGHT_DISTANCE).add(light.target.position);
+        }
+
+        /**
+         * プリセットを適用する（照明モーション中もキーライト以外と影は反映する）
+         * @param {Object} value - プリセット
+         */
+        function apply(value) {
+            const previousMapSize = preset.shadow.mapSize;
+            preset = normalizePreset(value);
+
+            ambient.color.set(preset.ambient.color);
+            ambient.intensity = preset.ambient.intensity;
+            [[key, preset.key], [fill, preset.fill], [rim, preset.rim]].forEach(([light, settings]) => {
+                light.color.set(settings.color);
+                light.intensity = settings.intensity;
+                light.visible = settings.intensity > 0;
+                placeLight(light, setDirection(_direction, settings.direction));
+            });
+
+            key.castShadow = preset.shadow.enabled;
+            if (preset.shadow.mapSize !== previousMapSize || !key.shadow.map) {
+                key.shadow.mapSize.set(preset.shadow.mapSize, preset.shadow.mapSize);
+                // 大きさを変えたら影のマップを作り直させる
+                if (key.shadow.map) {
+                    key.shadow.map.dispose();
+                    key.shadow.map = null;
+                }
+            }
+            ground.material.opacity = preset.shadow.opacity;
+            ground.visible = preset.shadow.enabled && preset.shadow.opacity > 0;
+            forEachModel(applyModelShadows);
+        }
+
+        /**
+         * 今のプリセットを返す（コピー）
+         * @returns {Object} プリセット
+         */
+        function getPreset() {
+            return normalizePreset(preset);
+        }
+
+        /**
+         * 読み込んだモデルに影の設定を反映する
+         * @param {THREE.SkinnedMesh} mesh - モデル
+         */
+        function setupModel(mesh) {
+            applyModelShadows(mesh);
+        }
+
+        /**
+         * 照明モーションを設定する（nullでプリセットのキーライトに戻す）
+         * @param {Object|null} track - createLightTrack()の結果
+         */
+        function setLightMotion(track) {
+            lightMotion = track || null;
+            if (!lightMotion) {
+                key.color.set(preset.key.color);
+                placeLight(key, setDirection(_direction, preset.key.direction));
+            }
+        }
+
+        /**
+         * 設定中の照明モーションを返す
+         * @returns {Object|null} createLightTrack()の結果
+         */
+        function getLightMotion() {
+            return lightMotion;
+        }
+
+        /**
+         * 照明モーションの再生位置にキーライトを合わせる（毎フレーム呼ぶ）
+         * @param {number} time - 再生位置（秒）
+         */
+        function update(time) {
+            if (!lightMotion) {
+                return;
+            }
+            const state = lightMotion.evaluate(time);
+            key.color.copy(state.color).multiplyScalar(1 / MMD_DEFAULT_LIGHT);
+            placeLight(key, state.direction);
+        }
+
+        /**
+         * 照明をシーンから取り除く
+         */
+        function dispose() {
+            [ambient, key, fill, rim, ground].forEach((object) => scene.remove(object));
+            [key, fill, rim].forEach((light) => scene.remove(light.target));
+            if (key.shadow.map) {
+                key.shadow.map.dispose();
+            }
+            ground.geometry.dispose();
+            ground.material.dispose();
+        }
+
+        apply(preset);
+
+        return {
+            lights: { ambient, key, fill, rim },
+            ground,
+            apply,
+            getPreset,
+            setupModel,
+            setLightMotion,
+            getLightMotion,
+            update,
+            dispose
+        };
+    }
+
+    /**
+     * @function loadPresets
+     * @description 保存された照明の設定を読み込む
+     * @returns {Object} { selected: 選んでいたプリセットのID, presets: { ID: プリセット }（保存したプリセットのみ） }
+     */
+    function loadPresets() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+            const presets = {};
+            if (saved.presets && typeof saved.presets === 'object') {
+                Object.keys(saved.presets).forEach((id) => {
+                    presets[id] = normalizePreset(saved.presets[id]);
+                });
+            }
+            return {
+                selected: typeof saved.selected === 'string' ? saved.selected : DEFAULT_PRESET,
+                presets
+            };
+        } catch (error) {
+            console.warn('照明の設定の読み込みに失敗しました:', error);
+            return { selected: DEFAULT_PRESET, presets: {} };
+        }
+    }
+
+    /**
+     * @function savePresets
+     * @description 照明の設定を保存する
+     * @param {string} selected - 選んでいるプリセットのID
+     * @param {Object} presets - { ID: プリセット }（保存したプリセットのみ）
+     * @returns {boolean} 保存できたか
+     */
+    function savePresets(selected, presets) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ selected, presets }));
+            return true;
+        } catch (error) {
+            console.warn('照明の設定の保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    window.LightingRig = {
+        PRESETS,
+        DEFAULT_PRESET,
+        SHADOW_MAP_SIZES,
+        normalizePreset,
+        parseVmdLights,
+        createLightTrack,
+        create,
+        loadPresets,
+        savePresets
+    };
+})();
@@ -0,0 +1,314 @@
+/**
+ * @file lip-sync.js
+ * @description 音楽を解析して口の表情モーフ（あ・い・う・え・お）を動かす簡易リップシンク
+ *              （外部の音声認識サービスは使わず、音量とフォルマントの推定だけで母音を決める）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.LipSync) {
+        return;
+    }
+
+    // 動かす口のモーフ（PMXモデルで一般的な名前）
+    const VOWELS = ['あ', 'い', 'う', 'え', 'お'];
+
+    // 母音ごとの第1・第2フォルマントの目安（Hz）
+    const VOWEL_FORMANTS = [
+        [800, 1300],  // あ
+        [300, 2300],  // い
+        [350, 1400],  // う
+        [500, 2000],  // え
+        [500, 900]    // お
+    ];
+
+    // 解析の設定
+    const FPS = 30;                 // 解析するフレームレート（VMDと同じ）
+    const FFT_SIZE = 2048;          // 窓の長さ（サンプル）
+    const F1_RANGE = [250, 1000];   // 第1フォルマントを探す範囲（Hz）
+    const F2_RANGE = [900, 3000];   // 第2フォルマントを探す範囲（Hz）
+    const SPECTRUM_SMOOTHING = 80;  // フォルマント推定前にスペクトルをならす幅（Hz）
+    const SILENCE_DB = -40;         // 曲の大きい部分からこれ以上小さい音は口を閉じる
+    const ATTACK = 0.6;             // 口を開く速さ（1フレームで目標に近づく割合）
+    const RELEASE = 0.3;            // 口を閉じる速さ
+    const FRAMES_PER_CHUNK = 300;   // 解析中に画面を止めないよう、この数ごとに処理を譲る
+
+    // 同じ音声を何度も解析しないためのキャッシュ
+    const trackCache = new WeakMap();
+    // 毎フレーム全トラックを調べないためのキャッシュ（クリップ → 口のトラックがあるか）
+    const mouthTrackCache = new WeakMap();
+
+    // 基数2のFFT（re, imをその場で書き換える）
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    // 音声をモノラルにまとめる
+    function toMono(audioBuffer) {
+        const mono = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    // 範囲内で最も強い周波数（Hz）
+    function findPeak(spectrum, binHz, range) {
+        const from = Math.max(1, Math.floor(range[0] / binHz));
+        const to = Math.min(spectrum.length - 1, Math.ceil(range[1] / binHz));
+        let peak = from;
+        for (let i = from; i <= to; i++) {
+            if (spectrum[i] > spectrum[peak]) {
+                peak = i;
+            }
+        }
+        return peak * binHz;
+    }
+
+    /**
+     * @function estimateVowels
+     * @description 1フレーム分の振幅スペクトルから母音ごとの近さ（合計1）を推定する
+     * @param {Float32Array} spectrum - 振幅スペクトル（0Hz〜ナイキスト周波数）
+     * @param {number} binHz - スペクトル1つ分の周波数幅（Hz）
+     * @returns {Array<number>} VOWELSと同じ順の重み
+     */
+    function estimateVowels(spectrum, binHz) {
+        // 倍音の細かい山をならして、声道の共鳴（フォルマント）の山を見る
+        const width = Math.max(1, Math.round(SPECTRUM_SMOOTHING / binHz));
+        const half = Math.floor(width / 2);
+        const smoothed = new Float32Array(spectrum.length);
+        let sum = 0;
+        for (let i = 0; i < spectrum.length + half; i++) {
+            if (i < spectrum.length) {
+                sum += spectrum[i];
+            }
+            if (i >= width) {
+                sum -= spectrum[i - width];
+            }
+            if (i >= half) {
+                smoothed[i - half] = sum;
+            }
+        }
+        const f1 = findPeak(smoothed, binHz, F1_RANGE);
+        const f2 = findPeak(smoothed, binHz, [Math.max(F2_RANGE[0], f1 + 300), F2_RANGE[1]]);
+
+        const weights = VOWEL_FORMANTS.map(([vowelF1, vowelF2]) => {
+            const d1 = (f1 - vowelF1) / 200;
+            const d2 = (f2 - vowelF2) / 400;
+            return Math.exp(-(d1 * d1 + d2 * d2) / 2);
+        });
+        const total = weights.reduce((a, b) => a + b, 0) || 1;
+        return weights.map((weight) => weight / total);
+    }
+
+    /**
+     * @function analyze
+     * @description 音声を解析し、フレームごとの口のモーフの値（ならし済み）を作る
+     * @param {AudioBuffer} audioBuffer - デコード済みの音声
+     * @param {Object} [options] - { onProgress(progress 0〜1) }
+     * @returns {Promise<Object>} { fps, frameCount, weights }（weightsはフレーム×VOWELSの値）
+     */
+    async function analyze(audioBuffer, options) {
+        if (trackCache.has(audioBuffer)) {
+            return trackCache.get(audioBuffer);
+        }
+        const onProgress = options && options.onProgress;
+        const samples = toMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+        const binHz = sampleRate / FFT_SIZE;
+        const frameCount = Math.ceil(audioBuffer.duration * FPS);
+
+        // ハン窓
+        const hann = new Float32Array(FFT_SIZE);
+        for (let i = 0; i < FFT_SIZE; i++) {
+            hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));
+        }
+
+        const re = new Float32Array(FFT_SIZE);
+        const im = new Float32Array(FFT_SIZE);
+        const spectrum = new Float32Array(FFT_SIZE / 2);
+        const levels = new Float32Array(frameCount);
+        const raw = new Float32Array(frameCount * VOWELS.length);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            // フレームの時刻を中心にした窓
+            const center = Math.round(frame / FPS * sampleRate);
+            const start = center - FFT_SIZE / 2;
+            let power = 0;
+            for (let i = 0; i < FFT_SIZE; i++) {
+                const index = start + i;
+                const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+                power += sample * sample;
+                re[i] = sample * hann[i];
+                im[i] = 0;
+            }
+            levels[frame] = Math.sqrt(power / FFT_SIZE);
+
+            fft(re, im);
+            for (let i = 0; i < spectrum.length; i++) {
+                spectrum[i] = Math.hypot(re[i], im[i]);
+            }
+            const weights = estimateVowels(spectrum, binHz);
+            raw.set(weights, frame * VOWELS.length);
+
+            if ((frame + 1) % FRAMES_PER_CHUNK === 0) {
+                if (typeof onProgress === 'function') {
+                    onProgress((frame + 1) / frameCount);
+                }
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+        }
+
+        // 曲の大きい部分（上位5%）を基準に、口の開き具合を0〜1にする
+        const sortedLevels = Array.from(levels).sort((a, b) => a - b);
+        const reference = sortedLevels[Math.floor(sortedLevels.length * 0.95)] || 1;
+
+        // 開きは速く、閉じはゆっくりならす
+        const weights = new Float32Array(frameCount * VOWELS.length);
+        const current = new Float32Array(VOWELS.length);
+        for (let frame = 0; frame < frameCount; frame++) {
+            const db = 20 * Math.log10(levels[frame] / reference + 1e-9);
+            const opening = Math.min(Math.max(1 - db / SILENCE_DB, 0), 1);
+            for (let v = 0; v < VOWELS.length; v++) {
+                const target = raw[frame * VOWELS.length + v] * opening;
+                const rate = target > current[v] ? ATTACK : RELEASE;
+                current[v] += (target - current[v]) * rate;
+                weights[frame * VOWELS.length + v] = current[v];
+            }
+        }
+
+        if (typeof onProgress === 'function') {
+            onProgress(1);
+        }
+        const track = { fps: FPS, frameCount, weights };
+        trackCache.set(audioBuffer, track);
+        return track;
+    }
+
+    /**
+     * @function hasMouthTrack
+     * @description モーションに口のモーフのトラックがあるか（あれば自動のリップシンクは使わない）
+     * @param {THREE.AnimationClip} clip - モデルのモーション
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} 口のモーフのトラックがあるか
+     */
+    function hasMouthTrack(clip, mesh) {
+        if (!clip || !mesh.morphTargetDictionary) {
+            return false;
+        }
+        if (mouthTrackCache.has(clip)) {
+            return mouthTrackCache.get(clip);
+        }
+        const trackNames = VOWELS
+            .filter((vowel) => mesh.morphTargetDictionary[vowel] !== undefined)
+            .map((vowel) => `.morphTargetInfluences[${mesh.morphTargetDictionary[vowel]}]`);
+        const result = clip.tracks.some((track) => trackNames.includes(track.name));
+        mouthTrackCache.set(clip, result);
+        return result;
+    }
+
+    /**
+     * @function apply
+     * @description 音声の再生位置に合わせて口のモーフを設定する（MorphControl.applyより前に呼ぶ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {Object} track - analyze()の結果
+     * @param {number} audioTime - 音声の再生位置（秒。範囲外なら口を閉じる）
+     * @param {number} strength - 強さ（1で解析結果のまま）
+     */
+    function apply(mesh, track, audioTime, strength) {
+        const influences = mesh.morphTargetInfluences;
+        const dictionary = mesh.morphTargetDictionary;
+        if (!influences || !dictionary) {
+            return;
+        }
+        // フレーム間は線形補間する
+        const position = audioTime * track.fps;
+        const frame = Math.floor(position);
+        const ratio = position - frame;
+        const inRange = frame >= 0 && frame < track.frameCount;
+        const next = Math.min(frame + 1, track.frameCount - 1);
+
+        VOWELS.forEach((vowel, v) => {
+            const index = dictionary[vowel];
+            if (index === undefined) {
+                return;
+            }
+            let value = 0;
+            if (inRange) {
+                const a = track.weights[frame * VOWELS.length + v];
+                const b = track.weights[next * VOWELS.length + v];
+                value = (a + (b - a) * ratio) * strength;
+            }
+            influences[index] = Math.min(Math.max(value, 0), 1);
+        });
+        mesh.userData.lipSyncActive = true;
+    }
+
+    /**
+     * @function clear
+     * @description リップシンクで動かしていた口を閉じる（リップシンクを止めた時に一度だけ呼ぶ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function clear(mesh) {
+        if (!mesh.userData.lipSyncActive) {
+            return;
+        }
+        mesh.userData.lipSyncActive = false;
+        const influences = mesh.morphTargetInfluences;
+        const dictionary = mesh.morphTargetDictionary;
+        if (!influences || !dictionary) {
+            return;
+        }
+        VOWELS.forEach((vowel) => {
+            if (dictionary[vowel] !== undefined) {
+                influences[dictionary[vowel]] = 0;
+            }
+        });
+    }
+
+    window.LipSync = {
+        VOWELS,
+        FPS,
+        analyze,
+        estimateVowels,
+        hasMouthTrack,
+        apply,
+        clear
+    };
+})();
@@ -0,0 +1,632 @@
+/**
+ * @file miku-player.js
+ * @description 他のページに埋め込んでモデルを踊らせるためのプレイヤー（MikuPlayerクラスと<miku-player>要素）
+ *              一つのページにいくつでも置けるよう、レンダラー・シーン・ヘルパー・物理ワールドはプレイヤーごとに持つ
+ *              （index.htmlのアプリ（app.js）とは状態を共有しない。読み込みとヘルパーへの登録はapp.jsと同じstage-loader.jsを、
+ *              再生位置の管理にplayback-sync.jsを使う）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.MikuPlayer) {
+        return;
+    }
+
+    // 物理演算の使い方
+    const PHYSICS_MODES = ['auto', 'ammo', 'spring', 'none'];
+
+    // 既定のオプション
+    const DEFAULT_OPTIONS = {
+        model: null,            // PMX/PMDのURL
+        motion: null,           // VMDのURL（複数なら配列）
+        audio: null,            // 音楽のURL
+        audioDelay: 0,          // 音楽の遅延（秒。正の値で音楽を遅らせる）
+        camera: null,           // カメラモーション（VMD）のURL、または { position: [x, y, z], target: [x, y, z], fov }
+        physics: 'auto',        // 'auto'（Ammoが使えなければスプリングボーン）/ 'ammo' / 'spring' / 'none'
+        autoplay: true,         // 読み込んだら再生を始めるか
+        loop: true,             // 最後まで再生したら最初に戻るか（falseなら止めて'ended'を送る）
+        controls: true,         // マウスでカメラを動かせるようにするか（OrbitControls）
+        background: '#f0f0f0',  // 背景色（nullなら透明）
+        lighting: null,         // LightingRigのプリセットのIDまたはプリセット（LightingRigがなければ簡易な照明）
+        pixelRatio: null        // 描画の解像度の倍率（省略時は端末の値）
+    };
+
+    // カメラの初期位置（位置と画角はapp.jsと同じ。注視点はモデルの胸のあたり）
+    const DEFAULT_VIEW = { position: [0, 20, 40], target: [0, 10, 0], fov: 45 };
+
+    /**
+     * @class MikuPlayer
+     * @description コンテナの中にモデルを描画し、モーション・音楽・カメラモーションを再生するプレイヤー
+     *              イベント: 'ready'（モデルと最初のモーションの読み込み完了）/ 'load'（{ type: 'model' | 'motion' }）/
+     *              'play' / 'pause' / 'seek'（{ time }）/ 'ended' / 'error'（{ error }）/ 'dispose'
+     */
+    class MikuPlayer {
+        /**
+         * @param {HTMLElement} container - 描画先の要素（大きさに合わせて描画する）
+         * @param {Object} [options] - オプション（DEFAULT_OPTIONSを参照）
+         */
+        constructor(container, options = {}) {
+            if (!container) {
+                throw new Error('MikuPlayer: 描画先の要素がありません');
+            }
+            this.container = container;
+            this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+            if (!PHYSICS_MODES.includes(this.options.physics)) {
+                this.options.physics = options.physics === false ? 'none' : 'auto';
+            }
+
+            this.mesh = null;
+            this.audio = null;
+            this.disposed = false;
+
+            this._listeners = {};
+            this._paused = !this.options.autoplay;
+            this._ended = false;
+            this._motionToken = 0;
+            this._cameraMotion = false;
+            this._frame = 0;
+
+            this._setupRenderer();
+            this._setupScene();
+            this._clock = new THREE.Clock();
+            this._motionClock = null;
+            this._world = null;
+            this._animate = this._animate.bind(this);
+            this._frame = requestAnimationFrame(this._animate);
+
+            /**
+             * モデルと最初のモーションの読み込みが終わったら解決するPromise
+             * （失敗はerrorイベントでも知らせるため、awaitしなくても未処理のエラーにはならない）
+             * @type {Promise<MikuPlayer>}
+             */
+            this.ready = this._load();
+            this.ready.catch(() => {});
+        }
+
+        // レンダラーを作り、コンテナの大きさに合わせる
+        _setupRenderer() {
+            const { options, container } = this;
+            this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: options.background === null });
+            this.renderer.setPixelRatio(options.pixelRatio || window.devicePixelRatio);
+            this.renderer.shadowMap.enabled = true;
+            this.renderer.domElement.style.display = 'block';
+            container.appendChild(this.renderer.domElement);
+
+            this._resize = () => {
+                const width = container.clientWidth || 300;
+                const height = container.clientHeight || 150;
+                this.renderer.setSize(width, height);
+                if (this.camera) {
+                    this.camera.aspect = width / height;
+                    this.camera.updateProjectionMatrix();
+                }
+            };
+            if (typeof ResizeObserver === 'function') {
+                this._resizeObserver = new ResizeObserver(this._resize);
+                this._resizeObserver.observe(container);
+            } else {
+                window.addEventListener('resize', this._resize);
+            }
+        }
+
+        // シーン・カメラ・照明・ヘルパーを作る
+        _setupScene() {
+            const { options } = this;
+            this.scene = new THREE.Scene();
+            if (options.background !== null) {
+                this.scene.background = new THREE.Color(options.background);
+            }
+
+            const view = Object.assign({}, DEFAULT_VIEW, options.camera && typeof options.camera === 'object' ? options.camera : {});
+            this.camera = new THREE.PerspectiveCamera(view.fov, 1, 1, 2000);
+            this.camera.position.fromArray(view.position);
+            this._resize();
+
+            if (options.controls && typeof THREE.OrbitControls === 'function') {
+                this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+                this.controls.minDistance = 10;
+                this.controls.maxDistance = 100;
+                this.controls.target.fromArray(view.target);
+                this.controls.update();
+            } else {
+                this.controls = null;
+                this.camera.lookAt(new THREE.Vector3().fromArray(view.target));
+            }
+
+            if (window.LightingRig) {
+                this.lightingRig = window.LightingRig.create(this.scene, this.renderer);
+                const preset = typeof options.lighting === 'string' ? window.LightingRig.PRESETS[options.lighting] : options.lighting;
+                if (preset) {
+                    this.lightingRig.apply(preset);
+                }
+            } else {
+                this.lightingRig = null;
+                this.scene.add(new THREE.AmbientLight(0x666666));
+                const directionalLight = new THREE.DirectionalLight(0x887766);
+                directionalLight.position.set(-1, 1, 1).normalize();
+                this.scene.add(directionalLight);
+            }
+
+            this.helper = new THREE.MMDAnimationHelper({ afterglow: 2.0 });
+        }
+
+        // オプションのモデルとモーションを読み込む
+        _load() {
+            const { options } = this;
+            const physicsReady = (options.physics === 'auto' || options.physics === 'ammo') && window.StagePhysics
+                ? window.StageLoader.initAmmo().then(() => true, (error) => {
+                    console.warn('Ammo.jsを初期化できません:', error);
+                    return false;
+                })
+                : Promise.resolve(false);
+            return Promise.all([options.model ? this.loadModel(options.model) : null, physicsReady])
+                .then(([mesh, ammoReady]) => {
+                    this._ammoReady = ammoReady;
+                    if (options.physics === 'ammo' && !ammoReady) {
+                        console.warn('MikuPlayer: Ammo.jsが使えないため、物理演算なしで再生します');
+                    }
+                    if (mesh && options.motion) {
+                        return this.loadMotion(options.motion, {
+                            audio: options.audio,
+                            audioDelay: options.audioDelay,
+                            camera: typeof options.camera === 'string' ? options.camera : null
+                        });
+                    }
+                    return null;
+                })
+                .then(() => {
+                    this._emit('ready', {});
+                    return this;
+                })
+                .catch((error) => {
+                    this._emit('error', { error });
+                    throw error;
+                });
+        }
+
+        /**
+         * モデルを読み込んで今のモデルと入れ替える（モーションは外れる）
+         * @param {string} url - PMX/PMDのURL
+         * @returns {Promise<THREE.SkinnedMesh>} 読み込んだモデル
+         */
+        loadModel(url) {
+            return window.StageLoader.loadModel(url).then((mesh) => {
+                if (this.disposed) {
+                    window.ModelDisposal.disposeObject(mesh);
+                    return null;
+                }
+                this._removeModel();
+                this.mesh = mesh;
+                this.scene.add(mesh);
+                if (this.lightingRig) {
+                    this.lightingRig.setupModel(mesh);
+                }
+                this._emit('load', { type: 'model', url });
+                return mesh;
+            });
+        }
+
+        /**
+         * モーション（と音楽・カメラモーション）を読み込んで、今のモーションと入れ替える
+         * @param {string|Array<string>} motion - VMDのURL（複数なら重ねて一つのモーションにする）
+         * @param {Object} [motionOptions] - { audio: 音楽のURL, audioDelay: 秒, camera: カメラモーションのURL }
+         * @returns {Promise} 読み込みの完了（後から別のモーションを読み込んだら、先の結果は使わない）
+         */
+        loadMotion(motion, motionOptions = {}) {
+            if (!this.mesh) {
+                return Promise.reject(new Error('MikuPlayer: モデルが読み込まれていません'));
+            }
+            const token = ++this._motionToken;
+            const mesh = this.mesh;
+            const { audio, camera } = motionOptions;
+            const audioDelay = typeof motionOptions.audioDelay === 'number' ? motionOptions.audioDelay : this.options.audioDelay;
+            const { StageLoader } = window;
+
+            return Promise.all([
+                StageLoader.loadVmd(motion),
+                camera ? StageLoader.loadCameraMotion(camera, this.camera) : null,
+                audio && typeof THREE.AudioLoader === 'function' ? StageLoader.loadAudio(audio) : null
+            ]).then(([vmd, cameraClip, audioBuffer]) => {
+                if (token !== this._motionToken || mesh !== this.mesh || this.disposed) {
+                    return;
+                }
+                this._clearMotion();
+                this._addToHelper(mesh, StageLoader.buildClip(vmd, mesh));
+                if (cameraClip) {
+                    this.helper.add(this.camera, { animation: cameraClip });
+                    this._cameraMotion = true;
+                    if (this.controls) {
+                        this.controls.enabled = false;
+                    }
+                }
+                if (audioBuffer) {
+                    this._attachAudio(audioBuffer, audioDelay);
+                }
+                this._motionClock = window.PlaybackSync.createAudioClock(this.helper);
+                this._clock.getDelta();
+                this._ended = false;
+                if (this._paused) {
+                    this._motionClock.pause();
+                }
+                this._emit('load', { type: 'motion', url: motion });
+            });
+        }
+
+        // モデルにモーションを付けてヘルパーに登録する（Ammoが使えなければスプリングボーンで揺らす）
+        // 剛体はプレイヤーの物理ワールドに入れ、モーションを入れ替えても同じワールドを使い続ける
+        _addToHelper(mesh, clip) {
+            const mode = this.options.physics;
+            const useAmmo = (mode === 'auto' || mode === 'ammo') && this._ammoReady;
+            if (useAmmo && !this._world) {
+                this._world = window.StagePhysics.createWorld();
+            }
+            let backend = 'none';
+            if (useAmmo) {
+                backend = 'ammo';
+            } else if (mode === 'spring' || mode === 'auto') {
+                backend = 'spring';
+            }
+            window.StageLoader.register(this.helper, mesh, clip, { backend, world: this._world });
+        }
+
+        // 音楽をヘルパーに登録する
+        // 自動再生の制限で音声が止まっていると、音声に合わせるモーションも進まないので、最初の操作で再開する
+        _attachAudio(buffer, delayTime) {
+            if (!this._listener) {
+                this._listener = new THREE.AudioListener();
+                this.camera.add(this._listener);
+            }
+            this.audio = window.StageLoader.attachAudio(this.helper, this._listener, buffer, delayTime);
+        }
+
+        // モーション・音楽・カメラモーションをヘルパーから外す（剛体は物理ワールドから取り除いて破棄する）
+        _clearMotion() {
+            const { helper } = this;
+            if (this.mesh) {
+                window.StageLoader.unregister(helper, this.mesh);
+            }
+            if (this.audio) {
+                window.StageLoader.detachAudio(helper, this.audio);
+                this.audio = null;
+            }
+            if (this._cameraMotion) {
+                window.StageLoader.detachCamera(helper, this.camera);
+                this._cameraMotion = false;
+                if (this.controls) {
+                    this.controls.enabled = true;
+                    this.controls.update();
+                }
+            }
+            this._motionClock = null;
+        }
+
+        // モデルを取り除いて破棄する
+        _removeModel() {
+            if (!this.mesh) {
+                return;
+            }
+            this._motionToken++;
+            this._clearMotion();
+            this.scene.remove(this.mesh);
+            window.ModelDisposal.disposeObject(this.mesh);
+            this.mesh = null;
+        }
+
+        // 描画ループ
+        _animate() {
+            if (this.disposed) {
+                return;
+            }
+            this._frame = requestAnimationFrame(this._animate);
+            const wallDelta = this._clock.getDelta();
+            if (this._motionClock && !this._paused) {
+                this._step(wallDelta);
+            }
+            if (this.controls && this.controls.enabled) {
+                this.controls.update();
+            }
+            this.renderer.render(this.scene, this.camera);
+        }
+
+        // モーションを進める（ループしない場合は最後で止める）
+        _step(wallDelta) {
+            const motionClock = this._motionClock;
+            let delta = motionClock.update(wallDelta);
+            const duration = this.duration;
+            const ending = !this.options.loop && duration > 0 && motionClock.time >= duration;
+            if (ending) {
+                // 最後のフレームで止める（ループして先頭に戻らないように）
+                const overshoot = motionClock.time - duration + 1e-4;
+                delta = Math.max(delta - overshoot, 0);
+                motionClock.time -= overshoot;
+            }
+            this.helper.update(delta);
+            if (window.SpringBones) {
+                window.SpringBones.step(this.helper, delta);
+            }
+            if (ending) {
+                this.pause();
+                this._ended = true;
+                this._emit('ended', {});
+            }
+        }
+
+        /**
+         * 再生する（最後まで再生して止まっていたら最初から）
+         */
+        play() {
+            if (this._ended) {
+                this.seek(0);
+            }
+            this._paused = false;
+            this._ended = false;
+            // ブラウザの自動再生制限で止まっている音声を、ユーザー操作の中で再開する
+            if (this._listener && this._listener.context.state === 'suspended') {
+                this._listener.context.resume();
+            }
+            if (this._motionClock) {
+                this._motionClock.resume();
+            }
+            this._clock.getDelta();
+            this._emit('play', {});
+        }
+
+        /**
+         * 一時停止する
+         */
+        pause() {
+            this._paused = true;
+            if (this._motionClock) {
+                this._motionClock.pause();
+            }
+            this._emit('pause', {});
+        }
+
+        /**
+         * 再生位置を変更する
+         * @param {number} time - 再生位置（秒）
+         */
+        seek(time) {
+            if (!this._motionClock) {
+                return;
+            }
+            const clamped = Math.min(Math.max(Number(time) || 0, 0), this.duration);
+            this._motionClock.seek(clamped);
+            this._ended = false;
+            this._emit('seek', { time: clamped });
+        }
+
+        /**
+         * 今の再生位置（秒）
+         * @type {number}
+         */
+        get currentTime() {
+            return window.PlaybackSync.getHelperTime(this.helper);
+        }
+
+        /**
+         * モーション・カメラ・音楽のうち最も長い再生時間（秒）
+         * @type {number}
+         */
+        get duration() {
+            return window.PlaybackSync.getHelperDuration(this.helper);
+        }
+
+        /**
+         * 一時停止しているか
+         * @type {boolean}
+         */
+        get paused() {
+            return this._paused;
+        }
+
+        /**
+         * イベントを受け取る
+         * @param {string} type - イベントの種類
+         * @param {Function} handler - 受け取る関数
+         * @returns {Function} 受け取りをやめる関数
+         */
+        on(type, handler) {
+            (this._listeners[type] = this._listeners[type] || []).push(handler);
+            return () => this.off(type, handler);
+        }
+
+        /**
+         * イベントの受け取りをやめる
+         * @param {string} type - イベントの種類
+         * @param {Function} handler - on()に渡した関数
+         */
+        off(type, handler) {
+            if (this._listeners[type]) {
+                this._listeners[type] = this._listeners[type].filter((item) => item !== handler);
+            }
+        }
+
+        _emit(type, detail) {
+            (this._listeners[type] || []).slice().forEach((handler) => {
+                try {
+                    handler(Object.assign({ type, player: this }, detail));
+                } catch (error) {
+                    console.error(`MikuPlayerのイベント(${type})の処理でエラー:`, error);
+                }
+            });
+        }
+
+        /**
+         * 描画を止め、モデル・音声・レンダラーを破棄してコンテナから取り除く
+         */
+        dispose() {
+            if (this.disposed) {
+                return;
+            }
+            this._removeModel();
+            this.disposed = true;
+            cancelAnimationFrame(this._frame);
+            // 剛体はモデルと一緒に取り除いたので、プレイヤーの物理ワールドを破棄する
+            if (this._world) {
+                window.StagePhysics.destroyWorld(this._world);
+                this._world = null;
+            }
+            if (this._resizeObserver) {
+                this._resizeObserver.disconnect();
+            } else {
+                window.removeEventListener('resize', this._resize);
+            }
+            if (this.controls) {
+                this.controls.dispose();
+            }
+            if (this.lightingRig) {
+                this.lightingRig.dispose();
+            }
+            if (this._listener) {
+                this.camera.remove(this._listener);
+            }
+            this.renderer.dispose();
+            if (this.renderer.domElement.parentNode) {
+                this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+            }
+            this._emit('dispose', {});
+            this._listeners = {};
+        }
+    }
+
+    MikuPlayer.PHYSICS_MODES = PHYSICS_MODES;
+    MikuPlayer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+    // <miku-player>要素（属性はオプションと同じ名前。audio-delayなどはケバブケース）
+    // model・motion・audio・audio-delay・camera・physicsは後から変えると読み込み直す（他の属性は接続した時の値を使う）
+    if (window.customElements && !window.customElements.get('miku-player')) {
+        const EVENT_TYPES = ['ready', 'load', 'play', 'pause', 'seek', 'ended', 'error'];
+        // 変えるとモーションを読み込み直す属性と、プレイヤーを作り直す属性
+        const MOTION_ATTRIBUTES = ['motion', 'audio', 'audio-delay', 'camera'];
+        const PLAYER_ATTRIBUTES = ['physics'];
+
+        class MikuPlayerElement extends HTMLElement {
+            static get observedAttributes() {
+                return ['model'].concat(MOTION_ATTRIBUTES, PLAYER_ATTRIBUTES);
+            }
+
+            connectedCallback() {
+                if (this.player) {
+                    return;
+                }
+                if (!this.style.display) {
+                    this.style.display = 'block';
+                }
+                const flag = (name, fallback) => this.hasAttribute(name) ? this.getAttribute(name) !== 'false' : fallback;
+                const lighting = this.getAttribute('lighting');
+                this._reload = null;
+                this.player = new MikuPlayer(this, Object.assign({
+                    model: this.getAttribute('model'),
+                    physics: this.getAttribute('physics') || 'auto',
+                    autoplay: flag('autoplay', true),
+                    loop: flag('loop', true),
+                    controls: flag('controls', true),
+                    background: this.getAttribute('background') === 'transparent' ? null : (this.getAttribute('background') || DEFAULT_OPTIONS.background),
+                    lighting
+                }, this._getMotionOptions()));
+                // プレイヤーのイベントを要素のDOMイベントとして送る（detailにプレイヤーのイベントの内容が入る）
+                EVENT_TYPES.forEach((type) => {
+                    this.player.on(type, (detail) => this.dispatchEvent(new CustomEvent(type, { detail })));
+                });
+            }
+
+            attributeChangedCallback(name, oldValue, newValue) {
+                // 接続前（要素の作成時）の属性は、connectedCallbackでまとめて読む
+                if (!this.player || oldValue === newValue) {
+                    return;
+                }
+                // 続けて変えた属性は、一度にまとめて読み込み直す（モデルの入れ替えはモーションの読み込み直しを含む）
+                let kind = 'motion';
+                if (PLAYER_ATTRIBUTES.includes(name)) {
+                    kind = 'player';
+                } else if (name === 'model') {
+                    kind = 'model';
+                }
+                const pending = this._reload;
+                if (pending) {
+                    if (pending.kind === 'motion' || kind === 'player') {
+                        pending.kind = kind;
+                    }
+                    return;
+                }
+                this._reload = { kind };
+                Promise.resolve().then(() => this._applyReload());
+            }
+
+            // motion・audio・audio-delay・cameraの属性をオプションの形にする
+            _getMotionOptions() {
+                const motion = this.getAttribute('motion');
+                return {
+                    motion: motion && motion.includes(',') ? motion.split(',').map((item) => item.trim()) : motion,
+                    audio: this.getAttribute('audio'),
+                    audioDelay: Number(this.getAttribute('audio-delay')) || 0,
+                    camera: this.getAttribute('camera')
+                };
+            }
+
+            // 変わった属性に合わせて、モーション・モデル・プレイヤーを読み込み直す
+            _applyReload() {
+                const pending = this._reload;
+                this._reload = null;
+                const player = this.player;
+                if (!pending || !player) {
+                    return;
+                }
+                if (pending.kind === 'player') {
+                    this.disconnectedCallback();
+                    this.connectedCallback();
+                    return;
+                }
+                const { motion, audio, audioDelay, camera } = this._getMotionOptions();
+                const model = this.getAttribute('model');
+                const loaded = pending.kind === 'model' && model ? player.loadModel(model) : Promise.resolve(player.mesh);
+                loaded.then((mesh) => {
+                    if (mesh && motion && player === this.player) {
+                        return player.loadMotion(motion, { audio, audioDelay, camera });
+                    }
+                    return null;
+                }).catch((error) => {
+                    this.dispatchEvent(new CustomEvent('error', { detail: { type: 'error', player, error } }));
+                });
+            }
+
+            disconnectedCallback() {
+                if (this.player) {
+                    this.player.dispose();
+                    this.player = null;
+                }
+            }
+
+            play() {
+                if (this.player) {
+                    this.player.play();
+                }
+            }
+
+            pause() {
+                if (this.player) {
+                    this.player.pause();
+                }
+            }
+
+            seek(time) {
+                if (this.player) {
+                    this.player.seek(time);
+                }
+            }
+
+            loadMotion(motion, motionOptions) {
+                return this.player ? this.player.loadMotion(motion, motionOptions) : Promise.reject(new Error('MikuPlayer: 要素がページにありません'));
+            }
+
+            dispose() {
+                this.disconnectedCallback();
+            }
+        }
+
+        window.customElements.define('miku-player', MikuPlayerElement);
+    }
+
+    window.MikuPlayer = MikuPlayer;
+})();
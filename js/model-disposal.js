@@ -0,0 +1,103 @@
+/**
+ * @file model-disposal.js
+ * @description モデル・モーションを入れ替える時に、使わなくなったジオメトリ・材質・テクスチャ・ボーンのテクスチャと
+ *              AnimationMixerのキャッシュを解放するユーティリティと、解放を確かめるためのメモリの統計
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.ModelDisposal) {
+        return;
+    }
+
+    // 材質が持つテクスチャを列挙する（map・toonMap・matcapなど、名前に関係なくテクスチャの値をすべて）
+    function collectTextures(material, textures) {
+        Object.keys(material).forEach((key) => {
+            const value = material[key];
+            if (value && value.isTexture) {
+                textures.add(value);
+            }
+        });
+        // ShaderMaterialのuniformsにだけ入っているテクスチャ
+        if (material.uniforms) {
+            Object.keys(material.uniforms).forEach((key) => {
+                const value = material.uniforms[key] && material.uniforms[key].value;
+                if (value && value.isTexture) {
+                    textures.add(value);
+                }
+            });
+        }
+    }
+
+    /**
+     * @function disposeObject
+     * @description オブジェクトとその子のジオメトリ・材質・テクスチャ・スケルトンを破棄する（シーンから外した後に呼ぶ）
+     *              複数のメッシュで共有しているものは一度だけ破棄する
+     * @param {THREE.Object3D} root - 破棄するオブジェクト
+     * @returns {Object} 破棄した数 { geometries, materials, textures }
+     */
+    function disposeObject(root) {
+        const geometries = new Set();
+        const materials = new Set();
+        const textures = new Set();
+        const skeletons = new Set();
+
+        root.traverse((object) => {
+            if (object.geometry) {
+                geometries.add(object.geometry);
+            }
+            (Array.isArray(object.material) ? object.material : (object.material ? [object.material] : []))
+                .forEach((material) => materials.add(material));
+            if (object.isSkinnedMesh && object.skeleton) {
+                skeletons.add(object.skeleton);
+            }
+        });
+        materials.forEach((material) => collectTextures(material, textures));
+
+        geometries.forEach((geometry) => geometry.dispose());
+        materials.forEach((material) => material.dispose());
+        textures.forEach((texture) => texture.dispose());
+        // ボーンの行列を入れるテクスチャ（ボーン数の多いモデルで作られる）
+        skeletons.forEach((skeleton) => skeleton.dispose());
+
+        return { geometries: geometries.size, materials: materials.size, textures: textures.size };
+    }
+
+    /**
+     * @function disposeMixer
+     * @description AnimationMixerの再生を止め、アクションとプロパティのバインディングのキャッシュを解放する
+     *              （MMDAnimationHelperからモデル・カメラを外す前に呼ぶ）
+     * @param {THREE.AnimationMixer} mixer - ミキサー
+     */
+    function disposeMixer(mixer) {
+        if (!mixer) {
+            return;
+        }
+        mixer.stopAllAction();
+        // ルートのアクションとバインディングをまとめて外す（クリップへの参照もここで切れる）
+        mixer.uncacheRoot(mixer.getRoot());
+    }
+
+    /**
+     * @function getRendererStats
+     * @description レンダラーのメモリと描画の統計を返す（renderer.info）
+     * @param {THREE.WebGLRenderer} renderer - レンダラー
+     * @returns {Object} { geometries, textures, programs, calls, triangles }
+     */
+    function getRendererStats(renderer) {
+        const info = renderer.info;
+        return {
+            geometries: info.memory.geometries,
+            textures: info.memory.textures,
+            programs: info.programs ? info.programs.length : 0,
+            calls: info.render.calls,
+            triangles: info.render.triangles
+        };
+    }
+
+    window.ModelDisposal = {
+        disposeObject,
+        disposeMixer,
+        getRendererStats
+    };
+})();
@@ -0,0 +1,441 @@
+/**
+ * @file model-inspector.js
+ * @description 読み込んだモデルの情報（名前・コメント・作者）、ボーンの階層とIK、材質とテクスチャ、モーフ、剛体・ジョイントを調べる機能と、
+ *              選んだボーン・材質を画面上で強調する表示
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.ModelInspector) {
+        return;
+    }
+
+    // ボーンの強調表示の色
+    const MARKER_RADIUS = 0.25;
+    const SELECTED_MARKER_COLOR = 0xff6600;
+    const IK_MARKER_COLOR = 0xffcc00;
+
+    // IKでのボーンの役割
+    const IK_ROLE = {
+        TARGET: 'target',       // IKボーン（足ＩＫなど。ここへ向かって解く）
+        EFFECTOR: 'effector',   // ターゲットに合わせる先端のボーン
+        LINK: 'link'            // IKで回転するボーン
+    };
+
+    const IK_ROLE_LABELS = {
+        [IK_ROLE.TARGET]: 'IK',
+        [IK_ROLE.EFFECTOR]: 'IK先',
+        [IK_ROLE.LINK]: 'IKリンク'
+    };
+
+    // PMXのモーフの種類
+    const MORPH_TYPES = ['グループ', '頂点', 'ボーン', 'UV', '追加UV1', '追加UV2', '追加UV3', '追加UV4', '材質'];
+
+    // 剛体の形と種類
+    const BODY_SHAPES = ['球', '箱', 'カプセル'];
+    const BODY_TYPES = ['ボーン追従', '物理演算', '物理+位置合わせ'];
+
+    // コメントから作者を探す時の見出し（「モデル制作：〇〇」「Model by 〇〇」など）
+    const AUTHOR_PATTERN = /(?:モデル制作|モデル製作|モデリング|制作|製作|作者|作成者|Modeling|Model\s*by|Author|Created\s*by)\s*[:：]?\s*(.+)/i;
+
+    function getMmd(mesh) {
+        return (mesh && mesh.geometry && mesh.geometry.userData.MMD) || {};
+    }
+
+    // PMDの材質のテクスチャ名（「色*スフィア」の形）を分ける
+    function splitPmdFileName(fileName) {
+        const names = (fileName || '').split('*');
+        return { texture: names[0] || null, sphere: names[1] || null };
+    }
+
+    // パース結果から材質のテクスチャ・スフィア・トゥーンのファイル名を取り出す（MMDLoaderと同じ決め方）
+    function getMaterialFiles(data) {
+        const isPmd = data.metadata.format === 'pmd';
+        return data.materials.map((material) => {
+            if (isPmd) {
+                const toon = material.toonIndex === -1 ? 'toon00.bmp' : data.toonTextures[material.toonIndex].fileName;
+                return Object.assign({ name: null, englishName: null, toon }, splitPmdFileName(material.fileName));
+            }
+            const hasSphere = material.envTextureIndex !== -1 && (material.envFlag === 1 || material.envFlag === 2);
+            const sharedToon = material.toonIndex === -1 || material.toonFlag !== 0;
+            return {
+                name: material.name || null,
+                englishName: material.englishName || null,
+                texture: material.textureIndex !== -1 ? data.textures[material.textureIndex] : null,
+                sphere: hasSphere ? data.textures[material.envTextureIndex] : null,
+                toon: sharedToon ? `toon${`0${material.toonIndex + 1}`.slice(-2)}.bmp` : data.textures[material.toonIndex]
+            };
+        });
+    }
+
+    // コメントから作者の名前を探す（見つからなければnull）
+    function findAuthor(comment) {
+        const lines = (comment || '').split(/\r?\n/);
+        for (const line of lines) {
+            const match = line.match(AUTHOR_PATTERN);
+            if (match && match[1].trim()) {
+                return match[1].trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @function watchLoader
+     * @description MMDLoaderで作られるメッシュに、モデルの情報（名前・コメント・材質のファイル名・モーフの種類）を記録するようにする
+     *              （MMDLoaderはパース結果のヘッダーやファイル名をメッシュに残さないため）
+     * @param {THREE.MMDLoader} loader - モデルを読み込むローダー
+     */
+    function watchLoader(loader) {
+        const meshBuilder = loader && loader.meshBuilder;
+        if (!meshBuilder || typeof meshBuilder.build !== 'function' || meshBuilder.build.modelInfoWatched) {
+            return;
+        }
+        const build = meshBuilder.build;
+        const watchedBuild = function(data) {
+            const mesh = build.apply(this, arguments);
+            if (mesh && data && data.metadata) {
+                const metadata = data.metadata;
+                mesh.userData.modelInfo = {
+                    format: metadata.format,
+                    name: metadata.modelName || null,
+                    englishName: metadata.englishModelName || null,
+                    comment: metadata.comment || null,
+                    englishComment: metadata.englishComment || null,
+                    vertexCount: Array.isArray(data.vertices) ? data.vertices.length : 0,
+                    faceCount: Array.isArray(data.faces) ? data.faces.length : 0,
+                    materials: Array.isArray(data.materials) ? getMaterialFiles(data) : [],
+                    // PMDのモーフは種類を持たない（すべて頂点モーフ）
+                    morphTypes: Array.isArray(data.morphs) ? data.morphs.map((morph) => (metadata.format === 'pmd' ? 1 : morph.type)) : []
+                };
+            }
+            return mesh;
+        };
+        watchedBuild.modelInfoWatched = true;
+        meshBuilder.build = watchedBuild;
+    }
+
+    /**
+     * @function getInfo
+     * @description モデルの名前・コメント・作者と、ボーンなどの数を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Object} { format, name, englishName, comment, englishComment, author,
+     *          counts: { vertices, faces, bones, iks, materials, morphs, rigidBodies, joints } }
+     *          （watchLoader()を通さずに読み込んだモデルは名前・コメントがnull）
+     */
+    function getInfo(mesh) {
+        const info = (mesh && mesh.userData.modelInfo) || {};
+        const mmd = getMmd(mesh);
+        const materials = mesh && mesh.material ? [].concat(mesh.material) : [];
+        return {
+            format: info.format || mmd.format || null,
+            name: info.name || null,
+            englishName: info.englishName || null,
+            comment: info.comment || null,
+            englishComment: info.englishComment || null,
+            author: findAuthor(info.comment) || findAuthor(info.englishComment),
+            counts: {
+                vertices: info.vertexCount || 0,
+                faces: info.faceCount || 0,
+                bones: mesh && mesh.skeleton ? mesh.skeleton.bones.length : 0,
+                iks: Array.isArray(mmd.iks) ? mmd.iks.length : 0,
+                materials: materials.length,
+                morphs: mesh && mesh.morphTargetDictionary ? Object.keys(mesh.morphTargetDictionary).length : 0,
+                rigidBodies: Array.isArray(mmd.rigidBodies) ? mmd.rigidBodies.length : 0,
+                joints: Array.isArray(mmd.constraints) ? mmd.constraints.length : 0
+            }
+        };
+    }
+
+    /**
+     * @function getIkChains
+     * @description モデルのIKの一覧を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, target, effector, links: [ボーンの番号], iteration }]
+     */
+    function getIkChains(mesh) {
+        const bones = mesh && mesh.skeleton ? mesh.skeleton.bones : [];
+        const iks = getMmd(mesh).iks || [];
+        return iks.map((ik, index) => ({
+            index,
+            name: bones[ik.target] ? bones[ik.target].name : '',
+            target: ik.target,
+            effector: ik.effector,
+            links: (ik.links || []).map((link) => link.index),
+            iteration: ik.iteration
+        }));
+    }
+
+    /**
+     * @function getBones
+     * @description ボーンを階層の順（親の次に子）に並べて返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, depth, parent, ikRole, ikChains: [IKの番号] }]
+     *          （ikRoleはIK_ROLEのいずれかかnull。複数のIKに関わる場合はターゲット・エフェクタ・リンクの順に優先）
+     */
+    function getBones(mesh) {
+        if (!mesh || !mesh.skeleton) {
+            return [];
+        }
+        const bones = mesh.skeleton.bones;
+        const roles = bones.map(() => ({ role: null, chains: [] }));
+        const priority = [IK_ROLE.TARGET, IK_ROLE.EFFECTOR, IK_ROLE.LINK];
+        const mark = (index, role, chain) => {
+            const entry = roles[index];
+            if (!entry) {
+                return;
+            }
+            if (entry.role === null || priority.indexOf(role) < priority.indexOf(entry.role)) {
+                entry.role = role;
+            }
+            if (!entry.chains.includes(chain)) {
+                entry.chains.push(chain);
+            }
+        };
+        getIkChains(mesh).forEach((ik) => {
+            mark(ik.target, IK_ROLE.TARGET, ik.index);
+            mark(ik.effector, IK_ROLE.EFFECTOR, ik.index);
+            ik.links.forEach((link) => mark(link, IK_ROLE.LINK, ik.index));
+        });
+
+        const list = [];
+        const visit = (bone, depth) => {
+            const index = bones.indexOf(bone);
+            list.push({
+                index,
+                name: bone.name,
+                depth,
+                parent: bones.indexOf(bone.parent),
+                ikRole: roles[index].role,
+                ikChains: roles[index].chains
+            });
+            bone.children.filter((child) => child.isBone).forEach((child) => visit(child, depth + 1));
+        };
+        bones.filter((bone) => !bone.parent || !bone.parent.isBone).forEach((bone) => visit(bone, 0));
+        return list;
+    }
+
+    /**
+     * @function getMaterials
+     * @description 材質とそのテクスチャ・スフィア・トゥーンのファイル名を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, englishName, texture, sphere, toon, opacity, edge }]
+     */
+    function getMaterials(mesh) {
+        const materials = mesh && mesh.material ? [].concat(mesh.material) : [];
+        const files = (mesh && mesh.userData.modelInfo && mesh.userData.modelInfo.materials) || [];
+        return materials.map((material, index) => {
+            const file = files[index] || {};
+            const mmd = (material.userData && material.userData.MMD) || {};
+            const outline = material.userData && material.userData.outlineParameters;
+            return {
+                index,
+                name: file.name || material.name || `材質${index}`,
+                englishName: file.englishName || null,
+                texture: file.texture || mmd.mapFileName || null,
+                sphere: file.sphere || mmd.matcapFileName || null,
+                toon: file.toon || null,
+                opacity: material.opacity,
+                edge: Boolean(outline && outline.visible)
+            };
+        });
+    }
+
+    /**
+     * @function getMorphs
+     * @description モーフの一覧を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, type }]（typeは種類の表示名。分からなければnull）
+     */
+    function getMorphs(mesh) {
+        const dictionary = (mesh && mesh.morphTargetDictionary) || {};
+        const types = (mesh && mesh.userData.modelInfo && mesh.userData.modelInfo.morphTypes) || [];
+        return Object.keys(dictionary)
+            .map((name) => ({ index: dictionary[name], name, type: MORPH_TYPES[types[dictionary[name]]] || null }))
+            .sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * @function getRigidBodies
+     * @description 剛体の一覧を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, bone, shape, type, group }]（boneは付いているボーンの名前）
+     */
+    function getRigidBodies(mesh) {
+        const bones = mesh && mesh.skeleton ? mesh.skeleton.bones : [];
+        return (getMmd(mesh).rigidBodies || []).map((body, index) => ({
+            index,
+            name: body.name,
+            bone: bones[body.boneIndex] ? bones[body.boneIndex].name : null,
+            shape: BODY_SHAPES[body.shapeType] || String(body.shapeType),
+            type: BODY_TYPES[body.type] || String(body.type),
+            group: body.groupIndex
+        }));
+    }
+
+    /**
+     * @function getJoints
+     * @description ジョイントの一覧を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ index, name, bodyA, bodyB, bodyAName, bodyBName }]（bodyA・bodyBは剛体の番号）
+     */
+    function getJoints(mesh) {
+        const bodies = getMmd(mesh).rigidBodies || [];
+        return (getMmd(mesh).constraints || []).map((constraint, index) => ({
+            index,
+            name: constraint.name,
+            bodyA: constraint.rigidBodyIndex1,
+            bodyB: constraint.rigidBodyIndex2,
+            bodyAName: bodies[constraint.rigidBodyIndex1] ? bodies[constraint.rigidBodyIndex1].name : null,
+            bodyBName: bodies[constraint.rigidBodyIndex2] ? bodies[constraint.rigidBodyIndex2].name : null
+        }));
+    }
+
+    /**
+     * @function createHighlighter
+     * @description 選んだボーン（骨格とマーカー）と材質（ほかの材質を隠す）を画面上で強調する表示を作る
+     *              （剛体の強調はPhysicsTuning.createOverlay()の表示を使う）
+     * @param {THREE.Scene} scene - シーン
+     * @returns {Object} { showBones(mesh, selected, related), isolateMaterial(mesh, index), clear(), update(), dispose() }
+     */
+    function createHighlighter(scene) {
+        const markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 8, 6);
+        const markerGroup = new THREE.Group();
+        markerGroup.name = 'ModelInspectorMarkers';
+        let skeletonHelper = null;
+        let boneMesh = null;
+        let isolated = null;   // { materials, visible: [元の表示] }
+
+        function clearBones() {
+            if (skeletonHelper) {
+                scene.remove(skeletonHelper);
+                skeletonHelper.geometry.dispose();
+                skeletonHelper.material.dispose();
+                skeletonHelper = null;
+            }
+            scene.remove(markerGroup);
+            markerGroup.children.forEach((marker) => marker.material.dispose());
+            markerGroup.clear();
+            boneMesh = null;
+        }
+
+        function restoreMaterials() {
+            if (!isolated) {
+                return;
+            }
+            isolated.materials.forEach((material, index) => {
+                material.visible = isolated.visible[index];
+            });
+            isolated = null;
+        }
+
+        function addMarker(bone, color) {
+            const marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({
+                color,
+                depthTest: false,
+                transparent: true,
+                opacity: 0.9
+            }));
+            marker.renderOrder = 999;
+            marker.userData.bone = bone;
+            markerGroup.add(marker);
+        }
+
+        /**
+         * モデルの骨格を表示し、ボーンにマーカーを付ける
+         * @param {THREE.SkinnedMesh} mesh - モデル
+         * @param {number} selected - 選んだボーンの番号（-1ならマーカーなし）
+         * @param {Array<number>} [related] - 一緒に強調するボーンの番号（同じIKのボーンなど）
+         */
+        function showBones(mesh, selected, related) {
+            clearBones();
+            restoreMaterials();
+            if (!mesh || !mesh.skeleton) {
+                return;
+            }
+            boneMesh = mesh;
+            skeletonHelper = new THREE.SkeletonHelper(mesh);
+            scene.add(skeletonHelper);
+            const bones = mesh.skeleton.bones;
+            (related || []).forEach((index) => {
+                if (index !== selected && bones[index]) {
+                    addMarker(bones[index], IK_MARKER_COLOR);
+                }
+            });
+            if (bones[selected]) {
+                addMarker(bones[selected], SELECTED_MARKER_COLOR);
+            }
+            scene.add(markerGroup);
+            update();
+        }
+
+        /**
+         * 一つの材質だけを表示する（ほかの材質は元に戻すまで隠す）
+         * @param {THREE.SkinnedMesh} mesh - モデル
+         * @param {number} index - 材質の番号
+         */
+        function isolateMaterial(mesh, index) {
+            clearBones();
+            restoreMaterials();
+            const materials = mesh && mesh.material ? [].concat(mesh.material) : [];
+            if (!materials[index]) {
+                return;
+            }
+            isolated = { materials, visible: materials.map((material) => material.visible) };
+            materials.forEach((material, i) => {
+                material.visible = i === index;
+            });
+        }
+
+        /**
+         * 強調表示をやめる（隠した材質は元に戻す）
+         */
+        function clear() {
+            clearBones();
+            restoreMaterials();
+        }
+
+        /**
+         * マーカーをボーンの位置に合わせる（毎フレーム呼ぶ）
+         */
+        function update() {
+            if (!boneMesh || markerGroup.children.length === 0) {
+                return;
+            }
+            boneMesh.updateMatrixWorld(true);
+            markerGroup.children.forEach((marker) => {
+                marker.userData.bone.getWorldPosition(marker.position);
+            });
+        }
+
+        /**
+         * 強調表示を破棄する
+         */
+        function dispose() {
+            clear();
+            markerGeometry.dispose();
+        }
+
+        return {
+            showBones,
+            isolateMaterial,
+            clear,
+            update,
+            dispose
+        };
+    }
+
+    window.ModelInspector = {
+        IK_ROLE,
+        IK_ROLE_LABELS,
+        watchLoader,
+        getInfo,
+        getIkChains,
+        getBones,
+        getMaterials,
+        getMorphs,
+        getRigidBodies,
+        getJoints,
+        createHighlighter
+    };
+})();
@@ -0,0 +1,300 @@
+/**
+ * @file morph-control.js
+ * @description モデルの表情モーフを手動で操作するためのユーティリティ
+ *              （PMXのパネル分類による分類、VMDの表情トラックへの加算・上書き、表情プリセットの保存）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.MorphControl) {
+        return;
+    }
+
+    // PMXのモーフのパネル分類（PMDではモーフの種類が同じ番号になる）
+    const CATEGORY = {
+        SYSTEM: 0,
+        BROW: 1,
+        EYE: 2,
+        LIP: 3,
+        OTHER: 4
+    };
+
+    // パネルに表示する順番と見出し
+    const CATEGORY_LABELS = [
+        [CATEGORY.EYE, '目'],
+        [CATEGORY.LIP, 'リップ'],
+        [CATEGORY.BROW, 'まゆ'],
+        [CATEGORY.OTHER, 'その他']
+    ];
+
+    // 手動の値をVMDの値に足すか、VMDの値を置き換えるか
+    const MODE = {
+        BLEND: 'blend',
+        OVERRIDE: 'override'
+    };
+
+    const PRESET_STORAGE_KEY = 'mikumiku.morphPresets';
+
+    /**
+     * @function watchLoader
+     * @description MMDLoaderで作られるメッシュに、モーフのパネル分類を記録するようにする
+     *              （MMDLoaderはパース結果のパネル分類をメッシュに残さないため）
+     * @param {THREE.MMDLoader} loader - モデルを読み込むローダー
+     */
+    function watchLoader(loader) {
+        const meshBuilder = loader && loader.meshBuilder;
+        if (!meshBuilder || typeof meshBuilder.build !== 'function' || meshBuilder.build.morphCategoriesWatched) {
+            return;
+        }
+        const build = meshBuilder.build;
+        const watchedBuild = function(data) {
+            const mesh = build.apply(this, arguments);
+            if (mesh && data && Array.isArray(data.morphs)) {
+                const isPmd = data.metadata && data.metadata.format === 'pmd';
+                // ジオメトリのモーフはパース結果と同じ順番で作られる
+                mesh.userData.morphCategories = data.morphs.map((morph) => (isPmd ? morph.type : morph.panel));
+            }
+            return mesh;
+        };
+        watchedBuild.morphCategoriesWatched = true;
+        meshBuilder.build = watchedBuild;
+    }
+
+    /**
+     * @function getMorphGroups
+     * @description モデルのモーフをパネル分類ごとにまとめる（分類が分からないモーフは「その他」）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ category, label, morphs: [{ name, index }] }]（モーフのない分類は含まない）
+     */
+    function getMorphGroups(mesh) {
+        const dictionary = mesh && mesh.morphTargetDictionary;
+        if (!dictionary) {
+            return [];
+        }
+        const categories = mesh.userData.morphCategories || [];
+        const groups = CATEGORY_LABELS.map(([category, label]) => ({ category, label, morphs: [] }));
+        Object.keys(dictionary).forEach((name) => {
+            const index = dictionary[name];
+            let category = categories[index];
+            // PMDの「base」やシステム予約のモーフは表示しない
+            if (category === CATEGORY.SYSTEM) {
+                return;
+            }
+            if (!groups.some((group) => group.category === category)) {
+                category = CATEGORY.OTHER;
+            }
+            groups.find((group) => group.category === category).morphs.push({ name, index });
+        });
+        groups.forEach((group) => group.morphs.sort((a, b) => a.index - b.index));
+        return groups.filter((group) => group.morphs.length > 0);
+    }
+
+    // モデルごとの手動の表情の状態
+    function getState(mesh) {
+        if (!mesh.userData.morphControl) {
+            const count = mesh.morphTargetInfluences ? mesh.morphTargetInfluences.length : 0;
+            mesh.userData.morphControl = {
+                mode: MODE.BLEND,
+                values: {},                        // モーフ名 → 手動の値（操作したモーフのみ）
+                // morphTargetInfluencesと厳密に比較するため、Float32Arrayではなく通常の配列で持つ
+                base: new Array(count).fill(0),    // VMD（または初期状態）の値
+                applied: new Array(count).fill(0)  // 最後に書き込んだ値
+            };
+        }
+        return mesh.userData.morphControl;
+    }
+
+    /**
+     * @function getValues
+     * @description モデルに設定された手動の値を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Object} モーフ名 → 値
+     */
+    function getValues(mesh) {
+        return Object.assign({}, getState(mesh).values);
+    }
+
+    /**
+     * @function setValue
+     * @description モーフに手動の値を設定する（nullで手動の値を外す）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} name - モーフ名
+     * @param {number|null} value - 値（0〜1）
+     */
+    function setValue(mesh, name, value) {
+        const state = getState(mesh);
+        if (value === null || !Number.isFinite(value)) {
+            delete state.values[name];
+        } else {
+            state.values[name] = Math.min(Math.max(value, 0), 1);
+        }
+    }
+
+    /**
+     * @function setValues
+     * @description 手動の値をまとめて置き換える（プリセットの呼び出し用。モデルにないモーフは無視する）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {Object} values - モーフ名 → 値
+     */
+    function setValues(mesh, values) {
+        const state = getState(mesh);
+        state.values = {};
+        Object.keys(values || {}).forEach((name) => {
+            if (mesh.morphTargetDictionary && mesh.morphTargetDictionary[name] !== undefined) {
+                setValue(mesh, name, Number(values[name]));
+            }
+        });
+    }
+
+    /**
+     * @function getMode
+     * @description 手動の値の適用方法を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {string} MODE.BLEND または MODE.OVERRIDE
+     */
+    function getMode(mesh) {
+        return getState(mesh).mode;
+    }
+
+    /**
+     * @function setMode
+     * @description 手動の値の適用方法を設定する
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} mode - MODE.BLEND（VMDに加算）または MODE.OVERRIDE（VMDを上書き）
+     */
+    function setMode(mesh, mode) {
+        getState(mesh).mode = mode === MODE.OVERRIDE ? MODE.OVERRIDE : MODE.BLEND;
+    }
+
+    /**
+     * @function getBaseValue
+     * @description 手動の値を適用する前の（VMDによる）モーフの値を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} name - モーフ名
+     * @returns {number} 値
+     */
+    function getBaseValue(mesh, name) {
+        const index = mesh.morphTargetDictionary ? mesh.morphTargetDictionary[name] : undefined;
+        return index === undefined ? 0 : getState(mesh).base[index] || 0;
+    }
+
+    /**
+     * @function apply
+     * @description 手動の値をモーフに反映する（アニメーションの更新後、描画の前に毎フレーム呼ぶ）
+     *              前回書き込んだ値から変わっているモーフはVMDが書き換えたものとして、その値を基準にする
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function apply(mesh) {
+        const influences = mesh && mesh.morphTargetInfluences;
+        if (!influences || !mesh.morphTargetDictionary) {
+            return;
+        }
+        const state = getState(mesh);
+        const dictionary = mesh.morphTargetDictionary;
+        for (let i = 0; i < influences.length; i++) {
+            if (influences[i] !== state.applied[i]) {
+                state.base[i] = influences[i];
+            }
+            influences[i] = state.base[i];
+        }
+        Object.keys(state.values).forEach((name) => {
+            const index = dictionary[name];
+            if (index === undefined) {
+                return;
+            }
+            const value = state.values[name];
+            influences[index] = state.mode === MODE.OVERRIDE
+                ? value
+                : Math.min(state.base[index] + value, 1);
+        });
+        for (let i = 0; i < influences.length; i++) {
+            state.applied[i] = influences[i];
+        }
+    }
+
+    /**
+     * @function resetBase
+     * @description VMDによる値を0に戻す（モーションを止めたときに表情が残らないようにする）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function resetBase(mesh) {
+        const influences = mesh && mesh.morphTargetInfluences;
+        if (!influences) {
+            return;
+        }
+        const state = getState(mesh);
+        state.base.fill(0);
+        influences.fill(0);
+        state.applied.fill(0);
+        apply(mesh);
+    }
+
+    /**
+     * @function loadPresets
+     * @description 保存された表情プリセットを読み込む
+     * @returns {Object} プリセット名 → { モーフ名: 値 }
+     */
+    function loadPresets() {
+        try {
+            const presets = JSON.parse(window.localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
+            return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+        } catch (error) {
+            console.warn('表情プリセットの読み込みに失敗しました:', error);
+            return {};
+        }
+    }
+
+    // プリセットを保存（保存できない環境ではfalse）
+    function storePresets(presets) {
+        try {
+            window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            console.warn('表情プリセットの保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @function savePreset
+     * @description 表情プリセットを保存する（同じ名前があれば上書き）
+     * @param {string} name - プリセット名
+     * @param {Object} values - モーフ名 → 値
+     * @returns {boolean} 保存できたか
+     */
+    function savePreset(name, values) {
+        const presets = loadPresets();
+        presets[name] = Object.assign({}, values);
+        return storePresets(presets);
+    }
+
+    /**
+     * @function deletePreset
+     * @description 表情プリセットを削除する
+     * @param {string} name - プリセット名
+     * @returns {boolean} 保存できたか
+     */
+    function deletePreset(name) {
+        const presets = loadPresets();
+        delete presets[name];
+        return storePresets(presets);
+    }
+
+    window.MorphControl = {
+        CATEGORY,
+        MODE,
+        watchLoader,
+        getMorphGroups,
+        getValues,
+        setValue,
+        setValues,
+        getMode,
+        setMode,
+        getBaseValue,
+        apply,
+        resetBase,
+        loadPresets,
+        savePreset,
+        deletePreset
+    };
+})();
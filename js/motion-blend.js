@@ -0,0 +1,313 @@
+/**
+ * @file motion-blend.js
+ * @description モーションの切り替え時のクロスフェードと、ボーンのマスク付きでモーションを重ねるレイヤー合成
+ *              （MMDAnimationHelperのAnimationMixerの中で行うため、物理演算を作り直さない）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.MotionBlend) {
+        return;
+    }
+
+    // ボーンのマスク
+    const MASK = {
+        ALL: 'all',       // 全身（表情を含む）
+        UPPER: 'upper',   // 上半身とその子ボーン（表情を含む）
+        LOWER: 'lower'    // 上半身以外（センター・下半身・足・IKなど。表情は含まない）
+    };
+
+    // 上半身のマスクの根元になるボーン
+    const UPPER_ROOT_BONE = '上半身';
+
+    // これより小さい重みのレイヤーは作らない
+    const MIN_WEIGHT = 1e-3;
+
+    // ミキサー → 進行中のクロスフェード
+    const fades = new WeakMap();
+
+    // トラック名からボーン名を取り出す（ボーン以外はnull）
+    function getTrackBoneName(trackName) {
+        const match = /^\.bones\[(.+)\]\.(position|quaternion)$/.exec(trackName);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * @function getMaskBones
+     * @description マスクに含まれるボーン名を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} mask - MASKの値
+     * @returns {Set<string>|null} ボーン名（全身ならnull）
+     */
+    function getMaskBones(mesh, mask) {
+        if (mask !== MASK.UPPER && mask !== MASK.LOWER) {
+            return null;
+        }
+        const upper = new Set();
+        const root = mesh.skeleton.bones.find((bone) => bone.name === UPPER_ROOT_BONE);
+        if (root) {
+            root.traverse((object) => {
+                if (object.isBone) {
+                    upper.add(object.name);
+                }
+            });
+        }
+        if (mask === MASK.UPPER) {
+            return upper;
+        }
+        return new Set(mesh.skeleton.bones.map((bone) => bone.name).filter((name) => !upper.has(name)));
+    }
+
+    // マスクに含まれるトラックだけを取り出す
+    function filterTracks(mesh, clip, mask) {
+        const bones = getMaskBones(mesh, mask);
+        if (!bones) {
+            return clip.tracks.slice();
+        }
+        return clip.tracks.filter((track) => {
+            const boneName = getTrackBoneName(track.name);
+            return boneName === null ? mask === MASK.UPPER : bones.has(boneName);
+        });
+    }
+
+    /**
+     * @function buildLayerClips
+     * @description 重ねるモーション（下から順）を、AnimationMixerで再生するクリップと重みに分ける
+     *              上のレイヤーが動かすボーンは、上のレイヤーの重みの分だけ下のレイヤーの重みを減らす
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {Array<Object>} layers - [{ clip, mask, weight, loop }]（loopのレイヤーは長さをループしないレイヤーに合わせる）
+     * @returns {Array<Object>} [{ clip, weight }]
+     */
+    function buildLayerClips(mesh, layers) {
+        const prepared = layers
+            .filter((layer) => layer.clip && layer.weight > MIN_WEIGHT)
+            .map((layer) => {
+                const tracks = filterTracks(mesh, layer.clip, layer.mask);
+                return { layer, tracks, names: new Set(tracks.map((track) => track.name)) };
+            });
+        const primary = prepared.filter((entry) => !entry.layer.loop);
+        const primaryDuration = (primary.length > 0 ? primary : prepared)
+            .reduce((max, entry) => Math.max(max, entry.layer.clip.duration), 0);
+
+        const result = [];
+        prepared.forEach((entry, index) => {
+            const { layer, tracks } = entry;
+            // 同じ上のレイヤーに覆われるトラックごとにまとめる
+            const groups = new Map();
+            tracks.forEach((track) => {
+                const covering = [];
+                for (let upper = index + 1; upper < prepared.length; upper++) {
+                    if (prepared[upper].names.has(track.name)) {
+                        covering.push(upper);
+                    }
+                }
+                const key = covering.join(',');
+                if (!groups.has(key)) {
+                    groups.set(key, { covering, tracks: [] });
+                }
+                groups.get(key).tracks.push(track);
+            });
+
+            groups.forEach((group, key) => {
+                const weight = group.covering.reduce((value, upper) => value * (1 - prepared[upper].layer.weight), layer.weight);
+                if (weight <= MIN_WEIGHT) {
+                    return;
+                }
+                const duration = layer.loop ? primaryDuration : layer.clip.duration;
+                // 元のクリップをそのまま使えるならそうする（リップシンクなどの判定に同じクリップを使うため）
+                const clip = group.tracks.length === layer.clip.tracks.length && duration === layer.clip.duration
+                    ? layer.clip
+                    : new THREE.AnimationClip(`${layer.clip.name}#${index}[${key}]`, duration, group.tracks);
+                result.push({ clip, weight });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * @function repeatVmd
+     * @description ループ用のVMDデータを、指定フレーム数を覆うまで繰り返したデータにする
+     *              （最終フレームと次の周の0フレームが重なるボーン・モーフは、0フレームのキーを省く）
+     * @param {Object} vmd - MMDParserのVMDデータ
+     * @param {number} frameCount - 覆うフレーム数
+     * @returns {Object} 繰り返したVMDデータ（カメラは含まない）
+     */
+    function repeatVmd(vmd, frameCount) {
+        const keys = vmd.motions.concat(vmd.morphs);
+        const period = keys.reduce((max, key) => Math.max(max, key.frameNum), 0);
+        if (period <= 0 || period >= frameCount) {
+            return vmd;
+        }
+        const copies = Math.ceil(frameCount / period);
+
+        function repeatKeys(source, nameKey) {
+            const seamNames = new Set(source.filter((key) => key.frameNum === period).map((key) => key[nameKey]));
+            const result = source.slice();
+            for (let copy = 1; copy <= copies; copy++) {
+                source.forEach((key) => {
+                    if (key.frameNum === 0 && seamNames.has(key[nameKey])) {
+                        return;
+                    }
+                    result.push(Object.assign({}, key, { frameNum: key.frameNum + copy * period }));
+                });
+            }
+            return result;
+        }
+
+        return {
+            metadata: vmd.metadata,
+            motions: repeatKeys(vmd.motions, 'boneName'),
+            morphs: repeatKeys(vmd.morphs, 'morphName'),
+            cameras: []
+        };
+    }
+
+    // ヘルパーが同期しているクリップの長さを揃え直す
+    function syncDuration(helper) {
+        if (helper.configuration && helper.configuration.sync && typeof helper._syncDuration === 'function') {
+            helper._syncDuration();
+        }
+    }
+
+    /**
+     * @function setWeights
+     * @description helper.add()で登録したレイヤーのクリップに重みを設定する
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {Array<Object>} layerClips - buildLayerClips()の結果
+     */
+    function setWeights(helper, mesh, layerClips) {
+        const objects = helper.objects ? helper.objects.get(mesh) : null;
+        if (!objects || !objects.mixer) {
+            return;
+        }
+        layerClips.forEach(({ clip, weight }) => {
+            const action = objects.mixer.existingAction(clip);
+            if (action) {
+                action.setEffectiveWeight(weight);
+            }
+        });
+    }
+
+    // クロスフェードを終え、フェードアウトしたアクションをミキサーから外す
+    function finishFade(helper, mixer, fade) {
+        fade.outgoing.forEach(({ action }) => {
+            action.stop();
+            mixer.uncacheAction(action.getClip());
+        });
+        fade.incoming.forEach(({ action, weight }) => action.setEffectiveWeight(weight));
+        fades.delete(mixer);
+        syncDuration(helper);
+    }
+
+    /**
+     * @function crossFade
+     * @description ヘルパーに登録済みのモデルのモーションを、登録し直さずにクロスフェードで切り替える
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {Array<Object>} layerClips - 新しいモーション（buildLayerClips()の結果）
+     * @param {Object} [options] - { duration: フェードの秒数（0ですぐ切り替える）, time: 新しいモーションの開始位置（秒） }
+     * @returns {boolean} 切り替えたか（モデルがヘルパーに未登録ならfalse）
+     */
+    function crossFade(helper, mesh, layerClips, options = {}) {
+        const objects = helper.objects ? helper.objects.get(mesh) : null;
+        if (!objects || !objects.mixer) {
+            return false;
+        }
+        const mixer = objects.mixer;
+        const duration = Math.max(options.duration || 0, 0);
+        const time = options.time || 0;
+
+        // 途中のクロスフェードも含め、今見えている重みのまま全てフェードアウトさせる
+        fades.delete(mixer);
+        const outgoing = mixer._actions
+            .filter((action) => action.isRunning() && action.getEffectiveWeight() > 0)
+            .map((action) => ({ action, weight: action.getEffectiveWeight(), time: action.time }));
+        mixer._actions
+            .filter((action) => !outgoing.some((entry) => entry.action === action))
+            .forEach((action) => {
+                action.stop();
+                mixer.uncacheAction(action.getClip());
+            });
+
+        const incoming = layerClips.map(({ clip, weight }) => {
+            // フェードアウト中のアクションと同じクリップは使えないため、トラックを共有した別のクリップにする
+            const source = mixer.existingAction(clip) ? new THREE.AnimationClip(clip.name, clip.duration, clip.tracks) : clip;
+            const action = mixer.clipAction(source);
+            action.time = time;
+            action.setEffectiveWeight(duration > 0 ? 0 : weight);
+            action.play();
+            return { action, weight };
+        });
+        mixer.time = time;
+
+        const fade = { elapsed: 0, duration, incoming, outgoing, finishing: false };
+        if (duration > 0 && outgoing.length > 0) {
+            fades.set(mixer, fade);
+            syncDuration(helper);
+        } else {
+            finishFade(helper, mixer, fade);
+        }
+        return true;
+    }
+
+    /**
+     * @function update
+     * @description 進行中のクロスフェードを進める（helper.update()の直前に同じデルタで呼ぶ）
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {number} delta - モーションのデルタ時間（秒）
+     */
+    function update(helper, delta) {
+        if (!helper || !helper.objects) {
+            return;
+        }
+        (helper.meshes || []).forEach((mesh) => {
+            const objects = helper.objects.get(mesh);
+            const mixer = objects ? objects.mixer : null;
+            const fade = mixer ? fades.get(mixer) : null;
+            if (!fade) {
+                return;
+            }
+            // 重み0で1フレーム描いてから外す（外したボーンが初期姿勢に戻るように）
+            if (fade.finishing) {
+                finishFade(helper, mixer, fade);
+                return;
+            }
+            fade.elapsed += delta;
+            const progress = Math.min(fade.elapsed / fade.duration, 1);
+            const eased = progress * progress * (3 - 2 * progress);
+            fade.incoming.forEach(({ action, weight }) => action.setEffectiveWeight(weight * eased));
+            fade.outgoing.forEach((entry) => {
+                entry.action.setEffectiveWeight(entry.weight * (1 - eased));
+                // シークで巻き戻されても、フェードアウト中のモーションはそのまま進める
+                const clipDuration = entry.action.getClip().duration;
+                entry.action.time = entry.time;
+                entry.time = clipDuration > 0 ? (entry.time + delta) % clipDuration : entry.time + delta;
+            });
+            fade.finishing = progress >= 1;
+        });
+    }
+
+    /**
+     * @function isFading
+     * @description モデルがクロスフェード中か
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} クロスフェード中か
+     */
+    function isFading(helper, mesh) {
+        const objects = helper && helper.objects ? helper.objects.get(mesh) : null;
+        return Boolean(objects && objects.mixer && fades.has(objects.mixer));
+    }
+
+    window.MotionBlend = {
+        MASK,
+        getMaskBones,
+        buildLayerClips,
+        repeatVmd,
+        setWeights,
+        crossFade,
+        update,
+        isFading
+    };
+})();
@@ -0,0 +1,267 @@
+/**
+ * @file offline-loader.js
+ * @description libs/manifest.json に基づいてライブラリをリポジトリ内から読み込むローダー
+ *              各ファイルのサイズとSHA-256ハッシュを検証し、欠落・破損したモジュールを個別に報告する
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.OfflineLibraryLoader) {
+        return;
+    }
+
+    // モジュールの状態
+    const STATUS = {
+        OK: 'ok',               // 検証・実行ともに成功
+        MISSING: 'missing',     // ファイルが存在しない・取得できない
+        CORRUPT: 'corrupt',     // サイズまたはハッシュが一致しない
+        ERROR: 'error',         // 実行に失敗、または期待するグローバルが定義されなかった
+        SKIPPED: 'skipped'      // 必須モジュールの失敗により実行しなかった
+    };
+
+    // 検証済みのバイナリ資産（wasmなど）
+    const assets = {};
+
+    // デバッグ出力（index.htmlのaddDebugInfoがあればそちらへ）
+    function log(message) {
+        if (window.addDebugInfo) {
+            window.addDebugInfo(message);
+        } else {
+            console.log(`[OfflineLoader] ${message}`);
+        }
+    }
+
+    // manifestの基準URLから相対パスを解決
+    function resolveUrl(baseUrl, file) {
+        return new URL(file, new URL(baseUrl, document.baseURI)).href;
+    }
+
+    // ドット区切りのパスでグローバルオブジェクトを参照
+    function resolveGlobal(path) {
+        return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+    }
+
+    // ArrayBufferのSHA-256を16進文字列で返す（crypto.subtleが使えない場合はnull）
+    async function sha256Hex(buffer) {
+        if (!window.crypto || !window.crypto.subtle) {
+            return null;
+        }
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * @function fetchManifest
+     * @description マニフェストJSONを取得する
+     * @param {string} manifestUrl - マニフェストのURL
+     * @returns {Promise<Object>} マニフェスト
+     */
+    async function fetchManifest(manifestUrl) {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+            throw new Error(`マニフェストを取得できません: ${manifestUrl} (ステータス: ${response.status})`);
+        }
+        const manifest = await response.json();
+        if (!manifest || !Array.isArray(manifest.modules)) {
+            throw new Error(`マニフェストの形式が不正です: ${manifestUrl}`);
+        }
+        return manifest;
+    }
+
+    /**
+     * @function verifyModule
+     * @description モジュールファイルを取得し、サイズとハッシュを検証する
+     * @param {Object} entry - マニフェストのモジュール定義
+     * @param {string} manifestUrl - マニフェストのURL（相対パスの基準）
+     * @returns {Promise<Object>} 検証結果（bytesに検証済みデータを含む）
+     */
+    async function verifyModule(entry, manifestUrl) {
+        const result = {
+            name: entry.name,
+            label: entry.label || entry.name,
+            file: entry.file,
+            required: entry.required !== false,
+            expectedSize: entry.size,
+            size: null,
+            status: STATUS.OK,
+            detail: '',
+            bytes: null
+        };
+
+        let response;
+        try {
+            response = await fetch(resolveUrl(manifestUrl, entry.file));
+        } catch (error) {
+            result.status = STATUS.MISSING;
+            result.detail = `取得できません (${error.message})`;
+            return result;
+        }
+
+        if (!response.ok) {
+            result.status = STATUS.MISSING;
+            result.detail = `ファイルが見つかりません (ステータス: ${response.status})`;
+            return result;
+        }
+
+        const bytes = await response.arrayBuffer();
+        result.size = bytes.byteLength;
+
+        if (typeof entry.size === 'number' && bytes.byteLength !== entry.size) {
+            result.status = bytes.byteLength === 0 ? STATUS.MISSING : STATUS.CORRUPT;
+            result.detail = `サイズ不一致 (期待値: ${entry.size} bytes, 実際: ${bytes.byteLength} bytes)`;
+            return result;
+        }
+
+        const hash = await sha256Hex(bytes);
+        if (hash === null) {
+            log(`${result.label}: crypto.subtleが使用できないため、ハッシュ検証を省略しサイズのみ確認しました`);
+        } else if (entry.sha256 && hash !== entry.sha256) {
+            result.status = STATUS.CORRUPT;
+            result.detail = `SHA-256不一致 (期待値: ${entry.sha256.slice(0, 12)}…, 実際: ${hash.slice(0, 12)}…)`;
+            return result;
+        }
+
+        result.bytes = bytes;
+        return result;
+    }
+
+    // 検証済みのバイト列をBlob URL経由でスクリプトとして実行
+    function executeScript(result) {
+        return new Promise((resolve, reject) => {
+            const blobUrl = URL.createObjectURL(new Blob([result.bytes], { type: 'text/javascript' }));
+            const script = document.createElement('script');
+            script.src = blobUrl;
+            script.async = false;
+            script.id = `${result.name}-script`;
+            script.dataset.file = result.file;
+            script.onload = () => {
+                URL.revokeObjectURL(blobUrl);
+                resolve();
+            };
+            script.onerror = () => {
+                URL.revokeObjectURL(blobUrl);
+                reject(new Error('スクリプトの実行に失敗しました'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * @function loadAll
+     * @description マニフェストの全モジュールを検証し、問題がなければ記載順に実行する
+     *              必須モジュールが一つでも欠落・破損している場合は何も実行しない
+     * @param {Object} [options] - オプション
+     * @param {string} [options.manifestUrl='libs/manifest.json'] - マニフェストのURL
+     * @param {Function} [options.onProgress] - 進捗コールバック (phase, index, total, result)
+     * @param {AbortSignal} [options.signal] - 中止用のシグナル（検証中に中止されたら何も実行せずに返す）
+     * @param {Array<string>} [options.keep] - 実行した後も検証済みのバイト列をgetAsset()で取り出せるように残すスクリプトのモジュール名
+     *        （Web Workerで同じライブラリを検証済みのまま読み込むため）
+     * @returns {Promise<Object>} 読み込みレポート { ok, modules, failed, error }
+     */
+    async function loadAll(options = {}) {
+        const manifestUrl = options.manifestUrl || 'libs/manifest.json';
+        const onProgress = typeof options.onProgress === 'function' ? options.onProgress : function() {};
+        const keep = Array.isArray(options.keep) ? options.keep : [];
+        const report = { ok: false, manifestUrl, modules: [], failed: [], error: null };
+
+        let manifest;
+        try {
+            manifest = await fetchManifest(manifestUrl);
+        } catch (error) {
+            report.error = error.message;
+            log(error.message);
+            return report;
+        }
+
+        // 1. すべてのファイルを検証（失敗があっても最後まで続けて全件を報告する）
+        const entries = manifest.modules;
+        for (let i = 0; i < entries.length; i++) {
+            if (options.signal && options.signal.aborted) {
+                report.error = 'ライブラリの検証を中止しました';
+                return report;
+            }
+            const result = await verifyModule(entries[i], manifestUrl);
+            report.modules.push(result);
+            onProgress('verify', i + 1, entries.length, result);
+            log(`${result.label} (${result.file}): ${result.status === STATUS.OK ? '検証OK' : result.detail}`);
+        }
+
+        const requiredFailed = report.modules.some(m => m.required && m.status !== STATUS.OK);
+
+        // 2. 検証に通ったモジュールを記載順に実行
+        for (let i = 0; i < report.modules.length; i++) {
+            const result = report.modules[i];
+            const entry = entries[i];
+
+            if (result.status !== STATUS.OK) {
+                continue;
+            }
+            if (requiredFailed) {
+                result.status = STATUS.SKIPPED;
+                result.detail = '必須モジュールの検証に失敗したため実行しませんでした';
+                continue;
+            }
+
+            if (entry.type === 'binary') {
+                assets[result.name] = result.bytes;
+            } else {
+                try {
+                    await executeScript(result);
+                    if (entry.check && resolveGlobal(entry.check) === undefined) {
+                        throw new Error(`${entry.check} が定義されませんでした`);
+                    }
+                    if (keep.includes(result.name)) {
+                        assets[result.name] = result.bytes;
+                    }
+                } catch (error) {
+                    result.status = STATUS.ERROR;
+                    result.detail = error.message;
+                    log(`${result.label} の実行に失敗: ${error.message}`);
+                }
+            }
+            onProgress('execute', i + 1, report.modules.length, result);
+        }
+
+        report.modules.forEach(m => { m.bytes = null; });
+        report.failed = report.modules.filter(m => m.status !== STATUS.OK);
+        report.ok = !report.modules.some(m => m.required && m.status !== STATUS.OK);
+        return report;
+    }
+
+    /**
+     * @function formatReport
+     * @description 読み込みレポートを人が読める文字列にする
+     * @param {Object} report - loadAllの戻り値
+     * @returns {string} 問題のあるモジュールの一覧
+     */
+    function formatReport(report) {
+        if (report.error) {
+            return report.error;
+        }
+        if (report.failed.length === 0) {
+            return 'すべてのライブラリを検証しました';
+        }
+        return report.failed
+            .map(m => `${m.required ? '[必須]' : '[任意]'} ${m.label} (libs/${m.file}): ${m.status} - ${m.detail}`)
+            .join('\n');
+    }
+
+    /**
+     * @function getAsset
+     * @description 検証済みのバイナリ資産（またはloadAll()のkeepで残したスクリプト）を取得する
+     * @param {string} name - マニフェストのモジュール名
+     * @returns {ArrayBuffer|null} 資産のバイト列
+     */
+    function getAsset(name) {
+        return assets[name] || null;
+    }
+
+    window.OfflineLibraryLoader = {
+        STATUS,
+        loadAll,
+        formatReport,
+        getAsset
+    };
+})();
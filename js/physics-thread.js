@@ -0,0 +1,199 @@
+/**
+ * @file physics-thread.js
+ * @description 物理演算（Ammo.js）を計算するWeb Worker（physics-worker.jsが起動する）
+ *              モデルのボーンを骨組みだけ複製してMMDPhysicsを動かし、物理演算で動いたボーンの姿勢を返す
+ *              全モデルで一つの物理ワールドを共有する（stage-physics.jsと同じ）
+ * @version 1.0.0
+ */
+
+/* global THREE, Ammo */
+
+// 登録ID → { mesh（骨組みだけの複製）, physics, outputBones }
+const models = new Map();
+
+let world = null;
+let settings = null;
+
+// physics-tuning.jsはwindowに公開するモジュールのため、Workerのグローバルをwindowとして読み込ませる
+self.window = self;
+
+/**
+ * @function createSkeleton
+ * @description MMDPhysicsに渡すための、ボーンの親子関係だけを持つモデルの複製を作る
+ * @param {Int32Array} parents - ボーンの親の番号（親がなければ-1）
+ * @param {Array<Object>} rigidBodies - 剛体のパラメータ
+ * @param {Array<Object>} constraints - ジョイントのパラメータ
+ * @returns {THREE.Object3D} skeleton.bonesとgeometry.userData.MMDを持つオブジェクト
+ */
+function createSkeleton(parents, rigidBodies, constraints) {
+    const root = new THREE.Object3D();
+    const bones = Array.from(parents, () => new THREE.Bone());
+    bones.forEach((bone, index) => {
+        const parent = parents[index] >= 0 ? bones[parents[index]] : root;
+        parent.add(bone);
+    });
+    root.skeleton = { bones };
+    root.geometry = { userData: { MMD: { rigidBodies, constraints } } };
+    return root;
+}
+
+// 姿勢のバッファ（メッシュのワールド行列16個 + ボーンごとに位置3・回転4）を複製に写す
+function readPose(mesh, pose) {
+    mesh.matrix.fromArray(pose, 0);
+    mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+    mesh.skeleton.bones.forEach((bone, index) => {
+        const offset = 16 + index * 7;
+        bone.position.fromArray(pose, offset);
+        bone.quaternion.fromArray(pose, offset + 3);
+    });
+    mesh.updateMatrixWorld(true);
+}
+
+// 物理演算で動くボーンの姿勢（ボーンごとに位置3・回転4）を書き出す
+function writeResult(model, result) {
+    model.outputBones.forEach((boneIndex, index) => {
+        const bone = model.mesh.skeleton.bones[boneIndex];
+        bone.position.toArray(result, index * 7);
+        bone.quaternion.toArray(result, index * 7 + 3);
+    });
+}
+
+// MMDPhysics._createWorld()と同じ構成
+function getWorld() {
+    if (!world) {
+        const config = new Ammo.btDefaultCollisionConfiguration();
+        const dispatcher = new Ammo.btCollisionDispatcher(config);
+        const cache = new Ammo.btDbvtBroadphase();
+        const solver = new Ammo.btSequentialImpulseConstraintSolver();
+        world = new Ammo.btDiscreteDynamicsWorld(dispatcher, cache, solver, config);
+        world.setGravity(new Ammo.btVector3(settings.gravity.x, settings.gravity.y, settings.gravity.z));
+    }
+    return world;
+}
+
+// 剛体とジョイントを共有ワールドから取り除いて破棄する（StagePhysics.releaseと同じ）
+function release(physics) {
+    physics.constraints.forEach((constraint) => {
+        world.removeConstraint(constraint.constraint);
+        Ammo.destroy(constraint.constraint);
+    });
+    physics.bodies.forEach((body) => {
+        world.removeRigidBody(body.body);
+        const motionState = body.body.getMotionState();
+        const shape = body.body.getCollisionShape();
+        Ammo.destroy(body.body);
+        Ammo.destroy(motionState);
+        Ammo.destroy(shape);
+        Ammo.destroy(body.boneOffsetForm);
+        Ammo.destroy(body.boneOffsetFormInverse);
+    });
+    physics.constraints.length = 0;
+    physics.bodies.length = 0;
+}
+
+function applySettings(values) {
+    settings = values;
+    const { gravity } = settings;
+    if (world) {
+        world.setGravity(new Ammo.btVector3(gravity.x, gravity.y, gravity.z));
+    }
+    models.forEach(({ physics }) => {
+        physics.unitStep = settings.unitStep;
+        physics.maxStepNum = settings.maxStepNum;
+        physics.gravity.set(gravity.x, gravity.y, gravity.z);
+    });
+}
+
+function init(data) {
+    // ライブラリはメインスレッドで検証済みのBlob URL、wasmも検証済みのバイト列で受け取る
+    importScripts(data.urls.three, data.urls.mmdPhysics, data.urls.physicsTuning, data.urls.ammo);
+    settings = data.settings;
+    Ammo({ wasmBinary: data.wasmBinary }).then((AmmoLib) => {
+        Ammo = AmmoLib;
+        self.postMessage({ type: 'ready' });
+    }).catch((error) => {
+        self.postMessage({ type: 'error', message: String(error) });
+    });
+}
+
+function add(data) {
+    const mesh = createSkeleton(data.parents, data.rigidBodies, data.constraints);
+    readPose(mesh, data.pose);
+    const { gravity } = settings;
+    const physics = new THREE.MMDPhysics(mesh, data.rigidBodies, data.constraints, {
+        world: getWorld(),
+        unitStep: settings.unitStep,
+        maxStepNum: settings.maxStepNum,
+        gravity: new THREE.Vector3(gravity.x, gravity.y, gravity.z)
+    });
+    // 二体目以降はウォームアップで共有ワールドを進めると他のモデルの剛体が飛ぶため、ウォームアップしない
+    physics.warmup(models.size > 0 ? 0 : settings.warmup);
+    models.set(data.id, { mesh, physics, outputBones: data.outputBones });
+}
+
+function remove(data) {
+    const model = models.get(data.id);
+    if (model) {
+        release(model.physics);
+        models.delete(data.id);
+    }
+}
+
+// 全モデルの剛体をボーンに合わせてから共有ワールドを一度だけ進め、結果をボーンに戻す（StagePhysics.stepと同じ）
+function step(data) {
+    const entries = data.models.filter((entry) => models.has(entry.id));
+    const physicsList = entries.map((entry) => {
+        const model = models.get(entry.id);
+        readPose(model.mesh, entry.pose);
+        if (entry.reset) {
+            model.physics.reset();
+        }
+        return model.physics;
+    });
+    if (physicsList.length > 0) {
+        physicsList.forEach((physics) => physics._updateRigidBodies());
+        physicsList[0]._stepSimulation(data.delta);
+        physicsList.forEach((physics) => physics._updateBones());
+    }
+
+    const transfer = [];
+    const results = data.models.map((entry) => {
+        const model = models.get(entry.id);
+        let result = entry.result;
+        if (model) {
+            if (!result || result.length !== model.outputBones.length * 7) {
+                result = new Float32Array(model.outputBones.length * 7);
+            }
+            writeResult(model, result);
+        }
+        transfer.push(entry.pose.buffer);
+        if (result) {
+            transfer.push(result.buffer);
+        }
+        return { id: entry.id, pose: entry.pose, result, reset: entry.reset };
+    });
+    self.postMessage({ type: 'stepped', models: results }, transfer);
+}
+
+function tune(data) {
+    const model = models.get(data.id);
+    if (!model) {
+        return;
+    }
+    if (data.kind === 'rigidBody') {
+        self.PhysicsTuning.updateRigidBody(model.mesh, model.physics, data.index, data.values);
+    } else {
+        self.PhysicsTuning.updateConstraint(model.mesh, model.physics, data.index, data.values);
+    }
+}
+
+const handlers = { init, settings: (data) => applySettings(data.settings), add, remove, step, tune };
+
+self.onmessage = (event) => {
+    const data = event.data;
+    try {
+        handlers[data.type](data);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error && error.message ? error.message : String(error) });
+    }
+};
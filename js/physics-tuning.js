@@ -0,0 +1,266 @@
+/**
+ * @file physics-tuning.js
+ * @description PMXの剛体・ジョイントのパラメータ（質量・減衰・バネ）を物理演算中に変更する機能と、
+ *              剛体の形を表示するデバッグ表示（MMDPhysicsHelper）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.PhysicsTuning) {
+        return;
+    }
+
+    // 剛体の種類（PMXの物理演算モード）
+    const BODY_TYPES = ['ボーン追従', '物理演算', '物理+ボーン位置合わせ'];
+
+    // 選択中の剛体の表示色
+    const HIGHLIGHT_COLOR = 0xffff00;
+
+    // 物理演算で動く剛体の最小の質量（0にするとAmmoでは動かない剛体になる）
+    const MIN_MASS = 1e-3;
+
+    /**
+     * @function getRigidBodies
+     * @description モデルの剛体のパラメータを返す（MMDPhysicsの剛体と同じ順・同じオブジェクト）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} 剛体のパラメータ
+     */
+    function getRigidBodies(mesh) {
+        const mmd = mesh && mesh.geometry ? mesh.geometry.userData.MMD : null;
+        return mmd && Array.isArray(mmd.rigidBodies) ? mmd.rigidBodies : [];
+    }
+
+    /**
+     * @function getConstraints
+     * @description モデルのジョイントのパラメータを返す（MMDPhysicsのジョイントと同じ順・同じオブジェクト）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} ジョイントのパラメータ
+     */
+    function getConstraints(mesh) {
+        const mmd = mesh && mesh.geometry ? mesh.geometry.userData.MMD : null;
+        return mmd && Array.isArray(mmd.constraints) ? mmd.constraints : [];
+    }
+
+    /**
+     * @function updateRigidBody
+     * @description 剛体の質量・減衰を変更する
+     *              パラメータはモデルに残るため、物理演算を作り直しても（モーションの付け替えなど）引き継がれる
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {THREE.MMDPhysics|null} physics - モデルの物理演算（なければパラメータだけ変える）
+     * @param {number} index - 剛体の番号
+     * @param {Object} values - { weight, positionDamping, rotationDamping }（省略した項目はそのまま）
+     */
+    function updateRigidBody(mesh, physics, index, values) {
+        const params = getRigidBodies(mesh)[index];
+        if (!params) {
+            return;
+        }
+        if (typeof values.weight === 'number') {
+            params.weight = params.type === 0 ? Math.max(values.weight, 0) : Math.max(values.weight, MIN_MASS);
+        }
+        if (typeof values.positionDamping === 'number') {
+            params.positionDamping = Math.min(Math.max(values.positionDamping, 0), 1);
+        }
+        if (typeof values.rotationDamping === 'number') {
+            params.rotationDamping = Math.min(Math.max(values.rotationDamping, 0), 1);
+        }
+
+        const rigidBody = physics && physics.bodies[index];
+        if (!rigidBody || !rigidBody.body) {
+            return;
+        }
+        const body = rigidBody.body;
+        // ボーン追従の剛体は質量0のまま動かさない（MMDPhysicsと同じ）
+        if (params.type !== 0) {
+            const inertia = new Ammo.btVector3(0, 0, 0);
+            body.getCollisionShape().calculateLocalInertia(params.weight, inertia);
+            body.setMassProps(params.weight, inertia);
+            body.updateInertiaTensor();
+            Ammo.destroy(inertia);
+        }
+        body.setDamping(params.positionDamping, params.rotationDamping);
+    }
+
+    /**
+     * @function updateConstraint
+     * @description ジョイントのバネの強さを変更する（0でバネなし）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {THREE.MMDPhysics|null} physics - モデルの物理演算（なければパラメータだけ変える）
+     * @param {number} index - ジョイントの番号
+     * @param {Object} values - { springPosition: [x, y, z], springRotation: [x, y, z] }（省略した項目はそのまま）
+     */
+    function updateConstraint(mesh, physics, index, values) {
+        const params = getConstraints(mesh)[index];
+        if (!params) {
+            return;
+        }
+        if (Array.isArray(values.springPosition)) {
+            params.springPosition = values.springPosition.map((value) => Math.max(value, 0));
+        }
+        if (Array.isArray(values.springRotation)) {
+            params.springRotation = values.springRotation.map((value) => Math.max(value, 0));
+        }
+
+        const constraint = physics && physics.constraints[index];
+        if (!constraint || !constraint.constraint) {
+            return;
+        }
+        // 0〜2が移動、3〜5が回転（MMDPhysicsのConstraintと同じ）
+        params.springPosition.concat(params.springRotation).forEach((stiffness, axis) => {
+            constraint.constraint.enableSpring(axis, stiffness !== 0);
+            constraint.constraint.setStiffness(axis, stiffness);
+        });
+    }
+
+    // MMDPhysicsHelperのカプセルはBufferGeometry.merge()で半球を付けようとして付かないため、円柱に半球を子として付け直す
+    function addCapsuleCaps(physicsHelper) {
+        physicsHelper.physics.bodies.forEach((rigidBody, index) => {
+            const params = rigidBody.params;
+            const child = physicsHelper.children[index];
+            if (params.shapeType !== 2 || !child) {
+                return;
+            }
+            [1, -1].forEach((side) => {
+                const cap = new THREE.Mesh(
+                    new THREE.SphereGeometry(params.width, 16, 8, 0, Math.PI * 2, side > 0 ? 0 : Math.PI / 2, Math.PI / 2),
+                    child.material
+                );
+                cap.position.y = side * params.height / 2;
+                child.add(cap);
+            });
+        });
+    }
+
+    // 剛体の表示とその子（カプセルの半球）の材質を変える
+    function setBodyMaterial(child, material) {
+        child.traverse((object) => {
+            if (object.isMesh) {
+                object.material = material;
+            }
+        });
+    }
+
+    /**
+     * @function createOverlay
+     * @description ヘルパーに登録されたモデルの剛体を表示するデバッグ表示を作る
+     *              （剛体の色: 赤=ボーン追従、緑=物理演算、青=物理+ボーン位置合わせ。選択中の剛体は黄色）
+     * @param {THREE.Scene} scene - シーン
+     * @returns {Object} { update(helper), setVisible(visible), setHighlight(mesh, indices), dispose(), visible }
+     */
+    function createOverlay(scene) {
+        const highlightMaterial = new THREE.MeshBasicMaterial({
+            color: HIGHLIGHT_COLOR,
+            wireframe: true,
+            depthTest: false,
+            depthWrite: false,
+            opacity: 0.8,
+            transparent: true
+        });
+        let entries = [];   // [{ physics, physicsHelper }]
+        let visible = false;
+        let highlight = { mesh: null, indices: [] };
+
+        function disposeEntry(entry) {
+            scene.remove(entry.physicsHelper);
+            entry.physicsHelper.traverse((object) => {
+                if (object.isMesh) {
+                    object.geometry.dispose();
+                }
+            });
+            entry.physicsHelper.materials.forEach((material) => material.dispose());
+        }
+
+        function applyHighlight(entry) {
+            const physicsHelper = entry.physicsHelper;
+            entry.physics.bodies.forEach((rigidBody, index) => {
+                const child = physicsHelper.children[index];
+                if (child) {
+                    const selected = highlight.mesh === entry.physics.mesh && highlight.indices.includes(index);
+                    setBodyMaterial(child, selected ? highlightMaterial : physicsHelper.materials[rigidBody.params.type]);
+                }
+            });
+        }
+
+        /**
+         * 表示を登録済みのモデルの物理演算に合わせる（毎フレーム呼ぶ。モデルの登録し直しで物理演算が変わっても追従する）
+         * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+         */
+        function update(helper) {
+            if (!visible) {
+                return;
+            }
+            const physicsList = helper && helper.objects
+                ? (helper.meshes || [])
+                    .map((mesh) => helper.objects.get(mesh))
+                    .filter((objects) => objects && objects.physics && objects.physics.bodies.length > 0)
+                    .map((objects) => objects.physics)
+                : [];
+            entries = entries.filter((entry) => {
+                if (physicsList.includes(entry.physics)) {
+                    return true;
+                }
+                disposeEntry(entry);
+                return false;
+            });
+            physicsList.forEach((physics) => {
+                if (entries.some((entry) => entry.physics === physics)) {
+                    return;
+                }
+                const entry = { physics, physicsHelper: physics.createHelper() };
+                addCapsuleCaps(entry.physicsHelper);
+                applyHighlight(entry);
+                scene.add(entry.physicsHelper);
+                entries.push(entry);
+            });
+        }
+
+        /**
+         * 表示・非表示を切り替える（非表示の間は表示用のオブジェクトを破棄する）
+         * @param {boolean} value - 表示するか
+         */
+        function setVisible(value) {
+            visible = Boolean(value);
+            if (!visible) {
+                entries.forEach(disposeEntry);
+                entries = [];
+            }
+        }
+
+        /**
+         * 選択中の剛体を強調する
+         * @param {THREE.SkinnedMesh|null} mesh - モデル
+         * @param {Array<number>} indices - 剛体の番号
+         */
+        function setHighlight(mesh, indices) {
+            highlight = { mesh, indices: indices || [] };
+            entries.forEach(applyHighlight);
+        }
+
+        /**
+         * デバッグ表示を破棄する
+         */
+        function dispose() {
+            setVisible(false);
+            highlightMaterial.dispose();
+        }
+
+        return {
+            update,
+            setVisible,
+            setHighlight,
+            dispose,
+            get visible() {
+                return visible;
+            }
+        };
+    }
+
+    window.PhysicsTuning = {
+        BODY_TYPES,
+        getRigidBodies,
+        getConstraints,
+        updateRigidBody,
+        updateConstraint,
+        createOverlay
+    };
+})();
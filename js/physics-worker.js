@@ -0,0 +1,477 @@
+/**
+ * @file physics-worker.js
+ * @description 物理演算（Ammo.js）をWeb Worker（physics-thread.js）で計算し、描画を止めないようにする
+ *              毎フレームのボーンの姿勢と物理演算の結果は、転送可能なバッファ（Transferable）を往復させて受け渡す
+ *              結果は一つ遅れで届くため、直前の二つの結果の間を補間してボーンに反映する
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.PhysicsWorker) {
+        return;
+    }
+
+    // Workerのスクリプトと、Workerで読み込むこのリポジトリのスクリプト（index.htmlからの相対パス）
+    const WORKER_FILE = 'js/physics-thread.js';
+    const TUNING_FILE = 'js/physics-tuning.js';
+
+    // Workerで読み込むライブラリ（libs/manifest.jsonのモジュール名）
+    // メインスレッドと同じく、OfflineLibraryLoaderでサイズとハッシュを検証したバイト列だけを読み込ませる
+    const LIBRARY_SCRIPTS = { three: 'three', mmdPhysics: 'mmdphysics', ammo: 'ammo' };
+    const AMMO_WASM = 'ammowasm';
+    const LIBRARY_MODULES = Object.values(LIBRARY_SCRIPTS).concat(AMMO_WASM);
+
+    // 初期化を諦めるまでの時間（ミリ秒。メインスレッドのAmmo.jsと同じ）
+    const INIT_TIMEOUT = 20000;
+
+    // メッシュのワールド行列の要素数と、ボーン一つ分（位置3・回転4）の要素数
+    const MATRIX_SIZE = 16;
+    const BONE_SIZE = 7;
+
+    // 'idle' | 'initializing' | 'ready' | 'failed'
+    let state = 'idle';
+    let worker = null;
+    let initPromise = null;
+    let errorHandler = null;
+    let settings = null;
+
+    // モデル → 登録情報、登録ID → 登録情報
+    const entries = new Map();
+    const entriesById = new Map();
+    let nextId = 1;
+
+    // 計算中のステップ（結果が届くまで次は送らず、その間の経過時間をまとめて送る）
+    let busy = false;
+    let pendingDelta = 0;
+
+    // 結果が届いた時刻と間隔（ミリ秒。補間に使う）
+    let lastResultTime = 0;
+    let resultInterval = 1000 / 60;
+
+    const _quaternion = [0, 0, 0, 1];
+
+    function resolveUrl(file) {
+        return new URL(file, document.baseURI).href;
+    }
+
+    // メッシュのワールド行列と全ボーンの位置・回転をバッファに書く
+    function writePose(mesh, pose) {
+        mesh.updateMatrixWorld(true);
+        mesh.matrixWorld.toArray(pose, 0);
+        mesh.skeleton.bones.forEach((bone, index) => {
+            const offset = MATRIX_SIZE + index * BONE_SIZE;
+            bone.position.toArray(pose, offset);
+            bone.quaternion.toArray(pose, offset + 3);
+        });
+        return pose;
+    }
+
+    /**
+     * @function isSupported
+     * @description このブラウザでWeb Workerを使えるか（file://では作れないことがあり、その場合はinit()が失敗する）
+     * @returns {boolean} 使えるか
+     */
+    function isSupported() {
+        return typeof window.Worker === 'function';
+    }
+
+    /**
+     * @function isReady
+     * @description Workerの物理エンジンが使えるか
+     * @returns {boolean} 使えるか
+     */
+    function isReady() {
+        return state === 'ready';
+    }
+
+    /**
+     * @function getState
+     * @description Workerの状態を返す
+     * @returns {string} 'idle' / 'initializing' / 'ready' / 'failed'
+     */
+    function getState() {
+        return state;
+    }
+
+    // Workerを止め、登録していたモデルを知らせる（呼び出し側がメインスレッドの物理演算に戻す）
+    function fail(message) {
+        if (state === 'failed') {
+            return;
+        }
+        state = 'failed';
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        const meshes = Array.from(entries.keys());
+        entries.clear();
+        entriesById.clear();
+        busy = false;
+        if (errorHandler) {
+            errorHandler(message, meshes);
+        }
+    }
+
+    function handleStepped(data) {
+        busy = false;
+        const now = performance.now();
+        if (lastResultTime > 0) {
+            // 間隔は少しずつ追従させる（一度だけ遅れた結果で補間が跳ねないように）
+            resultInterval += (Math.min(now - lastResultTime, 250) - resultInterval) * 0.2;
+        }
+        lastResultTime = now;
+
+        data.models.forEach((model) => {
+            const entry = entriesById.get(model.id);
+            if (!entry) {
+                return;
+            }
+            entry.pose = model.pose;
+            if (!model.result) {
+                return;
+            }
+            // リセットを頼んだ後は、リセット前の姿勢から計算した結果を使わない
+            if (entry.waitingReset && !model.reset) {
+                entry.spare = model.result;
+                return;
+            }
+            entry.waitingReset = false;
+            entry.spare = model.reset ? entry.latest || entry.previous : entry.previous;
+            entry.previous = model.reset ? null : entry.latest;
+            entry.latest = model.result;
+        });
+    }
+
+    /**
+     * @function init
+     * @description Workerを起動して物理エンジンを読み込む（二回目以降は最初の結果を返す）
+     * @param {Object} options - { settings: StagePhysics.getSettings()の値,
+     *                           getLibrary(name): LIBRARY_MODULESの検証済みのバイト列を返す関数（OfflineLibraryLoader.getAsset）,
+     *                           onError(message, meshes): Workerが使えなくなった時に、登録していたモデルを渡して呼ぶ }
+     *        検証済みのライブラリが揃っていなければWorkerは使わない（falseを返す）
+     * @returns {Promise<boolean>} 使えるようになったか
+     */
+    function init(options) {
+        if (initPromise) {
+            return initPromise;
+        }
+        settings = options.settings;
+        errorHandler = options.onError || null;
+        if (!isSupported()) {
+            state = 'failed';
+            initPromise = Promise.resolve(false);
+            return initPromise;
+        }
+
+        const getLibrary = typeof options.getLibrary === 'function' ? options.getLibrary : () => null;
+        const missing = LIBRARY_MODULES.filter((name) => !getLibrary(name));
+        if (missing.length > 0) {
+            fail(`検証済みのライブラリがありません (${missing.join(', ')})`);
+            initPromise = Promise.resolve(false);
+            return initPromise;
+        }
+
+        // 検証済みのバイト列をBlob URLにしてWorkerのimportScripts()に渡す（初期化が終わったら破棄する）
+        const urls = { physicsTuning: resolveUrl(TUNING_FILE) };
+        Object.keys(LIBRARY_SCRIPTS).forEach((key) => {
+            urls[key] = URL.createObjectURL(new Blob([getLibrary(LIBRARY_SCRIPTS[key])], { type: 'text/javascript' }));
+        });
+
+        state = 'initializing';
+        initPromise = new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                fail('Workerの物理エンジンの初期化がタイムアウトしました');
+                resolve(false);
+            }, INIT_TIMEOUT);
+
+            try {
+                worker = new Worker(resolveUrl(WORKER_FILE));
+            } catch (error) {
+                clearTimeout(timeout);
+                fail(`Workerを起動できません: ${error.message}`);
+                resolve(false);
+                return;
+            }
+
+            worker.onmessage = (event) => {
+                const data = event.data;
+                if (data.type === 'ready') {
+                    clearTimeout(timeout);
+                    state = 'ready';
+                    resolve(true);
+                } else if (data.type === 'stepped') {
+                    handleStepped(data);
+                } else if (data.type === 'error') {
+                    clearTimeout(timeout);
+                    fail(data.message);
+                    resolve(false);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                clearTimeout(timeout);
+                fail(event.message || 'Workerでエラーが発生しました');
+                resolve(false);
+            };
+
+            worker.postMessage({ type: 'init', urls, settings, wasmBinary: getLibrary(AMMO_WASM) });
+        });
+        initPromise.then(() => {
+            Object.keys(LIBRARY_SCRIPTS).forEach((key) => URL.revokeObjectURL(urls[key]));
+        });
+        return initPromise;
+    }
+
+    /**
+     * @function add
+     * @description helper.add()（物理演算なし）で登録したモデルの物理演算をWorkerで行う
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} 登録したか（Workerが使えない・剛体がない場合はfalse）
+     */
+    function add(helper, mesh) {
+        const mmd = mesh.geometry.userData.MMD;
+        if (state !== 'ready' || !mmd || !Array.isArray(mmd.rigidBodies) || mmd.rigidBodies.length === 0) {
+            return false;
+        }
+        remove(mesh);
+
+        const bones = mesh.skeleton.bones;
+        const parents = new Int32Array(bones.map((bone) => bones.indexOf(bone.parent)));
+        // 物理演算で動くボーン（回転は全て、位置は「物理演算」の剛体のボーンだけ反映する）
+        const outputBones = [];
+        const positionMask = [];
+        mmd.rigidBodies.forEach((params) => {
+            if (params.type === 0 || params.boneIndex === -1) {
+                return;
+            }
+            let index = outputBones.indexOf(params.boneIndex);
+            if (index < 0) {
+                index = outputBones.push(params.boneIndex) - 1;
+                positionMask.push(false);
+            }
+            positionMask[index] = positionMask[index] || params.type === 1;
+        });
+
+        // ヘルパーが物理演算ありで登録する時と同じく、モーションの最初の姿勢から始める
+        const objects = helper.objects.get(mesh);
+        if (objects && objects.mixer && typeof helper._animateMesh === 'function') {
+            helper._animateMesh(mesh, 0);
+        }
+        const pose = writePose(mesh, new Float32Array(MATRIX_SIZE + bones.length * BONE_SIZE));
+
+        const entry = {
+            id: nextId++,
+            mesh,
+            bodyCount: mmd.rigidBodies.length,
+            constraintCount: Array.isArray(mmd.constraints) ? mmd.constraints.length : 0,
+            outputBones,
+            positionMask,
+            pose,
+            previous: null,
+            latest: null,
+            spare: null,
+            reset: false,
+            waitingReset: false
+        };
+        entries.set(mesh, entry);
+        entriesById.set(entry.id, entry);
+        worker.postMessage({
+            type: 'add',
+            id: entry.id,
+            parents,
+            outputBones,
+            rigidBodies: mmd.rigidBodies,
+            constraints: mmd.constraints || [],
+            pose
+        });
+        if (typeof helper._optimizeIK === 'function') {
+            helper._optimizeIK(mesh, true);
+        }
+        return true;
+    }
+
+    /**
+     * @function remove
+     * @description モデルの物理演算をWorkerから取り除く（helper.remove()の前に呼ぶ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function remove(mesh) {
+        const entry = entries.get(mesh);
+        if (!entry) {
+            return;
+        }
+        entries.delete(mesh);
+        entriesById.delete(entry.id);
+        if (worker) {
+            worker.postMessage({ type: 'remove', id: entry.id });
+        }
+    }
+
+    /**
+     * @function getStats
+     * @description Workerで計算しているモデル・剛体・ジョイントの数を返す（メモリの確認用）
+     * @returns {Object} { models, bodies, constraints }
+     */
+    function getStats() {
+        const stats = { models: entries.size, bodies: 0, constraints: 0 };
+        entries.forEach((entry) => {
+            stats.bodies += entry.bodyCount;
+            stats.constraints += entry.constraintCount;
+        });
+        return stats;
+    }
+
+    /**
+     * @function isEnabled
+     * @description モデルの物理演算をWorkerで行っているか
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} Workerで行っているか
+     */
+    function isEnabled(mesh) {
+        return entries.has(mesh);
+    }
+
+    // 届いている結果の間を補間して、物理演算で動くボーンに反映する
+    function applyResults(entry, alpha) {
+        const { previous, latest } = entry;
+        if (!latest) {
+            return;
+        }
+        const bones = entry.mesh.skeleton.bones;
+        entry.outputBones.forEach((boneIndex, index) => {
+            const bone = bones[boneIndex];
+            const offset = index * BONE_SIZE;
+            if (previous) {
+                THREE.Quaternion.slerpFlat(_quaternion, 0, previous, offset + 3, latest, offset + 3, alpha);
+                bone.quaternion.fromArray(_quaternion);
+                if (entry.positionMask[index]) {
+                    bone.position.set(
+                        previous[offset] + (latest[offset] - previous[offset]) * alpha,
+                        previous[offset + 1] + (latest[offset + 1] - previous[offset + 1]) * alpha,
+                        previous[offset + 2] + (latest[offset + 2] - previous[offset + 2]) * alpha
+                    );
+                }
+            } else {
+                bone.quaternion.fromArray(latest, offset + 3);
+                if (entry.positionMask[index]) {
+                    bone.position.fromArray(latest, offset);
+                }
+            }
+        });
+    }
+
+    /**
+     * @function step
+     * @description Workerで物理演算を行うモデルの姿勢をWorkerに送り、届いている結果をボーンに反映する
+     *              helper.update()の後に呼ぶ（計算中なら送らず、経過時間を次に回す）
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {number} delta - 経過時間（秒）
+     */
+    function step(helper, delta) {
+        if (state !== 'ready' || !helper.enabled.physics) {
+            return;
+        }
+        const active = (helper.meshes || []).map((mesh) => entries.get(mesh)).filter(Boolean);
+        if (active.length === 0) {
+            return;
+        }
+
+        // ボーンはhelper.update()でモーションの姿勢に戻っているので、物理演算の結果を反映する前に送る
+        pendingDelta += delta;
+        if (!busy) {
+            const transfer = [];
+            const models = active.map((entry) => {
+                const message = { id: entry.id, pose: writePose(entry.mesh, entry.pose), result: entry.spare, reset: entry.reset };
+                transfer.push(entry.pose.buffer);
+                if (entry.spare) {
+                    transfer.push(entry.spare.buffer);
+                }
+                entry.pose = null;
+                entry.spare = null;
+                entry.reset = false;
+                return message;
+            });
+            worker.postMessage({ type: 'step', delta: pendingDelta, models }, transfer);
+            busy = true;
+            pendingDelta = 0;
+        }
+
+        const alpha = Math.min(Math.max((performance.now() - lastResultTime) / resultInterval, 0), 1);
+        active.forEach((entry) => applyResults(entry, alpha));
+    }
+
+    /**
+     * @function reset
+     * @description モデルの剛体を今のボーンの姿勢に合わせ直す（次のステップで行う。シークや配置の変更の後に呼ぶ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function reset(mesh) {
+        const entry = entries.get(mesh);
+        if (!entry) {
+            return;
+        }
+        entry.reset = true;
+        entry.waitingReset = true;
+        entry.spare = entry.spare || entry.previous || entry.latest;
+        entry.previous = null;
+        entry.latest = null;
+    }
+
+    /**
+     * @function setSettings
+     * @description 物理演算の設定をWorkerに送る（StagePhysics.setSettings()と同じ値）
+     * @param {Object} values - { gravity: { x, y, z }, unitStep, maxStepNum, warmup }
+     */
+    function setSettings(values) {
+        settings = values;
+        if (worker) {
+            worker.postMessage({ type: 'settings', settings });
+        }
+    }
+
+    /**
+     * @function updateRigidBody
+     * @description Workerのモデルの剛体の質量・減衰を変更する（PhysicsTuning.updateRigidBody()と同じ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {number} index - 剛体の番号
+     * @param {Object} values - { weight, positionDamping, rotationDamping }
+     */
+    function updateRigidBody(mesh, index, values) {
+        const entry = entries.get(mesh);
+        if (entry && worker) {
+            worker.postMessage({ type: 'tune', id: entry.id, kind: 'rigidBody', index, values });
+        }
+    }
+
+    /**
+     * @function updateConstraint
+     * @description Workerのモデルのジョイントのバネの強さを変更する（PhysicsTuning.updateConstraint()と同じ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {number} index - ジョイントの番号
+     * @param {Object} values - { springPosition: [x, y, z], springRotation: [x, y, z] }
+     */
+    function updateConstraint(mesh, index, values) {
+        const entry = entries.get(mesh);
+        if (entry && worker) {
+            worker.postMessage({ type: 'tune', id: entry.id, kind: 'constraint', index, values });
+        }
+    }
+
+    window.PhysicsWorker = {
+        LIBRARY_MODULES,
+        isSupported,
+        isReady,
+        getState,
+        init,
+        add,
+        remove,
+        getStats,
+        isEnabled,
+        step,
+        reset,
+        setSettings,
+        updateRigidBody,
+        updateConstraint
+    };
+})();
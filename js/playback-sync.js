@@ -0,0 +1,304 @@
+/**
+ * @file playback-sync.js
+ * @description MMDAnimationHelperのモーション時間を音声の再生位置に同期させるユーティリティ
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.PlaybackSync) {
+        return;
+    }
+
+    // モーションと音声のずれがこれを超えたら、モーション側を音声位置へシークし直す（秒）
+    const RESYNC_THRESHOLD = 0.15;
+
+    // VMDのフレームレート（シークはこの単位で丸める）
+    const FPS = 30;
+
+    // 再生速度の範囲
+    const MIN_SPEED = 0.25;
+    const MAX_SPEED = 2;
+
+    /**
+     * @function getAudioTime
+     * @description THREE.Audioの現在の再生位置（秒）を返す（一時停止中も位置を保持する）
+     * @param {THREE.Audio} audio - 音声
+     * @returns {number} 再生位置
+     */
+    function getAudioTime(audio) {
+        if (!audio || !audio.buffer) {
+            return 0;
+        }
+        // THREE.Audioは再生位置を公開していないため、pause()で蓄積される_progressと開始時刻から求める
+        let time = audio.offset + audio._progress;
+        if (audio.isPlaying) {
+            time += Math.max(audio.context.currentTime - audio._startedAt, 0) * audio.playbackRate;
+        }
+        return time;
+    }
+
+    /**
+     * @function setAudioTime
+     * @description THREE.Audioの再生位置を変更する（再生中なら新しい位置から再生し直す）
+     * @param {THREE.Audio} audio - 音声
+     * @param {number} time - 再生位置（秒）
+     * @param {boolean} shouldPlay - 変更後に再生するか
+     */
+    function setAudioTime(audio, time, shouldPlay) {
+        if (!audio || !audio.buffer) {
+            return;
+        }
+        if (audio.isPlaying) {
+            audio.pause();
+        }
+        const clamped = Math.min(Math.max(time, 0), audio.buffer.duration);
+        audio._progress = clamped - audio.offset;
+        if (shouldPlay && clamped < audio.buffer.duration) {
+            audio.play();
+        }
+    }
+
+    /**
+     * @function getHelperTime
+     * @description ヘルパーの現在の再生位置（ループ内の秒数）を返す
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @returns {number} 再生位置
+     */
+    function getHelperTime(helper) {
+        if (!helper) {
+            return 0;
+        }
+        if (helper.audioManager) {
+            return helper.audioManager.currentTime;
+        }
+        const mesh = (helper.meshes || [])[0];
+        const objects = mesh && helper.objects ? helper.objects.get(mesh) : null;
+        if (objects && objects.mixer && objects.mixer._actions.length > 0) {
+            // クロスフェード中は時間の異なるアクションが混在するため、ミキサーの時間をループの長さで折り返す
+            const duration = getHelperDuration(helper);
+            return duration > 0 ? objects.mixer.time % duration : objects.mixer.time;
+        }
+        return 0;
+    }
+
+    /**
+     * @function getHelperDuration
+     * @description ヘルパーに登録されたモーション・カメラ・音声のうち最も長い再生時間を返す
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @returns {number} 再生時間（秒）。モーションがなければ0
+     */
+    function getHelperDuration(helper) {
+        if (!helper || !helper.objects) {
+            return 0;
+        }
+        if (helper.audioManager) {
+            return helper.audioManager.duration;
+        }
+        // MMDAnimationHelperはsync時にクリップの長さを揃えるため、その最大値が1ループの長さになる
+        let duration = 0;
+        const owners = (helper.meshes || []).concat(helper.camera ? [helper.camera] : []);
+        owners.forEach((owner) => {
+            const objects = helper.objects.get(owner);
+            if (objects && objects.mixer) {
+                objects.mixer._actions.forEach((action) => {
+                    duration = Math.max(duration, action._clip.duration);
+                });
+            }
+        });
+        return duration;
+    }
+
+    /**
+     * @function seekHelper
+     * @description MMDAnimationHelperに登録されたモデル・カメラ・音声の時間を指定位置に合わせる
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {number} time - モーション時間（秒）
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.resetPhysics=true] - 物理演算をリセットするか
+     * @param {boolean} [options.playAudio=false] - 音声の範囲内なら再生を続けるか
+     */
+    function seekHelper(helper, time, options = {}) {
+        if (!helper || !helper.objects) {
+            return;
+        }
+        const resetPhysics = options.resetPhysics !== false;
+
+        (helper.meshes || []).forEach((mesh) => {
+            const objects = helper.objects.get(mesh);
+            if (!objects) {
+                return;
+            }
+            if (objects.mixer) {
+                objects.mixer.setTime(time);
+            }
+            objects.looped = false;
+        });
+
+        if (helper.camera) {
+            const cameraObjects = helper.objects.get(helper.camera);
+            if (cameraObjects && cameraObjects.mixer) {
+                cameraObjects.mixer.setTime(time);
+            }
+        }
+
+        const audioManager = helper.audioManager;
+        if (audioManager) {
+            audioManager.currentTime = time;
+            const audioTime = time - audioManager.delayTime;
+            const inRange = audioTime >= 0 && audioTime < audioManager.audioDuration;
+            setAudioTime(audioManager.audio, Math.max(audioTime, 0), options.playAudio === true && inRange);
+        }
+
+        // IK・付与を新しい姿勢に反映させる（時間は進めない）
+        const audioBackup = helper.audioManager;
+        helper.audioManager = null;
+        helper.update(0);
+        helper.audioManager = audioBackup;
+
+        if (resetPhysics) {
+            (helper.meshes || []).forEach((mesh) => {
+                const objects = helper.objects.get(mesh);
+                if (objects && objects.physics && typeof objects.physics.reset === 'function') {
+                    objects.physics.reset();
+                }
+                // Ammoを使わないモデルの簡易物理（スプリングボーン）
+                if (window.SpringBones) {
+                    window.SpringBones.reset(mesh);
+                }
+                // Workerで計算しているモデルは次のステップでリセットする
+                if (window.PhysicsWorker) {
+                    window.PhysicsWorker.reset(mesh);
+                }
+            });
+        }
+    }
+
+    /**
+     * @function createAudioClock
+     * @description 音声の再生位置を基準にヘルパーへ渡すデルタ時間を求める時計を作成する
+     * @param {THREE.MMDAnimationHelper} helper - 音声を登録済みのヘルパー
+     * @returns {Object} 時計 { time, paused, speed, loop, update(delta), pause(), resume(), seek(time), setSpeed(speed), setLoop(start, end) }
+     */
+    function createAudioClock(helper) {
+        const clock = {
+            // ヘルパーに渡したモーション時間の合計
+            time: 0,
+            paused: false,
+            // 再生速度（音声の再生レートにも反映する）
+            speed: 1,
+            // A-Bループ区間 { start, end }（秒、ループ内の再生位置）。nullなら全体をループ
+            loop: null,
+
+            /**
+             * 壁時計のデルタから、音声に同期したモーションのデルタを求める
+             * @param {number} wallDelta - 前フレームからの経過時間（秒）
+             * @returns {number} helper.update()に渡すデルタ
+             */
+            update(wallDelta) {
+                if (clock.paused) {
+                    return 0;
+                }
+
+                const audioManager = helper.audioManager;
+                let delta = wallDelta * clock.speed;
+
+                // A-Bループの終点を越えるなら始点に戻す
+                if (clock.loop && getHelperTime(helper) + delta >= clock.loop.end) {
+                    clock.seek(clock.loop.start);
+                    return 0;
+                }
+
+                if (audioManager && audioManager.audio.isPlaying) {
+                    // 音声再生中は音声の位置から目標のモーション時間を求める
+                    const loopStart = clock.time - audioManager.currentTime;
+                    const target = loopStart + audioManager.delayTime + getAudioTime(audioManager.audio);
+                    const drift = target - (clock.time + delta);
+
+                    if (Math.abs(drift) > RESYNC_THRESHOLD) {
+                        seekHelper(helper, target - loopStart, { resetPhysics: true, playAudio: true });
+                        clock.time = target;
+                        return 0;
+                    }
+                    delta = Math.max(target - clock.time, 0);
+                }
+
+                clock.time += delta;
+                return delta;
+            },
+
+            pause() {
+                if (clock.paused) {
+                    return;
+                }
+                clock.paused = true;
+                const audioManager = helper.audioManager;
+                if (audioManager && audioManager.audio.isPlaying) {
+                    audioManager.audio.pause();
+                }
+            },
+
+            resume() {
+                if (!clock.paused) {
+                    return;
+                }
+                clock.paused = false;
+                const audioManager = helper.audioManager;
+                if (audioManager) {
+                    const audioTime = audioManager.currentTime - audioManager.delayTime;
+                    if (!audioManager.audio.isPlaying && audioTime >= 0 && audioTime < audioManager.audioDuration) {
+                        audioManager.audio.setPlaybackRate(clock.speed);
+                        audioManager.audio.play();
+                    }
+                }
+            },
+
+            seek(time) {
+                seekHelper(helper, time, { resetPhysics: true, playAudio: !clock.paused });
+                clock.time = time;
+            },
+
+            setSpeed(speed) {
+                clock.speed = Math.min(Math.max(speed, MIN_SPEED), MAX_SPEED);
+                const audio = helper.audioManager ? helper.audioManager.audio : null;
+                if (!audio) {
+                    return;
+                }
+                // 再生中にレートを変えると経過時間の計算がずれるので、一度止めて位置を確定させる
+                const wasPlaying = audio.isPlaying;
+                if (wasPlaying) {
+                    audio.pause();
+                }
+                audio.setPlaybackRate(clock.speed);
+                if (wasPlaying) {
+                    audio.play();
+                }
+            },
+
+            setLoop(start, end) {
+                if (typeof start !== 'number' || typeof end !== 'number' || end - start < 1 / FPS) {
+                    clock.loop = null;
+                    return;
+                }
+                clock.loop = { start, end };
+                const time = getHelperTime(helper);
+                if (time < start || time >= end) {
+                    clock.seek(start);
+                }
+            }
+        };
+        return clock;
+    }
+
+    window.PlaybackSync = {
+        RESYNC_THRESHOLD,
+        FPS,
+        MIN_SPEED,
+        MAX_SPEED,
+        getAudioTime,
+        setAudioTime,
+        getHelperTime,
+        getHelperDuration,
+        seekHelper,
+        createAudioClock
+    };
+})();
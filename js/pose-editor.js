@@ -0,0 +1,358 @@
+/**
+ * @file pose-editor.js
+ * @description ボーンを選んでギズモで回転・移動するポーズエディタと、VPD（ポーズファイル）の書き出し
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.PoseEditor) {
+        return;
+    }
+
+    // ボーン選択用のマーカー
+    const MARKER_RADIUS = 0.2;
+    const MARKER_COLOR = 0x44aaff;
+    const SELECTED_MARKER_COLOR = 0xff6600;
+    const IK_MARKER_COLOR = 0xffcc00;
+
+    // これより小さい変化は書き出さない
+    const EPSILON = 1e-6;
+
+    // クリックとドラッグ（視点操作）を区別する移動量（ピクセル）
+    const CLICK_TOLERANCE = 4;
+
+    /**
+     * @function getRestPositions
+     * @description ボーンの初期位置（親からの相対位置）を返す
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<THREE.Vector3>} ボーンと同じ順の初期位置
+     */
+    function getRestPositions(mesh) {
+        const geometryBones = mesh.geometry && mesh.geometry.bones;
+        return mesh.skeleton.bones.map((bone, index) => {
+            const gbone = geometryBones ? geometryBones[index] : null;
+            return gbone ? new THREE.Vector3().fromArray(gbone.pos) : bone.position.clone();
+        });
+    }
+
+    /**
+     * @function getPoseBones
+     * @description 現在のポーズを、初期状態から変化しているボーンの一覧にする（右手座標系）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Array<Object>} [{ name, translation: [x, y, z], quaternion: [x, y, z, w] }]
+     */
+    function getPoseBones(mesh) {
+        const restPositions = getRestPositions(mesh);
+        const poseBones = [];
+        mesh.skeleton.bones.forEach((bone, index) => {
+            const translation = bone.position.clone().sub(restPositions[index]);
+            const q = bone.quaternion;
+            const moved = translation.lengthSq() > EPSILON * EPSILON;
+            const rotated = Math.abs(q.x) > EPSILON || Math.abs(q.y) > EPSILON || Math.abs(q.z) > EPSILON;
+            if (moved || rotated) {
+                poseBones.push({
+                    name: bone.name,
+                    translation: translation.toArray(),
+                    quaternion: [q.x, q.y, q.z, q.w]
+                });
+            }
+        });
+        return poseBones;
+    }
+
+    // VPDの数値（パーサーは小数点を必須とするため常に小数で書く）
+    function formatNumber(value) {
+        const fixed = value.toFixed(6);
+        return fixed === '-0.000000' ? '0.000000' : fixed;
+    }
+
+    /**
+     * @function toVpdText
+     * @description 現在のポーズをVPD形式のテキストにする（MMDの左手座標系に変換する）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} parentFile - 親ファイル名（通常はモデル名.osm）
+     * @returns {string} VPDテキスト（改行はCRLF）
+     */
+    function toVpdText(mesh, parentFile) {
+        const poseBones = getPoseBones(mesh);
+        const lines = [
+            'Vocaloid Pose Data file',
+            '',
+            `${parentFile};\t\t// 親ファイル名`,
+            `${poseBones.length};\t\t\t\t// 総ポーズボーン数`,
+            ''
+        ];
+        poseBones.forEach((poseBone, index) => {
+            // 右手系から左手系へ（MMDParser.leftToRightVpdの逆。Zの位置とX・Yの回転を反転）
+            const [tx, ty, tz] = poseBone.translation;
+            const [qx, qy, qz, qw] = poseBone.quaternion;
+            lines.push(`Bone${index}{${poseBone.name}`);
+            lines.push(`  ${[tx, ty, -tz].map(formatNumber).join(',')};\t\t\t\t// trans x,y,z`);
+            lines.push(`  ${[-qx, -qy, qz, qw].map(formatNumber).join(',')};\t\t// Quaternion x,y,z,w`);
+            lines.push('}');
+            lines.push('');
+        });
+        return lines.join('\r\n');
+    }
+
+    /**
+     * @function createVpdBlob
+     * @description 現在のポーズをVPDファイル（Shift_JIS）にする
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {string} modelName - モデル名（親ファイル名に使う）
+     * @returns {Blob} VPDファイル
+     */
+    function createVpdBlob(mesh, modelName) {
+        const parentFile = `${(modelName || 'model').replace(/\.[^.]*$/, '')}.osm`;
+        return new Blob([window.ShiftJis.encode(toVpdText(mesh, parentFile))], { type: 'text/plain' });
+    }
+
+    /**
+     * @function create
+     * @description ポーズエディタを作成する
+     * @param {Object} options - { scene, camera, domElement, orbitControls, onSelect(bone), onChange() }
+     * @returns {Object} ポーズエディタ
+     */
+    function create(options) {
+        const { scene, camera, domElement, orbitControls } = options;
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        const markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 8, 6);
+        const markerGroup = new THREE.Group();
+        markerGroup.name = 'PoseEditorMarkers';
+
+        const transformControls = new THREE.TransformControls(camera, domElement);
+        transformControls.setSpace('local');
+        transformControls.setSize(0.6);
+
+        let mesh = null;
+        let selectedBone = null;
+        let skeletonHelper = null;
+        let ikSolver = null;
+        let ikTargets = new Set();
+        let pointerDown = null;
+
+        // ギズモの操作中は視点を動かさない
+        transformControls.addEventListener('dragging-changed', (event) => {
+            if (orbitControls) {
+                orbitControls.enabled = !event.value;
+            }
+        });
+
+        // ボーンを動かしたらIKを解き直す
+        transformControls.addEventListener('objectChange', () => {
+            solveIk();
+            if (typeof options.onChange === 'function') {
+                options.onChange();
+            }
+        });
+
+        function solveIk() {
+            if (ikSolver) {
+                mesh.updateMatrixWorld(true);
+                ikSolver.update();
+            }
+        }
+
+        function createMarkers() {
+            mesh.skeleton.bones.forEach((bone, index) => {
+                const material = new THREE.MeshBasicMaterial({
+                    color: ikTargets.has(index) ? IK_MARKER_COLOR : MARKER_COLOR,
+                    depthTest: false,
+                    transparent: true,
+                    opacity: 0.8
+                });
+                const marker = new THREE.Mesh(markerGeometry, material);
+                marker.renderOrder = 999;
+                marker.userData.bone = bone;
+                marker.userData.color = material.color.getHex();
+                markerGroup.add(marker);
+            });
+        }
+
+        function disposeMarkers() {
+            markerGroup.children.forEach((marker) => marker.material.dispose());
+            markerGroup.clear();
+        }
+
+        function updateMarkerColors() {
+            markerGroup.children.forEach((marker) => {
+                marker.material.color.setHex(marker.userData.bone === selectedBone ? SELECTED_MARKER_COLOR : marker.userData.color);
+            });
+        }
+
+        // クリックした位置のマーカーのボーンを選ぶ
+        function onPointerDown(event) {
+            pointerDown = { x: event.clientX, y: event.clientY };
+        }
+
+        function onPointerUp(event) {
+            if (!mesh || !pointerDown || transformControls.dragging) {
+                pointerDown = null;
+                return;
+            }
+            const moved = Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y);
+            pointerDown = null;
+            // ギズモの上、または視点操作のドラッグなら選択しない
+            if (moved > CLICK_TOLERANCE || transformControls.axis !== null) {
+                return;
+            }
+            const rect = domElement.getBoundingClientRect();
+            pointer.x = (event.clientX - rect.left) / rect.width * 2 - 1;
+            pointer.y = -(event.clientY - rect.top) / rect.height * 2 + 1;
+            raycaster.setFromCamera(pointer, camera);
+            const hit = raycaster.intersectObjects(markerGroup.children, false)[0];
+            if (hit) {
+                selectBone(hit.object.userData.bone.name);
+            }
+        }
+
+        /**
+         * ポーズを編集するモデルを設定する
+         * @param {THREE.SkinnedMesh} target - モデル
+         */
+        function attach(target) {
+            detach();
+            if (!target || !target.skeleton) {
+                return;
+            }
+            mesh = target;
+            const mmd = mesh.geometry.userData.MMD;
+            const iks = mmd && Array.isArray(mmd.iks) ? mmd.iks : [];
+            ikTargets = new Set(iks.map((ik) => ik.target));
+            ikSolver = iks.length > 0 && typeof THREE.CCDIKSolver === 'function' ? new THREE.CCDIKSolver(mesh, iks) : null;
+
+            createMarkers();
+            skeletonHelper = new THREE.SkeletonHelper(mesh);
+            scene.add(skeletonHelper);
+            scene.add(markerGroup);
+            scene.add(transformControls);
+            domElement.addEventListener('pointerdown', onPointerDown);
+            domElement.addEventListener('pointerup', onPointerUp);
+            update();
+        }
+
+        /**
+         * ポーズ編集を終了する（ポーズはそのまま残る）
+         */
+        function detach() {
+            if (!mesh) {
+                return;
+            }
+            domElement.removeEventListener('pointerdown', onPointerDown);
+            domElement.removeEventListener('pointerup', onPointerUp);
+            transformControls.detach();
+            scene.remove(transformControls);
+            scene.remove(markerGroup);
+            disposeMarkers();
+            if (skeletonHelper) {
+                scene.remove(skeletonHelper);
+                skeletonHelper.geometry.dispose();
+                skeletonHelper.material.dispose();
+                skeletonHelper = null;
+            }
+            if (orbitControls) {
+                orbitControls.enabled = true;
+            }
+            mesh = null;
+            selectedBone = null;
+            ikSolver = null;
+            ikTargets = new Set();
+        }
+
+        /**
+         * ボーンを選んでギズモを付ける
+         * @param {string} name - ボーン名（空ならギズモを外す）
+         */
+        function selectBone(name) {
+            if (!mesh) {
+                return;
+            }
+            selectedBone = mesh.skeleton.bones.find((bone) => bone.name === name) || null;
+            if (selectedBone) {
+                transformControls.attach(selectedBone);
+            } else {
+                transformControls.detach();
+            }
+            updateMarkerColors();
+            if (typeof options.onSelect === 'function') {
+                options.onSelect(selectedBone);
+            }
+        }
+
+        /**
+         * ギズモの操作を切り替える
+         * @param {string} mode - 'rotate' または 'translate'
+         */
+        function setMode(mode) {
+            transformControls.setMode(mode === 'translate' ? 'translate' : 'rotate');
+        }
+
+        /**
+         * 選択中のボーン（boneOnly=falseなら全ボーン）を初期状態に戻す
+         * @param {boolean} [boneOnly=false] - 選択中のボーンだけ戻すか
+         */
+        function resetPose(boneOnly) {
+            if (!mesh) {
+                return;
+            }
+            if (boneOnly) {
+                if (!selectedBone) {
+                    return;
+                }
+                const index = mesh.skeleton.bones.indexOf(selectedBone);
+                selectedBone.position.copy(getRestPositions(mesh)[index]);
+                selectedBone.quaternion.set(0, 0, 0, 1);
+            } else {
+                mesh.pose();
+            }
+            solveIk();
+            if (typeof options.onChange === 'function') {
+                options.onChange();
+            }
+        }
+
+        /**
+         * IKを解き直す（VPDを読み込んだ後など、外部でポーズを変えた時に呼ぶ）
+         */
+        function refresh() {
+            solveIk();
+        }
+
+        /**
+         * マーカーをボーンの位置に合わせる（毎フレーム呼ぶ）
+         */
+        function update() {
+            if (!mesh) {
+                return;
+            }
+            mesh.updateMatrixWorld(true);
+            markerGroup.children.forEach((marker) => {
+                marker.userData.bone.getWorldPosition(marker.position);
+            });
+        }
+
+        return {
+            attach,
+            detach,
+            selectBone,
+            setMode,
+            resetPose,
+            refresh,
+            update,
+            get mesh() {
+                return mesh;
+            },
+            get selectedBone() {
+                return selectedBone;
+            }
+        };
+    }
+
+    window.PoseEditor = {
+        create,
+        getPoseBones,
+        toVpdText,
+        createVpdBlob
+    };
+})();
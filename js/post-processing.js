@@ -0,0 +1,575 @@
+/**
+ * @file post-processing.js
+ * @description EffectComposerによるポストエフェクト（MMDの輪郭線・ブルーム・SSAO・色調補正とLUT・FXAA/SMAA）
+ *              エフェクトは個別に切り替えられ、全体の描画解像度とブルーム・SSAOの解像度を品質として調整できる
+ *              すべて無効の間はEffectComposerを使わず、これまでどおりレンダラーで直接描画する
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.PostProcessing) {
+        return;
+    }
+
+    // localStorageのキー
+    const STORAGE_KEY = 'mikumiku.postprocessing';
+
+    // 全体の描画解像度（画面の解像度に対する倍率）の選択肢
+    const QUALITY_LEVELS = [0.5, 0.75, 1, 1.5, 2];
+
+    // ブルーム・SSAOの解像度（描画解像度に対する倍率）の選択肢
+    const EFFECT_QUALITY_LEVELS = [0.25, 0.5, 0.75, 1];
+
+    // アンチエイリアスの種類
+    const ANTIALIAS_MODES = ['fxaa', 'smaa'];
+
+    // SSAOのサンプル数（品質1で最大）
+    const SSAO_MIN_KERNEL_SIZE = 8;
+    const SSAO_MAX_KERNEL_SIZE = 32;
+
+    const DEFAULT_SETTINGS = {
+        quality: 1,
+        outline: { enabled: false, thickness: 1, opacity: 1 },
+        bloom: { enabled: false, strength: 0.6, radius: 0.4, threshold: 0.85, quality: 0.5 },
+        ssao: { enabled: false, radius: 4, quality: 0.5 },
+        grading: { enabled: false, exposure: 1, contrast: 1, saturation: 1, lutIntensity: 1 },
+        antialias: { enabled: false, mode: 'smaa' }
+    };
+
+    // 明るさ・コントラスト・彩度の色調補正
+    const GRADING_SHADER = {
+        uniforms: {
+            tDiffuse: { value: null },
+            exposure: { value: 1 },
+            contrast: { value: 1 },
+            saturation: { value: 1 }
+        },
+        vertexShader: [
+            'varying vec2 vUv;',
+            'void main() {',
+            '    vUv = uv;',
+            '    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );',
+            '}'
+        ].join('\n'),
+        fragmentShader: [
+            'uniform sampler2D tDiffuse;',
+            'uniform float exposure;',
+            'uniform float contrast;',
+            'uniform float saturation;',
+            'varying vec2 vUv;',
+            'void main() {',
+            '    vec4 texel = texture2D( tDiffuse, vUv );',
+            '    vec3 color = texel.rgb * exposure;',
+            '    color = ( color - 0.5 ) * contrast + 0.5;',
+            '    float luminance = dot( color, vec3( 0.2126, 0.7152, 0.0722 ) );',
+            '    color = mix( vec3( luminance ), color, saturation );',
+            '    gl_FragColor = vec4( clamp( color, 0.0, 1.0 ), texel.a );',
+            '}'
+        ].join('\n')
+    };
+
+    function clamp(value, min, max, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    }
+
+    function pickLevel(levels, value, fallback) {
+        const number = Number(value);
+        return levels.includes(number) ? number : fallback;
+    }
+
+    /**
+     * @function normalizeSettings
+     * @description 設定を検証し、足りない項目を既定値で補う
+     * @param {Object} value - 設定
+     * @returns {Object} 検証済みの設定（新しいオブジェクト）
+     */
+    function normalizeSettings(value) {
+        const source = value && typeof value === 'object' ? value : {};
+        const section = (name) => (source[name] && typeof source[name] === 'object' ? source[name] : {});
+        const enabled = (name) => (typeof section(name).enabled === 'boolean' ? section(name).enabled : DEFAULT_SETTINGS[name].enabled);
+        const outline = section('outline');
+        const bloom = section('bloom');
+        const ssao = section('ssao');
+        const grading = section('grading');
+        const antialias = section('antialias');
+        return {
+            quality: pickLevel(QUALITY_LEVELS, source.quality, DEFAULT_SETTINGS.quality),
+            outline: {
+                enabled: enabled('outline'),
+                thickness: clamp(outline.thickness, 0, 5, DEFAULT_SETTINGS.outline.thickness),
+                opacity: clamp(outline.opacity, 0, 1, DEFAULT_SETTINGS.outline.opacity)
+            },
+            bloom: {
+                enabled: enabled('bloom'),
+                strength: clamp(bloom.strength, 0, 3, DEFAULT_SETTINGS.bloom.strength),
+                radius: clamp(bloom.radius, 0, 1, DEFAULT_SETTINGS.bloom.radius),
+                threshold: clamp(bloom.threshold, 0, 1, DEFAULT_SETTINGS.bloom.threshold),
+                quality: pickLevel(EFFECT_QUALITY_LEVELS, bloom.quality, DEFAULT_SETTINGS.bloom.quality)
+            },
+            ssao: {
+                enabled: enabled('ssao'),
+                radius: clamp(ssao.radius, 0.1, 50, DEFAULT_SETTINGS.ssao.radius),
+                quality: pickLevel(EFFECT_QUALITY_LEVELS, ssao.quality, DEFAULT_SETTINGS.ssao.quality)
+            },
+            grading: {
+                enabled: enabled('grading'),
+                exposure: clamp(grading.exposure, 0, 3, DEFAULT_SETTINGS.grading.exposure),
+                contrast: clamp(grading.contrast, 0, 3, DEFAULT_SETTINGS.grading.contrast),
+                saturation: clamp(grading.saturation, 0, 3, DEFAULT_SETTINGS.grading.saturation),
+                lutIntensity: clamp(grading.lutIntensity, 0, 1, DEFAULT_SETTINGS.grading.lutIntensity)
+            },
+            antialias: {
+                enabled: enabled('antialias'),
+                mode: ANTIALIAS_MODES.includes(antialias.mode) ? antialias.mode : DEFAULT_SETTINGS.antialias.mode
+            }
+        };
+    }
+
+    /**
+     * @function isAvailable
+     * @description エフェクトに必要なライブラリが読み込まれているかを返す（どれも任意のライブラリ）
+     * @param {string} effect - 'outline' | 'bloom' | 'ssao' | 'grading' | 'lut' | 'fxaa' | 'smaa'
+     * @returns {boolean} 使えるか
+     */
+    function isAvailable(effect) {
+        const composer = typeof THREE.EffectComposer === 'function' && typeof THREE.ShaderPass === 'function' &&
+            typeof THREE.Pass === 'function' && Boolean(THREE.CopyShader);
+        switch (effect) {
+        case 'outline':
+            return typeof THREE.OutlineEffect === 'function';
+        case 'bloom':
+            return composer && typeof THREE.UnrealBloomPass === 'function';
+        case 'ssao':
+            return composer && typeof THREE.SSAOPass === 'function';
+        case 'grading':
+            return composer;
+        case 'lut':
+            return composer && typeof THREE.LUTPass === 'function' && typeof THREE.LUTCubeLoader === 'function';
+        case 'fxaa':
+            return composer && Boolean(THREE.FXAAShader);
+        case 'smaa':
+            return composer && typeof THREE.SMAAPass === 'function';
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * @function loadLut
+     * @description .cube形式のLUTファイルを読み込む
+     * @param {string} url - LUTファイルのURL
+     * @returns {Promise<Object>} { title, texture, texture3D }（LUTCubeLoaderの結果）
+     */
+    function loadLut(url) {
+        return new Promise((resolve, reject) => {
+            new THREE.LUTCubeLoader().load(url, resolve, undefined, (error) => {
+                reject(error instanceof Error ? error : new Error(`${url} を読み込めません`));
+            });
+        });
+    }
+
+    // パスの描画用のオブジェクト（レンダーターゲット・材質・テクスチャ）を破棄する
+    function disposePass(pass) {
+        if (typeof pass.dispose === 'function' && !(pass instanceof THREE.ShaderPass)) {
+            pass.dispose();
+            return;
+        }
+        Object.keys(pass).forEach((key) => {
+            const value = pass[key];
+            if (value && (value.isWebGLRenderTarget || value.isMaterial || value.isTexture)) {
+                value.dispose();
+            }
+        });
+        if (pass.fsQuad) {
+            pass.fsQuad.dispose();
+        }
+    }
+
+    // 輪郭線の太さ・濃さの倍率をMMDの材質（userData.outlineParameters）に反映する
+    // MMD以外の材質（glTFのステージ、影の床、ギズモなど）には線を描かない
+    function applyOutlineParameters(scene, outline) {
+        scene.traverse((object) => {
+            if (!object.isMesh || !object.material) {
+                return;
+            }
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                let params = material.userData.outlineParameters;
+                if (!params) {
+                    params = material.userData.outlineParameters = { visible: false };
+                }
+                if (params.baseThickness === undefined) {
+                    params.baseThickness = params.thickness || 0;
+                    params.baseAlpha = params.alpha !== undefined ? params.alpha : 1;
+                }
+                params.thickness = params.baseThickness * outline.thickness;
+                params.alpha = params.baseAlpha * outline.opacity;
+            });
+        });
+    }
+
+    /**
+     * @function create
+     * @description ポストエフェクトの描画を作る
+     * @param {THREE.WebGLRenderer} renderer - レンダラー
+     * @param {THREE.Scene} scene - シーン
+     * @param {THREE.Camera} camera - カメラ
+     * @param {Object} [initialSettings] - 設定（省略時は既定値）
+     * @returns {Object} { render(), setSize(width, height), setSettings(settings), getSettings(), setLut(lut, name), getLutName(), isComposing(), dispose() }
+     */
+    function create(renderer, scene, camera, initialSettings) {
+        let settings = normalizeSettings(initialSettings);
+        let outlineEffect = null;
+        let composer = null;
+        let passes = {};
+        let structureKey = '';
+        let lut = null;
+        let lutName = '';
+        let width = 0;
+        let height = 0;
+
+        // パスのクラス（EffectComposerが読み込まれていなければ作らない）
+        const canCompose = isAvailable('grading');
+
+        // シーンを描画するパス（輪郭線が有効ならOutlineEffectで描く）
+        const ScenePass = canCompose ? class extends THREE.Pass {
+            constructor() {
+                super();
+                this.needsSwap = false;
+            }
+
+            render(target, writeBuffer, readBuffer) {
+                target.setRenderTarget(this.renderToScreen ? null : readBuffer);
+                if (outlineEffect && settings.outline.enabled) {
+                    outlineEffect.render(scene, camera);
+                } else {
+                    const autoClear = target.autoClear;
+                    target.autoClear = true;
+                    target.render(scene, camera);
+                    target.autoClear = autoClear;
+                }
+            }
+        } : null;
+
+        // SSAOを描画済みの画像に掛け合わせるパス
+        // SSAOPassはシーンを自分で描き直すため（輪郭線が消える）、法線・深度・遮蔽の計算だけを借りる
+        const AmbientOcclusionPass = canCompose && isAvailable('ssao') ? class extends THREE.Pass {
+            constructor(kernelSize) {
+                super();
+                this.needsSwap = false;
+                this.ssao = new THREE.SSAOPass(scene, camera, 1, 1);
+                // サンプル数を品質に合わせて作り直す
+                this.ssao.kernel.length = 0;
+                this.ssao.kernelSize = kernelSize;
+                this.ssao.generateSampleKernel();
+                this.ssao.ssaoMaterial.defines.KERNEL_SIZE = kernelSize;
+                this.ssao.ssaoMaterial.needsUpdate = true;
+            }
+
+            setSize(targetWidth, targetHeight) {
+                this.ssao.setSize(targetWidth, targetHeight);
+            }
+
+            render(target, writeBuffer, readBuffer) {
+                const ssao = this.ssao;
+                if (target.capabilities.isWebGL2 === false) {
+                    ssao.noiseTexture.format = THREE.LuminanceFormat;
+                }
+                // カメラモーションやステージでカメラの画角・描画範囲が変わるため毎回合わせる
+                const uniforms = ssao.ssaoMaterial.uniforms;
+                uniforms.cameraNear.value = camera.near;
+                uniforms.cameraFar.value = camera.far;
+                uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+                uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+                uniforms.kernelRadius.value = settings.ssao.radius;
+                uniforms.minDistance.value = ssao.minDistance;
+                uniforms.maxDistance.value = ssao.maxDistance;
+
+                ssao.overrideVisibility();
+                ssao.renderOverride(target, ssao.normalMaterial, ssao.normalRenderTarget, 0x7777ff, 1.0);
+                ssao.restoreVisibility();
+                ssao.renderPass(target, ssao.ssaoMaterial, ssao.ssaoRenderTarget);
+                ssao.renderPass(target, ssao.blurMaterial, ssao.blurRenderTarget);
+
+                const output = this.renderToScreen ? null : readBuffer;
+                if (this.renderToScreen) {
+                    ssao.copyMaterial.uniforms.tDiffuse.value = readBuffer.texture;
+                    ssao.copyMaterial.blending = THREE.NoBlending;
+                    ssao.renderPass(target, ssao.copyMaterial, null);
+                }
+                ssao.copyMaterial.uniforms.tDiffuse.value = ssao.blurRenderTarget.texture;
+                ssao.copyMaterial.blending = THREE.CustomBlending;
+                ssao.renderPass(target, ssao.copyMaterial, output);
+            }
+
+            dispose() {
+                this.ssao.dispose();
+                this.ssao.noiseTexture.dispose();
+            }
+        } : null;
+
+        // パスの解像度を描画解像度の一部にする
+        function scaleSize(pass, scale) {
+            const setSize = pass.setSize.bind(pass);
+            pass.setSize = (targetWidth, targetHeight) => {
+                setSize(Math.max(Math.round(targetWidth * scale), 1), Math.max(Math.round(targetHeight * scale), 1));
+            };
+            return pass;
+        }
+
+        // EffectComposerが必要か（すべて無効で等倍なら直接描画する）
+        function isComposing() {
+            return canCompose && (settings.quality !== 1 || settings.bloom.enabled || settings.ssao.enabled ||
+                settings.grading.enabled || settings.antialias.enabled);
+        }
+
+        function disposePasses() {
+            Object.keys(passes).forEach((key) => disposePass(passes[key]));
+            passes = {};
+            if (composer) {
+                composer.passes.length = 0;
+            }
+        }
+
+        function getStructureKey() {
+            return JSON.stringify([
+                settings.bloom.enabled && isAvailable('bloom') ? settings.bloom.quality : null,
+                settings.ssao.enabled && isAvailable('ssao') ? settings.ssao.quality : null,
+                settings.grading.enabled,
+                settings.grading.enabled && lut && isAvailable('lut'),
+                settings.antialias.enabled && isAvailable(settings.antialias.mode) ? settings.antialias.mode : null
+            ]);
+        }
+
+        // 有効なエフェクトに合わせてパスを並べ直す
+        function rebuild() {
+            disposePasses();
+            if (!composer) {
+                composer = new THREE.EffectComposer(renderer);
+            }
+            structureKey = getStructureKey();
+            resize();
+
+            passes.scene = new ScenePass();
+            composer.addPass(passes.scene);
+            if (settings.ssao.enabled && isAvailable('ssao')) {
+                const kernelSize = Math.round(SSAO_MIN_KERNEL_SIZE + (SSAO_MAX_KERNEL_SIZE - SSAO_MIN_KERNEL_SIZE) * settings.ssao.quality);
+                passes.ssao = scaleSize(new AmbientOcclusionPass(kernelSize), settings.ssao.quality);
+                composer.addPass(passes.ssao);
+            }
+            if (settings.bloom.enabled && isAvailable('bloom')) {
+                passes.bloom = scaleSize(new THREE.UnrealBloomPass(new THREE.Vector2(1, 1), 0, 0, 0), settings.bloom.quality);
+                composer.addPass(passes.bloom);
+            }
+            if (settings.grading.enabled && isAvailable('grading')) {
+                passes.grading = new THREE.ShaderPass(GRADING_SHADER);
+                composer.addPass(passes.grading);
+                if (lut && isAvailable('lut')) {
+                    passes.lut = new THREE.LUTPass();
+                    composer.addPass(passes.lut);
+                }
+            }
+            if (settings.antialias.enabled && isAvailable(settings.antialias.mode)) {
+                if (settings.antialias.mode === 'smaa') {
+                    passes.antialias = new THREE.SMAAPass(1, 1);
+                } else {
+                    const fxaa = new THREE.ShaderPass(THREE.FXAAShader);
+                    fxaa.setSize = (targetWidth, targetHeight) => {
+                        fxaa.material.uniforms.resolution.value.set(1 / targetWidth, 1 / targetHeight);
+                    };
+                    passes.antialias = fxaa;
+                }
+                composer.addPass(passes.antialias);
+            }
+            // シーンのパスだけだと描画解像度を無視して画面に直接描くため、縮小・拡大するコピーを足す
+            const last = composer.passes[composer.passes.length - 1];
+            if (last === passes.scene && settings.quality !== 1) {
+                passes.copy = new THREE.ShaderPass(THREE.CopyShader);
+                composer.addPass(passes.copy);
+            }
+            // 追加したパスにも今の解像度を伝える
+            resize();
+            updateUniforms();
+        }
+
+        // 解像度によらない値をパスに反映する
+        function updateUniforms() {
+            if (passes.bloom) {
+                passes.bloom.strength = settings.bloom.strength;
+                passes.bloom.radius = settings.bloom.radius;
+                passes.bloom.threshold = settings.bloom.threshold;
+            }
+            if (passes.grading) {
+                const uniforms = passes.grading.material.uniforms;
+                uniforms.exposure.value = settings.grading.exposure;
+                uniforms.contrast.value = settings.grading.contrast;
+                uniforms.saturation.value = settings.grading.saturation;
+            }
+            if (passes.lut) {
+                passes.lut.lut = renderer.capabilities && renderer.capabilities.isWebGL2 ? lut.texture3D : lut.texture;
+                passes.lut.intensity = settings.grading.lutIntensity;
+            }
+        }
+
+        function resize() {
+            if (!composer) {
+                return;
+            }
+            if (width === 0 || height === 0) {
+                const size = renderer.getSize(new THREE.Vector2());
+                width = size.x;
+                height = size.y;
+            }
+            composer.setPixelRatio(renderer.getPixelRatio() * settings.quality);
+            composer.setSize(width, height);
+        }
+
+        /**
+         * 1フレームを描画する（renderer.render(scene, camera)の代わりに呼ぶ）
+         */
+        function render() {
+            if (settings.outline.enabled && isAvailable('outline')) {
+                if (!outlineEffect) {
+                    // 既定のkeepAlive: falseのままにし、削除したモデルの材質の輪郭線用の材質を描画されなくなったら解放させる
+                    outlineEffect = new THREE.OutlineEffect(renderer);
+                }
+                applyOutlineParameters(scene, settings.outline);
+            }
+            if (!isComposing()) {
+                if (outlineEffect && settings.outline.enabled) {
+                    outlineEffect.render(scene, camera);
+                } else {
+                    renderer.render(scene, camera);
+                }
+                return;
+            }
+            if (!composer || structureKey !== getStructureKey()) {
+                rebuild();
+            }
+            composer.render();
+        }
+
+        /**
+         * 描画サイズを変える（renderer.setSize()の後に呼ぶ）
+         * @param {number} newWidth - 幅（CSSピクセル）
+         * @param {number} newHeight - 高さ（CSSピクセル）
+         */
+        function setSize(newWidth, newHeight) {
+            width = newWidth;
+            height = newHeight;
+            resize();
+        }
+
+        /**
+         * 設定を変える（エフェクトの切り替えや品質の変更は次の描画でパスを作り直す）
+         * @param {Object} value - 設定（normalizeSettings()で検証する）
+         */
+        function setSettings(value) {
+            const previousQuality = settings.quality;
+            settings = normalizeSettings(value);
+            if (settings.quality !== previousQuality) {
+                resize();
+            }
+            updateUniforms();
+        }
+
+        /**
+         * 今の設定を返す（コピー）
+         * @returns {Object} 設定
+         */
+        function getSettings() {
+            return normalizeSettings(settings);
+        }
+
+        /**
+         * 色調補正に使うLUTを設定する（nullで外す）
+         * @param {Object|null} value - loadLut()の結果
+         * @param {string} [name] - 表示名
+         */
+        function setLut(value, name) {
+            if (lut && lut !== value) {
+                lut.texture.dispose();
+                lut.texture3D.dispose();
+            }
+            lut = value || null;
+            lutName = lut ? name || lut.title || '' : '';
+            structureKey = '';
+        }
+
+        /**
+         * 設定中のLUTの表示名を返す
+         * @returns {string} 表示名（なければ空文字）
+         */
+        function getLutName() {
+            return lutName;
+        }
+
+        /**
+         * 描画用のオブジェクトを破棄する
+         */
+        function dispose() {
+            disposePasses();
+            if (composer) {
+                composer.renderTarget1.dispose();
+                composer.renderTarget2.dispose();
+                composer = null;
+            }
+            setLut(null);
+        }
+
+        return {
+            render,
+            setSize,
+            setSettings,
+            getSettings,
+            setLut,
+            getLutName,
+            isComposing,
+            dispose
+        };
+    }
+
+    /**
+     * @function loadSettings
+     * @description 保存された設定を読み込む
+     * @returns {Object} 設定（保存されていなければ既定値）
+     */
+    function loadSettings() {
+        try {
+            return normalizeSettings(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}'));
+        } catch (error) {
+            console.warn('ポストエフェクトの設定の読み込みに失敗しました:', error);
+            return normalizeSettings(DEFAULT_SETTINGS);
+        }
+    }
+
+    /**
+     * @function saveSettings
+     * @description 設定を保存する（LUTのファイルは保存しない）
+     * @param {Object} settings - 設定
+     * @returns {boolean} 保存できたか
+     */
+    function saveSettings(settings) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeSettings(settings)));
+            return true;
+        } catch (error) {
+            console.warn('ポストエフェクトの設定の保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    window.PostProcessing = {
+        DEFAULT_SETTINGS,
+        QUALITY_LEVELS,
+        EFFECT_QUALITY_LEVELS,
+        ANTIALIAS_MODES,
+        normalizeSettings,
+        isAvailable,
+        loadLut,
+        create,
+        loadSettings,
+        saveSettings
+    };
+})();
@@ -0,0 +1,191 @@
+/**
+ * @file scene-state.js
+ * @description シーンの状態（モデル・モーション・音声の遅延・カメラ・物理演算・照明・再生位置）を
+ *              URLのハッシュとJSONのシーンファイルに書き出し、読み込むためのユーティリティ
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.SceneState) {
+        return;
+    }
+
+    // シーンファイルの形式の版
+    const VERSION = 1;
+
+    // シーンファイルの種類（他のJSONと区別する）
+    const FILE_TYPE = 'mikumiku-scene';
+
+    // URLに書く数値の小数点以下の桁数
+    const PRECISION = 3;
+
+    function toNumber(value) {
+        const number = Number(value);
+        return value !== null && value !== '' && Number.isFinite(number) ? number : null;
+    }
+
+    function round(value) {
+        const scale = Math.pow(10, PRECISION);
+        return Math.round(value * scale) / scale;
+    }
+
+    function toText(value) {
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+
+    function toVector(value) {
+        if (!Array.isArray(value) || value.length !== 3) {
+            return null;
+        }
+        const vector = value.map(toNumber);
+        return vector.every((item) => item !== null) ? vector : null;
+    }
+
+    /**
+     * @function normalize
+     * @description シーンの状態を整える（不正な値や分からない値は省く）
+     * @param {Object} value - シーンの状態
+     * @returns {Object} { model, motion, audioDelay, camera: { position, target, fov, mode }, physics, lighting, time, paused }
+     *          （指定がない項目はnull。lightingはプリセットのIDまたはプリセット）
+     */
+    function normalize(value) {
+        const source = value && typeof value === 'object' ? value : {};
+        const camera = source.camera && typeof source.camera === 'object' ? source.camera : null;
+        const position = camera ? toVector(camera.position) : null;
+        const target = camera ? toVector(camera.target) : null;
+        const fov = camera ? toNumber(camera.fov) : null;
+        const time = toNumber(source.time);
+        let lighting = null;
+        if (typeof source.lighting === 'string') {
+            lighting = toText(source.lighting);
+        } else if (source.lighting && typeof source.lighting === 'object') {
+            lighting = source.lighting;
+        }
+        return {
+            model: toText(source.model),
+            motion: toText(source.motion),
+            audioDelay: toNumber(source.audioDelay),
+            camera: position && target ? {
+                position,
+                target,
+                fov: fov !== null && fov > 0 && fov < 180 ? fov : null,
+                mode: camera.mode === 'orbit' || camera.mode === 'cinematic' ? camera.mode : null
+            } : null,
+            physics: typeof source.physics === 'boolean' ? source.physics : null,
+            lighting,
+            time: time !== null && time >= 0 ? time : null,
+            paused: typeof source.paused === 'boolean' ? source.paused : null
+        };
+    }
+
+    /**
+     * @function toHash
+     * @description シーンの状態をURLのハッシュ（先頭の#なし）にする
+     *              照明はプリセットのIDだけを書く（編集中の照明はシーンファイルに保存する）
+     * @param {Object} state - シーンの状態
+     * @returns {string} 例: "model=miku.pmx&motion=dance&delay=0.1&cam=0,20,40,0,0,0,45&physics=1&light=studio&t=12.5"
+     */
+    function toHash(state) {
+        const scene = normalize(state);
+        const params = new URLSearchParams();
+        if (scene.model) {
+            params.set('model', scene.model);
+        }
+        if (scene.motion) {
+            params.set('motion', scene.motion);
+        }
+        if (scene.audioDelay !== null) {
+            params.set('delay', String(round(scene.audioDelay)));
+        }
+        if (scene.camera) {
+            const values = scene.camera.position.concat(scene.camera.target, scene.camera.fov !== null ? [scene.camera.fov] : []);
+            params.set('cam', values.map(round).join(','));
+            if (scene.camera.mode) {
+                params.set('view', scene.camera.mode);
+            }
+        }
+        if (scene.physics !== null) {
+            params.set('physics', scene.physics ? '1' : '0');
+        }
+        if (typeof scene.lighting === 'string') {
+            params.set('light', scene.lighting);
+        }
+        if (scene.time !== null) {
+            params.set('t', String(round(scene.time)));
+        }
+        if (scene.paused) {
+            params.set('paused', '1');
+        }
+        // カンマとパスの区切りは読みやすいようにそのまま残す
+        return params.toString().replace(/%2C/gi, ',').replace(/%2F/gi, '/');
+    }
+
+    /**
+     * @function fromHash
+     * @description URLのハッシュからシーンの状態を読む
+     * @param {string} hash - location.hash（先頭の#はあってもなくてもよい）
+     * @returns {Object|null} シーンの状態（シーンの項目がひとつもなければnull）
+     */
+    function fromHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const keys = ['model', 'motion', 'delay', 'cam', 'physics', 'light', 't'];
+        if (!keys.some((key) => params.has(key))) {
+            return null;
+        }
+        const cam = (params.get('cam') || '').split(',').map(toNumber);
+        const flag = (key) => params.has(key) ? params.get(key) === '1' || params.get(key) === 'true' : null;
+        return normalize({
+            model: params.get('model'),
+            motion: params.get('motion'),
+            audioDelay: params.get('delay'),
+            camera: cam.length >= 6 ? {
+                position: cam.slice(0, 3),
+                target: cam.slice(3, 6),
+                fov: cam.length > 6 ? cam[6] : null,
+                mode: params.get('view')
+            } : null,
+            physics: flag('physics'),
+            lighting: params.get('light'),
+            time: params.get('t'),
+            paused: flag('paused')
+        });
+    }
+
+    /**
+     * @function toJSON
+     * @description シーンの状態をシーンファイルのJSONにする
+     * @param {Object} state - シーンの状態
+     * @returns {string} JSON
+     */
+    function toJSON(state) {
+        return JSON.stringify(Object.assign({ type: FILE_TYPE, version: VERSION }, normalize(state)), null, 4);
+    }
+
+    /**
+     * @function fromJSON
+     * @description シーンファイルのJSONからシーンの状態を読む
+     * @param {string} text - JSON
+     * @returns {Object} シーンの状態
+     * @throws {Error} シーンファイルでない、または新しい版のシーンファイルの場合
+     */
+    function fromJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || data.type !== FILE_TYPE) {
+            throw new Error('シーンファイルではありません');
+        }
+        if (typeof data.version !== 'number' || data.version > VERSION) {
+            throw new Error(`対応していない版のシーンファイルです (version: ${data.version})`);
+        }
+        return normalize(data);
+    }
+
+    window.SceneState = {
+        VERSION,
+        FILE_TYPE,
+        normalize,
+        toHash,
+        fromHash,
+        toJSON,
+        fromJSON
+    };
+})();
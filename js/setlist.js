@@ -0,0 +1,274 @@
+/**
+ * @file setlist.js
+ * @description モーション（と音楽）を続けて再生するセットリストの曲順（シャッフル・リピート）と保存
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.Setlist) {
+        return;
+    }
+
+    // localStorageのキー
+    const STORAGE_KEY = 'mikumiku.setlist';
+
+    // リピートの種類
+    const REPEAT = {
+        OFF: 'off',   // 最後の曲で止める
+        ALL: 'all',   // 最初の曲に戻る（シャッフルなら曲順を作り直す）
+        ONE: 'one'    // 同じ曲を繰り返す
+    };
+
+    // 既定の設定
+    const DEFAULT_OPTIONS = {
+        shuffle: false,
+        repeat: REPEAT.OFF,
+        gap: 1,               // 曲間（秒）
+        transition: 'fade'    // 'fade'（クロスフェード）または 'cut'
+    };
+
+    // 曲順を作る（シャッフルなら先頭をfirstにして残りを混ぜる）
+    function createOrder(length, shuffle, first) {
+        const order = [];
+        for (let i = 0; i < length; i++) {
+            order.push(i);
+        }
+        if (!shuffle) {
+            return order;
+        }
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        const firstIndex = order.indexOf(first);
+        if (firstIndex > 0) {
+            order.splice(firstIndex, 1);
+            order.unshift(first);
+        }
+        return order;
+    }
+
+    /**
+     * @function create
+     * @description セットリストの再生順を管理するオブジェクトを作る
+     * @param {Array<string>} items - モーションIDの並び
+     * @param {Object} [options] - { shuffle, repeat }
+     * @returns {Object} { items, options, current, peekNext(), advance(skip), reset(startIndex), back(), move(from, to), remove(index) }
+     */
+    function create(items, options) {
+        const setlist = {
+            items: items.slice(),
+            options: Object.assign({}, DEFAULT_OPTIONS, options),
+            order: [],
+            position: -1,
+            nextOrder: null,   // 周回後の曲順（先読みのため、最後の曲で先に作る）
+            pending: false,    // 再生中の曲が削除され、positionが次の曲を指している
+
+            /**
+             * 再生中の曲（itemsの添字。始まっていない・削除された場合は-1）
+             */
+            get current() {
+                return setlist.position >= 0 && !setlist.pending ? setlist.order[setlist.position] : -1;
+            },
+
+            /**
+             * 最初から（または指定の曲から）再生し直す
+             * @param {number} [startIndex] - 最初の曲（itemsの添字。省略時は先頭、シャッフルなら任意の曲）
+             * @returns {number} 最初の曲の添字（空なら-1）
+             */
+            reset(startIndex) {
+                const count = setlist.items.length;
+                const first = startIndex === undefined ? -1 : Math.min(Math.max(startIndex, 0), count - 1);
+                setlist.order = createOrder(count, setlist.options.shuffle, first);
+                setlist.nextOrder = null;
+                setlist.pending = false;
+                if (count === 0) {
+                    setlist.position = -1;
+                } else {
+                    // 順番どおりなら指定の曲から始める（シャッフルでは指定の曲を先頭にしてある）
+                    setlist.position = setlist.options.shuffle ? 0 : Math.max(first, 0);
+                }
+                return setlist.current;
+            },
+
+            /**
+             * 次の曲を進めずに返す（次がなければ-1）
+             * @returns {number} itemsの添字
+             */
+            peekNext() {
+                if (setlist.position < 0 || setlist.items.length === 0) {
+                    return -1;
+                }
+                if (setlist.pending) {
+                    return setlist.order[setlist.position];
+                }
+                if (setlist.options.repeat === REPEAT.ONE) {
+                    return setlist.current;
+                }
+                if (setlist.position + 1 < setlist.order.length) {
+                    return setlist.order[setlist.position + 1];
+                }
+                if (setlist.options.repeat === REPEAT.ALL) {
+                    return getNextOrder()[0];
+                }
+                return -1;
+            },
+
+            /**
+             * 次の曲へ進む
+             * @param {boolean} [skip=false] - 手動の曲送り（1曲リピートでも次の曲へ進む）
+             * @returns {number} 次の曲の添字（終わりなら-1）
+             */
+            advance(skip) {
+                if (setlist.position < 0 || setlist.items.length === 0) {
+                    return -1;
+                }
+                if (setlist.pending) {
+                    setlist.pending = false;
+                    return setlist.current;
+                }
+                if (setlist.options.repeat === REPEAT.ONE && !skip) {
+                    return setlist.current;
+                }
+                if (setlist.position + 1 < setlist.order.length) {
+                    setlist.position++;
+                    return setlist.current;
+                }
+                if (setlist.options.repeat === REPEAT.OFF && !skip) {
+                    setlist.position = -1;
+                    return -1;
+                }
+                setlist.order = getNextOrder();
+                setlist.nextOrder = null;
+                setlist.position = 0;
+                return setlist.current;
+            },
+
+            /**
+             * 前の曲へ戻る（最初の曲ならそのまま）
+             * @returns {number} 曲の添字
+             */
+            back() {
+                if (setlist.pending) {
+                    setlist.pending = false;
+                } else if (setlist.position > 0) {
+                    setlist.position--;
+                }
+                return setlist.current;
+            },
+
+            /**
+             * 曲を並べ替える（曲順は作り直さず、添字だけ付け替える）
+             * @param {number} from - 移動する曲の添字
+             * @param {number} to - 移動先の添字
+             */
+            move(from, to) {
+                const [item] = setlist.items.splice(from, 1);
+                setlist.items.splice(to, 0, item);
+                const remap = (index) => {
+                    if (index === from) {
+                        return to;
+                    }
+                    if (from < to && index > from && index <= to) {
+                        return index - 1;
+                    }
+                    if (from > to && index >= to && index < from) {
+                        return index + 1;
+                    }
+                    return index;
+                };
+                setlist.order = setlist.order.map(remap);
+                setlist.nextOrder = null;
+            },
+
+            /**
+             * 曲を削除する（再生中の曲なら、次に進んだ時にその次の曲から続ける）
+             * @param {number} index - 削除する曲の添字
+             */
+            remove(index) {
+                const position = setlist.order.indexOf(index);
+                setlist.items.splice(index, 1);
+                setlist.order = setlist.order
+                    .filter((item) => item !== index)
+                    .map((item) => (item > index ? item - 1 : item));
+                setlist.nextOrder = null;
+                if (setlist.position < 0 || position < 0) {
+                    return;
+                }
+                if (setlist.order.length === 0) {
+                    setlist.position = -1;
+                    setlist.pending = false;
+                } else if (position < setlist.position) {
+                    setlist.position--;
+                } else if (position === setlist.position) {
+                    if (setlist.position < setlist.order.length) {
+                        // 次の曲を指したまま、再生中の曲がない状態にする
+                        setlist.pending = true;
+                    } else {
+                        // 最後の曲だったので、最後まで再生したのと同じにする
+                        setlist.position = setlist.order.length - 1;
+                        setlist.pending = false;
+                    }
+                }
+            }
+        };
+
+        // 周回後の曲順（シャッフルなら作り直し、直前の曲が続かないようにする）
+        function getNextOrder() {
+            if (!setlist.nextOrder) {
+                const last = setlist.current;
+                const order = createOrder(setlist.items.length, setlist.options.shuffle, -1);
+                if (order.length > 1 && order[0] === last) {
+                    order.push(order.shift());
+                }
+                setlist.nextOrder = order;
+            }
+            return setlist.nextOrder;
+        }
+
+        return setlist;
+    }
+
+    /**
+     * @function load
+     * @description 保存されたセットリストを読み込む
+     * @returns {Object} { items: [モーションID], options }
+     */
+    function load() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+            return {
+                items: Array.isArray(saved.items) ? saved.items.filter((id) => typeof id === 'string') : [],
+                options: Object.assign({}, DEFAULT_OPTIONS, saved.options)
+            };
+        } catch (error) {
+            console.warn('セットリストの読み込みに失敗しました:', error);
+            return { items: [], options: Object.assign({}, DEFAULT_OPTIONS) };
+        }
+    }
+
+    /**
+     * @function save
+     * @description セットリストを保存する
+     * @param {Array<string>} items - モーションIDの並び
+     * @param {Object} options - { shuffle, repeat, gap, transition }
+     * @returns {boolean} 保存できたか
+     */
+    function save(items, options) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ items, options }));
+            return true;
+        } catch (error) {
+            console.warn('セットリストの保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    window.Setlist = {
+        REPEAT,
+        DEFAULT_OPTIONS,
+        create,
+        load,
+        save
+    };
+})();
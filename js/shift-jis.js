@@ -0,0 +1,95 @@
+/**
+ * @file shift-jis.js
+ * @description MMD形式のファイル（VPD・VMD）を書き出すためのShift_JISエンコーダ
+ *              （ブラウザのTextEncoderはUTF-8のみのため、MMDParserの変換表を逆引きして使う）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.ShiftJis) {
+        return;
+    }
+
+    // Shift_JISで表せない文字の代わり（'?'）
+    const REPLACEMENT = 0x3F;
+
+    let unicodeToSjis = null;
+
+    // MMDParserのShift_JIS→Unicode変換表から逆引き表を作る（初回のみ）
+    function getTable() {
+        if (unicodeToSjis) {
+            return unicodeToSjis;
+        }
+        const encoder = typeof MMDParser !== 'undefined' ? MMDParser.CharsetEncoder : null;
+        const s2uTable = encoder && encoder.prototype ? encoder.prototype.s2uTable : null;
+        if (!s2uTable) {
+            throw new Error('MMDParserのShift_JIS変換表が見つかりません');
+        }
+        unicodeToSjis = new Map();
+        Object.keys(s2uTable).forEach((sjis) => {
+            const unicode = s2uTable[sjis];
+            // 同じ文字に複数のコードがある場合は最初のもの（JIS規格のコード）を使う
+            if (!unicodeToSjis.has(unicode)) {
+                unicodeToSjis.set(unicode, Number(sjis));
+            }
+        });
+        return unicodeToSjis;
+    }
+
+    /**
+     * @function encode
+     * @description 文字列をShift_JISのバイト列にする（表せない文字は'?'になる）
+     * @param {string} text - 文字列
+     * @returns {Uint8Array} バイト列
+     */
+    function encode(text) {
+        const table = getTable();
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) {
+                bytes.push(code);
+                continue;
+            }
+            const sjis = table.get(code);
+            if (sjis === undefined) {
+                bytes.push(REPLACEMENT);
+            } else if (sjis > 0xFF) {
+                bytes.push(sjis >> 8, sjis & 0xFF);
+            } else {
+                bytes.push(sjis);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * @function encodeFixed
+     * @description 固定長のフィールド用に、Shift_JISにして指定バイト数に切り詰める（残りは0で埋める）
+     *              2バイト文字の途中では切らない
+     * @param {string} text - 文字列
+     * @param {number} length - バイト数
+     * @returns {Uint8Array} バイト列
+     */
+    function encodeFixed(text, length) {
+        const encoded = encode(text);
+        const bytes = new Uint8Array(length);
+        let size = 0;
+        for (let i = 0; i < encoded.length;) {
+            const lead = encoded[i];
+            const charLength = (lead >= 0x81 && lead <= 0x9F) || (lead >= 0xE0 && lead <= 0xFC) ? 2 : 1;
+            if (size + charLength > length) {
+                break;
+            }
+            bytes.set(encoded.subarray(i, i + charLength), size);
+            size += charLength;
+            i += charLength;
+        }
+        return bytes;
+    }
+
+    window.ShiftJis = {
+        encode,
+        encodeFixed
+    };
+})();
@@ -0,0 +1,394 @@
+/**
+ * @file spring-bones.js
+ * @description Ammoを使わない簡易物理（スプリングボーン）
+ *              PMXの物理演算の剛体が付いたボーン（髪・スカートなど）を、ボーンの先端の慣性・元の向きへのバネ・重力で揺らし、
+ *              ボーン追従の剛体（頭・体など）を衝突判定に使う
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.SpringBones) {
+        return;
+    }
+
+    // 固定の間隔で計算する（フレームレートによって揺れ方が変わらないように）
+    const STEP = 1 / 60;
+    const MAX_STEPS = 4;
+
+    // 元の向き（モーションの姿勢）に戻る強さ。ジョイントの回転バネが強いほど強くする
+    const BASE_STIFFNESS = 1.5;
+    const SPRING_STIFFNESS_SCALE = 1 / 50;
+    const MAX_STIFFNESS = 6;
+
+    // 重力の強さ（ボーンの長さに対する1秒あたりの移動量。物理演算の既定の重力のとき）
+    const GRAVITY_POWER = 0.4;
+    const DEFAULT_GRAVITY_LENGTH = 9.8 * 10;
+
+    // 1フレームでこれ以上動いたら、シークや配置の変更とみなしてリセットする
+    const TELEPORT_DISTANCE = 5;
+
+    // ボーンの長さがこれより短いものは揺らさない
+    const MIN_LENGTH = 1e-3;
+
+    // モデル → ソルバー
+    const solvers = new WeakMap();
+
+    // 重力（物理演算の設定と同じ向き・大きさ）
+    const gravity = new THREE.Vector3(0, -DEFAULT_GRAVITY_LENGTH, 0);
+
+    const _head = new THREE.Vector3();
+    const _axis = new THREE.Vector3();
+    const _next = new THREE.Vector3();
+    const _inertia = new THREE.Vector3();
+    const _closest = new THREE.Vector3();
+    const _direction = new THREE.Vector3();
+    const _parentQuaternion = new THREE.Quaternion();
+    const _animatedQuaternion = new THREE.Quaternion();
+    const _rotation = new THREE.Quaternion();
+    const _position = new THREE.Vector3();
+    const _scale = new THREE.Vector3();
+
+    // 剛体の当たり判定の半径（箱は一番短い辺に合わせる）
+    function getShapeRadius(params) {
+        return params.shapeType === 1 ? Math.min(params.width, params.height, params.depth) : params.width;
+    }
+
+    // ボーンの初期位置（モデル座標。MMDのボーンは初期状態で回転していない）
+    function getRestModelPositions(mesh) {
+        const bones = mesh.skeleton.bones;
+        const geometryBones = mesh.geometry.bones;
+        const positions = bones.map(() => new THREE.Vector3());
+        const done = bones.map(() => false);
+        function resolve(index) {
+            if (done[index]) {
+                return positions[index];
+            }
+            const bone = bones[index];
+            const local = geometryBones && geometryBones[index] ? geometryBones[index].pos : bone.position.toArray();
+            positions[index].fromArray(local);
+            const parentIndex = bones.indexOf(bone.parent);
+            if (parentIndex >= 0) {
+                positions[index].add(resolve(parentIndex));
+            }
+            done[index] = true;
+            return positions[index];
+        }
+        bones.forEach((bone, index) => resolve(index));
+        return positions;
+    }
+
+    // 親をたどった深さ
+    function getDepth(object) {
+        let depth = 0;
+        for (let parent = object.parent; parent; parent = parent.parent) {
+            depth++;
+        }
+        return depth;
+    }
+
+    // 点から線分（半径付きならカプセル）への最も近い点
+    function closestPointOnSegment(point, start, end, target) {
+        const segment = _direction.subVectors(end, start);
+        const lengthSq = segment.lengthSq();
+        const t = lengthSq > 0 ? Math.min(Math.max(target.subVectors(point, start).dot(segment) / lengthSq, 0), 1) : 0;
+        return target.copy(start).addScaledVector(segment, t);
+    }
+
+    /**
+     * @function create
+     * @description モデルの剛体・ジョイントからスプリングボーンのソルバーを作る
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {Object|null} { update(delta), reset(), nodeCount }（揺らすボーンがなければnull）
+     */
+    function create(mesh) {
+        const mmd = mesh.geometry.userData.MMD;
+        if (!mmd || !Array.isArray(mmd.rigidBodies)) {
+            return null;
+        }
+        const bones = mesh.skeleton.bones;
+        const restPositions = getRestModelPositions(mesh);
+
+        // ボーンごとのジョイント（回転バネの強さに使う）
+        const jointsByBody = new Map();
+        (mmd.constraints || []).forEach((params) => {
+            jointsByBody.set(params.rigidBodyIndex2, params);
+        });
+
+        // 衝突判定に使う、ボーン追従の剛体
+        const colliders = [];
+        mmd.rigidBodies.forEach((params) => {
+            if (params.type !== 0 || params.boneIndex < 0) {
+                return;
+            }
+            const offset = new THREE.Matrix4().compose(
+                new THREE.Vector3().fromArray(params.position),
+                new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(params.rotation)),
+                new THREE.Vector3(1, 1, 1)
+            );
+            const halfHeight = params.shapeType === 2 ? params.height / 2 : 0;
+            colliders.push({
+                params,
+                bone: bones[params.boneIndex],
+                offset,
+                radius: getShapeRadius(params),
+                localStart: new THREE.Vector3(0, halfHeight, 0),
+                localEnd: new THREE.Vector3(0, -halfHeight, 0),
+                start: new THREE.Vector3(),
+                end: new THREE.Vector3(),
+                restOrigin: restPositions[params.boneIndex]
+            });
+        });
+
+        // 揺らすボーン（物理演算の剛体が付いたボーン）
+        const nodes = [];
+        const usedBones = new Set();
+        mmd.rigidBodies.forEach((params, bodyIndex) => {
+            if (params.type === 0 || params.boneIndex < 0 || usedBones.has(params.boneIndex)) {
+                return;
+            }
+            const bone = bones[params.boneIndex];
+            if (!bone.parent) {
+                return;
+            }
+            // 先端は子ボーン（物理演算の子ボーンを優先）、なければ剛体の中心の2倍の位置
+            const childBones = bone.children.filter((child) => child.isBone);
+            const child = childBones.find((candidate) => mmd.rigidBodies.some((body) => body.type !== 0 && bones[body.boneIndex] === candidate)) ||
+                childBones[0];
+            const tail = child
+                ? restPositions[bones.indexOf(child)].clone().sub(restPositions[params.boneIndex])
+                : new THREE.Vector3().fromArray(params.position).multiplyScalar(2);
+            const length = tail.length();
+            if (length < MIN_LENGTH) {
+                return;
+            }
+            usedBones.add(params.boneIndex);
+
+            // 初期状態で先端が中に入っている剛体とは当たらないようにする（頭の中から生えている髪の根元など）
+            const restTail = restPositions[params.boneIndex].clone().add(tail);
+            const radius = getShapeRadius(params);
+            const nodeColliders = colliders.filter((collider) => {
+                if ((params.groupTarget & (1 << collider.params.groupIndex)) === 0) {
+                    return false;
+                }
+                const restStart = collider.localStart.clone().applyMatrix4(collider.offset).add(collider.restOrigin);
+                const restEnd = collider.localEnd.clone().applyMatrix4(collider.offset).add(collider.restOrigin);
+                const closest = closestPointOnSegment(restTail, restStart, restEnd, new THREE.Vector3());
+                return closest.distanceTo(restTail) >= collider.radius + radius;
+            });
+
+            nodes.push({
+                bone,
+                depth: getDepth(bone),
+                params,
+                joint: jointsByBody.get(bodyIndex) || null,
+                axis: tail.clone().normalize(),
+                length,
+                radius,
+                colliders: nodeColliders,
+                currentTail: new THREE.Vector3(),
+                prevTail: new THREE.Vector3(),
+                lastHead: new THREE.Vector3()
+            });
+        });
+        if (nodes.length === 0) {
+            return null;
+        }
+        // 親から順に計算する
+        nodes.sort((a, b) => a.depth - b.depth);
+
+        let initialized = false;
+        let accumulator = 0;
+
+        function updateColliders() {
+            colliders.forEach((collider) => {
+                const matrix = collider.offset.clone().premultiply(collider.bone.matrixWorld);
+                collider.start.copy(collider.localStart).applyMatrix4(matrix);
+                collider.end.copy(collider.localEnd).applyMatrix4(matrix);
+            });
+        }
+
+        // ボーンの今の（モーションの）向きの先端の向きを求める
+        function getAnimatedAxis(node) {
+            node.bone.parent.matrixWorld.decompose(_position, _parentQuaternion, _scale);
+            _animatedQuaternion.multiplyQuaternions(_parentQuaternion, node.bone.quaternion);
+            return _axis.copy(node.axis).applyQuaternion(_animatedQuaternion);
+        }
+
+        function resetNode(node) {
+            _head.setFromMatrixPosition(node.bone.matrixWorld);
+            getAnimatedAxis(node);
+            node.currentTail.copy(_head).addScaledVector(_axis, node.length);
+            node.prevTail.copy(node.currentTail);
+            node.lastHead.copy(_head);
+        }
+
+        function stepNode(node, dt, teleported) {
+            _head.setFromMatrixPosition(node.bone.matrixWorld);
+            getAnimatedAxis(node);
+            if (teleported || _head.distanceTo(node.lastHead) > TELEPORT_DISTANCE) {
+                resetNode(node);
+            }
+            node.lastHead.copy(_head);
+
+            // 減衰は剛体の回転減衰、戻る強さはジョイントの回転バネから決める（パネルでの変更もすぐ反映される）
+            const drag = 0.2 + 0.6 * Math.min(Math.max(node.params.rotationDamping, 0), 1);
+            const spring = node.joint ? (node.joint.springRotation[0] + node.joint.springRotation[1] + node.joint.springRotation[2]) / 3 : 0;
+            const stiffness = Math.min(BASE_STIFFNESS * (1 + spring * SPRING_STIFFNESS_SCALE), MAX_STIFFNESS);
+
+            _inertia.subVectors(node.currentTail, node.prevTail).multiplyScalar(1 - drag);
+            _next.copy(node.currentTail)
+                .add(_inertia)
+                .addScaledVector(_axis, node.length * stiffness * dt)
+                .addScaledVector(gravity, node.length * GRAVITY_POWER * dt / DEFAULT_GRAVITY_LENGTH);
+            // 長さを保つ
+            _next.sub(_head).setLength(node.length).add(_head);
+
+            // 当たり判定（剛体の外へ押し出してから長さを保ち直す）
+            node.colliders.forEach((collider) => {
+                const distance = collider.radius + node.radius;
+                closestPointOnSegment(_next, collider.start, collider.end, _closest);
+                if (_next.distanceToSquared(_closest) < distance * distance) {
+                    _next.sub(_closest).setLength(distance).add(_closest);
+                    _next.sub(_head).setLength(node.length).add(_head);
+                }
+            });
+
+            node.prevTail.copy(node.currentTail);
+            node.currentTail.copy(_next);
+        }
+
+        // 先端の位置に向くようにボーンを回す
+        function applyNode(node) {
+            const animatedAxis = getAnimatedAxis(node);
+            _head.setFromMatrixPosition(node.bone.matrixWorld);
+            _direction.subVectors(node.currentTail, _head).normalize();
+            _rotation.setFromUnitVectors(animatedAxis, _direction).multiply(_animatedQuaternion);
+            node.bone.quaternion.copy(_parentQuaternion.invert().multiply(_rotation)).normalize();
+            node.bone.updateMatrixWorld(true);
+        }
+
+        /**
+         * 揺れを進めてボーンに反映する（ヘルパーでアニメーションした後に呼ぶ）
+         * @param {number} delta - 経過時間（秒）
+         */
+        function update(delta) {
+            mesh.updateMatrixWorld(true);
+            updateColliders();
+            const teleported = !initialized;
+            initialized = true;
+            accumulator = Math.min(accumulator + Math.max(delta, 0), STEP * MAX_STEPS);
+            let steps = Math.floor(accumulator / STEP);
+            accumulator -= steps * STEP;
+            if (teleported) {
+                steps = Math.max(steps, 1);
+            }
+            // 親のボーンを回すと子の位置が変わるため、ボーンごとに進めて反映する
+            nodes.forEach((node) => {
+                for (let i = 0; i < steps; i++) {
+                    stepNode(node, STEP, teleported && i === 0);
+                }
+                applyNode(node);
+            });
+        }
+
+        /**
+         * 揺れを止めて、今の姿勢から始め直す
+         */
+        function reset() {
+            initialized = false;
+            accumulator = 0;
+        }
+
+        return {
+            update,
+            reset,
+            nodeCount: nodes.length
+        };
+    }
+
+    /**
+     * @function enable
+     * @description モデルでスプリングボーンを使う（揺らすボーンがなければ何もしない）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} 使えるか
+     */
+    function enable(mesh) {
+        if (!solvers.has(mesh)) {
+            const solver = create(mesh);
+            if (!solver) {
+                return false;
+            }
+            solvers.set(mesh, solver);
+        }
+        return true;
+    }
+
+    /**
+     * @function disable
+     * @description モデルでスプリングボーンを使うのをやめる
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function disable(mesh) {
+        solvers.delete(mesh);
+    }
+
+    /**
+     * @function isEnabled
+     * @description モデルでスプリングボーンを使っているか
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} 使っているか
+     */
+    function isEnabled(mesh) {
+        return solvers.has(mesh);
+    }
+
+    /**
+     * @function step
+     * @description ヘルパーに登録されたモデルのうち、スプリングボーンを使うモデルの揺れを進める
+     *              helper.update()の後に呼ぶ
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {number} delta - 経過時間（秒）
+     */
+    function step(helper, delta) {
+        if (!helper.enabled.physics) {
+            return;
+        }
+        (helper.meshes || []).forEach((mesh) => {
+            const solver = solvers.get(mesh);
+            if (solver) {
+                solver.update(delta);
+            }
+        });
+    }
+
+    /**
+     * @function reset
+     * @description モデルの揺れをリセットする（シークや配置の変更の後に呼ぶ）
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     */
+    function reset(mesh) {
+        const solver = solvers.get(mesh);
+        if (solver) {
+            solver.reset();
+        }
+    }
+
+    /**
+     * @function setGravity
+     * @description 重力を設定する（物理演算の設定と同じ値を渡す。既定は (0, -98, 0)）
+     * @param {Object} value - { x, y, z }
+     */
+    function setGravity(value) {
+        gravity.set(value.x, value.y, value.z);
+    }
+
+    window.SpringBones = {
+        create,
+        enable,
+        disable,
+        isEnabled,
+        step,
+        reset,
+        setGravity
+    };
+})();
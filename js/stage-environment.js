@@ -0,0 +1,294 @@
+/**
+ * @file stage-environment.js
+ * @description モデルの後ろに置くステージ（PMX/PMDのステージモデル、glTF）と背景（正距円筒図法のHDR・画像）を読み込み、
+ *              ステージの大きさに合わせてカメラのnear/farとOrbitControlsの範囲を調整する
+ *              （入れ替えたステージのジオメトリ・材質・テクスチャの破棄にはmodel-disposal.jsを使う）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.StageEnvironment) {
+        return;
+    }
+
+    // 拡張子ごとの読み込み方
+    const SOURCE_TYPES = {
+        pmx: 'mmd',
+        pmd: 'mmd',
+        gltf: 'gltf',
+        glb: 'gltf',
+        hdr: 'hdr',
+        jpg: 'image',
+        jpeg: 'image',
+        png: 'image',
+        webp: 'image'
+    };
+
+    // ステージの大きさ（外接球の半径）に対する、カメラを離せる距離の割合
+    const MAX_DISTANCE_SCALE = 1.5;
+
+    // カメラを離せる距離の最小値（小さな部屋のステージでも寄り引きできるように）
+    const MIN_MAX_DISTANCE = 40;
+
+    // farに対するnearの割合（深度の精度を保つため）
+    const NEAR_RATIO = 1 / 5000;
+
+    /**
+     * @function getSourceType
+     * @description ファイルのパスから読み込み方を判定する
+     * @param {string} path - ファイルのパスまたはURL
+     * @returns {string|null} 'mmd' | 'gltf' | 'hdr' | 'image'（対応しない形式はnull）
+     */
+    function getSourceType(path) {
+        const name = String(path || '').split(/[?#]/)[0].split('/').pop();
+        const index = name.lastIndexOf('.');
+        return index < 0 ? null : SOURCE_TYPES[name.slice(index + 1).toLowerCase()] || null;
+    }
+
+    /**
+     * @function isAvailable
+     * @description 読み込み方に必要なローダーがあるかを返す（GLTFLoader・RGBELoaderは任意のライブラリ）
+     * @param {string} type - getSourceType()の結果
+     * @returns {boolean} 読み込めるか
+     */
+    function isAvailable(type) {
+        switch (type) {
+        case 'mmd':
+            return typeof THREE.MMDLoader === 'function';
+        case 'gltf':
+            return typeof THREE.GLTFLoader === 'function';
+        case 'hdr':
+            return typeof THREE.RGBELoader === 'function';
+        case 'image':
+            return typeof THREE.TextureLoader === 'function';
+        default:
+            return false;
+        }
+    }
+
+    // ローダーのload()をPromiseにする
+    function loadWith(loader, url) {
+        return new Promise((resolve, reject) => {
+            loader.load(url, resolve, undefined, (error) => {
+                reject(error instanceof Error ? error : new Error(`${url} を読み込めません`));
+            });
+        });
+    }
+
+    // ステージのモデルを読み込む（PMX/PMDはMMDLoader、glTFはGLTFLoader）
+    function loadModel(type, url, manager) {
+        if (type === 'mmd') {
+            return loadWith(new THREE.MMDLoader(manager), url);
+        }
+        return loadWith(new THREE.GLTFLoader(manager), url).then((gltf) => gltf.scene);
+    }
+
+    // 背景のテクスチャを読み込む
+    function loadBackground(type, url, manager) {
+        const loader = type === 'hdr' ? new THREE.RGBELoader(manager) : new THREE.TextureLoader(manager);
+        return loadWith(loader, url).then((texture) => {
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            return texture;
+        });
+    }
+
+    /**
+     * @function create
+     * @description ステージを管理するオブジェクトを作る
+     * @param {Object} options - { scene, camera, controls }（controlsは省略可）
+     * @returns {Object} { load(definition, loadOptions), clear(), getCurrent(), getView(), dispose() }
+     */
+    function create(options) {
+        const { scene, camera, controls } = options;
+
+        // ステージがない時の表示（作成時のカメラ・背景の設定）
+        const defaults = {
+            background: scene.background,
+            near: camera.near,
+            far: camera.far,
+            minDistance: controls ? controls.minDistance : 0,
+            maxDistance: controls ? controls.maxDistance : Infinity,
+            maxPolarAngle: controls ? controls.maxPolarAngle : Math.PI
+        };
+
+        let current = null;     // { definition, root, background, radius }
+        let loadToken = 0;
+        let view = Object.assign({}, defaults);
+
+        function applyView(next) {
+            view = next;
+            if (camera.isPerspectiveCamera) {
+                camera.near = next.near;
+                camera.far = next.far;
+                camera.updateProjectionMatrix();
+            }
+            if (controls) {
+                controls.minDistance = next.minDistance;
+                controls.maxDistance = next.maxDistance;
+                controls.maxPolarAngle = next.maxPolarAngle;
+                // 今の距離が範囲外なら範囲内に収める
+                if (controls.enabled) {
+                    controls.update();
+                }
+            }
+        }
+
+        // ステージの外接球に合わせた表示範囲を求める
+        function fitView(root) {
+            const box = new THREE.Box3().setFromObject(root);
+            if (box.isEmpty()) {
+                return { view: Object.assign({}, defaults), radius: 0 };
+            }
+            const sphere = box.getBoundingSphere(new THREE.Sphere());
+            const radius = sphere.radius;
+            const maxDistance = Math.max(MIN_MAX_DISTANCE, radius * MAX_DISTANCE_SCALE);
+            // ステージの反対側の端まで映るように、カメラの最大距離とステージの直径の分だけ遠くまで描く
+            const far = (maxDistance + sphere.center.length() + radius * 2) * 1.1;
+            return {
+                view: {
+                    background: defaults.background,
+                    near: Math.min(Math.max(far * NEAR_RATIO, 0.05), defaults.near),
+                    far,
+                    minDistance: Math.min(defaults.minDistance, Math.max(radius * 0.05, 1)),
+                    maxDistance,
+                    // 床の下にカメラが潜らないようにする
+                    maxPolarAngle: Math.PI / 2
+                },
+                radius
+            };
+        }
+
+        function release() {
+            if (!current) {
+                return;
+            }
+            if (current.root) {
+                scene.remove(current.root);
+                window.ModelDisposal.disposeObject(current.root);
+            }
+            if (current.background) {
+                current.background.dispose();
+            }
+            current = null;
+        }
+
+        /**
+         * ステージを読み込んで今のステージと入れ替える
+         * @param {Object} definition - { id, title, file, background, scale, position: [x, y, z], rotation }
+         *                              （fileはステージのモデル、backgroundは背景の画像。どちらも省略可。パスは解決済みのもの）
+         * @param {Object} [loadOptions] - { manager: THREE.LoadingManager }（ドロップしたファイルのURL解決など）
+         * @returns {Promise<Object>} { definition, radius }（後から別のステージを読み込んだ場合はnull）
+         */
+        function load(definition, loadOptions) {
+            const token = ++loadToken;
+            const manager = loadOptions && loadOptions.manager ? loadOptions.manager : undefined;
+            const modelType = definition.file ? (definition.type || getSourceType(definition.file)) : null;
+            const backgroundType = definition.background ? getSourceType(definition.background) : null;
+
+            const unsupported = [[definition.file, modelType], [definition.background, backgroundType]]
+                .filter(([file, type]) => file && !isAvailable(type));
+            if (unsupported.length > 0) {
+                const [file, type] = unsupported[0];
+                return Promise.reject(new Error(type
+                    ? `${file} の読み込みに必要なローダー（${type === 'gltf' ? 'GLTFLoader' : type === 'hdr' ? 'RGBELoader' : type}）がありません`
+                    : `${file} はステージに使えない形式です（PMX/PMD、glTF/GLB、HDR、JPG/PNGに対応）`));
+            }
+            if (modelType === 'hdr' || modelType === 'image') {
+                return Promise.reject(new Error(`${definition.file} はステージのモデルではありません（背景はbackgroundに指定してください）`));
+            }
+
+            return Promise.all([
+                modelType ? loadModel(modelType, definition.file, manager) : null,
+                backgroundType ? loadBackground(backgroundType, definition.background, manager) : null
+            ]).then(([root, background]) => {
+                // 読み込み中に別のステージが選ばれたら、読み込んだものは捨てる
+                if (token !== loadToken) {
+                    if (root) {
+                        window.ModelDisposal.disposeObject(root);
+                    }
+                    if (background) {
+                        background.dispose();
+                    }
+                    return null;
+                }
+                release();
+
+                let fitted = { view: Object.assign({}, defaults), radius: 0 };
+                if (root) {
+                    root.name = definition.title || definition.id || 'Stage';
+                    const scale = Number(definition.scale) > 0 ? Number(definition.scale) : 1;
+                    root.scale.setScalar(scale);
+                    if (Array.isArray(definition.position)) {
+                        root.position.fromArray(definition.position.map(Number));
+                    }
+                    root.rotation.y = THREE.MathUtils.degToRad(Number(definition.rotation) || 0);
+                    // ステージはモデルの影を受ける（自分の影は落とさない）。照明やモデル一覧からはuserData.isStageで区別する
+                    root.traverse((object) => {
+                        object.userData.isStage = true;
+                        if (object.isMesh) {
+                            object.receiveShadow = true;
+                            object.castShadow = false;
+                        }
+                    });
+                    scene.add(root);
+                    root.updateMatrixWorld(true);
+                    fitted = fitView(root);
+                }
+                if (background) {
+                    fitted.view.background = background;
+                }
+                scene.background = fitted.view.background;
+                applyView(fitted.view);
+
+                current = { definition, root, background, radius: fitted.radius };
+                return { definition, radius: fitted.radius };
+            });
+        }
+
+        /**
+         * ステージを取り除き、背景とカメラの範囲を元に戻す
+         */
+        function clear() {
+            loadToken++;
+            release();
+            scene.background = defaults.background;
+            applyView(Object.assign({}, defaults));
+        }
+
+        /**
+         * 今のステージを返す
+         * @returns {Object|null} { definition, root, background, radius }
+         */
+        function getCurrent() {
+            return current;
+        }
+
+        /**
+         * 今のステージに合わせたカメラの範囲を返す
+         * @returns {Object} { near, far, minDistance, maxDistance, maxPolarAngle }
+         */
+        function getView() {
+            return {
+                near: view.near,
+                far: view.far,
+                minDistance: view.minDistance,
+                maxDistance: view.maxDistance,
+                maxPolarAngle: view.maxPolarAngle
+            };
+        }
+
+        return {
+            load,
+            clear,
+            getCurrent,
+            getView,
+            dispose: clear
+        };
+    }
+
+    window.StageEnvironment = {
+        getSourceType,
+        isAvailable,
+        create
+    };
+})();
@@ -0,0 +1,291 @@
+/**
+ * @file stage-loader.js
+ * @description モデル・モーション・音楽・カメラモーションの読み込みと、MMDAnimationHelperへの登録・解除
+ *              index.htmlのアプリ（app.js）と埋め込み用のプレイヤー（miku-player.js）で同じ処理を使うためのもの
+ *              （画面の表示や状態は持たない。ヘルパー・カメラ・リスナーは呼び出し側のものを受け取る）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.StageLoader) {
+        return;
+    }
+
+    // Ammo.jsの初期化（ページ内で共有する）
+    let ammoPromise = null;
+
+    // 自動再生の制限で止まり、次のクリックでの再開を待っている音声のコンテキスト
+    const pendingResumes = new WeakSet();
+
+    /**
+     * @function initAmmo
+     * @description Ammo.jsを初期化する（初期化中・初期化済みなら同じ結果を返す。失敗したら次の呼び出しでやり直す）
+     *              オフラインローダーで検証済みのwasmがあればそれを使う
+     *              （オフラインローダーのスクリプトはBlob URLで実行され、wasmの場所を決められないため、なければlibs/から取得する）
+     * @returns {Promise} 初期化の完了（完了後はグローバルのAmmoが初期化済みのモジュールになる）
+     */
+    function initAmmo() {
+        if (typeof Ammo === 'undefined') {
+            return Promise.reject(new Error('Ammo.jsが見つかりません'));
+        }
+        // 初期化済みのAmmoはモジュールのオブジェクトになっている
+        if (typeof Ammo.btVector3 === 'function') {
+            return Promise.resolve();
+        }
+        if (!ammoPromise) {
+            const ammoConfig = {};
+            if (window.OfflineLibraryLoader) {
+                const ammoWasm = window.OfflineLibraryLoader.getAsset('ammowasm');
+                if (ammoWasm) {
+                    ammoConfig.wasmBinary = ammoWasm;
+                } else {
+                    ammoConfig.locateFile = (file) => `libs/${file}`;
+                }
+            }
+            // 初期化済みのモジュールはthenを持つため、そのままPromiseの結果にしない
+            ammoPromise = Ammo(ammoConfig).then((AmmoLib) => {
+                Ammo = AmmoLib;
+            }, (error) => {
+                ammoPromise = null;
+                throw error;
+            });
+        }
+        return ammoPromise;
+    }
+
+    // ローダーのコールバックをPromiseにする
+    function loadWith(load, url) {
+        return new Promise((resolve, reject) => {
+            load(resolve, (error) => {
+                reject(error instanceof Error ? error : new Error(`${url} を読み込めません`));
+            });
+        });
+    }
+
+    /**
+     * @function createLoader
+     * @description MMDLoaderを作る（表情パネルとモデル情報パネルが使う情報を、読み込み時に記録させる）
+     * @param {THREE.LoadingManager} [manager] - ローディングマネージャー
+     * @returns {THREE.MMDLoader} ローダー
+     */
+    function createLoader(manager) {
+        const loader = new THREE.MMDLoader(manager);
+        if (window.MorphControl) {
+            window.MorphControl.watchLoader(loader);
+        }
+        if (window.ModelInspector) {
+            window.ModelInspector.watchLoader(loader);
+        }
+        return loader;
+    }
+
+    /**
+     * @function loadModel
+     * @description PMX/PMDのモデルを読み込む
+     * @param {string} url - モデルのURL
+     * @param {Object} [options] - { manager: ローディングマネージャー, onProgress: 進み具合（XHRのprogressイベント）を受け取る関数 }
+     * @returns {Promise<THREE.SkinnedMesh>} モデル
+     */
+    function loadModel(url, options = {}) {
+        const loader = createLoader(options.manager);
+        return loadWith((onLoad, onError) => loader.load(url, onLoad, options.onProgress, onError), url);
+    }
+
+    /**
+     * @function loadVmd
+     * @description VMDを読み込む（複数なら重ねて一つのデータにする）
+     * @param {string|Array<string>} url - VMDのURL
+     * @param {Object} [options] - { manager, onProgress }（loadModelと同じ）
+     * @returns {Promise<Object>} VMDのデータ
+     */
+    function loadVmd(url, options = {}) {
+        const loader = new THREE.MMDLoader(options.manager);
+        return loadWith((onLoad, onError) => loader.loadVMD(url, onLoad, options.onProgress, onError), String(url));
+    }
+
+    /**
+     * @function buildClip
+     * @description VMDのデータからモデル用のアニメーションを作る
+     *              キーフレーム編集（keyframe-editor.js）があれば、ボーンを初期位置に戻して作るそちらを使う
+     * @param {Object} vmd - VMDのデータ
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {THREE.AnimationClip} アニメーション
+     */
+    function buildClip(vmd, mesh) {
+        return window.KeyframeEditor
+            ? window.KeyframeEditor.buildClip(vmd, mesh)
+            : new THREE.MMDLoader().animationBuilder.build(vmd, mesh);
+    }
+
+    /**
+     * @function loadCameraMotion
+     * @description カメラモーション（VMD）を読み込む
+     * @param {string} url - VMDのURL
+     * @param {THREE.Camera} camera - モーションを付けるカメラ
+     * @param {Object} [options] - { manager, onProgress }（loadModelと同じ）
+     * @returns {Promise<THREE.AnimationClip>} カメラのアニメーション
+     */
+    function loadCameraMotion(url, camera, options = {}) {
+        const loader = new THREE.MMDLoader(options.manager);
+        return loadWith((onLoad, onError) => loader.loadAnimation(url, camera, onLoad, options.onProgress, onError), url);
+    }
+
+    /**
+     * @function loadAudio
+     * @description 音楽を読み込む
+     * @param {string} url - 音楽のURL
+     * @param {Object} [options] - { manager, onProgress }（loadModelと同じ）
+     * @returns {Promise<AudioBuffer>} 音声データ
+     */
+    function loadAudio(url, options = {}) {
+        const loader = new THREE.AudioLoader(options.manager);
+        return loadWith((onLoad, onError) => loader.load(url, onLoad, options.onProgress, onError), url);
+    }
+
+    /**
+     * @function register
+     * @description モデルにモーションを付けてヘルパーに登録し、物理演算の方式に合わせて揺れ物を動かす
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @param {THREE.AnimationClip|Array<THREE.AnimationClip>} animation - モーション
+     * @param {Object} [options] - { backend: 'ammo' / 'worker' / 'spring' / 'none', world: 物理ワールド（省略時は共有ワールド） }
+     * @returns {boolean} スプリングボーンで揺らすボーンがなければfalse
+     */
+    function register(helper, mesh, animation, options = {}) {
+        const { backend } = options;
+        const params = { animation, physics: backend === 'ammo' };
+        // 物理演算はStagePhysicsのワールドに入れる（ヘルパーに任せると、登録のたびに解放されないワールドが作られる）
+        if (params.physics && window.StagePhysics && helper.objects) {
+            Object.assign(params, window.StagePhysics.getAddParams(helper, options.world));
+        }
+        helper.add(mesh, params);
+        if (backend === 'worker') {
+            window.PhysicsWorker.add(helper, mesh);
+        }
+        // Ammoを使わない場合はスプリングボーンで髪やスカートを揺らす
+        if (backend === 'spring') {
+            return Boolean(window.SpringBones && window.SpringBones.enable(mesh));
+        }
+        return true;
+    }
+
+    /**
+     * @function unregister
+     * @description モデルをヘルパーから外し、剛体を物理ワールドから取り除いて破棄する
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.SkinnedMesh} mesh - モデル
+     * @returns {boolean} 登録されていて外したか
+     */
+    function unregister(helper, mesh) {
+        if (helper.meshes && !helper.meshes.includes(mesh)) {
+            return false;
+        }
+        const objects = helper.objects ? helper.objects.get(mesh) : null;
+        if (objects && objects.physics && window.StagePhysics) {
+            window.StagePhysics.release(objects.physics);
+        }
+        if (window.SpringBones) {
+            window.SpringBones.disable(mesh);
+        }
+        if (window.PhysicsWorker) {
+            window.PhysicsWorker.remove(mesh);
+        }
+        // ミキサーはヘルパーと一緒に捨てられるが、アクションとバインディングのキャッシュは先に外しておく
+        if (objects && window.ModelDisposal) {
+            window.ModelDisposal.disposeMixer(objects.mixer);
+        }
+        helper.remove(mesh);
+        return true;
+    }
+
+    /**
+     * @function attachAudio
+     * @description 音楽をヘルパーに登録する（再生開始はヘルパーの時間に従う）
+     *              自動再生の制限で止まっていれば再開を試み、許可されなければ次のクリックで再開する
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.AudioListener} listener - リスナー
+     * @param {AudioBuffer} buffer - 音声データ
+     * @param {number} delayTime - 音楽の遅延（秒）
+     * @param {Function} [onBlocked] - 再開が許可されなかった時に呼ぶ関数（利用者への案内に使う）
+     * @returns {THREE.Audio} 登録した音声
+     */
+    function attachAudio(helper, listener, buffer, delayTime, onBlocked) {
+        if (listener.context.state === 'suspended') {
+            resumeOnGesture(listener.context, onBlocked);
+        }
+        const audio = new THREE.Audio(listener);
+        audio.setBuffer(buffer);
+        helper.add(audio, { delayTime });
+        return audio;
+    }
+
+    // 音声の再開を試み、読み込みの完了後などユーザー操作の外で許可されなければ、次のクリックで再開する
+    function resumeOnGesture(context, onBlocked) {
+        context.resume();
+        if (pendingResumes.has(context)) {
+            return;
+        }
+        pendingResumes.add(context);
+        // resume()は許可されるまで終わらないので、少し待ってもまだ止まっていれば知らせる
+        setTimeout(() => {
+            if (pendingResumes.has(context) && context.state === 'suspended' && onBlocked) {
+                onBlocked();
+            }
+        }, 500);
+        window.addEventListener('pointerdown', () => {
+            pendingResumes.delete(context);
+            if (context.state === 'suspended') {
+                context.resume();
+            }
+        }, { once: true, capture: true });
+    }
+
+    /**
+     * @function detachAudio
+     * @description 音楽を停止してヘルパーから外す
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.Audio} audio - 音声
+     */
+    function detachAudio(helper, audio) {
+        if (audio.isPlaying) {
+            audio.stop();
+        }
+        if (helper.audio === audio) {
+            helper.remove(audio);
+        }
+        // 音量のノードをリスナーから外し、音声データと一緒に捨てられるようにする
+        audio.gain.disconnect();
+    }
+
+    /**
+     * @function detachCamera
+     * @description カメラモーションをヘルパーから外す
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {THREE.Camera} camera - カメラ
+     */
+    function detachCamera(helper, camera) {
+        if (helper.camera !== camera) {
+            return;
+        }
+        const objects = helper.objects ? helper.objects.get(camera) : null;
+        if (objects && window.ModelDisposal) {
+            window.ModelDisposal.disposeMixer(objects.mixer);
+        }
+        helper.remove(camera);
+    }
+
+    window.StageLoader = {
+        initAmmo,
+        createLoader,
+        loadModel,
+        loadVmd,
+        buildClip,
+        loadCameraMotion,
+        loadAudio,
+        register,
+        unregister,
+        attachAudio,
+        detachAudio,
+        detachCamera
+    };
+})();
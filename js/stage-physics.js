@@ -0,0 +1,266 @@
+/**
+ * @file stage-physics.js
+ * @description ステージ上の複数モデルで一つのAmmo物理ワールドを共有するためのユーティリティ
+ *              （three.js r137のMMDAnimationHelper.sharedPhysicsは未完成のため、ここで代わりに管理する）
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.StagePhysics) {
+        return;
+    }
+
+    // 物理演算の設定（MMDPhysics・MMDAnimationHelperの既定値と同じ）
+    const DEFAULT_SETTINGS = {
+        gravity: { x: 0, y: -9.8 * 10, z: 0 },
+        unitStep: 1 / 65,   // 1ステップの時間（秒）
+        maxStepNum: 3,      // 1フレームで進める最大ステップ数
+        warmup: 60          // モデルを登録した時に先に進めるフレーム数
+    };
+
+    let world = null;
+    // ワールドを作るのに使ったAmmoのオブジェクト（ワールドを破棄する時に一緒に破棄する）
+    const worldParts = new WeakMap();
+    let settings = cloneSettings(DEFAULT_SETTINGS);
+
+    // 共有ワールドに入っている剛体・ジョイントの数（Ammo.jsのワールドは数を返さないため、追加・削除を数える）
+    const counts = { bodies: 0, constraints: 0 };
+
+    function cloneSettings(source) {
+        return Object.assign({}, source, { gravity: Object.assign({}, source.gravity) });
+    }
+
+    /**
+     * @function getWorld
+     * @description 共有の物理ワールドを返す（Ammoが未読み込みならnull）
+     * @returns {Ammo.btDiscreteDynamicsWorld|null} 物理ワールド
+     */
+    function getWorld() {
+        if (!world) {
+            world = createWorld();
+            if (world) {
+                countWorldObjects(world);
+            }
+        }
+        return world;
+    }
+
+    /**
+     * @function createWorld
+     * @description 共有ワールドとは別の物理ワールドを作る（MikuPlayerのように、ヘルパーごとにワールドを持つ場合に使う）
+     *              使い終わったら、剛体をreleaseしてからdestroyWorldで破棄すること
+     * @returns {Ammo.btDiscreteDynamicsWorld|null} 物理ワールド（Ammoが未読み込みならnull）
+     */
+    function createWorld() {
+        if (typeof Ammo === 'undefined' || typeof Ammo.btDiscreteDynamicsWorld !== 'function') {
+            return null;
+        }
+        // MMDPhysics._createWorld()と同じ構成
+        const config = new Ammo.btDefaultCollisionConfiguration();
+        const dispatcher = new Ammo.btCollisionDispatcher(config);
+        const cache = new Ammo.btDbvtBroadphase();
+        const solver = new Ammo.btSequentialImpulseConstraintSolver();
+        const created = new Ammo.btDiscreteDynamicsWorld(dispatcher, cache, solver, config);
+        created.setGravity(new Ammo.btVector3(settings.gravity.x, settings.gravity.y, settings.gravity.z));
+        worldParts.set(created, [solver, cache, dispatcher, config]);
+        return created;
+    }
+
+    /**
+     * @function destroyWorld
+     * @description createWorldで作った物理ワールドを、作るのに使ったAmmoのオブジェクトと一緒に破棄する
+     * @param {Ammo.btDiscreteDynamicsWorld} target - 物理ワールド
+     */
+    function destroyWorld(target) {
+        if (!target) {
+            return;
+        }
+        Ammo.destroy(target);
+        (worldParts.get(target) || []).forEach((part) => Ammo.destroy(part));
+        worldParts.delete(target);
+    }
+
+    // ワールドへの剛体・ジョイントの追加と削除を数える（MMDPhysicsはworld.addRigidBody()などを直接呼ぶ）
+    function countWorldObjects(target) {
+        const { addRigidBody, removeRigidBody, addConstraint, removeConstraint } = target;
+        target.addRigidBody = function(...args) {
+            counts.bodies++;
+            return addRigidBody.apply(target, args);
+        };
+        target.removeRigidBody = function(...args) {
+            counts.bodies--;
+            return removeRigidBody.apply(target, args);
+        };
+        target.addConstraint = function(...args) {
+            counts.constraints++;
+            return addConstraint.apply(target, args);
+        };
+        target.removeConstraint = function(...args) {
+            counts.constraints--;
+            return removeConstraint.apply(target, args);
+        };
+    }
+
+    // ヘルパーに登録されたモデルの物理演算を列挙
+    function getPhysicsList(helper) {
+        return (helper.meshes || [])
+            .map((mesh) => helper.objects.get(mesh))
+            .filter((objects) => objects && objects.physics)
+            .map((objects) => objects.physics);
+    }
+
+    /**
+     * @function getAddParams
+     * @description helper.add()に渡す物理演算のパラメータを返す
+     *              二体目以降はウォームアップで共有ワールドを進めると他のモデルの剛体が飛ぶため、ウォームアップしない
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {Ammo.btDiscreteDynamicsWorld} [targetWorld] - 登録するワールド（省略時は共有ワールド）
+     * @returns {Object} { world, warmup, unitStep, maxStepNum, gravity }（Ammoが未読み込みなら空）
+     */
+    function getAddParams(helper, targetWorld) {
+        const addWorld = targetWorld || getWorld();
+        if (!addWorld) {
+            return {};
+        }
+        return {
+            world: addWorld,
+            warmup: getPhysicsList(helper).length > 0 ? 0 : settings.warmup,
+            unitStep: settings.unitStep,
+            maxStepNum: settings.maxStepNum,
+            gravity: new THREE.Vector3(settings.gravity.x, settings.gravity.y, settings.gravity.z)
+        };
+    }
+
+    /**
+     * @function getSettings
+     * @description 物理演算の設定を返す
+     * @returns {Object} { gravity: { x, y, z }, unitStep, maxStepNum, warmup }（コピー）
+     */
+    function getSettings() {
+        return cloneSettings(settings);
+    }
+
+    /**
+     * @function setSettings
+     * @description 物理演算の設定を変更し、共有ワールドと登録済みのモデルにすぐ反映する（ウォームアップは次の登録から）
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {Object} values - 変更する設定（getSettings()と同じ形。省略した項目はそのまま）
+     */
+    function setSettings(helper, values) {
+        settings = cloneSettings(Object.assign({}, settings, values, {
+            gravity: Object.assign({}, settings.gravity, values.gravity)
+        }));
+        const { gravity } = settings;
+        if (world) {
+            world.setGravity(new Ammo.btVector3(gravity.x, gravity.y, gravity.z));
+        }
+        if (helper && helper.objects) {
+            getPhysicsList(helper).forEach((physics) => {
+                physics.unitStep = settings.unitStep;
+                physics.maxStepNum = settings.maxStepNum;
+                physics.gravity.set(gravity.x, gravity.y, gravity.z);
+            });
+        }
+    }
+
+    /**
+     * @function enable
+     * @description ヘルパーがモデルごとに物理演算を進めないようにする（stepで一括して進める）
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     */
+    function enable(helper) {
+        helper.sharedPhysics = true;
+    }
+
+    /**
+     * @function step
+     * @description 全モデルの剛体をボーンに合わせてから共有ワールドを一度だけ進め、結果をボーンに戻す
+     *              helper.update()の後に呼ぶ
+     * @param {THREE.MMDAnimationHelper} helper - ヘルパー
+     * @param {number} delta - 経過時間（秒）
+     */
+    function step(helper, delta) {
+        if (!helper.enabled.physics) {
+            return;
+        }
+        const physicsList = getPhysicsList(helper);
+        if (physicsList.length === 0) {
+            return;
+        }
+        helper.meshes.forEach((mesh) => helper.onBeforePhysics(mesh));
+        physicsList.forEach((physics) => physics._updateRigidBodies());
+        physicsList[0]._stepSimulation(delta);
+        physicsList.forEach((physics) => physics._updateBones());
+    }
+
+    /**
+     * @function resetWorld
+     * @description 共有ワールドを作り直す（書き出しなどで物理演算の状態を毎回同じにするため）
+     *              先に全モデルの剛体をreleaseしてから呼び、その後モデルを登録し直すこと
+     */
+    function resetWorld() {
+        destroyWorld(world);
+        world = null;
+        counts.bodies = 0;
+        counts.constraints = 0;
+    }
+
+    /**
+     * @function release
+     * @description モデルの剛体とジョイントを共有ワールドから取り除いて破棄する（helper.remove()の前に呼ぶ）
+     *              剛体の形・姿勢もAmmo.jsのメモリから解放するため、releaseした物理演算は使えなくなる
+     * @param {THREE.MMDPhysics} physics - モデルの物理演算
+     */
+    function release(physics) {
+        if (!physics || !physics.world) {
+            return;
+        }
+        // ジョイントは剛体を参照しているので先に破棄する
+        physics.constraints.forEach((constraint) => {
+            if (constraint.constraint) {
+                physics.world.removeConstraint(constraint.constraint);
+                Ammo.destroy(constraint.constraint);
+                constraint.constraint = null;
+            }
+        });
+        physics.bodies.forEach((body) => {
+            if (body.body) {
+                physics.world.removeRigidBody(body.body);
+                const motionState = body.body.getMotionState();
+                const shape = body.body.getCollisionShape();
+                Ammo.destroy(body.body);
+                Ammo.destroy(motionState);
+                Ammo.destroy(shape);
+                Ammo.destroy(body.boneOffsetForm);
+                Ammo.destroy(body.boneOffsetFormInverse);
+                body.body = null;
+            }
+        });
+        physics.constraints.length = 0;
+        physics.bodies.length = 0;
+    }
+
+    /**
+     * @function getStats
+     * @description 共有ワールドに入っている剛体・ジョイントの数を返す（メモリの確認用）
+     * @returns {Object} { bodies, constraints }
+     */
+    function getStats() {
+        return { bodies: counts.bodies, constraints: counts.constraints };
+    }
+
+    window.StagePhysics = {
+        DEFAULT_SETTINGS,
+        getWorld,
+        createWorld,
+        destroyWorld,
+        getAddParams,
+        getSettings,
+        setSettings,
+        enable,
+        step,
+        resetWorld,
+        release,
+        getStats
+    };
+})();
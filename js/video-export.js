@@ -0,0 +1,383 @@
+/**
+ * @file video-export.js
+ * @description ダンスを固定のフレーム間隔でオフラインレンダリングし、WebM動画またはPNG連番zipに書き出す
+ *              壁時計や音声の再生位置には依存しないため、同じ条件なら同じ結果になる
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.VideoExporter) {
+        return;
+    }
+
+    const FORMAT = {
+        WEBM: 'webm',   // WebCodecsでエンコードし、webm-muxerで音声と多重化
+        PNG: 'png'      // PNG連番と音声（WAV）をzipにまとめる
+    };
+
+    // 音声は書き出し用にこのサンプルレートへ変換する（Opusの標準）
+    const AUDIO_SAMPLE_RATE = 48000;
+
+    // 動画のキーフレーム間隔（秒）
+    const KEYFRAME_INTERVAL = 2;
+
+    // エンコーダの待ち行列がこれを超えたら空くまで待つ
+    const MAX_ENCODE_QUEUE = 8;
+
+    // VP9を優先し、使えなければVP8
+    const VIDEO_CODECS = [
+        { config: 'vp09.00.10.08', muxer: 'V_VP9' },
+        { config: 'vp8', muxer: 'V_VP8' }
+    ];
+
+    // 書き出しの中止を表すエラー
+    class ExportCancelledError extends Error {
+        constructor() {
+            super('書き出しを中止しました');
+            this.name = 'ExportCancelledError';
+        }
+    }
+
+    /**
+     * @function isWebMSupported
+     * @description このブラウザでWebMを書き出せるか（WebCodecsとwebm-muxerが必要）
+     * @returns {boolean} 書き出せるならtrue
+     */
+    function isWebMSupported() {
+        return typeof VideoEncoder === 'function' &&
+            typeof VideoFrame === 'function' &&
+            typeof WebMMuxer !== 'undefined';
+    }
+
+    /**
+     * @function isPngSupported
+     * @description PNG連番zipを書き出せるか（fflateが必要）
+     * @returns {boolean} 書き出せるならtrue
+     */
+    function isPngSupported() {
+        return typeof fflate !== 'undefined' && typeof fflate.Zip === 'function';
+    }
+
+    // 次のタスクまで待つ（UIの更新とエンコーダの出力を進めるため）
+    function nextTick() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    function throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw new ExportCancelledError();
+        }
+    }
+
+    /**
+     * @function renderAudioTrack
+     * @description 書き出し範囲に合わせて音声を切り出し、遅延を反映した48kHzの音声にする
+     * @param {AudioBuffer} audioBuffer - 元の音声
+     * @param {number} startTime - 書き出し開始位置（モーション時間、秒）
+     * @param {number} duration - 書き出す長さ（秒）
+     * @param {number} delayTime - 音声の遅延（秒）
+     * @returns {Promise<AudioBuffer>} 書き出し用の音声
+     */
+    async function renderAudioTrack(audioBuffer, startTime, duration, delayTime) {
+        const channels = Math.min(audioBuffer.numberOfChannels, 2);
+        const length = Math.max(Math.ceil(duration * AUDIO_SAMPLE_RATE), 1);
+        const context = new OfflineAudioContext(channels, length, AUDIO_SAMPLE_RATE);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+
+        // モーション時間tに鳴る音声の位置は t - delayTime
+        const audioOffset = startTime - delayTime;
+        if (audioOffset >= 0) {
+            if (audioOffset < audioBuffer.duration) {
+                source.start(0, audioOffset);
+            }
+        } else {
+            source.start(-audioOffset, 0);
+        }
+        return context.startRendering();
+    }
+
+    /**
+     * @function encodeWav
+     * @description AudioBufferを16bit PCMのWAVにする
+     * @param {AudioBuffer} buffer - 音声
+     * @returns {Uint8Array} WAVファイルのバイト列
+     */
+    function encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const dataSize = frames * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let c = 0; c < channels; c++) {
+            channelData.push(buffer.getChannelData(c));
+        }
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+        return new Uint8Array(view.buffer);
+    }
+
+    // 使用できる動画コーデックを選ぶ
+    async function selectVideoCodec(width, height, fps) {
+        for (const codec of VIDEO_CODECS) {
+            const config = {
+                codec: codec.config,
+                width,
+                height,
+                framerate: fps,
+                bitrate: Math.round(width * height * fps * 0.2)
+            };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) {
+                return { config, muxerCodec: codec.muxer };
+            }
+        }
+        throw new Error('このブラウザはVP9/VP8のエンコードに対応していません');
+    }
+
+    // 書き出し用の音声をOpusでエンコードしてmuxerに渡す
+    async function encodeAudioTrack(muxer, audioTrack, signal) {
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure({
+            codec: 'opus',
+            sampleRate: AUDIO_SAMPLE_RATE,
+            numberOfChannels: audioTrack.numberOfChannels,
+            bitrate: 128000
+        });
+
+        // 1秒ずつAudioDataにして渡す
+        const channels = audioTrack.numberOfChannels;
+        for (let start = 0; start < audioTrack.length; start += AUDIO_SAMPLE_RATE) {
+            throwIfCancelled(signal);
+            if (encoderError) {
+                throw encoderError;
+            }
+            const frames = Math.min(AUDIO_SAMPLE_RATE, audioTrack.length - start);
+            const data = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(audioTrack.getChannelData(c).subarray(start, start + frames), c * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: AUDIO_SAMPLE_RATE,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(start * 1e6 / AUDIO_SAMPLE_RATE),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        await encoder.flush();
+        encoder.close();
+        if (encoderError) {
+            throw encoderError;
+        }
+    }
+
+    // フレームを順にレンダリングし、captureFrame(index)で取り込む
+    async function renderFrames(options, frameCount, captureFrame) {
+        const delta = 1 / options.fps;
+        for (let i = 0; i < frameCount; i++) {
+            throwIfCancelled(options.signal);
+            if (i > 0) {
+                options.advance(delta);
+            }
+            options.render();
+            // レンダリング直後（同じタスク内）にキャンバスを取り込む
+            await captureFrame(i);
+            if (typeof options.onProgress === 'function') {
+                options.onProgress(i + 1, frameCount);
+            }
+        }
+    }
+
+    // WebMに書き出す
+    async function exportWebM(options, frameCount, audioTrack) {
+        const canvas = options.canvas;
+        const { config, muxerCodec } = await selectVideoCodec(canvas.width, canvas.height, options.fps);
+
+        const muxerOptions = {
+            target: new WebMMuxer.ArrayBufferTarget(),
+            video: { codec: muxerCodec, width: canvas.width, height: canvas.height, frameRate: options.fps }
+        };
+        if (audioTrack) {
+            muxerOptions.audio = { codec: 'A_OPUS', sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: audioTrack.numberOfChannels };
+        }
+        const muxer = new WebMMuxer.Muxer(muxerOptions);
+
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(config);
+
+        const frameDuration = 1e6 / options.fps;
+        const keyFrameEvery = Math.max(Math.round(options.fps * KEYFRAME_INTERVAL), 1);
+        try {
+            await renderFrames(options, frameCount, async (index) => {
+                // タイムスタンプはフレーム番号から決める（実時間に依存しない）
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(index * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: index % keyFrameEvery === 0 });
+                frame.close();
+
+                while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                    await nextTick();
+                }
+                if (encoderError) {
+                    throw encoderError;
+                }
+            });
+            await encoder.flush();
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+
+        if (audioTrack) {
+            await encodeAudioTrack(muxer, audioTrack, options.signal);
+        }
+        muxer.finalize();
+        return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    }
+
+    // PNG連番（と音声WAV）をzipに書き出す
+    async function exportPngSequence(options, frameCount, audioTrack) {
+        const canvas = options.canvas;
+        const parts = [];
+        let zipError = null;
+        const zip = new fflate.Zip((error, data) => {
+            if (error) {
+                zipError = error;
+                return;
+            }
+            parts.push(data);
+        });
+
+        // PNGは圧縮済みなので無圧縮で格納する
+        const addFile = (name, bytes) => {
+            const file = new fflate.ZipPassThrough(name);
+            zip.add(file);
+            file.push(bytes, true);
+            if (zipError) {
+                throw zipError;
+            }
+        };
+
+        const digits = String(frameCount - 1).length;
+        await renderFrames(options, frameCount, async (index) => {
+            const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw new Error(`フレーム${index}をPNGにできませんでした`);
+            }
+            addFile(`frames/${String(index).padStart(Math.max(digits, 5), '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+        });
+
+        if (audioTrack) {
+            addFile('audio.wav', encodeWav(audioTrack));
+        }
+        addFile('info.json', new TextEncoder().encode(JSON.stringify({
+            fps: options.fps,
+            frames: frameCount,
+            width: canvas.width,
+            height: canvas.height,
+            startTime: options.startTime,
+            audio: audioTrack ? 'audio.wav' : null
+        }, null, 4)));
+        zip.end();
+        if (zipError) {
+            throw zipError;
+        }
+        return new Blob(parts, { type: 'application/zip' });
+    }
+
+    /**
+     * @function exportVideo
+     * @description ダンスを書き出す。呼び出し側はシーンを開始位置に合わせ、物理演算をリセットしておくこと
+     * @param {Object} options - オプション
+     * @param {HTMLCanvasElement} options.canvas - レンダラーのキャンバス
+     * @param {string} [options.format='webm'] - FORMAT.WEBM または FORMAT.PNG
+     * @param {number} [options.fps=30] - フレームレート
+     * @param {number} options.duration - 書き出す長さ（秒）
+     * @param {number} [options.startTime=0] - 書き出し開始位置（モーション時間、秒。音声の切り出しに使う）
+     * @param {AudioBuffer} [options.audioBuffer] - 一緒に書き出す音声
+     * @param {number} [options.audioDelay=0] - 音声の遅延（秒）
+     * @param {Function} options.advance - モーションを指定秒数進める (delta)
+     * @param {Function} options.render - 1フレームをキャンバスに描画する
+     * @param {Function} [options.onProgress] - 進捗 (frame, frameCount)
+     * @param {AbortSignal} [options.signal] - 中止用のシグナル
+     * @returns {Promise<{blob: Blob, extension: string, frames: number}>} 書き出し結果
+     */
+    async function exportVideo(options) {
+        const format = options.format === FORMAT.PNG ? FORMAT.PNG : FORMAT.WEBM;
+        const fps = options.fps || 30;
+        const frameCount = Math.max(Math.ceil(options.duration * fps), 1);
+        const settings = Object.assign({}, options, { fps, startTime: options.startTime || 0 });
+
+        if (format === FORMAT.WEBM && !isWebMSupported()) {
+            throw new Error('このブラウザはWebMの書き出しに対応していません（WebCodecsとlibs/webm-muxer.jsが必要です）');
+        }
+        if (format === FORMAT.PNG && !isPngSupported()) {
+            throw new Error('PNG連番の書き出しにはfflate（libs/fflate.min.js）が必要です');
+        }
+
+        let audioTrack = null;
+        if (options.audioBuffer) {
+            if (format === FORMAT.WEBM && typeof AudioEncoder !== 'function') {
+                throw new Error('このブラウザは音声のエンコードに対応していません（AudioEncoderが必要です）');
+            }
+            audioTrack = await renderAudioTrack(options.audioBuffer, settings.startTime, frameCount / fps, options.audioDelay || 0);
+        }
+        throwIfCancelled(options.signal);
+
+        const blob = format === FORMAT.WEBM
+            ? await exportWebM(settings, frameCount, audioTrack)
+            : await exportPngSequence(settings, frameCount, audioTrack);
+        return { blob, extension: format === FORMAT.WEBM ? 'webm' : 'zip', frames: frameCount };
+    }
+
+    window.VideoExporter = {
+        FORMAT,
+        ExportCancelledError,
+        isWebMSupported,
+        isPngSupported,
+        encodeWav,
+        exportVideo
+    };
+})();
@@ -0,0 +1,177 @@
+/**
+ * @file vmd-writer.js
+ * @description MMDParserの形式のVMDデータを、MMDや標準のMMDLoaderで読めるVMDファイルに書き出す
+ * @version 1.0.0
+ */
+
+(function() {
+    if (window.VmdWriter) {
+        return;
+    }
+
+    const MAGIC = 'Vocaloid Motion Data 0002';
+    const HEADER_SIZE = 30;
+    const MODEL_NAME_SIZE = 20;
+    const BONE_NAME_SIZE = 15;
+    const MORPH_NAME_SIZE = 15;
+
+    // 1キーあたりのバイト数
+    const BONE_KEY_SIZE = BONE_NAME_SIZE + 4 + 12 + 16 + 64;
+    const MORPH_KEY_SIZE = MORPH_NAME_SIZE + 4 + 4;
+    const CAMERA_KEY_SIZE = 4 + 4 + 12 + 12 + 24 + 4 + 1;
+
+    // 直線補間の制御点（0〜127）
+    const LINEAR_INTERPOLATION = [20, 20, 107, 107];
+
+    // 補間パラメータのチャンネル（VMDの並び順）
+    const CHANNELS = ['x', 'y', 'z', 'r'];
+
+    /**
+     * @function getInterpolation
+     * @description ボーンキーの補間パラメータを取り出す
+     * @param {Uint8Array|Array<number>} interpolation - キーの64バイトの補間データ
+     * @param {string} channel - 'x' / 'y' / 'z'（移動）または 'r'（回転）
+     * @returns {Array<number>} [x1, y1, x2, y2]（0〜127）
+     */
+    function getInterpolation(interpolation, channel) {
+        const c = CHANNELS.indexOf(channel);
+        return [interpolation[c], interpolation[c + 4], interpolation[c + 8], interpolation[c + 12]];
+    }
+
+    /**
+     * @function createInterpolation
+     * @description 4チャンネル分の補間パラメータから、MMDと同じ並びの64バイトの補間データを作る
+     *              （2行目以降は1行目を1バイトずつずらした複製）
+     * @param {Object} params - { x, y, z, r } それぞれ [x1, y1, x2, y2]（省略したチャンネルは直線）
+     * @returns {Uint8Array} 補間データ
+     */
+    function createInterpolation(params) {
+        const row = new Uint8Array(16);
+        CHANNELS.forEach((channel, c) => {
+            const [x1, y1, x2, y2] = (params && params[channel]) || LINEAR_INTERPOLATION;
+            row[c] = x1;
+            row[c + 4] = y1;
+            row[c + 8] = x2;
+            row[c + 12] = y2;
+        });
+        const data = new Uint8Array(64);
+        for (let line = 0; line < 4; line++) {
+            for (let i = 0; i < 16; i++) {
+                const source = i + line;
+                // ずらして空いた所はMMDと同じく 01 00 00 で埋める
+                data[line * 16 + i] = source < 16 ? row[source] : (source === 16 ? 1 : 0);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * @function setInterpolation
+     * @description ボーンキーの1チャンネルの補間パラメータを書き換えた補間データを返す
+     * @param {Uint8Array|Array<number>} interpolation - 元の補間データ
+     * @param {string} channel - 'x' / 'y' / 'z' / 'r'
+     * @param {Array<number>} values - [x1, y1, x2, y2]（0〜127）
+     * @returns {Uint8Array} 新しい補間データ
+     */
+    function setInterpolation(interpolation, channel, values) {
+        const params = {};
+        CHANNELS.forEach((name) => {
+            params[name] = name === channel
+                ? values.map((value) => Math.min(Math.max(Math.round(value), 0), 127))
+                : getInterpolation(interpolation, name);
+        });
+        return createInterpolation(params);
+    }
+
+    /**
+     * @function write
+     * @description VMDデータをバイナリにする（右手座標系のデータはMMDの左手座標系に戻す）
+     * @param {Object} vmd - { metadata: { name, coordinateSystem }, motions, morphs, cameras }
+     * @returns {ArrayBuffer} VMDファイルの内容
+     */
+    function write(vmd) {
+        const motions = vmd.motions || [];
+        const morphs = vmd.morphs || [];
+        const cameras = vmd.cameras || [];
+        const flip = vmd.metadata && vmd.metadata.coordinateSystem === 'right';
+
+        const size = HEADER_SIZE + MODEL_NAME_SIZE +
+            4 + motions.length * BONE_KEY_SIZE +
+            4 + morphs.length * MORPH_KEY_SIZE +
+            4 + cameras.length * CAMERA_KEY_SIZE +
+            4 +  // 照明
+            4;   // セルフシャドウ
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        function writeBytes(data) {
+            bytes.set(data, offset);
+            offset += data.length;
+        }
+        function writeUint32(value) {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        }
+        function writeFloat32(value) {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        }
+
+        // ヘッダー
+        writeBytes(window.ShiftJis.encodeFixed(MAGIC, HEADER_SIZE));
+        writeBytes(window.ShiftJis.encodeFixed((vmd.metadata && vmd.metadata.name) || '', MODEL_NAME_SIZE));
+
+        // ボーンキー（右手系→左手系: 位置のZと回転のX・Yを反転）
+        writeUint32(motions.length);
+        motions.forEach((motion) => {
+            const [px, py, pz] = motion.position;
+            const [qx, qy, qz, qw] = motion.rotation;
+            writeBytes(window.ShiftJis.encodeFixed(motion.boneName, BONE_NAME_SIZE));
+            writeUint32(motion.frameNum);
+            [px, py, flip ? -pz : pz].forEach(writeFloat32);
+            [flip ? -qx : qx, flip ? -qy : qy, qz, qw].forEach(writeFloat32);
+            writeBytes(motion.interpolation && motion.interpolation.length === 64
+                ? motion.interpolation
+                : createInterpolation());
+        });
+
+        // 表情キー
+        writeUint32(morphs.length);
+        morphs.forEach((morph) => {
+            writeBytes(window.ShiftJis.encodeFixed(morph.morphName, MORPH_NAME_SIZE));
+            writeUint32(morph.frameNum);
+            writeFloat32(morph.weight);
+        });
+
+        // カメラキー（右手系→左手系: 位置のZと回転のX・Yを反転）
+        writeUint32(cameras.length);
+        cameras.forEach((camera) => {
+            const [px, py, pz] = camera.position;
+            const [rx, ry, rz] = camera.rotation;
+            writeUint32(camera.frameNum);
+            writeFloat32(camera.distance);
+            [px, py, flip ? -pz : pz].forEach(writeFloat32);
+            [flip ? -rx : rx, flip ? -ry : ry, rz].forEach(writeFloat32);
+            writeBytes(camera.interpolation);
+            writeUint32(camera.fov);
+            view.setUint8(offset, camera.perspective);
+            offset += 1;
+        });
+
+        // 照明・セルフシャドウは書き出さない
+        writeUint32(0);
+        writeUint32(0);
+
+        return buffer;
+    }
+
+    window.VmdWriter = {
+        LINEAR_INTERPOLATION,
+        getInterpolation,
+        setInterpolation,
+        createInterpolation,
+        write
+    };
+})();
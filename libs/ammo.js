@@ -1 +0,0 @@
-Couldn't find the requested file /builds/ammo.js in ammo.js.
\ No newline at end of file
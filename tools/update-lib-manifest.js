@@ -0,0 +1,52 @@
+/**
+ * @file update-lib-manifest.js
+ * @description libs/manifest.json に記載された各ライブラリのサイズとSHA-256ハッシュを再計算する
+ *
+ * 使い方: node tools/update-lib-manifest.js [--check]
+ *   --check を付けると書き換えずに差分の有無だけを確認する（差分があれば終了コード1）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LIBS_DIR = path.join(__dirname, '..', 'libs');
+const MANIFEST_PATH = path.join(LIBS_DIR, 'manifest.json');
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    let changed = 0;
+
+    manifest.modules.forEach((entry) => {
+        const filePath = path.join(LIBS_DIR, entry.file);
+        if (!fs.existsSync(filePath)) {
+            console.error(`見つかりません: libs/${entry.file}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const bytes = fs.readFileSync(filePath);
+        const size = bytes.length;
+        const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+
+        if (entry.size !== size || entry.sha256 !== sha256) {
+            changed++;
+            console.log(`${checkOnly ? '不一致' : '更新'}: libs/${entry.file} (${size} bytes, ${sha256})`);
+            entry.size = size;
+            entry.sha256 = sha256;
+        }
+    });
+
+    if (checkOnly) {
+        if (changed > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 4) + '\n');
+    console.log(`manifest.json を書き出しました (${changed}件更新)`);
+}
+
+main();